@@ -1,4 +1,4 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
 import './App.css';
 
 // Context for authentication
@@ -7,8 +7,54 @@ const AuthContext = createContext();
 // API base URL
 const API_BASE_URL = 'http://localhost:5000/api';
 
+// Access tokens are short-lived; the refresh token renews them
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Refresh tokens are single-use, so concurrent requests share one refresh
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = fetch(`${API_BASE_URL}/users/refresh-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || 'Session expired');
+        }
+        storeTokens(data.data);
+      })
+      .catch(error => {
+        // Tabs share the tokens in localStorage. If another tab refreshed
+        // first, its new tokens are already stored: carry on with those
+        // rather than clearing them and logging every tab out.
+        const currentRefreshToken = localStorage.getItem('refreshToken');
+        if (currentRefreshToken && currentRefreshToken !== refreshToken) {
+          return;
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Utility function for API calls
-const apiCall = async (endpoint, options = {}) => {
+const apiCall = async (endpoint, options = {}, retried = false) => {
   const token = localStorage.getItem('token');
   const config = {
     headers: {
@@ -21,6 +67,19 @@ const apiCall = async (endpoint, options = {}) => {
   try {
     const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
     const data = await response.json();
+
+    // Expired access token: refresh once and retry the request with the
+    // stored access token, whichever tab refreshed it
+    if (response.status === 401 && token && !retried && localStorage.getItem('refreshToken')) {
+      try {
+        await refreshTokens();
+      } catch (refreshError) {
+        clearTokens();
+        window.dispatchEvent(new Event('auth:expired'));
+        throw new Error('Your session has expired. Please log in again.');
+      }
+      return apiCall(endpoint, options, true);
+    }
     
     if (!response.ok) {
       throw new Error(data.message || 'Something went wrong');
@@ -47,7 +106,7 @@ const AuthProvider = ({ children }) => {
           setUser(response.data.user);
         })
         .catch(() => {
-          localStorage.removeItem('token');
+          clearTokens();
         })
         .finally(() => {
           setLoading(false);
@@ -55,6 +114,11 @@ const AuthProvider = ({ children }) => {
     } else {
       setLoading(false);
     }
+
+    // Fired by apiCall when the session can no longer be refreshed
+    const handleExpired = () => setUser(null);
+    window.addEventListener('auth:expired', handleExpired);
+    return () => window.removeEventListener('auth:expired', handleExpired);
   }, []);
 
   const login = async (username, password) => {
@@ -63,8 +127,13 @@ const AuthProvider = ({ children }) => {
         method: 'POST',
         body: JSON.stringify({ username, password }),
       });
+
+      // Accounts with 2FA get a challenge for the second step instead
+      if (response.data.twoFactorRequired) {
+        return response;
+      }
       
-      localStorage.setItem('token', response.data.token);
+      storeTokens(response.data);
       setUser(response.data.user);
       return response;
     } catch (error) {
@@ -72,11 +141,35 @@ const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const response = await apiCall('/users/login/two-factor', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code }),
+    });
+
+    storeTokens(response.data);
+    setUser(response.data.user);
+    return response;
+  };
+
   const logout = () => {
-    localStorage.removeItem('token');
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      // End the session on the server too; the UI does not wait for it
+      apiCall('/users/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken }),
+      }).catch(() => {});
+    }
+    clearTokens();
     setUser(null);
   };
 
+  const refreshUser = async () => {
+    const response = await apiCall('/users/profile');
+    setUser(response.data.user);
+  };
+
   const register = async (userData) => {
     try {
       const response = await apiCall('/users/register', {
@@ -84,7 +177,7 @@ const AuthProvider = ({ children }) => {
         body: JSON.stringify(userData),
       });
       
-      localStorage.setItem('token', response.data.token);
+      storeTokens(response.data);
       setUser(response.data.user);
       return response;
     } catch (error) {
@@ -93,7 +186,7 @@ const AuthProvider = ({ children }) => {
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, logout, register, loading }}>
+    <AuthContext.Provider value={{ user, login, verifyTwoFactor, logout, register, refreshUser, loading }}>
       {children}
     </AuthContext.Provider>
   );
@@ -108,12 +201,19 @@ const useAuth = () => {
   return context;
 };
 
+// Whether the user's role grants a permission ('*' grants all of them)
+const can = (user, permission) => {
+  return Boolean(user?.permissions?.some(p => p === '*' || p === permission));
+};
+
 // Login Component
-const Login = ({ onToggleMode }) => {
+const Login = ({ onToggleMode, onForgotPassword }) => {
   const [formData, setFormData] = useState({ username: '', password: '' });
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -121,7 +221,10 @@ const Login = ({ onToggleMode }) => {
     setError('');
 
     try {
-      await login(formData.username, formData.password);
+      const response = await login(formData.username, formData.password);
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+      }
     } catch (error) {
       setError(error.message);
     } finally {
@@ -129,6 +232,67 @@ const Login = ({ onToggleMode }) => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await verifyTwoFactor(challengeToken, code);
+    } catch (error) {
+      setError(error.message);
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode('');
+    setError('');
+    setFormData({ ...formData, password: '' });
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>📚 Library Management System</h2>
+          <h3>Two-Factor Authentication</h3>
+          
+          {error && <div className="error-message">{error}</div>}
+          
+          <form onSubmit={handleCodeSubmit}>
+            <div className="form-group">
+              <label>Authentication code or backup code:</label>
+              <input
+                type="text"
+                name="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                disabled={loading}
+              />
+            </div>
+            
+            <button type="submit" disabled={loading} className="btn-primary">
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+          
+          <p>
+            <button onClick={handleCancelTwoFactor} className="link-button">
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -174,6 +338,12 @@ const Login = ({ onToggleMode }) => {
           </button>
         </form>
         
+        <p>
+          <button onClick={onForgotPassword} className="link-button">
+            Forgot your password?
+          </button>
+        </p>
+        
         <p>
           Don't have an account?{' '}
           <button onClick={onToggleMode} className="link-button">
@@ -185,6 +355,158 @@ const Login = ({ onToggleMode }) => {
   );
 };
 
+// Forgot Password Component
+const ForgotPassword = ({ onBackToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await apiCall('/users/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+      });
+      setSuccess(response.message);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>📚 Library Management System</h2>
+        <h3>Forgot Password</h3>
+        
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+        
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Email:</label>
+            <input
+              type="email"
+              name="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              disabled={loading}
+            />
+          </div>
+          
+          <button type="submit" disabled={loading} className="btn-primary">
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+        
+        <p>
+          Remembered it?{' '}
+          <button onClick={onBackToLogin} className="link-button">
+            Back to login
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Reset Password Component (opened from the emailed link)
+const ResetPassword = ({ token, onBackToLogin }) => {
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await apiCall('/users/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, password: formData.password }),
+      });
+      setSuccess(response.message);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>📚 Library Management System</h2>
+        <h3>Reset Password</h3>
+        
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+        
+        {!success && (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label>New Password:</label>
+              <input
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            </div>
+            
+            <div className="form-group">
+              <label>Confirm New Password:</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+            </div>
+            
+            <button type="submit" disabled={loading} className="btn-primary">
+              {loading ? 'Saving...' : 'Set New Password'}
+            </button>
+          </form>
+        )}
+        
+        <p>
+          <button onClick={onBackToLogin} className="link-button">
+            Back to login
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
 // Register Component
 const Register = ({ onToggleMode }) => {
   const [formData, setFormData] = useState({
@@ -341,18 +663,21 @@ const Navigation = ({ activeTab, setActiveTab }) => {
   const { user } = useAuth();
 
   const tabs = [
-    { id: 'books', label: '📖 Books', roles: ['admin', 'librarian', 'borrower'] },
-    { id: 'transactions', label: '🔄 My Transactions', roles: ['borrower'] },
-    { id: 'manage-transactions', label: '🔄 Manage Transactions', roles: ['admin', 'librarian'] },
-    { id: 'reservations', label: '📅 Reservations', roles: ['admin', 'librarian', 'borrower'] },
-    { id: 'fines', label: '💰 Fines', roles: ['admin', 'librarian', 'borrower'] },
-    { id: 'users', label: '👥 Users', roles: ['admin', 'librarian'] },
-    { id: 'authors', label: '✍️ Authors', roles: ['admin', 'librarian'] },
-    { id: 'categories', label: '📂 Categories', roles: ['admin', 'librarian'] },
-    { id: 'profile', label: '👤 Profile', roles: ['admin', 'librarian', 'borrower'] },
+    { id: 'books', label: '📖 Books' },
+    { id: 'transactions', label: '🔄 My Transactions', hiddenWith: 'transactions.read' },
+    { id: 'manage-transactions', label: '🔄 Manage Transactions', permission: 'transactions.read' },
+    { id: 'reservations', label: '📅 Reservations' },
+    { id: 'fines', label: '💰 Fines' },
+    { id: 'users', label: '👥 Users', permission: 'users.read' },
+    { id: 'authors', label: '✍️ Authors', permission: 'authors.manage' },
+    { id: 'categories', label: '📂 Categories', permission: 'categories.manage' },
+    { id: 'profile', label: '👤 Profile' },
   ];
 
-  const visibleTabs = tabs.filter(tab => tab.roles.includes(user?.role));
+  const visibleTabs = tabs.filter(tab =>
+    (!tab.permission || can(user, tab.permission)) &&
+    (!tab.hiddenWith || !can(user, tab.hiddenWith))
+  );
 
   return (
     <nav className="navigation">
@@ -375,6 +700,9 @@ const Books = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [filters, setFilters] = useState({ category: '', language: '', decade: '', available: '' });
+  const [facets, setFacets] = useState(null);
+  const [sort, setSort] = useState('');
   const [showAddForm, setShowAddForm] = useState(false);
   const { user } = useAuth();
 
@@ -384,7 +712,6 @@ const Books = () => {
     publisher: '',
     publicationDate: '',
     totalCopies: '',
-    availableCopies: '',
     location: '',
     description: '',
     language: 'English',
@@ -393,13 +720,22 @@ const Books = () => {
 
   useEffect(() => {
     fetchBooks();
-  }, []);
+  }, [filters, sort]);
 
+  // Search results are ranked by relevance; the sidebar facets narrow them down
   const fetchBooks = async () => {
     try {
       setLoading(true);
-      const response = await apiCall('/books');
+      const params = new URLSearchParams();
+      if (searchTerm) params.set('search', searchTerm);
+      if (sort) params.set('sort', sort);
+      Object.entries(filters).forEach(([name, value]) => {
+        if (value !== '') params.set(name, value);
+      });
+      const query = params.toString();
+      const response = await apiCall(query ? `/books?${query}` : '/books');
       setBooks(response.data.books);
+      setFacets(response.data.facets);
     } catch (error) {
       setError(error.message);
     } finally {
@@ -407,19 +743,34 @@ const Books = () => {
     }
   };
 
-  const handleSearch = async () => {
-    try {
-      setLoading(true);
-      const endpoint = searchTerm ? `/books?search=${encodeURIComponent(searchTerm)}` : '/books';
-      const response = await apiCall(endpoint);
-      setBooks(response.data.books);
-    } catch (error) {
-      setError(error.message);
-    } finally {
-      setLoading(false);
-    }
+  const handleSearch = () => fetchBooks();
+
+  // Clicking the selected value again clears the filter
+  const toggleFilter = (name, value) => {
+    const stringValue = String(value);
+    setFilters({ ...filters, [name]: filters[name] === stringValue ? '' : stringValue });
   };
 
+  const renderFacet = (title, name, entries, label) => (
+    entries?.length > 0 && (
+      <div className="facet-group">
+        <h4>{title}</h4>
+        <ul>
+          {entries.map(entry => (
+            <li key={String(entry.value)}>
+              <button
+                onClick={() => toggleFilter(name, entry.value)}
+                className={filters[name] === String(entry.value) ? 'facet-selected' : 'facet-option'}
+              >
+                {label(entry)} ({entry.count})
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    )
+  );
+
   const handleAddBook = async (e) => {
     e.preventDefault();
     try {
@@ -434,7 +785,6 @@ const Books = () => {
         publisher: '',
         publicationDate: '',
         totalCopies: '',
-        availableCopies: '',
         location: '',
         description: '',
         language: 'English',
@@ -466,14 +816,14 @@ const Books = () => {
     }
   };
 
-  if (loading) return <div className="loading">Loading books...</div>;
+  if (loading && !facets) return <div className="loading">Loading books...</div>;
   if (error) return <div className="error-message">{error}</div>;
 
   return (
     <div className="books-container">
       <div className="books-header">
         <h2>📖 Books Catalog</h2>
-        {['admin', 'librarian'].includes(user?.role) && (
+        {can(user, 'books.manage') && (
           <button
             onClick={() => setShowAddForm(!showAddForm)}
             className="btn-primary"
@@ -494,6 +844,15 @@ const Books = () => {
         <button onClick={handleSearch} className="btn-secondary">
           Search
         </button>
+        <select value={sort} onChange={(e) => setSort(e.target.value)}>
+          <option value="">Best match / newest</option>
+          <option value="title">Title</option>
+          <option value="author,title">Author, then title</option>
+          <option value="author,publication:asc">Author, oldest first</option>
+          <option value="publication">Newest published</option>
+          <option value="popularity,title">Most borrowed</option>
+          <option value="availability,title">Most available</option>
+        </select>
       </div>
 
       {showAddForm && (
@@ -544,7 +903,7 @@ const Books = () => {
 
             <div className="form-row">
               <div className="form-group">
-                <label>Total Copies:</label>
+                <label>Copies to Add:</label>
                 <input
                   type="number"
                   value={newBook.totalCopies}
@@ -553,16 +912,6 @@ const Books = () => {
                   min="1"
                 />
               </div>
-              <div className="form-group">
-                <label>Available Copies:</label>
-                <input
-                  type="number"
-                  value={newBook.availableCopies}
-                  onChange={(e) => setNewBook({...newBook, availableCopies: e.target.value})}
-                  required
-                  min="0"
-                />
-              </div>
             </div>
 
             <div className="form-row">
@@ -599,32 +948,53 @@ const Books = () => {
         </div>
       )}
 
-      <div className="books-grid">
-        {books.map(book => (
-          <div key={book._id} className="book-card">
-            <h3>{book.title}</h3>
-            <p><strong>ISBN:</strong> {book.isbn}</p>
-            <p><strong>Authors:</strong> {book.authors?.map(author => author.name).join(', ')}</p>
-            <p><strong>Publisher:</strong> {book.publisher}</p>
-            <p><strong>Available:</strong> {book.availableCopies}/{book.totalCopies}</p>
-            <p><strong>Location:</strong> {book.location}</p>
-
-            <div className="book-actions">
-              {user?.role === 'borrower' && book.availableCopies > 0 && (
-                <button
-                  onClick={() => handleReserveBook(book._id)}
-                  className="btn-primary"
-                >
-                  Reserve Book
-                </button>
-              )}
-
-              {book.availableCopies === 0 && (
-                <span className="unavailable">Not Available</span>
-              )}
+      <div className="books-layout">
+        <aside className="facet-sidebar">
+          {renderFacet('Category', 'category', facets?.categories, entry => entry.name)}
+          {renderFacet('Language', 'language', facets?.languages, entry => entry.value)}
+          {renderFacet('Published', 'decade', facets?.decades, entry => `${entry.value}s`)}
+          {renderFacet('Availability', 'available', facets?.availability?.map(entry => ({
+            ...entry,
+            value: entry.value === 'available'
+          })), entry => (entry.value ? 'Available now' : 'Not available'))}
+          {Object.values(filters).some(value => value !== '') && (
+            <button
+              onClick={() => setFilters({ category: '', language: '', decade: '', available: '' })}
+              className="btn-secondary"
+            >
+              Clear filters
+            </button>
+          )}
+        </aside>
+
+        <div className="books-grid">
+          {books.length === 0 && <p>No books match your search.</p>}
+          {books.map(book => (
+            <div key={book._id} className="book-card">
+              <h3>{book.title}</h3>
+              <p><strong>ISBN:</strong> {book.isbn}</p>
+              <p><strong>Authors:</strong> {book.authors?.map(author => author.name).join(', ')}</p>
+              <p><strong>Publisher:</strong> {book.publisher}</p>
+              <p><strong>Available:</strong> {book.availableCopies}/{book.totalCopies}</p>
+              <p><strong>Location:</strong> {book.location}</p>
+
+              <div className="book-actions">
+                {!can(user, 'reservations.manage') && book.availableCopies > 0 && (
+                  <button
+                    onClick={() => handleReserveBook(book._id)}
+                    className="btn-primary"
+                  >
+                    Reserve Book
+                  </button>
+                )}
+
+                {book.availableCopies === 0 && (
+                  <span className="unavailable">Not Available</span>
+                )}
+              </div>
             </div>
-          </div>
-        ))}
+          ))}
+        </div>
       </div>
     </div>
   );
@@ -653,12 +1023,246 @@ const Transactions = () => {
     }
   };
 
-  const formatDate = (dateString) => {
+  // Two-Factor Settings Component (authenticator app enrollment)
+const TwoFactorSettings = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [formData, setFormData] = useState({ code: '', password: '' });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchStatus = async () => {
+    try {
+      const response = await apiCall('/users/two-factor');
+      setStatus(response.data);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const run = async (action) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleSetup = () => run(async () => {
+    const response = await apiCall('/users/two-factor/setup', { method: 'POST' });
+    setEnrollment(response.data);
+    setBackupCodes(null);
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await apiCall('/users/two-factor/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code: formData.code }),
+      });
+      setEnrollment(null);
+      setBackupCodes(response.data.backupCodes);
+      setSuccess(response.message);
+      setFormData({ code: '', password: '' });
+      fetchStatus();
+      refreshUser();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await apiCall('/users/two-factor/disable', {
+        method: 'POST',
+        body: JSON.stringify(formData),
+      });
+      setBackupCodes(null);
+      setSuccess(response.message);
+      setFormData({ code: '', password: '' });
+      fetchStatus();
+      refreshUser();
+    });
+  };
+
+  const handleRegenerate = () => run(async () => {
+    const response = await apiCall('/users/two-factor/backup-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code: formData.code }),
+    });
+    setBackupCodes(response.data.backupCodes);
+    setSuccess(response.message);
+    setFormData({ code: '', password: '' });
+    fetchStatus();
+  });
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="profile-form two-factor">
+      <h3>Two-Factor Authentication</h3>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {status.required && !status.enabled && (
+        <div className="error-message">Two-factor authentication is required for your role.</div>
+      )}
+
+      {backupCodes && (
+        <div className="info-card">
+          <p><strong>Backup codes</strong> (each works once; they will not be shown again):</p>
+          <pre>{backupCodes.join('\n')}</pre>
+        </div>
+      )}
+
+      {status.enabled ? (
+        <>
+          <p>Enabled since {formatDate(status.enabledAt)}. Backup codes left: {status.backupCodesRemaining}</p>
+          <form onSubmit={handleDisable}>
+            <div className="form-group">
+              <label>Authentication Code:</label>
+              <input type="text" name="code" value={formData.code} onChange={handleChange} required />
+            </div>
+            {!status.required && (
+              <div className="form-group">
+                <label>Password (to disable):</label>
+                <input type="password" name="password" value={formData.password} onChange={handleChange} />
+              </div>
+            )}
+            <button type="button" onClick={handleRegenerate} className="btn-secondary">
+              New Backup Codes
+            </button>{' '}
+            {!status.required && (
+              <button type="submit" className="btn-primary">Disable</button>
+            )}
+          </form>
+        </>
+      ) : enrollment ? (
+        <form onSubmit={handleEnable}>
+          <p>Add this account to your authenticator app by scanning a QR code of the link below, or enter the key by hand.</p>
+          <p><strong>Key:</strong> <code>{enrollment.secret}</code></p>
+          <p><strong>Link:</strong> <code>{enrollment.otpauthUrl}</code></p>
+          <div className="form-group">
+            <label>Code from your app:</label>
+            <input type="text" name="code" value={formData.code} onChange={handleChange} required />
+          </div>
+          <button type="submit" className="btn-primary">Enable</button>
+        </form>
+      ) : (
+        <button onClick={handleSetup} className="btn-primary">
+          Set Up Authenticator App
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Active Sessions Component (devices the user is logged in on)
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchSessions = async () => {
+    try {
+      const response = await apiCall('/users/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+    try {
+      await apiCall(`/users/sessions/${session.id}`, { method: 'DELETE' });
+      fetchSessions();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out of all devices, including this one?')) return;
+    try {
+      await apiCall('/users/logout-all', { method: 'POST' });
+      logout();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="profile-form sessions">
+      <h3>Active Sessions</h3>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="sessions-list">
+        {sessions.map(session => (
+          <div key={session.id} className="info-card session-card">
+            <p>
+              <strong>{session.userAgent || 'Unknown device'}</strong>
+              {session.current && ' (this device)'}
+            </p>
+            <p><strong>IP:</strong> {session.ip || 'N/A'}</p>
+            <p><strong>Signed in:</strong> {formatDate(session.createdAt)}</p>
+            <p><strong>Last active:</strong> {formatDate(session.lastUsedAt)}</p>
+            <button onClick={() => handleRevoke(session)} className="btn-secondary">
+              {session.current ? 'Log out' : 'Revoke'}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button onClick={handleLogoutAll} className="btn-primary">
+        Log out everywhere
+      </button>
+    </div>
+  );
+};
+
+const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString();
   };
 
   const isOverdue = (dueDate, status) => {
-    return status === 'issued' && new Date(dueDate) < new Date();
+    return status === 'overdue' || (status === 'issued' && new Date(dueDate) < new Date());
+  };
+
+  const handleRenew = async (transactionId) => {
+    try {
+      const response = await apiCall(`/transactions/${transactionId}/renew`, {
+        method: 'PUT',
+      });
+      alert(`Renewed! New due date: ${formatDate(response.data.newDueDate)}`);
+      fetchTransactions();
+    } catch (error) {
+      alert(error.message);
+    }
   };
 
   if (loading) return <div className="loading">Loading transactions...</div>;
@@ -666,7 +1270,7 @@ const Transactions = () => {
 
   return (
     <div className="transactions-container">
-      <h2>🔄 {user?.role === 'borrower' ? 'My Transactions' : 'All Transactions'}</h2>
+      <h2>🔄 {can(user, 'transactions.read') ? 'All Transactions' : 'My Transactions'}</h2>
 
       {transactions.length === 0 ? (
         <p>No transactions found.</p>
@@ -682,6 +1286,8 @@ const Transactions = () => {
                 <th>Return Date</th>
                 <th>Status</th>
                 <th>Fine</th>
+                <th>Renewals</th>
+                {!can(user, 'transactions.read') && <th>Actions</th>}
               </tr>
             </thead>
             <tbody>
@@ -698,6 +1304,19 @@ const Transactions = () => {
                     </span>
                   </td>
                   <td>${transaction.fineAmount || 0}</td>
+                  <td>{transaction.renewalCount || 0}</td>
+                  {!can(user, 'transactions.read') && (
+                    <td>
+                      {['issued', 'overdue'].includes(transaction.status) && (
+                        <button
+                          onClick={() => handleRenew(transaction._id)}
+                          className="btn-secondary"
+                        >
+                          Renew
+                        </button>
+                      )}
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -832,6 +1451,10 @@ const Profile = () => {
           </button>
         </form>
       </div>
+
+      <TwoFactorSettings />
+
+      <ActiveSessions />
     </div>
   );
 };
@@ -840,6 +1463,84 @@ const formatDate = (dateString) => {
   return new Date(dateString).toLocaleDateString();
 };
 
+// Email Verification Banner (shown until the user verifies their address)
+const VerificationBanner = () => {
+  const { user } = useAuth();
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await apiCall('/users/resend-verification', { method: 'POST' });
+      setMessage(response.message);
+    } catch (error) {
+      setMessage(error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="warning-message">
+      📧 Please verify your email address ({user.email}) to borrow and reserve books.{' '}
+      <button onClick={handleResend} disabled={sending} className="link-button">
+        {sending ? 'Sending...' : 'Resend verification email'}
+      </button>
+      {message && <span> {message}</span>}
+    </div>
+  );
+};
+
+// Email Verification Component (opened from the emailed link)
+const VerifyEmail = ({ token, onDone }) => {
+  const { user, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // A link's token works only once, and StrictMode runs effects twice
+  const requestedToken = useRef(null);
+
+  useEffect(() => {
+    if (requestedToken.current === token) return;
+    requestedToken.current = token;
+
+    apiCall('/users/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    })
+      .then(response => {
+        setStatus('verified');
+        setMessage(response.message);
+        if (user) refreshUser().catch(() => {});
+      })
+      .catch(error => {
+        setStatus('failed');
+        setMessage(error.message);
+      });
+  }, [token, user, refreshUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>📚 Library Management System</h2>
+        <h3>Email Verification</h3>
+        
+        {status === 'verifying' && <div className="loading">Verifying your email...</div>}
+        {status === 'verified' && <div className="success-message">{message}</div>}
+        {status === 'failed' && <div className="error-message">{message}</div>}
+        
+        {status !== 'verifying' && (
+          <button onClick={onDone} className="btn-primary">
+            Continue
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // Main Dashboard Component
 const Dashboard = () => {
   const [activeTab, setActiveTab] = useState('books');
@@ -872,6 +1573,7 @@ const Dashboard = () => {
   return (
     <div className="dashboard">
       <Header />
+      <VerificationBanner />
       <Navigation activeTab={activeTab} setActiveTab={setActiveTab} />
       <main className="main-content">
         {renderContent()}
@@ -881,8 +1583,17 @@ const Dashboard = () => {
 };
 
 // Main App Component
+// Tokens from emailed links arrive as query parameters
+const getUrlToken = (name) => new URLSearchParams(window.location.search).get(name);
+
+const clearUrlTokens = () => {
+  window.history.replaceState({}, document.title, window.location.pathname);
+};
+
 const App = () => {
-  const [isLoginMode, setIsLoginMode] = useState(true);
+  const [resetToken] = useState(() => getUrlToken('resetToken'));
+  const [verifyToken, setVerifyToken] = useState(() => getUrlToken('verifyToken'));
+  const [authMode, setAuthMode] = useState(resetToken ? 'reset' : 'login');
   const { user, loading } = useAuth();
 
   if (loading) {
@@ -893,14 +1604,41 @@ const App = () => {
     );
   }
 
-  if (!user) {
-    return isLoginMode ? (
-      <Login onToggleMode={() => setIsLoginMode(false)} />
-    ) : (
-      <Register onToggleMode={() => setIsLoginMode(true)} />
+  if (verifyToken) {
+    return (
+      <VerifyEmail
+        token={verifyToken}
+        onDone={() => {
+          clearUrlTokens();
+          setVerifyToken(null);
+        }}
+      />
     );
   }
 
+  const backToLogin = () => {
+    clearUrlTokens();
+    setAuthMode('login');
+  };
+
+  if (!user) {
+    switch (authMode) {
+      case 'register':
+        return <Register onToggleMode={backToLogin} />;
+      case 'forgot':
+        return <ForgotPassword onBackToLogin={backToLogin} />;
+      case 'reset':
+        return <ResetPassword token={resetToken} onBackToLogin={backToLogin} />;
+      default:
+        return (
+          <Login
+            onToggleMode={() => setAuthMode('register')}
+            onForgotPassword={() => setAuthMode('forgot')}
+          />
+        );
+    }
+  }
+
   return <Dashboard />;
 };
 
@@ -4,6 +4,10 @@ import connectDB from './config/database.js';
 import apiRoutes from './routes/index.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/logger.js';
+import { requestContext } from './utils/requestContext.js';
+import { startScheduler } from './utils/scheduler.js';
+import { ensureDefaultRoles } from './utils/permissionService.js';
+import Book from './models/book.js';
 import { 
   securityHeaders, 
   sanitizeData, 
@@ -50,6 +54,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Logging middleware
 app.use(requestLogger);
 
+// Request context (actor, action) for the audit trail
+app.use(requestContext);
+
 // API routes
 app.use('/api', apiRoutes);
 
@@ -77,6 +84,26 @@ app.listen(PORT, () => {
 📖 API Documentation: http://localhost:${PORT}/api/docs
 💚 Health Check: http://localhost:${PORT}/api/health
   `);
+
+  // Built-in roles (admin, librarian, borrower) must exist before they can be edited
+  ensureDefaultRoles().catch(error => {
+    console.error('Failed to create default roles:', error.message);
+  });
+
+  // Books catalogued before text search or the stored sort keys get their
+  // author and category names and loan counts
+  Book.refreshSearchNames({ authorNames: { $exists: false } }).catch(error => {
+    console.error('Failed to index books for search:', error.message);
+  });
+  Book.refreshSearchNames({ authorSortName: { $exists: false } }).catch(error => {
+    console.error('Failed to index books for sorting:', error.message);
+  });
+  Book.refreshLoanCounts({ loanCount: { $exists: false } }).catch(error => {
+    console.error('Failed to count loans for sorting:', error.message);
+  });
+
+  // Background jobs (overdue marking, reservation expiry, reminders, fines)
+  startScheduler();
 });
 
 export default app;
@@ -0,0 +1,108 @@
+// Named permissions checked by requirePermission(). Roles (models/role.js)
+// bundle them; a role holding '*' has every permission, including ones
+// added later.
+export const PERMISSIONS = {
+  'books.manage': 'Create and update books',
+  'books.delete': 'Delete books',
+  'items.read': 'View copies and look them up by barcode',
+  'items.manage': 'Add and update copies',
+  'items.delete': 'Delete copies',
+  'transfers.manage': 'Request, send and receive transfers of copies between branches',
+  'authors.manage': 'Create and update authors',
+  'authors.delete': 'Delete authors',
+  'categories.manage': 'Create and update categories',
+  'categories.delete': 'Delete categories',
+
+  'transactions.read': 'View all loans, not just your own',
+  'transactions.issue': 'Check out books to patrons',
+  'transactions.return': 'Check in returned books',
+  'transactions.extend': 'Extend due dates',
+
+  'reservations.read': 'View all reservations, queues and expired reservations',
+  'reservations.manage': 'Fulfill and cancel any reservation, expire reservations',
+
+  'fines.read': 'View all fines, not just your own',
+  'fines.create': 'Create fines',
+  'fines.update': 'Update fines',
+  'fines.collect': 'Record fine payments',
+  'fines.waive': 'Waive fines',
+  'fines.refund': 'Refund payments and pay out account credit',
+  'fines.delete': 'Delete fines',
+
+  'loan_policies.read': 'View loan policies',
+  'loan_policies.manage': 'Create, update and delete loan policies',
+
+  'patron_groups.manage': 'Create, update and delete patron groups',
+  'branches.manage': 'Create, update and delete branches',
+  'calendar.manage': 'Set opening hours, holidays and closures',
+
+  'stats.view': 'View statistics and reports',
+  'stats.export': 'Export statistics',
+
+  'users.read': 'View user accounts',
+  'users.create_staff': 'Create accounts with a role other than borrower',
+  'users.update_status': 'Activate and deactivate accounts',
+  'users.assign_branch': 'Assign staff and patrons to a branch',
+  'memberships.manage': 'Change patron groups and membership dates, renew memberships',
+  'cards.manage': 'Issue, replace and block library cards',
+  'users.delete': 'Delete accounts',
+  'users.security': 'View login history and suspicious activity, unlock accounts, reset two-factor',
+
+  'roles.manage': 'Create, update and delete roles',
+  'roles.assign': 'Change the role of a user',
+  'settings.manage': 'Change security settings such as the two-factor policy',
+  'jobs.manage': 'View and run background jobs',
+  'emails.manage': 'View the email outbox and retry failed emails',
+  'audit.read': 'View the audit trail and verify its integrity'
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+export const ALL_PERMISSIONS = '*';
+
+// Roles every installation starts with. Built-in roles cannot be renamed or
+// deleted, and the admin role always keeps every permission.
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to all operations',
+    permissions: [ALL_PERMISSIONS]
+  },
+  {
+    name: 'librarian',
+    description: 'Manages the catalogue, circulation, fines and reservations',
+    permissions: [
+      'books.manage',
+      'items.read',
+      'items.manage',
+      'transfers.manage',
+      'authors.manage',
+      'categories.manage',
+      'transactions.read',
+      'transactions.issue',
+      'transactions.return',
+      'transactions.extend',
+      'reservations.read',
+      'reservations.manage',
+      'fines.read',
+      'fines.create',
+      'fines.update',
+      'fines.collect',
+      'fines.waive',
+      'loan_policies.read',
+      'stats.view',
+      'users.read',
+      'memberships.manage',
+      'cards.manage'
+    ]
+  },
+  {
+    name: 'borrower',
+    description: 'Borrows and reserves books and manages their own account',
+    permissions: []
+  }
+];
+
+export const hasPermission = (permissions = [], permission) => {
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+};
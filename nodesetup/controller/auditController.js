@@ -0,0 +1,104 @@
+import AuditLog from '../models/auditLog.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { verifyAuditChain } from '../utils/auditService.js';
+
+// @desc    Get audit entries with filtering
+// @route   GET /api/audit
+// @access  Private (audit.read)
+export const getAuditEntries = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (req.query.entityType) {
+    filter.entityType = req.query.entityType;
+  }
+
+  if (req.query.entityId) {
+    filter.entityId = req.query.entityId;
+  }
+
+  if (req.query.actor) {
+    filter['actor.userId'] = req.query.actor;
+  }
+
+  if (req.query.action) {
+    filter.action = req.query.action;
+  }
+
+  if (req.query.operation) {
+    filter.operation = req.query.operation;
+  }
+
+  if (req.query.source) {
+    filter.source = req.query.source;
+  }
+
+  // Date range filter
+  if (req.query.startDate || req.query.endDate) {
+    filter.createdAt = {};
+    if (req.query.startDate) {
+      filter.createdAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      filter.createdAt.$lte = new Date(req.query.endDate);
+    }
+  }
+
+  const entries = await AuditLog.find(filter)
+    .sort({ seq: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await AuditLog.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Check the hash chain for removed or edited entries
+// @route   GET /api/audit/verify
+// @access  Private (audit.read)
+export const verifyAuditTrail = asyncHandler(async (req, res) => {
+  const result = await verifyAuditChain();
+
+  res.json({
+    success: true,
+    message: result.valid
+      ? 'Audit trail is intact'
+      : `Audit trail is broken at entry ${result.brokenAt.seq}: ${result.brokenAt.reason}`,
+    data: result
+  });
+});
+
+// @desc    Get audit entry by ID
+// @route   GET /api/audit/:id
+// @access  Private (audit.read)
+export const getAuditEntryById = asyncHandler(async (req, res) => {
+  const entry = await AuditLog.findById(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Audit entry not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { entry }
+  });
+});
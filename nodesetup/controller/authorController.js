@@ -4,7 +4,7 @@ import { asyncHandler } from '../middleware/errorHandler.js';
 
 // @desc    Create a new author
 // @route   POST /api/authors
-// @access  Private (Admin/Librarian)
+// @access  Private (authors.manage)
 export const createAuthor = asyncHandler(async (req, res) => {
   const { name, biography, birthDate, deathDate, nationality } = req.body;
 
@@ -120,7 +120,7 @@ export const getAuthorById = asyncHandler(async (req, res) => {
 
 // @desc    Update author
 // @route   PUT /api/authors/:id
-// @access  Private (Admin/Librarian)
+// @access  Private (authors.manage)
 export const updateAuthor = asyncHandler(async (req, res) => {
   const author = await Author.findById(req.params.id);
 
@@ -145,6 +145,7 @@ export const updateAuthor = asyncHandler(async (req, res) => {
   }
 
   // Update fields
+  const previousName = author.name;
   author.name = name || author.name;
   author.biography = biography || author.biography;
   author.birthDate = birthDate || author.birthDate;
@@ -154,6 +155,11 @@ export const updateAuthor = asyncHandler(async (req, res) => {
 
   await author.save();
 
+  // Books are found by their authors' names
+  if (author.name !== previousName) {
+    await Book.refreshSearchNames({ authors: author._id });
+  }
+
   res.json({
     success: true,
     message: 'Author updated successfully',
@@ -163,7 +169,7 @@ export const updateAuthor = asyncHandler(async (req, res) => {
 
 // @desc    Delete author
 // @route   DELETE /api/authors/:id
-// @access  Private (Admin)
+// @access  Private (authors.delete)
 export const deleteAuthor = asyncHandler(async (req, res) => {
   const author = await Author.findById(req.params.id);
 
@@ -194,7 +200,7 @@ export const deleteAuthor = asyncHandler(async (req, res) => {
 
 // @desc    Get author statistics
 // @route   GET /api/authors/stats
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getAuthorStats = asyncHandler(async (req, res) => {
   const totalAuthors = await Author.countDocuments();
 
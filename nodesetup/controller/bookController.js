@@ -1,11 +1,24 @@
 import Book from '../models/book.js';
 import Author from '../models/author.js';
 import Category from '../models/category.js';
+import Item from '../models/item.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { parseCatalog, importBooks } from '../utils/catalogImportService.js';
+import { serializeMarc, serializeMarcXml } from '../utils/marc.js';
+import { bookToMarc } from '../utils/marcCatalogService.js';
+import { isValidIsbn, normalizeIsbn } from '../utils/isbn.js';
+import { searchBooks } from '../utils/bookSearchService.js';
+
+// Catalog formats by request Content-Type; anything else is read as JSON
+const CATALOG_FORMATS = [
+  ['csv', ['text/csv']],
+  ['marc', ['application/marc']],
+  ['marcxml', ['application/marcxml+xml', 'application/xml', 'text/xml']]
+];
 
 // @desc    Create a new book
 // @route   POST /api/books
-// @access  Private (Admin/Librarian)
+// @access  Private (books.manage)
 export const createBook = asyncHandler(async (req, res) => {
   const {
     isbn,
@@ -14,12 +27,12 @@ export const createBook = asyncHandler(async (req, res) => {
     publisher,
     publicationDate,
     categories,
-    totalCopies,
-    availableCopies,
+    totalCopies = 0,
     location,
     description,
     language,
-    pages
+    pages,
+    replacementCost
   } = req.body;
 
   // Check if book with ISBN already exists
@@ -56,14 +69,26 @@ export const createBook = asyncHandler(async (req, res) => {
     publisher,
     publicationDate,
     categories,
-    totalCopies,
-    availableCopies: availableCopies || totalCopies,
     location,
     description,
     language,
-    pages
+    pages,
+    replacementCost
   });
 
+  // Create one item record per physical copy; the counters are derived from them
+  const copies = parseInt(totalCopies) || 0;
+  if (copies > 0) {
+    await Item.insertMany(
+      Array.from({ length: copies }, (_, index) => ({
+        bookId: book._id,
+        barcode: `${Item.generateBarcode()}-${index + 1}`,
+        location
+      }))
+    );
+    Object.assign(book, await Item.syncBookCounts(book._id));
+  }
+
   // Populate the created book
   await book.populate(['authors', 'categories']);
 
@@ -74,89 +99,96 @@ export const createBook = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get all books with filtering and pagination
-// @route   GET /api/books
-// @access  Public
-export const getAllBooks = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
+// @desc    Import books from a CSV, JSON, MARC 21 or MARCXML catalog, or check it with ?dryRun=true
+// @route   POST /api/books/import
+// @access  Private (books.manage)
+export const importCatalog = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  const [format] = CATALOG_FORMATS.find(([, types]) => req.is(types)) || ['json'];
+  const records = parseCatalog(req.body, format);
 
-  // Build filter
-  const filter = {};
-  
-  // Search by title, ISBN, or author name
-  if (req.query.search) {
-    const searchRegex = { $regex: req.query.search, $options: 'i' };
-    
-    // Find authors matching the search term
-    const matchingAuthors = await Author.find({ name: searchRegex });
-    const authorIds = matchingAuthors.map(author => author._id);
-    
-    filter.$or = [
-      { title: searchRegex },
-      { isbn: searchRegex },
-      { authors: { $in: authorIds } }
-    ];
-  }
+  const report = await importBooks(records, { dryRun, location: req.query.location });
 
-  // Filter by category
-  if (req.query.category) {
-    filter.categories = req.query.category;
-  }
+  res.json({
+    success: true,
+    message: dryRun
+      ? `Dry run: ${report.valid} of ${report.total} books can be imported, ${report.invalid} have errors`
+      : `Imported ${report.created} new and updated ${report.updated} existing books, skipped ${report.invalid}`,
+    data: { report }
+  });
+});
 
-  // Filter by availability
-  if (req.query.available === 'true') {
-    filter.availableCopies = { $gt: 0 };
-    filter.status = 'available';
-  }
+// @desc    Export books as MARC 21 (?format=marc, default) or MARCXML
+// @route   GET /api/books/export?ids=
+// @access  Private (books.manage)
+export const exportMarc = asyncHandler(async (req, res) => {
+  const ids = req.query.ids.split(',').map(id => id.trim());
+
+  const books = await Book.find({ _id: { $in: ids } })
+    .populate('authors', 'name')
+    .populate('categories', 'name');
 
-  // Filter by language
-  if (req.query.language) {
-    filter.language = req.query.language;
+  if (books.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'No books found'
+    });
   }
 
-  // Filter by publication year
-  if (req.query.year) {
-    const year = parseInt(req.query.year);
-    filter.publicationDate = {
-      $gte: new Date(year, 0, 1),
-      $lt: new Date(year + 1, 0, 1)
-    };
+  // Records come out in the order the IDs were given
+  const order = new Map(ids.map((id, index) => [id, index]));
+  books.sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()));
+  const records = books.map(bookToMarc);
+
+  if (req.query.format === 'marcxml') {
+    res.setHeader('Content-Type', 'application/marcxml+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="books.xml"');
+    return res.send(serializeMarcXml(records));
   }
 
-  // Sort options
-  let sort = { createdAt: -1 };
-  if (req.query.sort) {
-    switch (req.query.sort) {
-      case 'title':
-        sort = { title: 1 };
-        break;
-      case 'author':
-        sort = { 'authors.name': 1 };
-        break;
-      case 'publication':
-        sort = { publicationDate: -1 };
-        break;
-      case 'availability':
-        sort = { availableCopies: -1 };
-        break;
+  res.setHeader('Content-Type', 'application/marc');
+  res.setHeader('Content-Disposition', 'attachment; filename="books.mrc"');
+  res.send(serializeMarc(records));
+});
+
+// @desc    Report books that share an ISBN once normalized to ISBN-13
+// @route   GET /api/books/duplicates
+// @access  Private (books.manage)
+export const getIsbnDuplicates = asyncHandler(async (req, res) => {
+  const { duplicates, invalid, unnormalized } = await Book.findIsbnDuplicates();
+
+  res.json({
+    success: true,
+    data: {
+      duplicates,
+      invalid,
+      unnormalized,
+      summary: {
+        duplicateIsbns: duplicates.length,
+        duplicateBooks: duplicates.reduce((sum, group) => sum + group.books.length, 0),
+        invalidIsbns: invalid.length,
+        unnormalizedIsbns: unnormalized.length
+      }
     }
-  }
+  });
+});
 
-  const books = await Book.find(filter)
-    .populate('authors', 'name')
-    .populate('categories', 'name')
-    .sort(sort)
-    .skip(skip)
-    .limit(limit);
+// @desc    Get all books with filtering and pagination
+// @route   GET /api/books
+// @access  Public
+export const getAllBooks = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
 
-  const total = await Book.countDocuments(filter);
+  const { books, total, facets, sort } = await searchBooks(req.query, { skip, limit });
 
   res.json({
     success: true,
     data: {
       books,
+      facets,
+      sort,
       pagination: {
         page,
         limit,
@@ -190,7 +222,7 @@ export const getBookById = asyncHandler(async (req, res) => {
 
 // @desc    Update book
 // @route   PUT /api/books/:id
-// @access  Private (Admin/Librarian)
+// @access  Private (books.manage)
 export const updateBook = asyncHandler(async (req, res) => {
   const book = await Book.findById(req.params.id);
 
@@ -208,17 +240,23 @@ export const updateBook = asyncHandler(async (req, res) => {
     publisher,
     publicationDate,
     categories,
-    totalCopies,
-    availableCopies,
     location,
     description,
     language,
     pages,
+    replacementCost,
     status
   } = req.body;
 
+  if (isbn && !isValidIsbn(isbn)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid ISBN-10 or ISBN-13'
+    });
+  }
+
   // Check if ISBN is being changed and if it's already taken
-  if (isbn && isbn !== book.isbn) {
+  if (isbn && normalizeIsbn(isbn) !== book.isbn) {
     const existingBook = await Book.findOne({ isbn });
     if (existingBook) {
       return res.status(400).json({
@@ -257,12 +295,11 @@ export const updateBook = asyncHandler(async (req, res) => {
   book.publisher = publisher || book.publisher;
   book.publicationDate = publicationDate || book.publicationDate;
   book.categories = categories || book.categories;
-  book.totalCopies = totalCopies !== undefined ? totalCopies : book.totalCopies;
-  book.availableCopies = availableCopies !== undefined ? availableCopies : book.availableCopies;
   book.location = location || book.location;
   book.description = description || book.description;
   book.language = language || book.language;
   book.pages = pages || book.pages;
+  book.replacementCost = replacementCost ?? book.replacementCost;
   book.status = status || book.status;
   book.updatedAt = new Date();
 
@@ -278,7 +315,7 @@ export const updateBook = asyncHandler(async (req, res) => {
 
 // @desc    Delete book
 // @route   DELETE /api/books/:id
-// @access  Private (Admin)
+// @access  Private (books.delete)
 export const deleteBook = asyncHandler(async (req, res) => {
   const book = await Book.findById(req.params.id);
 
@@ -289,10 +326,20 @@ export const deleteBook = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if book has active transactions
-  // This would require importing Transaction model
-  // For now, we'll just delete the book
-  
+  // Refuse while any copy is out on loan
+  const checkedOutCopies = await Item.countDocuments({
+    bookId: book._id,
+    status: 'checked_out'
+  });
+
+  if (checkedOutCopies > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot delete book while copies are checked out'
+    });
+  }
+
+  await Item.deleteMany({ bookId: book._id });
   await Book.findByIdAndDelete(req.params.id);
 
   res.json({
@@ -301,12 +348,10 @@ export const deleteBook = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update book availability
+// @desc    Recalculate book availability from its copies
 // @route   PUT /api/books/:id/availability
-// @access  Private (Admin/Librarian)
+// @access  Private (books.manage)
 export const updateBookAvailability = asyncHandler(async (req, res) => {
-  const { availableCopies, totalCopies } = req.body;
-
   const book = await Book.findById(req.params.id);
 
   if (!book) {
@@ -316,16 +361,9 @@ export const updateBookAvailability = asyncHandler(async (req, res) => {
     });
   }
 
-  if (totalCopies !== undefined) {
-    book.totalCopies = totalCopies;
-  }
-
-  if (availableCopies !== undefined) {
-    book.availableCopies = availableCopies;
-  }
-
-  book.updatedAt = new Date();
-  await book.save();
+  // Counters are derived from the item records; copies are added,
+  // withdrawn or repaired through /api/items
+  const { totalCopies, availableCopies } = await Item.syncBookCounts(book._id);
 
   res.json({
     success: true,
@@ -334,8 +372,8 @@ export const updateBookAvailability = asyncHandler(async (req, res) => {
       book: {
         id: book._id,
         title: book.title,
-        totalCopies: book.totalCopies,
-        availableCopies: book.availableCopies
+        totalCopies,
+        availableCopies
       }
     }
   });
@@ -343,7 +381,7 @@ export const updateBookAvailability = asyncHandler(async (req, res) => {
 
 // @desc    Get book statistics
 // @route   GET /api/books/stats
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getBookStats = asyncHandler(async (req, res) => {
   const totalBooks = await Book.countDocuments();
   const availableBooks = await Book.countDocuments({ 
@@ -0,0 +1,194 @@
+import Branch from '../models/branch.js';
+import OpeningHours from '../models/openingHours.js';
+import Closure from '../models/closure.js';
+import Item, { INACTIVE_ITEM_STATUSES } from '../models/item.js';
+import User from '../models/user.js';
+import Transaction from '../models/transaction.js';
+import Reservation from '../models/reservation.js';
+import Transfer from '../models/transfer.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const BRANCH_FIELDS = ['name', 'code', 'address', 'phone', 'email', 'status'];
+
+// @desc    Create a branch
+// @route   POST /api/branches
+// @access  Private (branches.manage)
+export const createBranch = asyncHandler(async (req, res) => {
+  const { name, code } = req.body;
+
+  const existingBranch = await Branch.findOne({
+    $or: [{ name }, { code: code.toUpperCase() }]
+  });
+  if (existingBranch) {
+    return res.status(400).json({
+      success: false,
+      message: 'Branch with this name or code already exists'
+    });
+  }
+
+  const data = {};
+  for (const field of BRANCH_FIELDS) {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  }
+
+  const branch = await Branch.create(data);
+
+  res.status(201).json({
+    success: true,
+    message: 'Branch created successfully',
+    data: { branch }
+  });
+});
+
+// @desc    Get all branches
+// @route   GET /api/branches
+// @access  Public
+export const getAllBranches = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const branches = await Branch.find(filter).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: { branches }
+  });
+});
+
+// @desc    Get branch by ID
+// @route   GET /api/branches/:id
+// @access  Public
+export const getBranchById = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(req.params.id);
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  const [copies, copiesHere, inTransitTo] = await Promise.all([
+    Item.countDocuments({ homeBranchId: branch._id, status: { $nin: INACTIVE_ITEM_STATUSES } }),
+    Item.countDocuments({ currentBranchId: branch._id, status: { $nin: [...INACTIVE_ITEM_STATUSES, 'in_transit'] } }),
+    Transfer.countDocuments({ toBranchId: branch._id, status: 'in_transit' })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      branch,
+      counts: { copies, copiesHere, inTransitTo }
+    }
+  });
+});
+
+// @desc    Get the staff assigned to a branch
+// @route   GET /api/branches/:id/staff
+// @access  Private (users.read)
+export const getBranchStaff = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(req.params.id);
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  const staff = await User.find({ branchId: branch._id, role: { $ne: 'borrower' } })
+    .select('name username email role status')
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: { branch, staff }
+  });
+});
+
+// @desc    Update branch
+// @route   PUT /api/branches/:id
+// @access  Private (branches.manage)
+export const updateBranch = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(req.params.id);
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  const { name, code } = req.body;
+  if (name || code) {
+    const conflict = await Branch.findOne({
+      _id: { $ne: branch._id },
+      $or: [
+        ...(name ? [{ name }] : []),
+        ...(code ? [{ code: code.toUpperCase() }] : [])
+      ]
+    });
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch with this name or code already exists'
+      });
+    }
+  }
+
+  for (const field of BRANCH_FIELDS) {
+    if (req.body[field] !== undefined) branch[field] = req.body[field];
+  }
+  branch.updatedAt = new Date();
+
+  await branch.save();
+
+  res.json({
+    success: true,
+    message: 'Branch updated successfully',
+    data: { branch }
+  });
+});
+
+// @desc    Delete branch and its opening hours and closures
+// @route   DELETE /api/branches/:id
+// @access  Private (branches.manage)
+export const deleteBranch = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(req.params.id);
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  // Branches with history are made inactive rather than deleted
+  const branchId = branch._id;
+  const [items, staff, loans, reservations, transfers] = await Promise.all([
+    Item.countDocuments({ $or: [{ homeBranchId: branchId }, { currentBranchId: branchId }] }),
+    User.countDocuments({ branchId }),
+    Transaction.countDocuments({ $or: [{ branchId }, { returnBranchId: branchId }] }),
+    Reservation.countDocuments({ pickupBranchId: branchId }),
+    Transfer.countDocuments({ $or: [{ fromBranchId: branchId }, { toBranchId: branchId }] })
+  ]);
+
+  if (items + staff + loans + reservations + transfers > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Branch has copies, staff or circulation history. Set its status to inactive instead.'
+    });
+  }
+
+  await OpeningHours.deleteMany({ branchId: branch._id });
+  await Closure.deleteMany({ branchId: branch._id });
+  await Branch.findByIdAndDelete(branch._id);
+
+  res.json({
+    success: true,
+    message: 'Branch deleted successfully'
+  });
+});
@@ -0,0 +1,245 @@
+import OpeningHours from '../models/openingHours.js';
+import Closure from '../models/closure.js';
+import Branch from '../models/branch.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { loadLibraryCalendar, getSchedule, fromDateKey, toDateKey } from '../utils/libraryCalendar.js';
+
+const DEFAULT_SCHEDULE_DAYS = 30;
+const MAX_SCHEDULE_DAYS = 366;
+
+// Check an optional branchId from the request. Sends a 404 and returns false
+// when it names a branch that does not exist.
+const checkBranch = async (branchId, res) => {
+  if (!branchId) return true;
+
+  if (!await Branch.exists({ _id: branchId })) {
+    res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Day-by-day opening schedule for a branch (or the whole library)
+// @route   GET /api/calendar?branchId=&from=&to=
+// @access  Public
+export const getCalendar = asyncHandler(async (req, res) => {
+  const branchId = req.query.branchId || null;
+  if (!await checkBranch(branchId, res)) return;
+
+  const from = req.query.from ? fromDateKey(req.query.from) : fromDateKey(toDateKey(new Date()));
+  const to = req.query.to
+    ? fromDateKey(req.query.to)
+    : new Date(from.getFullYear(), from.getMonth(), from.getDate() + DEFAULT_SCHEDULE_DAYS - 1);
+
+  const lastAllowed = new Date(from.getFullYear(), from.getMonth(), from.getDate() + MAX_SCHEDULE_DAYS - 1);
+  if (to < from || to > lastAllowed) {
+    return res.status(400).json({
+      success: false,
+      message: `Date range must run forwards and cover at most ${MAX_SCHEDULE_DAYS} days`
+    });
+  }
+
+  const calendar = await loadLibraryCalendar({ branchId });
+
+  res.json({
+    success: true,
+    data: {
+      branchId,
+      from: toDateKey(from),
+      to: toDateKey(to),
+      openingHours: calendar.hours,
+      days: getSchedule(calendar, from, to)
+    }
+  });
+});
+
+// @desc    Get the weekly opening hours (library-wide default and per branch)
+// @route   GET /api/calendar/hours
+// @access  Public
+export const getOpeningHours = asyncHandler(async (req, res) => {
+  const openingHours = await OpeningHours.find()
+    .populate('branchId', 'name code')
+    .sort({ branchId: 1 });
+
+  res.json({
+    success: true,
+    data: { openingHours }
+  });
+});
+
+// @desc    Set the weekly opening hours of a branch, or the library-wide default
+// @route   PUT /api/calendar/hours
+// @access  Private (calendar.manage)
+export const setOpeningHours = asyncHandler(async (req, res) => {
+  const branchId = req.body.branchId || null;
+  const { days } = req.body;
+  if (!await checkBranch(branchId, res)) return;
+
+  const weekdays = days.map(day => day.weekday);
+  if (new Set(weekdays).size !== weekdays.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each weekday may only appear once'
+    });
+  }
+
+  if (days.some(day => day.opens >= day.closes)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Closing time must be after opening time'
+    });
+  }
+
+  const openingHours = await OpeningHours.findOneAndUpdate(
+    { branchId },
+    {
+      days: [...days].sort((a, b) => a.weekday - b.weekday),
+      updatedBy: req.user._id,
+      updatedAt: new Date()
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  res.json({
+    success: true,
+    message: 'Opening hours updated successfully',
+    data: { openingHours }
+  });
+});
+
+// @desc    Remove a branch's own opening hours so it follows the library-wide default
+// @route   DELETE /api/calendar/hours/:branchId
+// @access  Private (calendar.manage)
+export const deleteBranchOpeningHours = asyncHandler(async (req, res) => {
+  const result = await OpeningHours.deleteOne({ branchId: req.params.branchId });
+
+  if (result.deletedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch has no opening hours of its own'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Branch now follows the library-wide opening hours'
+  });
+});
+
+// @desc    Get holidays and closures
+// @route   GET /api/calendar/closures?branchId=&from=&to=
+// @access  Public
+export const getClosures = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  // A branch is also closed on library-wide closures
+  if (req.query.branchId) {
+    filter.branchId = { $in: [null, req.query.branchId] };
+  }
+
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  // Closures overlapping the range; recurring ones always apply
+  if (req.query.from || req.query.to) {
+    filter.$or = [
+      {
+        ...(req.query.from && { endDate: { $gte: req.query.from } }),
+        ...(req.query.to && { startDate: { $lte: req.query.to } })
+      },
+      { recurring: true }
+    ];
+  }
+
+  const closures = await Closure.find(filter)
+    .populate('branchId', 'name code')
+    .sort({ startDate: 1 });
+
+  res.json({
+    success: true,
+    data: { closures }
+  });
+});
+
+// @desc    Add a holiday or closure
+// @route   POST /api/calendar/closures
+// @access  Private (calendar.manage)
+export const createClosure = asyncHandler(async (req, res) => {
+  const { branchId, name, type, startDate, endDate, recurring } = req.body;
+  if (!await checkBranch(branchId, res)) return;
+
+  const closure = await Closure.create({
+    branchId: branchId || null,
+    name,
+    type,
+    startDate,
+    endDate: endDate || startDate,
+    recurring,
+    createdBy: req.user._id
+  });
+
+  await closure.populate('branchId', 'name code');
+
+  res.status(201).json({
+    success: true,
+    message: 'Closure created successfully',
+    data: { closure }
+  });
+});
+
+// @desc    Update a holiday or closure
+// @route   PUT /api/calendar/closures/:id
+// @access  Private (calendar.manage)
+export const updateClosure = asyncHandler(async (req, res) => {
+  const closure = await Closure.findById(req.params.id);
+
+  if (!closure) {
+    return res.status(404).json({
+      success: false,
+      message: 'Closure not found'
+    });
+  }
+
+  if (req.body.branchId !== undefined && !await checkBranch(req.body.branchId, res)) return;
+
+  for (const field of ['branchId', 'name', 'type', 'startDate', 'endDate', 'recurring']) {
+    if (req.body[field] !== undefined) {
+      closure[field] = field === 'branchId' ? req.body.branchId || null : req.body[field];
+    }
+  }
+  closure.updatedAt = new Date();
+
+  await closure.save();
+  await closure.populate('branchId', 'name code');
+
+  res.json({
+    success: true,
+    message: 'Closure updated successfully',
+    data: { closure }
+  });
+});
+
+// @desc    Delete a holiday or closure
+// @route   DELETE /api/calendar/closures/:id
+// @access  Private (calendar.manage)
+export const deleteClosure = asyncHandler(async (req, res) => {
+  const closure = await Closure.findById(req.params.id);
+
+  if (!closure) {
+    return res.status(404).json({
+      success: false,
+      message: 'Closure not found'
+    });
+  }
+
+  await Closure.findByIdAndDelete(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Closure deleted successfully'
+  });
+});
@@ -4,7 +4,7 @@ import { asyncHandler } from '../middleware/errorHandler.js';
 
 // @desc    Create a new category
 // @route   POST /api/categories
-// @access  Private (Admin/Librarian)
+// @access  Private (categories.manage)
 export const createCategory = asyncHandler(async (req, res) => {
   const { name, description, parentCategory } = req.body;
 
@@ -183,7 +183,7 @@ export const getCategoryById = asyncHandler(async (req, res) => {
 
 // @desc    Update category
 // @route   PUT /api/categories/:id
-// @access  Private (Admin/Librarian)
+// @access  Private (categories.manage)
 export const updateCategory = asyncHandler(async (req, res) => {
   const category = await Category.findById(req.params.id);
 
@@ -242,6 +242,7 @@ export const updateCategory = asyncHandler(async (req, res) => {
   }
 
   // Update fields
+  const previousName = category.name;
   category.name = name || category.name;
   category.description = description || category.description;
   category.parentCategory = parentCategory || category.parentCategory;
@@ -251,6 +252,11 @@ export const updateCategory = asyncHandler(async (req, res) => {
   await category.save();
   await category.populate('parentCategory', 'name');
 
+  // Books are found by their categories' names
+  if (category.name !== previousName) {
+    await Book.refreshSearchNames({ categories: category._id });
+  }
+
   res.json({
     success: true,
     message: 'Category updated successfully',
@@ -260,7 +266,7 @@ export const updateCategory = asyncHandler(async (req, res) => {
 
 // @desc    Delete category
 // @route   DELETE /api/categories/:id
-// @access  Private (Admin)
+// @access  Private (categories.delete)
 export const deleteCategory = asyncHandler(async (req, res) => {
   const category = await Category.findById(req.params.id);
 
@@ -301,7 +307,7 @@ export const deleteCategory = asyncHandler(async (req, res) => {
 
 // @desc    Get category statistics
 // @route   GET /api/categories/stats
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getCategoryStats = asyncHandler(async (req, res) => {
   const totalCategories = await Category.countDocuments();
   const activeCategories = await Category.countDocuments({ status: 'active' });
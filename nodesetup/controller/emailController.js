@@ -0,0 +1,120 @@
+import EmailMessage from '../models/emailMessage.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { renderEmail, getTransportName } from '../utils/emailService.js';
+
+// @desc    Get outbox messages with filtering
+// @route   GET /api/emails
+// @access  Private (emails.manage)
+export const getEmails = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  if (req.query.template) {
+    filter.template = req.query.template;
+  }
+
+  if (req.query.to) {
+    filter.to = req.query.to.toLowerCase();
+  }
+
+  const emails = await EmailMessage.find(filter)
+    .select('-data')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await EmailMessage.countDocuments(filter);
+
+  // Queue overview by status
+  const statusCounts = await EmailMessage.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      emails,
+      transport: getTransportName(),
+      statusCounts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get outbox message by ID with a rendered preview
+// @route   GET /api/emails/:id
+// @access  Private (emails.manage)
+export const getEmailById = asyncHandler(async (req, res) => {
+  const email = await EmailMessage.findById(req.params.id);
+
+  if (!email) {
+    return res.status(404).json({
+      success: false,
+      message: 'Email not found'
+    });
+  }
+
+  // Messages carrying secrets (reset and verification links) are not previewed
+  let preview = null;
+  if (!email.sensitive) {
+    try {
+      preview = renderEmail(email.template, email.data);
+    } catch (error) {
+      preview = { error: error.message };
+    }
+  }
+
+  if (email.sensitive) {
+    email.data = undefined;
+  }
+
+  res.json({
+    success: true,
+    data: { email, preview }
+  });
+});
+
+// @desc    Queue a failed message for another round of delivery attempts
+// @route   PUT /api/emails/:id/retry
+// @access  Private (emails.manage)
+export const retryEmail = asyncHandler(async (req, res) => {
+  // Failed reset/verification emails have had their link removed; the user
+  // has to request a new one instead
+  const email = await EmailMessage.findOneAndUpdate(
+    { _id: req.params.id, status: 'failed', sensitive: { $ne: true } },
+    {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!email) {
+    const exists = await EmailMessage.exists({ _id: req.params.id });
+    return res.status(exists ? 400 : 404).json({
+      success: false,
+      message: exists ? 'Only failed emails without secret links can be retried' : 'Email not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Email queued for delivery',
+    data: { email }
+  });
+});
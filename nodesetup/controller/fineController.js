@@ -1,11 +1,32 @@
 import Fine from '../models/fine.js';
+import Payment from '../models/payment.js';
 import Transaction from '../models/transaction.js';
 import User from '../models/user.js';
+import { can } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import {
+  recordPayment,
+  getFineBalance,
+  getAmountPaid,
+  getCreditBalance,
+  getAccountStatement,
+  sendReceiptEmail,
+  roundMoney
+} from '../utils/finePaymentService.js';
+
+// Matches a fine only while it is as it was read, so that a payment recorded
+// in the meantime (see recordPayment) is never overwritten
+const unchangedFine = (fine) => ({
+  _id: fine._id,
+  amount: fine.amount,
+  paymentStatus: fine.paymentStatus,
+  amountPaid: fine.amountPaid ?? { $exists: false }
+});
 
 // @desc    Create a fine
 // @route   POST /api/fines
-// @access  Private (Admin/Librarian)
+// @access  Private (fines.create)
 export const createFine = asyncHandler(async (req, res) => {
   const { userId, transactionId, amount, reason, notes } = req.body;
 
@@ -39,6 +60,7 @@ export const createFine = asyncHandler(async (req, res) => {
   const fine = await Fine.create({
     userId,
     transactionId,
+    branchId: transaction.branchId,
     amount,
     reason,
     notes
@@ -58,7 +80,7 @@ export const createFine = asyncHandler(async (req, res) => {
 
 // @desc    Get all fines with filtering
 // @route   GET /api/fines
-// @access  Private (Admin/Librarian for all, Users for their own)
+// @access  Private (all with fines.read, otherwise own)
 export const getAllFines = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -67,13 +89,13 @@ export const getAllFines = asyncHandler(async (req, res) => {
   // Build filter
   const filter = {};
 
-  // If user is not admin/librarian, only show their fines
-  if (req.user.role === 'borrower') {
+  // Without fines.read, users only see their own fines
+  if (!can(req, 'fines.read')) {
     filter.userId = req.user._id;
   }
 
-  // Filter by user ID (admin/librarian only)
-  if (req.query.userId && req.user.role !== 'borrower') {
+  // Filter by user ID (fines.read only)
+  if (req.query.userId && can(req, 'fines.read')) {
     filter.userId = req.query.userId;
   }
 
@@ -173,7 +195,7 @@ export const getFineById = asyncHandler(async (req, res) => {
   }
 
   // Check if user can access this fine
-  if (req.user.role === 'borrower' && fine.userId._id.toString() !== req.user._id.toString()) {
+  if (!can(req, 'fines.read') && fine.userId._id.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Access denied'
@@ -186,9 +208,9 @@ export const getFineById = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Process fine payment
+// @desc    Pay all or part of a fine
 // @route   PUT /api/fines/:id/pay
-// @access  Private (Admin/Librarian)
+// @access  Private (fines.collect)
 export const processFinePayment = asyncHandler(async (req, res) => {
   const { paymentMethod, notes } = req.body;
 
@@ -208,6 +230,13 @@ export const processFinePayment = asyncHandler(async (req, res) => {
     });
   }
 
+  if (fine.paymentStatus === 'refunded') {
+    return res.status(400).json({
+      success: false,
+      message: 'Fine has been refunded'
+    });
+  }
+
   if (fine.paymentStatus === 'waived') {
     return res.status(400).json({
       success: false,
@@ -215,30 +244,43 @@ export const processFinePayment = asyncHandler(async (req, res) => {
     });
   }
 
-  fine.paymentStatus = 'paid';
-  fine.paymentDate = new Date();
-  fine.paymentMethod = paymentMethod;
-  fine.processedBy = req.user._id;
-  fine.notes = notes ? `${fine.notes || ''}\nPayment: ${notes}` : fine.notes;
-  fine.updatedAt = new Date();
+  // Without an amount the remaining balance is paid
+  const amount = req.body.amount !== undefined ? req.body.amount : getFineBalance(fine);
 
-  await fine.save();
+  const { payment } = await runInTransaction(session => recordPayment({
+    session,
+    userId: fine.userId,
+    amount,
+    method: paymentMethod,
+    fineIds: [fine._id],
+    processedBy: req.user._id,
+    notes
+  }));
 
-  await fine.populate([
-    { path: 'userId', select: 'name email username' },
-    { path: 'processedBy', select: 'name username' }
-  ]);
+  await sendReceiptEmail(payment);
+
+  const updated = await Fine.findById(fine._id)
+    .populate('userId', 'name email username')
+    .populate('processedBy', 'name username');
+  const balance = getFineBalance(updated);
+
+  let message = balance > 0
+    ? `Partial payment recorded; $${balance.toFixed(2)} still owed`
+    : 'Fine payment processed successfully';
+  if (payment.creditDelta > 0) {
+    message += `; $${payment.creditDelta.toFixed(2)} added to account credit`;
+  }
 
   res.json({
     success: true,
-    message: 'Fine payment processed successfully',
-    data: { fine }
+    message,
+    data: { fine: updated, balance, payment }
   });
 });
 
 // @desc    Waive fine
 // @route   PUT /api/fines/:id/waive
-// @access  Private (Admin/Librarian)
+// @access  Private (fines.waive)
 export const waiveFine = asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
@@ -251,7 +293,7 @@ export const waiveFine = asyncHandler(async (req, res) => {
     });
   }
 
-  if (fine.paymentStatus === 'paid') {
+  if (['paid', 'refunded'].includes(fine.paymentStatus)) {
     return res.status(400).json({
       success: false,
       message: 'Cannot waive a paid fine'
@@ -265,16 +307,31 @@ export const waiveFine = asyncHandler(async (req, res) => {
     });
   }
 
-  fine.paymentStatus = 'waived';
-  fine.processedBy = req.user._id;
-  fine.notes = fine.notes ? 
-    `${fine.notes}\nWaived: ${reason}` : 
-    `Waived: ${reason}`;
-  fine.updatedAt = new Date();
-
-  await fine.save();
+  // Whatever was already paid stays paid; only the balance is written off
+  const now = new Date();
+  const waivedFine = await Fine.findOneAndUpdate(
+    unchangedFine(fine),
+    {
+      paymentStatus: 'waived',
+      waivedAmount: roundMoney(fine.amount - getAmountPaid(fine)),
+      waivedDate: now,
+      processedBy: req.user._id,
+      notes: fine.notes ? 
+        `${fine.notes}\nWaived: ${reason}` : 
+        `Waived: ${reason}`,
+      updatedAt: now
+    },
+    { new: true }
+  );
+
+  if (!waivedFine) {
+    return res.status(409).json({
+      success: false,
+      message: 'Fine changed while it was being waived; please try again'
+    });
+  }
 
-  await fine.populate([
+  await waivedFine.populate([
     { path: 'userId', select: 'name email username' },
     { path: 'processedBy', select: 'name username' }
   ]);
@@ -282,13 +339,13 @@ export const waiveFine = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Fine waived successfully',
-    data: { fine }
+    data: { fine: waivedFine }
   });
 });
 
 // @desc    Update fine
 // @route   PUT /api/fines/:id
-// @access  Private (Admin/Librarian)
+// @access  Private (fines.update)
 export const updateFine = asyncHandler(async (req, res) => {
   const { amount, reason, notes } = req.body;
 
@@ -301,30 +358,48 @@ export const updateFine = asyncHandler(async (req, res) => {
     });
   }
 
-  if (fine.paymentStatus === 'paid') {
+  if (['paid', 'refunded'].includes(fine.paymentStatus)) {
     return res.status(400).json({
       success: false,
       message: 'Cannot update a paid fine'
     });
   }
 
-  fine.amount = amount !== undefined ? amount : fine.amount;
-  fine.reason = reason || fine.reason;
-  fine.notes = notes || fine.notes;
-  fine.updatedAt = new Date();
+  if (amount !== undefined && amount < getAmountPaid(fine)) {
+    return res.status(400).json({
+      success: false,
+      message: `Fine amount cannot be less than the $${getAmountPaid(fine).toFixed(2)} already paid`
+    });
+  }
 
-  await fine.save();
+  const updatedFine = await Fine.findOneAndUpdate(
+    unchangedFine(fine),
+    {
+      amount: amount !== undefined ? amount : fine.amount,
+      reason: reason || fine.reason,
+      notes: notes || fine.notes,
+      updatedAt: new Date()
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedFine) {
+    return res.status(409).json({
+      success: false,
+      message: 'Fine changed while it was being updated; please try again'
+    });
+  }
 
   res.json({
     success: true,
     message: 'Fine updated successfully',
-    data: { fine }
+    data: { fine: updatedFine }
   });
 });
 
 // @desc    Delete fine
 // @route   DELETE /api/fines/:id
-// @access  Private (Admin)
+// @access  Private (fines.delete)
 export const deleteFine = asyncHandler(async (req, res) => {
   const fine = await Fine.findById(req.params.id);
 
@@ -335,13 +410,20 @@ export const deleteFine = asyncHandler(async (req, res) => {
     });
   }
 
-  if (fine.paymentStatus === 'paid') {
+  if (['paid', 'refunded'].includes(fine.paymentStatus)) {
     return res.status(400).json({
       success: false,
       message: 'Cannot delete a paid fine'
     });
   }
 
+  if (getAmountPaid(fine) > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot delete a fine with payments against it; waive it instead'
+    });
+  }
+
   await Fine.findByIdAndDelete(req.params.id);
 
   res.json({
@@ -352,12 +434,12 @@ export const deleteFine = asyncHandler(async (req, res) => {
 
 // @desc    Get user's outstanding fines
 // @route   GET /api/fines/user/:userId/outstanding
-// @access  Private (Admin/Librarian or own data)
+// @access  Private (fines.read or own data)
 export const getUserOutstandingFines = asyncHandler(async (req, res) => {
   const userId = req.params.userId;
 
   // Check if user can access this data
-  if (req.user.role === 'borrower' && userId !== req.user._id.toString()) {
+  if (!can(req, 'fines.read') && userId !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Access denied'
@@ -374,13 +456,27 @@ export const getUserOutstandingFines = asyncHandler(async (req, res) => {
     })
     .sort({ createdAt: -1 });
 
-  const totalOutstanding = fines.reduce((sum, fine) => sum + fine.amount, 0);
+  const outstandingFines = fines.map(fine => ({
+    ...fine.toObject(),
+    amountPaid: getAmountPaid(fine),
+    balance: getFineBalance(fine)
+  }));
+  const totalOutstanding = roundMoney(outstandingFines.reduce((sum, fine) => sum + fine.balance, 0));
+
+  // Running balance over every charge, payment, waiver and refund
+  const [creditBalance, statement] = await Promise.all([
+    getCreditBalance(userId),
+    getAccountStatement(userId)
+  ]);
 
   res.json({
     success: true,
     data: {
-      fines,
+      fines: outstandingFines,
       totalOutstanding,
+      creditBalance,
+      balance: statement.balance,
+      statement: statement.entries,
       count: fines.length
     }
   });
@@ -388,26 +484,42 @@ export const getUserOutstandingFines = asyncHandler(async (req, res) => {
 
 // @desc    Get fine statistics
 // @route   GET /api/fines/stats
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getFineStats = asyncHandler(async (req, res) => {
   const totalFines = await Fine.countDocuments();
   const pendingFines = await Fine.countDocuments({ paymentStatus: 'pending' });
   const paidFines = await Fine.countDocuments({ paymentStatus: 'paid' });
   const waivedFines = await Fine.countDocuments({ paymentStatus: 'waived' });
+  const refundedFines = await Fine.countDocuments({ paymentStatus: 'refunded' });
 
   // Total amounts
   const totalAmount = await Fine.aggregate([
     { $group: { _id: null, total: { $sum: '$amount' } } }
   ]);
 
+  // Pending fines may be partly paid; fines paid before the payment ledger
+  // have no amountPaid and count as paid in full
   const pendingAmount = await Fine.aggregate([
     { $match: { paymentStatus: 'pending' } },
-    { $group: { _id: null, total: { $sum: '$amount' } } }
+    { $group: { _id: null, total: { $sum: { $subtract: ['$amount', { $ifNull: ['$amountPaid', 0] }] } } } }
   ]);
 
   const collectedAmount = await Fine.aggregate([
-    { $match: { paymentStatus: 'paid' } },
-    { $group: { _id: null, total: { $sum: '$amount' } } }
+    { $match: { paymentStatus: { $in: ['pending', 'paid', 'waived'] } } },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $ifNull: ['$amountPaid', { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, '$amount', 0] }]
+          }
+        }
+      }
+    }
+  ]);
+
+  const creditOutstanding = await Payment.aggregate([
+    { $group: { _id: null, total: { $sum: '$creditDelta' } } }
   ]);
 
   // Fines by reason
@@ -423,9 +535,11 @@ export const getFineStats = asyncHandler(async (req, res) => {
       pendingFines,
       paidFines,
       waivedFines,
+      refundedFines,
       totalAmount: totalAmount[0]?.total || 0,
-      pendingAmount: pendingAmount[0]?.total || 0,
-      collectedAmount: collectedAmount[0]?.total || 0,
+      pendingAmount: roundMoney(pendingAmount[0]?.total),
+      collectedAmount: roundMoney(collectedAmount[0]?.total),
+      creditOutstanding: roundMoney(creditOutstanding[0]?.total),
       finesByReason
     }
   });
@@ -0,0 +1,274 @@
+import Item from '../models/item.js';
+import Book from '../models/book.js';
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
+import Transfer, { OPEN_TRANSFER_STATUSES } from '../models/transfer.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { findActiveBranch } from '../utils/circulationService.js';
+
+// @desc    Add a copy of a book
+// @route   POST /api/items
+// @access  Private (items.manage)
+export const createItem = asyncHandler(async (req, res) => {
+  const { bookId, barcode, condition, location, acquisitionDate, notes } = req.body;
+
+  // New copies belong to the given branch, or the branch the staff member works at
+  const homeBranch = await findActiveBranch(req.body.homeBranchId || req.user.branchId);
+
+  const book = await Book.findById(bookId);
+  if (!book) {
+    return res.status(404).json({
+      success: false,
+      message: 'Book not found'
+    });
+  }
+
+  if (barcode) {
+    const existingItem = await Item.findOne({ barcode });
+    if (existingItem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item with this barcode already exists'
+      });
+    }
+  }
+
+  const item = await Item.create({
+    bookId,
+    barcode: barcode || Item.generateBarcode(),
+    condition,
+    location: location || book.location,
+    homeBranchId: homeBranch?._id,
+    currentBranchId: homeBranch?._id,
+    acquisitionDate,
+    notes
+  });
+
+  const counts = await Item.syncBookCounts(bookId);
+
+  await item.populate([
+    { path: 'bookId', select: 'title isbn' },
+    { path: 'homeBranchId', select: 'name code' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Item created successfully',
+    data: { item, ...counts }
+  });
+});
+
+// @desc    Get all items with filtering
+// @route   GET /api/items
+// @access  Private (items.read)
+export const getAllItems = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (req.query.bookId) {
+    filter.bookId = req.query.bookId;
+  }
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  if (req.query.condition) {
+    filter.condition = req.query.condition;
+  }
+
+  if (req.query.location) {
+    filter.location = { $regex: req.query.location, $options: 'i' };
+  }
+
+  if (req.query.barcode) {
+    filter.barcode = req.query.barcode;
+  }
+
+  // Copies belonging to a branch, or currently at one
+  if (req.query.homeBranchId) {
+    filter.homeBranchId = req.query.homeBranchId;
+  }
+
+  if (req.query.currentBranchId) {
+    filter.currentBranchId = req.query.currentBranchId;
+  }
+
+  const items = await Item.find(filter)
+    .populate('bookId', 'title isbn')
+    .populate('homeBranchId', 'name code')
+    .populate('currentBranchId', 'name code')
+    .sort({ bookId: 1, acquisitionDate: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Item.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get item by barcode
+// @route   GET /api/items/barcode/:barcode
+// @access  Private (items.read)
+export const getItemByBarcode = asyncHandler(async (req, res) => {
+  const item = await Item.findOne({ barcode: req.params.barcode })
+    .populate('bookId', 'title isbn authors')
+    .populate('homeBranchId', 'name code')
+    .populate('currentBranchId', 'name code');
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { item }
+  });
+});
+
+// @desc    Get item by ID with its current loan
+// @route   GET /api/items/:id
+// @access  Private (items.read)
+export const getItemById = asyncHandler(async (req, res) => {
+  const item = await Item.findById(req.params.id)
+    .populate('bookId', 'title isbn authors')
+    .populate('homeBranchId', 'name code')
+    .populate('currentBranchId', 'name code');
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item not found'
+    });
+  }
+
+  const currentLoan = await Transaction.findOne({
+    itemId: item._id,
+    status: { $in: OPEN_LOAN_STATUSES }
+  }).populate('userId', 'name email username');
+
+  const openTransfer = await Transfer.findOne({
+    itemId: item._id,
+    status: { $in: OPEN_TRANSFER_STATUSES }
+  }).populate('toBranchId', 'name code');
+
+  res.json({
+    success: true,
+    data: {
+      item,
+      currentLoan,
+      openTransfer
+    }
+  });
+});
+
+// @desc    Update item
+// @route   PUT /api/items/:id
+// @access  Private (items.manage)
+export const updateItem = asyncHandler(async (req, res) => {
+  const item = await Item.findById(req.params.id);
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item not found'
+    });
+  }
+
+  const { barcode, condition, location, acquisitionDate, status, notes } = req.body;
+
+  // Check if barcode is being changed and if it's already taken
+  if (barcode && barcode !== item.barcode) {
+    const existingItem = await Item.findOne({ barcode });
+    if (existingItem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item with this barcode already exists'
+      });
+    }
+  }
+
+  // Loan, hold and transit statuses are owned by the circulation endpoints
+  const circulationStatuses = ['checked_out', 'on_hold', 'in_transit'];
+  if (status && status !== item.status &&
+      (circulationStatuses.includes(status) || circulationStatuses.includes(item.status))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Checked out, on hold and in transit statuses can only be changed through circulation (issue/return/reservations/transfers)'
+    });
+  }
+
+  // The home branch can be reassigned; where the copy is changes through transfers
+  if (req.body.homeBranchId) {
+    const homeBranch = await findActiveBranch(req.body.homeBranchId);
+    item.homeBranchId = homeBranch._id;
+    item.currentBranchId = item.currentBranchId || homeBranch._id;
+  }
+
+  item.barcode = barcode || item.barcode;
+  item.condition = condition || item.condition;
+  item.location = location || item.location;
+  item.acquisitionDate = acquisitionDate || item.acquisitionDate;
+  item.status = status || item.status;
+  item.notes = notes || item.notes;
+  item.updatedAt = new Date();
+
+  await item.save();
+  const counts = await Item.syncBookCounts(item.bookId);
+
+  res.json({
+    success: true,
+    message: 'Item updated successfully',
+    data: { item, ...counts }
+  });
+});
+
+// @desc    Delete item
+// @route   DELETE /api/items/:id
+// @access  Private (items.delete)
+export const deleteItem = asyncHandler(async (req, res) => {
+  const item = await Item.findById(req.params.id);
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item not found'
+    });
+  }
+
+  // Copies with circulation history are withdrawn rather than deleted
+  const loanCount = await Transaction.countDocuments({ itemId: item._id });
+  const transferCount = await Transfer.countDocuments({ itemId: item._id });
+  if (loanCount > 0 || transferCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Item has circulation history. Set its status to withdrawn instead.'
+    });
+  }
+
+  await Item.findByIdAndDelete(req.params.id);
+  const counts = await Item.syncBookCounts(item.bookId);
+
+  res.json({
+    success: true,
+    message: 'Item deleted successfully',
+    data: counts
+  });
+});
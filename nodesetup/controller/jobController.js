@@ -0,0 +1,138 @@
+import JobRun from '../models/jobRun.js';
+import JobLock from '../models/jobLock.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { jobs, findJob } from '../utils/jobs.js';
+import { runJob } from '../utils/scheduler.js';
+
+// @desc    Get background jobs with their schedule, lock and last run
+// @route   GET /api/jobs
+// @access  Private (jobs.manage)
+export const getJobs = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const locks = await JobLock.find({ _id: { $in: jobs.map(job => job.name) } });
+
+  const jobSummaries = await Promise.all(jobs.map(async (job) => {
+    const lastRun = await JobRun.findOne({ name: job.name }).sort({ startedAt: -1 });
+    const lock = locks.find(l => l._id === job.name);
+
+    return {
+      name: job.name,
+      description: job.description,
+      intervalMinutes: job.intervalMs / (1000 * 60),
+      running: Boolean(lock && lock.lockedUntil > now),
+      lockedBy: lock && lock.lockedUntil > now ? lock.lockedBy : null,
+      lastRun
+    };
+  }));
+
+  res.json({
+    success: true,
+    data: { jobs: jobSummaries }
+  });
+});
+
+// @desc    Get job run history with filtering
+// @route   GET /api/jobs/runs
+// @access  Private (jobs.manage)
+export const getJobRuns = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (req.query.name) {
+    filter.name = req.query.name;
+  }
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  if (req.query.trigger) {
+    filter.trigger = req.query.trigger;
+  }
+
+  // Date range filter
+  if (req.query.startDate || req.query.endDate) {
+    filter.startedAt = {};
+    if (req.query.startDate) {
+      filter.startedAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      filter.startedAt.$lte = new Date(req.query.endDate);
+    }
+  }
+
+  const runs = await JobRun.find(filter)
+    .populate('triggeredBy', 'name username')
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await JobRun.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get job run by ID
+// @route   GET /api/jobs/runs/:id
+// @access  Private (jobs.manage)
+export const getJobRunById = asyncHandler(async (req, res) => {
+  const run = await JobRun.findById(req.params.id)
+    .populate('triggeredBy', 'name username');
+
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job run not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { run }
+  });
+});
+
+// @desc    Run a job now
+// @route   POST /api/jobs/:name/run
+// @access  Private (jobs.manage)
+export const triggerJob = asyncHandler(async (req, res) => {
+  if (!findJob(req.params.name)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  const run = await runJob(req.params.name, {
+    trigger: 'manual',
+    triggeredBy: req.user._id
+  });
+
+  if (!run) {
+    return res.status(409).json({
+      success: false,
+      message: 'Job is already running'
+    });
+  }
+
+  res.json({
+    success: run.status === 'succeeded',
+    message: run.status === 'succeeded' ? 'Job completed successfully' : `Job failed: ${run.error}`,
+    data: { run }
+  });
+});
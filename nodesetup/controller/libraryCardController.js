@@ -0,0 +1,130 @@
+import User from '../models/user.js';
+import LibraryCard from '../models/libraryCard.js';
+import Fine from '../models/fine.js';
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import { issueCard, blockCard, findPatronByCard } from '../utils/libraryCardService.js';
+import { describeMembership } from '../utils/membershipService.js';
+import { getFineBalance, roundMoney } from '../utils/finePaymentService.js';
+
+// @desc    Look up a patron by the library card scanned at the desk
+// @route   GET /api/users/by-card/:number
+// @access  Private (users.read)
+export const getUserByCard = asyncHandler(async (req, res) => {
+  const { user, card } = await findPatronByCard(req.params.number);
+
+  await user.populate([
+    { path: 'branchId', select: 'name code' },
+    { path: 'patronGroupId', select: 'name code membershipMonths membershipFee' }
+  ]);
+
+  // What the desk needs before issuing: loans out and money owed
+  const [activeLoans, pendingFines] = await Promise.all([
+    Transaction.countDocuments({ userId: user._id, status: { $in: OPEN_LOAN_STATUSES } }),
+    Fine.find({ userId: user._id, paymentStatus: 'pending' })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        status: user.status,
+        branch: user.branchId,
+        emailVerified: user.isEmailVerified(),
+        membership: describeMembership(user)
+      },
+      card,
+      activeLoans,
+      outstandingFines: roundMoney(pendingFines.reduce((sum, fine) => sum + getFineBalance(fine), 0))
+    }
+  });
+});
+
+// @desc    Get every library card issued to a user, newest first
+// @route   GET /api/users/:id/cards
+// @access  Private (users.read)
+export const getUserCards = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name username cardNumber');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const cards = await LibraryCard.find({ userId: user._id })
+    .populate('issuedBy', 'name username')
+    .populate('blockedBy', 'name username')
+    .sort({ issuedAt: -1 });
+
+  res.json({
+    success: true,
+    data: { user, cards }
+  });
+});
+
+// @desc    Issue a library card, blocking the one it replaces
+// @route   POST /api/users/:id/cards
+// @access  Private (cards.manage)
+export const issueLibraryCard = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { card, blockedCard } = await runInTransaction(session => issueCard({
+    session,
+    user,
+    number: req.body.cardNumber,
+    reason: req.body.reason,
+    issuedBy: req.user._id,
+    notes: req.body.notes
+  }));
+
+  res.status(201).json({
+    success: true,
+    message: blockedCard
+      ? `Library card ${card.number} issued; card ${blockedCard.number} is blocked`
+      : `Library card ${card.number} issued`,
+    data: { card, blockedCard }
+  });
+});
+
+// @desc    Block a user's current library card without replacing it
+// @route   PUT /api/users/:id/cards/block
+// @access  Private (cards.manage)
+export const blockLibraryCard = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const card = await runInTransaction(session => blockCard({
+    session,
+    user,
+    reason: req.body.reason,
+    blockedBy: req.user._id
+  }));
+
+  res.json({
+    success: true,
+    message: `Library card ${card.number} is blocked`,
+    data: { card }
+  });
+});
@@ -0,0 +1,296 @@
+import LoanPolicy from '../models/loanPolicy.js';
+import Category from '../models/category.js';
+import User from '../models/user.js';
+import Book from '../models/book.js';
+import PatronGroup from '../models/patronGroup.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { resolveLoanPolicy, calculateDueDate } from '../utils/loanPolicyService.js';
+import { loadLibraryCalendar } from '../utils/libraryCalendar.js';
+import { roleExists } from '../utils/permissionService.js';
+
+const POLICY_FIELDS = [
+  'name',
+  'description',
+  'patronRole',
+  'patronGroup',
+  'category',
+  'loanPeriodDays',
+  'maxRenewals',
+  'maxOverdueDaysForRenewal',
+  'maxItems',
+  'maxReservations',
+  'holdPickupDays',
+  'finePerDay',
+  'graceDays',
+  'maxFine',
+  'processingFee',
+  'status'
+];
+
+// Check that no other policy already covers the same role/group/category combination
+const findConflictingPolicy = (patronRole, patronGroup, category, excludeId) => {
+  return LoanPolicy.findOne({
+    patronRole: patronRole || null,
+    patronGroup: patronGroup || null,
+    category: category || null,
+    ...(excludeId && { _id: { $ne: excludeId } })
+  });
+};
+
+// @desc    Create a loan policy
+// @route   POST /api/loan-policies
+// @access  Private (loan_policies.manage)
+export const createLoanPolicy = asyncHandler(async (req, res) => {
+  const { name, patronRole, patronGroup, category } = req.body;
+
+  const existingPolicy = await LoanPolicy.findOne({ name });
+  if (existingPolicy) {
+    return res.status(400).json({
+      success: false,
+      message: 'Loan policy with this name already exists'
+    });
+  }
+
+  if (category) {
+    const categoryDoc = await Category.findById(category);
+    if (!categoryDoc) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+  }
+
+  if (patronRole && !await roleExists(patronRole)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role '${patronRole}' does not exist`
+    });
+  }
+
+  if (patronGroup && !await PatronGroup.exists({ _id: patronGroup })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Patron group not found'
+    });
+  }
+
+  const conflictingPolicy = await findConflictingPolicy(patronRole, patronGroup, category);
+  if (conflictingPolicy) {
+    return res.status(400).json({
+      success: false,
+      message: `Policy '${conflictingPolicy.name}' already applies to this role, group and category`
+    });
+  }
+
+  const policyData = {};
+  for (const field of POLICY_FIELDS) {
+    if (req.body[field] !== undefined && req.body[field] !== null) {
+      policyData[field] = req.body[field];
+    }
+  }
+
+  const policy = await LoanPolicy.create(policyData);
+  await policy.populate([
+    { path: 'category', select: 'name' },
+    { path: 'patronGroup', select: 'name code' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Loan policy created successfully',
+    data: { policy }
+  });
+});
+
+// @desc    Get all loan policies
+// @route   GET /api/loan-policies
+// @access  Private (loan_policies.read)
+export const getAllLoanPolicies = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  if (req.query.patronRole) {
+    filter.patronRole = req.query.patronRole;
+  }
+
+  if (req.query.patronGroup) {
+    filter.patronGroup = req.query.patronGroup;
+  }
+
+  if (req.query.category) {
+    filter.category = req.query.category;
+  }
+
+  const policies = await LoanPolicy.find(filter)
+    .populate('category', 'name')
+    .populate('patronGroup', 'name code')
+    .sort({ patronRole: 1, patronGroup: 1, category: 1, name: 1 });
+
+  res.json({
+    success: true,
+    data: { policies }
+  });
+});
+
+// @desc    Preview the policy that applies to a patron and book
+// @route   GET /api/loan-policies/resolve?userId=&role=&patronGroup=&bookId=&branchId=
+// @access  Private (loan_policies.read)
+export const resolvePolicyForLoan = asyncHandler(async (req, res) => {
+  const { userId, bookId, role, branchId } = req.query;
+
+  let patronRole = role;
+  let patronGroup = req.query.patronGroup;
+  if (userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    patronRole = user.role;
+    patronGroup = user.patronGroupId;
+  }
+
+  let categories = [];
+  if (bookId) {
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+    categories = book.categories;
+  }
+
+  const policy = await resolveLoanPolicy({ role: patronRole, patronGroup, categories });
+  const calendar = await loadLibraryCalendar({ branchId: branchId || req.user.branchId || null });
+
+  res.json({
+    success: true,
+    data: {
+      policy,
+      dueDate: calculateDueDate(policy, new Date(), calendar)
+    }
+  });
+});
+
+// @desc    Get loan policy by ID
+// @route   GET /api/loan-policies/:id
+// @access  Private (loan_policies.read)
+export const getLoanPolicyById = asyncHandler(async (req, res) => {
+  const policy = await LoanPolicy.findById(req.params.id)
+    .populate('category', 'name')
+    .populate('patronGroup', 'name code');
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Loan policy not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { policy }
+  });
+});
+
+// @desc    Update loan policy
+// @route   PUT /api/loan-policies/:id
+// @access  Private (loan_policies.manage)
+export const updateLoanPolicy = asyncHandler(async (req, res) => {
+  const policy = await LoanPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Loan policy not found'
+    });
+  }
+
+  const { name } = req.body;
+
+  // Check if name is being changed and if it's already taken
+  if (name && name !== policy.name) {
+    const existingPolicy = await LoanPolicy.findOne({ name });
+    if (existingPolicy) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan policy with this name already exists'
+      });
+    }
+  }
+
+  // Role, group and category may be cleared with null to widen the policy
+  const patronRole = req.body.patronRole !== undefined ? req.body.patronRole : policy.patronRole;
+  const patronGroup = req.body.patronGroup !== undefined ? req.body.patronGroup : policy.patronGroup;
+  const category = req.body.category !== undefined ? req.body.category : policy.category;
+
+  if (patronRole && !await roleExists(patronRole)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role '${patronRole}' does not exist`
+    });
+  }
+
+  if (req.body.patronGroup && !await PatronGroup.exists({ _id: req.body.patronGroup })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Patron group not found'
+    });
+  }
+
+  const conflictingPolicy = await findConflictingPolicy(patronRole, patronGroup, category, policy._id);
+  if (conflictingPolicy) {
+    return res.status(400).json({
+      success: false,
+      message: `Policy '${conflictingPolicy.name}' already applies to this role, group and category`
+    });
+  }
+
+  for (const field of POLICY_FIELDS) {
+    if (req.body[field] !== undefined) {
+      policy[field] = req.body[field] === null ? undefined : req.body[field];
+    }
+  }
+  policy.updatedAt = new Date();
+
+  await policy.save();
+  await policy.populate([
+    { path: 'category', select: 'name' },
+    { path: 'patronGroup', select: 'name code' }
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Loan policy updated successfully',
+    data: { policy }
+  });
+});
+
+// @desc    Delete loan policy
+// @route   DELETE /api/loan-policies/:id
+// @access  Private (loan_policies.manage)
+export const deleteLoanPolicy = asyncHandler(async (req, res) => {
+  const policy = await LoanPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Loan policy not found'
+    });
+  }
+
+  await LoanPolicy.findByIdAndDelete(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Loan policy deleted successfully'
+  });
+});
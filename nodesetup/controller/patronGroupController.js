@@ -0,0 +1,176 @@
+import PatronGroup from '../models/patronGroup.js';
+import LoanPolicy from '../models/loanPolicy.js';
+import User from '../models/user.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const PATRON_GROUP_FIELDS = ['name', 'code', 'description', 'membershipMonths', 'membershipFee', 'isDefault', 'status'];
+
+// Only one group can be the one new patrons join
+const clearOtherDefaults = (group) => PatronGroup.updateMany(
+  { _id: { $ne: group._id }, isDefault: true },
+  { isDefault: false, updatedAt: new Date() }
+);
+
+// @desc    Create a patron group
+// @route   POST /api/patron-groups
+// @access  Private (patron_groups.manage)
+export const createPatronGroup = asyncHandler(async (req, res) => {
+  const { name, code } = req.body;
+
+  const existingGroup = await PatronGroup.findOne({
+    $or: [{ name }, { code: code.toUpperCase() }]
+  });
+  if (existingGroup) {
+    return res.status(400).json({
+      success: false,
+      message: 'Patron group with this name or code already exists'
+    });
+  }
+
+  const data = {};
+  for (const field of PATRON_GROUP_FIELDS) {
+    if (req.body[field] !== undefined && req.body[field] !== null) data[field] = req.body[field];
+  }
+
+  const group = await PatronGroup.create(data);
+  if (group.isDefault) {
+    await clearOtherDefaults(group);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Patron group created successfully',
+    data: { group }
+  });
+});
+
+// @desc    Get all patron groups
+// @route   GET /api/patron-groups
+// @access  Public
+export const getAllPatronGroups = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const groups = await PatronGroup.find(filter).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: { groups }
+  });
+});
+
+// @desc    Get patron group by ID with its loan policies
+// @route   GET /api/patron-groups/:id
+// @access  Public
+export const getPatronGroupById = asyncHandler(async (req, res) => {
+  const group = await PatronGroup.findById(req.params.id);
+
+  if (!group) {
+    return res.status(404).json({
+      success: false,
+      message: 'Patron group not found'
+    });
+  }
+
+  // The group's loan rules and fine rates
+  const policies = await LoanPolicy.find({ patronGroup: group._id })
+    .populate('category', 'name')
+    .sort({ patronRole: 1, category: 1, name: 1 });
+
+  const members = await User.countDocuments({ patronGroupId: group._id });
+
+  res.json({
+    success: true,
+    data: {
+      group,
+      policies,
+      members
+    }
+  });
+});
+
+// @desc    Update patron group
+// @route   PUT /api/patron-groups/:id
+// @access  Private (patron_groups.manage)
+export const updatePatronGroup = asyncHandler(async (req, res) => {
+  const group = await PatronGroup.findById(req.params.id);
+
+  if (!group) {
+    return res.status(404).json({
+      success: false,
+      message: 'Patron group not found'
+    });
+  }
+
+  const { name, code } = req.body;
+  if (name || code) {
+    const conflict = await PatronGroup.findOne({
+      _id: { $ne: group._id },
+      $or: [
+        ...(name ? [{ name }] : []),
+        ...(code ? [{ code: code.toUpperCase() }] : [])
+      ]
+    });
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patron group with this name or code already exists'
+      });
+    }
+  }
+
+  // The membership term may be cleared with null so memberships stop expiring
+  for (const field of PATRON_GROUP_FIELDS) {
+    if (req.body[field] !== undefined) {
+      group[field] = req.body[field] === null ? undefined : req.body[field];
+    }
+  }
+  group.updatedAt = new Date();
+
+  await group.save();
+  if (group.isDefault) {
+    await clearOtherDefaults(group);
+  }
+
+  res.json({
+    success: true,
+    message: 'Patron group updated successfully',
+    data: { group }
+  });
+});
+
+// @desc    Delete patron group
+// @route   DELETE /api/patron-groups/:id
+// @access  Private (patron_groups.manage)
+export const deletePatronGroup = asyncHandler(async (req, res) => {
+  const group = await PatronGroup.findById(req.params.id);
+
+  if (!group) {
+    return res.status(404).json({
+      success: false,
+      message: 'Patron group not found'
+    });
+  }
+
+  const [members, policies] = await Promise.all([
+    User.countDocuments({ patronGroupId: group._id }),
+    LoanPolicy.countDocuments({ patronGroup: group._id })
+  ]);
+
+  if (members + policies > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Patron group has ${members} members and ${policies} loan policies. Move them to another group or set its status to inactive instead.`
+    });
+  }
+
+  await PatronGroup.findByIdAndDelete(group._id);
+
+  res.json({
+    success: true,
+    message: 'Patron group deleted successfully'
+  });
+});
@@ -0,0 +1,262 @@
+import Payment from '../models/payment.js';
+import User from '../models/user.js';
+import { can } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import {
+  recordPayment,
+  refundPayment,
+  refundCredit,
+  sendReceiptEmail
+} from '../utils/finePaymentService.js';
+import { renderReceiptHtml, renderReceiptPdf } from '../utils/receipt.js';
+
+const populateReceipt = (query) => query
+  .populate('userId', 'name email username')
+  .populate('processedBy', 'name username')
+  .populate('refundOf', 'receiptNumber')
+  .populate({
+    path: 'allocations.fineId',
+    select: 'reason amount transactionId',
+    populate: { path: 'transactionId', select: 'bookId', populate: { path: 'bookId', select: 'title' } }
+  });
+
+// Load a payment the current user may see, or answer 404/403
+const findAccessiblePayment = async (req, res) => {
+  const payment = await populateReceipt(Payment.findById(req.params.id));
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return null;
+  }
+
+  if (!can(req, 'fines.read') && payment.userId._id.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+// @desc    Record a payment against a patron's fines
+// @route   POST /api/payments
+// @access  Private (fines.collect)
+export const createPayment = asyncHandler(async (req, res) => {
+  const { userId, amount, method, fineIds, notes } = req.body;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { payment, fines } = await runInTransaction(session => recordPayment({
+    session,
+    userId: user._id,
+    amount,
+    method,
+    fineIds,
+    processedBy: req.user._id,
+    notes
+  }));
+
+  await sendReceiptEmail(payment);
+
+  res.status(201).json({
+    success: true,
+    message: payment.creditDelta > 0
+      ? `Payment recorded; $${payment.creditDelta.toFixed(2)} added to account credit`
+      : 'Payment recorded successfully',
+    data: { payment, fines }
+  });
+});
+
+// @desc    Get ledger entries (payments and refunds) with filtering
+// @route   GET /api/payments
+// @access  Private (all with fines.read, otherwise own)
+export const getPayments = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  // Without fines.read, users only see their own payments
+  if (!can(req, 'fines.read')) {
+    filter.userId = req.user._id;
+  }
+
+  // Filter by user ID (fines.read only)
+  if (req.query.userId && can(req, 'fines.read')) {
+    filter.userId = req.query.userId;
+  }
+
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  if (req.query.method) {
+    filter.method = req.query.method;
+  }
+
+  if (req.query.fineId) {
+    filter['allocations.fineId'] = req.query.fineId;
+  }
+
+  if (req.query.receiptNumber) {
+    filter.receiptNumber = req.query.receiptNumber;
+  }
+
+  // Date range filter
+  if (req.query.startDate || req.query.endDate) {
+    filter.createdAt = {};
+    if (req.query.startDate) {
+      filter.createdAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      filter.createdAt.$lte = new Date(req.query.endDate);
+    }
+  }
+
+  const payments = await Payment.find(filter)
+    .populate('userId', 'name email username')
+    .populate('processedBy', 'name username')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Payment.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      payments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get payment by ID
+// @route   GET /api/payments/:id
+// @access  Private (fines.read or own payment)
+export const getPaymentById = asyncHandler(async (req, res) => {
+  const payment = await findAccessiblePayment(req, res);
+  if (!payment) return;
+
+  const refunds = await Payment.find({ refundOf: payment._id }).sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: { payment, refunds }
+  });
+});
+
+// @desc    Printable receipt for a payment or refund
+// @route   GET /api/payments/:id/receipt?format=html|pdf
+// @access  Private (fines.read or own payment)
+export const getPaymentReceipt = asyncHandler(async (req, res) => {
+  const payment = await findAccessiblePayment(req, res);
+  if (!payment) return;
+
+  const format = req.query.format || 'html';
+
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="receipt-${payment.receiptNumber}.pdf"`);
+    return res.send(renderReceiptPdf(payment));
+  }
+
+  if (format !== 'html') {
+    return res.status(400).json({
+      success: false,
+      message: 'Format must be html or pdf'
+    });
+  }
+
+  res.type('html').send(renderReceiptHtml(payment));
+});
+
+// @desc    Refund (part of) a payment
+// @route   POST /api/payments/:id/refund
+// @access  Private (fines.refund)
+export const createRefund = asyncHandler(async (req, res) => {
+  const { amount, method, notes } = req.body;
+
+  const payment = await Payment.findById(req.params.id);
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+  }
+
+  const result = await runInTransaction(session => refundPayment({
+    session,
+    payment,
+    amount,
+    method,
+    processedBy: req.user._id,
+    notes
+  }));
+
+  await sendReceiptEmail(result.refund);
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund recorded successfully',
+    data: result
+  });
+});
+
+// @desc    Pay out a patron's account credit
+// @route   POST /api/payments/credit/:userId/refund
+// @access  Private (fines.refund)
+export const refundAccountCredit = asyncHandler(async (req, res) => {
+  const { amount, method, notes } = req.body;
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (!method) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refund method is required'
+    });
+  }
+
+  const { refund } = await runInTransaction(session => refundCredit({
+    session,
+    userId: user._id,
+    amount,
+    method,
+    processedBy: req.user._id,
+    notes
+  }));
+
+  await sendReceiptEmail(refund);
+
+  res.status(201).json({
+    success: true,
+    message: 'Account credit refunded successfully',
+    data: { refund }
+  });
+});
@@ -1,8 +1,21 @@
-import Reservation from '../models/reservation.js';
+import Reservation, { OPEN_RESERVATION_STATUSES } from '../models/reservation.js';
 import Book from '../models/book.js';
 import User from '../models/user.js';
-import Transaction from '../models/transaction.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
+import { can } from '../middleware/auth.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import { resolvePatronPolicy } from '../utils/loanPolicyService.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import {
+  assertCanBorrow,
+  checkoutItem,
+  releaseHold,
+  notifyHoldReady,
+  expireReservations,
+  updateReservationPriorities,
+  findActiveBranch,
+  findItemByBarcode
+} from '../utils/circulationService.js';
 
 // @desc    Create a book reservation
 // @route   POST /api/reservations
@@ -11,6 +24,23 @@ export const createReservation = asyncHandler(async (req, res) => {
   const { bookId, expiryDate } = req.body;
   const userId = req.user._id;
 
+  // Where the patron will collect the copy; defaults to their home branch
+  const pickupBranch = await findActiveBranch(req.body.pickupBranchId || req.user.branchId);
+
+  if (!req.user.isEmailVerified()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before reserving books'
+    });
+  }
+
+  if (req.user.isMembershipExpired()) {
+    return res.status(403).json({
+      success: false,
+      message: `Your membership expired on ${req.user.membershipExpiryDate.toLocaleDateString()}. Please renew it before reserving books.`
+    });
+  }
+
   // Verify book exists
   const book = await Book.findById(bookId);
   if (!book) {
@@ -28,11 +58,11 @@ export const createReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user already has an active reservation for this book
+  // Check if user already has an active reservation (or a copy on its way or on hold) for this book
   const existingReservation = await Reservation.findOne({
     userId,
     bookId,
-    status: 'active'
+    status: { $in: OPEN_RESERVATION_STATUSES }
   });
 
   if (existingReservation) {
@@ -46,7 +76,7 @@ export const createReservation = asyncHandler(async (req, res) => {
   const activeTransaction = await Transaction.findOne({
     userId,
     bookId,
-    status: 'issued'
+    status: { $in: OPEN_LOAN_STATUSES }
   });
 
   if (activeTransaction) {
@@ -59,10 +89,10 @@ export const createReservation = asyncHandler(async (req, res) => {
   // Check user's reservation limit
   const activeReservations = await Reservation.countDocuments({
     userId,
-    status: 'active'
+    status: { $in: OPEN_RESERVATION_STATUSES }
   });
 
-  const reservationLimit = req.user.role === 'borrower' ? 3 : 5;
+  const { maxReservations: reservationLimit } = await resolvePatronPolicy(req.user);
   if (activeReservations >= reservationLimit) {
     return res.status(400).json({
       success: false,
@@ -80,11 +110,13 @@ export const createReservation = asyncHandler(async (req, res) => {
     userId,
     bookId,
     expiryDate,
+    pickupBranchId: pickupBranch?._id,
     priority: queuePosition
   });
 
   await reservation.populate([
     { path: 'userId', select: 'name email username' },
+    { path: 'pickupBranchId', select: 'name code' },
     { path: 'bookId', select: 'title isbn authors', populate: { path: 'authors', select: 'name' } }
   ]);
 
@@ -100,7 +132,7 @@ export const createReservation = asyncHandler(async (req, res) => {
 
 // @desc    Get all reservations with filtering
 // @route   GET /api/reservations
-// @access  Private (Admin/Librarian for all, Users for their own)
+// @access  Private (all with reservations.read, otherwise own)
 export const getAllReservations = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -109,13 +141,13 @@ export const getAllReservations = asyncHandler(async (req, res) => {
   // Build filter
   const filter = {};
 
-  // If user is not admin/librarian, only show their reservations
-  if (req.user.role === 'borrower') {
+  // Without reservations.read, users only see their own reservations
+  if (!can(req, 'reservations.read')) {
     filter.userId = req.user._id;
   }
 
-  // Filter by user ID (admin/librarian only)
-  if (req.query.userId && req.user.role !== 'borrower') {
+  // Filter by user ID (reservations.read only)
+  if (req.query.userId && can(req, 'reservations.read')) {
     filter.userId = req.query.userId;
   }
 
@@ -129,6 +161,11 @@ export const getAllReservations = asyncHandler(async (req, res) => {
     filter.status = req.query.status;
   }
 
+  // Filter by pickup branch
+  if (req.query.pickupBranchId) {
+    filter.pickupBranchId = req.query.pickupBranchId;
+  }
+
   // Filter by expired reservations
   if (req.query.expired === 'true') {
     filter.expiryDate = { $lt: new Date() };
@@ -165,6 +202,7 @@ export const getAllReservations = asyncHandler(async (req, res) => {
   const reservations = await Reservation.find(filter)
     .populate('userId', 'name email username')
     .populate('bookId', 'title isbn authors')
+    .populate('pickupBranchId', 'name code')
     .populate('fulfilledBy', 'name username')
     .sort(sort)
     .skip(skip)
@@ -193,6 +231,7 @@ export const getReservationById = asyncHandler(async (req, res) => {
   const reservation = await Reservation.findById(req.params.id)
     .populate('userId', 'name email username phone')
     .populate('bookId', 'title isbn authors publisher')
+    .populate('pickupBranchId', 'name code address')
     .populate('fulfilledBy', 'name username');
 
   if (!reservation) {
@@ -203,7 +242,7 @@ export const getReservationById = asyncHandler(async (req, res) => {
   }
 
   // Check if user can access this reservation
-  if (req.user.role === 'borrower' && reservation.userId._id.toString() !== req.user._id.toString()) {
+  if (!can(req, 'reservations.read') && reservation.userId._id.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Access denied'
@@ -218,7 +257,7 @@ export const getReservationById = asyncHandler(async (req, res) => {
 
 // @desc    Cancel reservation
 // @route   PUT /api/reservations/:id/cancel
-// @access  Private (Owner or Admin/Librarian)
+// @access  Private (Owner or reservations.manage)
 export const cancelReservation = asyncHandler(async (req, res) => {
   const reservation = await Reservation.findById(req.params.id);
 
@@ -231,28 +270,46 @@ export const cancelReservation = asyncHandler(async (req, res) => {
 
   // Check if user can cancel this reservation
   const isOwner = reservation.userId.toString() === req.user._id.toString();
-  const isStaff = ['admin', 'librarian'].includes(req.user.role);
 
-  if (!isOwner && !isStaff) {
+  if (!isOwner && !can(req, 'reservations.manage')) {
     return res.status(403).json({
       success: false,
       message: 'Access denied'
     });
   }
 
-  if (reservation.status !== 'active') {
+  if (!OPEN_RESERVATION_STATUSES.includes(reservation.status)) {
     return res.status(400).json({
       success: false,
-      message: 'Can only cancel active reservations'
+      message: 'Can only cancel active reservations or holds awaiting pickup'
     });
   }
 
-  reservation.status = 'cancelled';
-  reservation.updatedAt = new Date();
-  await reservation.save();
+  if (reservation.status === 'ready') {
+    // Pass the held copy on to the next patron in the queue
+    const nextHold = await runInTransaction(session => releaseHold({
+      session,
+      reservation,
+      status: 'cancelled'
+    }));
 
-  // Update priorities for remaining reservations
-  await updateReservationPriorities(reservation.bookId);
+    if (nextHold) {
+      await notifyHoldReady(nextHold);
+    }
+
+    reservation.status = 'cancelled';
+  } else {
+    // A copy already on its way is passed on when it arrives (see receiveTransfer)
+    const wasQueued = reservation.status === 'active';
+    reservation.status = 'cancelled';
+    reservation.updatedAt = new Date();
+    await reservation.save();
+
+    // Update priorities for remaining reservations
+    if (wasQueued) {
+      await updateReservationPriorities(reservation.bookId);
+    }
+  }
 
   res.json({
     success: true,
@@ -263,7 +320,7 @@ export const cancelReservation = asyncHandler(async (req, res) => {
 
 // @desc    Fulfill reservation (when book becomes available)
 // @route   PUT /api/reservations/:id/fulfill
-// @access  Private (Admin/Librarian)
+// @access  Private (reservations.manage)
 export const fulfillReservation = asyncHandler(async (req, res) => {
   const reservation = await Reservation.findById(req.params.id);
 
@@ -274,47 +331,108 @@ export const fulfillReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  if (reservation.status !== 'active') {
+  if (reservation.status === 'in_transit') {
     return res.status(400).json({
       success: false,
-      message: 'Can only fulfill active reservations'
+      message: 'The copy for this reservation is still on its way to the pickup branch'
     });
   }
 
-  // Check if book is available
-  const book = await Book.findById(reservation.bookId);
-  if (book.availableCopies <= 0) {
+  if (!['active', 'ready'].includes(reservation.status)) {
     return res.status(400).json({
       success: false,
-      message: 'Book is not available'
+      message: 'Can only fulfill active reservations or holds awaiting pickup'
+    });
+  }
+
+  // A hold awaiting pickup is fulfilled with the copy set aside for it
+  const fromHold = reservation.status === 'ready';
+  const { dueDate, itemBarcode } = req.body;
+  const scannedItem = itemBarcode ? await findItemByBarcode(itemBarcode) : null;
+
+  // A scanned copy must be the one held for the patron
+  if (fromHold && scannedItem && !scannedItem._id.equals(reservation.itemId)) {
+    return res.status(400).json({
+      success: false,
+      message: `Copy ${scannedItem.barcode} is not the copy held for this reservation`
+    });
+  }
+
+  const itemId = fromHold ? reservation.itemId : scannedItem?._id || req.body.itemId;
+
+  // A hold is issued at its pickup branch, anything else at the desk's branch
+  const branch = await findActiveBranch(
+    fromHold && reservation.pickupBranchId
+      ? reservation.pickupBranchId
+      : req.body.branchId || req.user.branchId
+  );
+
+  const user = await User.findById(reservation.userId);
+  const book = await Book.findById(reservation.bookId);
+  if (!user || !book) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reserving user or book no longer exists'
     });
   }
 
-  reservation.status = 'fulfilled';
-  reservation.fulfilledBy = req.user._id;
-  reservation.fulfilledDate = new Date();
-  reservation.updatedAt = new Date();
-  await reservation.save();
+  // Same checks as a desk checkout (limits, fines, account status)
+  const loanPolicy = await assertCanBorrow(user, book);
+
+  // Close the reservation and issue a copy to the patron in one transaction,
+  // so a reservation is never marked fulfilled without a loan behind it
+  const { fulfilled, transaction } = await runInTransaction(async (session) => {
+    const now = new Date();
+    const fulfilled = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: reservation.status },
+      {
+        status: 'fulfilled',
+        fulfilledBy: req.user._id,
+        fulfilledDate: now,
+        updatedAt: now
+      },
+      { new: true, session }
+    );
+
+    if (!fulfilled) {
+      throw new ApiError('Reservation is no longer active', 409);
+    }
+
+    const { transaction } = await checkoutItem({
+      session,
+      user,
+      book,
+      itemId,
+      dueDate,
+      loanPolicy,
+      issuedBy: req.user._id,
+      branchId: branch?._id ?? null,
+      fromHold
+    });
+
+    return { fulfilled, transaction };
+  });
 
   // Update priorities for remaining reservations
   await updateReservationPriorities(reservation.bookId);
 
-  await reservation.populate([
+  await fulfilled.populate([
     { path: 'userId', select: 'name email username' },
     { path: 'bookId', select: 'title isbn' },
     { path: 'fulfilledBy', select: 'name username' }
   ]);
+  await transaction.populate('itemId', 'barcode condition location');
 
   res.json({
     success: true,
-    message: 'Reservation fulfilled successfully',
-    data: { reservation }
+    message: 'Reservation fulfilled and book issued successfully',
+    data: { reservation: fulfilled, transaction }
   });
 });
 
 // @desc    Get reservation queue for a book
 // @route   GET /api/reservations/book/:bookId/queue
-// @access  Private (Admin/Librarian)
+// @access  Private (reservations.read)
 export const getBookReservationQueue = asyncHandler(async (req, res) => {
   const bookId = req.params.bookId;
 
@@ -325,19 +443,41 @@ export const getBookReservationQueue = asyncHandler(async (req, res) => {
     .populate('userId', 'name email username')
     .sort({ priority: 1 });
 
+  // Copies already set aside and waiting to be collected
+  const holds = await Reservation.find({
+    bookId,
+    status: 'ready'
+  })
+    .populate('userId', 'name email username')
+    .populate('itemId', 'barcode location')
+    .populate('pickupBranchId', 'name code')
+    .sort({ pickupDeadline: 1 });
+
+  // Copies set aside and on their way to the patron's pickup branch
+  const inTransit = await Reservation.find({
+    bookId,
+    status: 'in_transit'
+  })
+    .populate('userId', 'name email username')
+    .populate('itemId', 'barcode')
+    .populate('pickupBranchId', 'name code')
+    .sort({ updatedAt: 1 });
+
   res.json({
     success: true,
     data: {
       bookId,
       queueLength: reservations.length,
-      reservations
+      reservations,
+      inTransit,
+      holds
     }
   });
 });
 
 // @desc    Get expired reservations
 // @route   GET /api/reservations/expired
-// @access  Private (Admin/Librarian)
+// @access  Private (reservations.read)
 export const getExpiredReservations = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -373,32 +513,25 @@ export const getExpiredReservations = asyncHandler(async (req, res) => {
 
 // @desc    Auto-expire reservations (utility function)
 // @route   PUT /api/reservations/auto-expire
-// @access  Private (Admin/Librarian)
+// @access  Private (reservations.manage)
 export const autoExpireReservations = asyncHandler(async (req, res) => {
-  const expiredReservations = await Reservation.updateMany(
-    {
-      status: 'active',
-      expiryDate: { $lt: new Date() }
-    },
-    {
-      status: 'expired',
-      updatedAt: new Date()
-    }
-  );
+  const result = await expireReservations();
 
   res.json({
     success: true,
-    message: `${expiredReservations.modifiedCount} reservations expired`,
-    data: { expiredCount: expiredReservations.modifiedCount }
+    message: `${result.expiredCount} reservations expired, ${result.expiredHolds} uncollected holds expired`,
+    data: result
   });
 });
 
 // @desc    Get reservation statistics
 // @route   GET /api/reservations/stats
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getReservationStats = asyncHandler(async (req, res) => {
   const totalReservations = await Reservation.countDocuments();
   const activeReservations = await Reservation.countDocuments({ status: 'active' });
+  const inTransitReservations = await Reservation.countDocuments({ status: 'in_transit' });
+  const readyReservations = await Reservation.countDocuments({ status: 'ready' });
   const fulfilledReservations = await Reservation.countDocuments({ status: 'fulfilled' });
   const cancelledReservations = await Reservation.countDocuments({ status: 'cancelled' });
   const expiredReservations = await Reservation.countDocuments({ status: 'expired' });
@@ -419,6 +552,8 @@ export const getReservationStats = asyncHandler(async (req, res) => {
     data: {
       totalReservations,
       activeReservations,
+      inTransitReservations,
+      readyReservations,
       fulfilledReservations,
       cancelledReservations,
       expiredReservations,
@@ -426,16 +561,3 @@ export const getReservationStats = asyncHandler(async (req, res) => {
     }
   });
 });
-
-// Helper function to update reservation priorities
-const updateReservationPriorities = async (bookId) => {
-  const activeReservations = await Reservation.find({
-    bookId,
-    status: 'active'
-  }).sort({ reservationDate: 1 });
-
-  for (let i = 0; i < activeReservations.length; i++) {
-    activeReservations[i].priority = i + 1;
-    await activeReservations[i].save();
-  }
-};
@@ -0,0 +1,204 @@
+import Role from '../models/role.js';
+import User from '../models/user.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { securityLogger } from '../middleware/logger.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { clearRoleCache } from '../utils/permissionService.js';
+
+// @desc    Get all roles with the number of users holding each
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+export const getRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.find().sort({ builtIn: -1, name: 1 });
+
+  const userCounts = await User.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+  const countFor = (name) => userCounts.find(item => item._id === name)?.count || 0;
+
+  res.json({
+    success: true,
+    data: {
+      roles: roles.map(role => ({ ...role.toObject(), userCount: countFor(role.name) }))
+    }
+  });
+});
+
+// @desc    Get every permission a role can grant
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+export const getPermissions = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    }
+  });
+});
+
+// @desc    Get role by ID
+// @route   GET /api/roles/:id
+// @access  Private (roles.manage)
+export const getRoleById = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  const userCount = await User.countDocuments({ role: role.name });
+
+  res.json({
+    success: true,
+    data: { role: { ...role.toObject(), userCount } }
+  });
+});
+
+// @desc    Create a new role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  const existingRole = await Role.findOne({ name });
+  if (existingRole) {
+    return res.status(400).json({
+      success: false,
+      message: 'Role with this name already exists'
+    });
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)]
+  });
+
+  clearRoleCache();
+
+  securityLogger('ROLE_CREATED', {
+    role: role.name,
+    permissions: role.permissions,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: { role }
+  });
+});
+
+// @desc    Update a role's name, description or permissions
+// @route   PUT /api/roles/:id
+// @access  Private (roles.manage)
+export const updateRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (role.builtIn && name !== role.name) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles cannot be renamed'
+    });
+  }
+
+  // The admin role always has every permission
+  if (role.name === 'admin') {
+    return res.status(400).json({
+      success: false,
+      message: 'The admin role cannot be changed'
+    });
+  }
+
+  if (name !== role.name) {
+    const existingRole = await Role.findOne({ name });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+  }
+
+  const previousName = role.name;
+  role.name = name;
+  if (description !== undefined) role.description = description;
+  role.permissions = [...new Set(permissions)];
+  role.updatedAt = new Date();
+  await role.save();
+
+  // Users refer to their role by name
+  if (previousName !== role.name) {
+    await User.updateMany({ role: previousName }, { role: role.name });
+  }
+
+  clearRoleCache();
+
+  securityLogger('ROLE_UPDATED', {
+    role: role.name,
+    previousName,
+    permissions: role.permissions,
+    updatedBy: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: { role }
+  });
+});
+
+// @desc    Delete a role that no user holds
+// @route   DELETE /api/roles/:id
+// @access  Private (roles.manage)
+export const deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (role.builtIn) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles cannot be deleted'
+    });
+  }
+
+  const userCount = await User.countDocuments({ role: role.name });
+  if (userCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete role held by ${userCount} user(s). Assign them another role first.`
+    });
+  }
+
+  await Role.findByIdAndDelete(req.params.id);
+
+  clearRoleCache();
+
+  securityLogger('ROLE_DELETED', {
+    role: role.name,
+    deletedBy: req.user._id
+  });
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
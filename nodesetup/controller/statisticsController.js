@@ -1,64 +1,104 @@
+import mongoose from 'mongoose';
 import User from '../models/user.js';
 import Book from '../models/book.js';
 import Author from '../models/author.js';
 import Category from '../models/category.js';
-import Transaction from '../models/transaction.js';
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
 import Fine from '../models/fine.js';
 import Reservation from '../models/reservation.js';
+import Item from '../models/item.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
+// Match conditions limiting each collection to ?branchId=: loans and fines by
+// the branch they were issued at, reservations by pickup branch, users by
+// home branch and books by the copies the branch owns. Empty without a branch.
+const branchScope = async (req) => {
+  if (!req.query.branchId) {
+    return { branchId: null, users: {}, books: {}, transactions: {}, fines: {}, reservations: {} };
+  }
+
+  // Aggregation pipelines don't cast, so match on a real ObjectId
+  const branchId = new mongoose.Types.ObjectId(req.query.branchId);
+  const bookIds = await Item.distinct('bookId', { homeBranchId: branchId });
+
+  return {
+    branchId,
+    users: { branchId },
+    books: { _id: { $in: bookIds } },
+    transactions: { branchId },
+    fines: { branchId },
+    reservations: { pickupBranchId: branchId }
+  };
+};
+
 // @desc    Get dashboard statistics
 // @route   GET /api/statistics/dashboard
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getDashboardStats = asyncHandler(async (req, res) => {
-  // Basic counts
-  const totalUsers = await User.countDocuments();
-  const totalBooks = await Book.countDocuments();
-  const totalAuthors = await Author.countDocuments();
-  const totalCategories = await Category.countDocuments();
+  const scope = await branchScope(req);
+
+  // Basic counts; a branch counts the authors and categories of its books
+  const totalUsers = await User.countDocuments(scope.users);
+  const totalBooks = await Book.countDocuments(scope.books);
+  const totalAuthors = scope.branchId
+    ? (await Book.distinct('authors', scope.books)).length
+    : await Author.countDocuments();
+  const totalCategories = scope.branchId
+    ? (await Book.distinct('categories', scope.books)).length
+    : await Category.countDocuments();
   
-  // Active statistics
-  const activeUsers = await User.countDocuments({ status: 'active' });
-  const availableBooks = await Book.countDocuments({ 
-    availableCopies: { $gt: 0 }, 
-    status: 'available' 
-  });
+  // Active statistics; at a branch, books with a copy on its shelves
+  const activeUsers = await User.countDocuments({ ...scope.users, status: 'active' });
+  const availableBooks = scope.branchId
+    ? (await Item.distinct('bookId', { currentBranchId: scope.branchId, status: 'available' })).length
+    : await Book.countDocuments({ 
+      availableCopies: { $gt: 0 }, 
+      status: 'available' 
+    });
   
   // Transaction statistics
-  const activeTransactions = await Transaction.countDocuments({ status: 'issued' });
+  const activeTransactions = await Transaction.countDocuments({
+    ...scope.transactions,
+    status: { $in: OPEN_LOAN_STATUSES }
+  });
   const overdueTransactions = await Transaction.countDocuments({
-    status: 'issued',
+    ...scope.transactions,
+    status: { $in: OPEN_LOAN_STATUSES },
     dueDate: { $lt: new Date() }
   });
   
   // Fine statistics
   const totalFines = await Fine.aggregate([
+    { $match: scope.fines },
     { $group: { _id: null, total: { $sum: '$amount' } } }
   ]);
   
   const pendingFines = await Fine.aggregate([
-    { $match: { paymentStatus: 'pending' } },
+    { $match: { ...scope.fines, paymentStatus: 'pending' } },
     { $group: { _id: null, total: { $sum: '$amount' } } }
   ]);
   
   // Reservation statistics
-  const activeReservations = await Reservation.countDocuments({ status: 'active' });
+  const activeReservations = await Reservation.countDocuments({ ...scope.reservations, status: 'active' });
   
   // Recent activity (last 30 days)
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
   
   const recentTransactions = await Transaction.countDocuments({
+    ...scope.transactions,
     createdAt: { $gte: thirtyDaysAgo }
   });
   
   const recentRegistrations = await User.countDocuments({
+    ...scope.users,
     createdAt: { $gte: thirtyDaysAgo }
   });
   
   res.json({
     success: true,
     data: {
+      branchId: scope.branchId,
       overview: {
         totalUsers,
         totalBooks,
@@ -89,14 +129,16 @@ export const getDashboardStats = asyncHandler(async (req, res) => {
 
 // @desc    Get monthly statistics
 // @route   GET /api/statistics/monthly
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getMonthlyStats = asyncHandler(async (req, res) => {
   const year = parseInt(req.query.year) || new Date().getFullYear();
+  const scope = await branchScope(req);
   
   // Transactions by month
   const transactionsByMonth = await Transaction.aggregate([
     {
       $match: {
+        ...scope.transactions,
         createdAt: {
           $gte: new Date(year, 0, 1),
           $lt: new Date(year + 1, 0, 1)
@@ -106,7 +148,7 @@ export const getMonthlyStats = asyncHandler(async (req, res) => {
     {
       $group: {
         _id: { month: { $month: '$createdAt' } },
-        issued: { $sum: { $cond: [{ $eq: ['$status', 'issued'] }, 1, 0] } },
+        issued: { $sum: { $cond: [{ $in: ['$status', OPEN_LOAN_STATUSES] }, 1, 0] } },
         returned: { $sum: { $cond: [{ $eq: ['$status', 'returned'] }, 1, 0] } },
         total: { $sum: 1 }
       }
@@ -118,6 +160,7 @@ export const getMonthlyStats = asyncHandler(async (req, res) => {
   const usersByMonth = await User.aggregate([
     {
       $match: {
+        ...scope.users,
         createdAt: {
           $gte: new Date(year, 0, 1),
           $lt: new Date(year + 1, 0, 1)
@@ -137,6 +180,7 @@ export const getMonthlyStats = asyncHandler(async (req, res) => {
   const finesByMonth = await Fine.aggregate([
     {
       $match: {
+        ...scope.fines,
         createdAt: {
           $gte: new Date(year, 0, 1),
           $lt: new Date(year + 1, 0, 1)
@@ -162,6 +206,7 @@ export const getMonthlyStats = asyncHandler(async (req, res) => {
     success: true,
     data: {
       year,
+      branchId: scope.branchId,
       transactions: transactionsByMonth,
       users: usersByMonth,
       fines: finesByMonth
@@ -171,12 +216,14 @@ export const getMonthlyStats = asyncHandler(async (req, res) => {
 
 // @desc    Get popular books statistics
 // @route   GET /api/statistics/popular-books
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getPopularBooks = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
+  const scope = await branchScope(req);
   
   // Most borrowed books
   const mostBorrowed = await Transaction.aggregate([
+    { $match: scope.transactions },
     { $group: { _id: '$bookId', borrowCount: { $sum: 1 } } },
     { $lookup: { from: 'books', localField: '_id', foreignField: '_id', as: 'book' } },
     { $unwind: '$book' },
@@ -197,6 +244,7 @@ export const getPopularBooks = asyncHandler(async (req, res) => {
   
   // Most reserved books
   const mostReserved = await Reservation.aggregate([
+    { $match: scope.reservations },
     { $group: { _id: '$bookId', reservationCount: { $sum: 1 } } },
     { $lookup: { from: 'books', localField: '_id', foreignField: '_id', as: 'book' } },
     { $unwind: '$book' },
@@ -217,6 +265,7 @@ export const getPopularBooks = asyncHandler(async (req, res) => {
   
   // Books with highest fine generation
   const highestFines = await Fine.aggregate([
+    { $match: scope.fines },
     {
       $lookup: {
         from: 'transactions',
@@ -247,6 +296,7 @@ export const getPopularBooks = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
+      branchId: scope.branchId,
       mostBorrowed,
       mostReserved,
       highestFines
@@ -256,10 +306,13 @@ export const getPopularBooks = asyncHandler(async (req, res) => {
 
 // @desc    Get user activity statistics
 // @route   GET /api/statistics/user-activity
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getUserActivity = asyncHandler(async (req, res) => {
+  const scope = await branchScope(req);
+
   // Most active borrowers
   const mostActiveBorrowers = await Transaction.aggregate([
+    { $match: scope.transactions },
     { $group: { _id: '$userId', transactionCount: { $sum: 1 } } },
     { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
     { $unwind: '$user' },
@@ -278,6 +331,7 @@ export const getUserActivity = asyncHandler(async (req, res) => {
   
   // Users with most fines
   const usersWithMostFines = await Fine.aggregate([
+    { $match: scope.fines },
     { $group: { _id: '$userId', totalFines: { $sum: '$amount' }, fineCount: { $sum: 1 } } },
     { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
     { $unwind: '$user' },
@@ -300,7 +354,7 @@ export const getUserActivity = asyncHandler(async (req, res) => {
   twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
   
   const registrationTrends = await User.aggregate([
-    { $match: { createdAt: { $gte: twelveMonthsAgo } } },
+    { $match: { ...scope.users, createdAt: { $gte: twelveMonthsAgo } } },
     {
       $group: {
         _id: {
@@ -316,6 +370,7 @@ export const getUserActivity = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
+      branchId: scope.branchId,
       mostActiveBorrowers,
       usersWithMostFines,
       registrationTrends
@@ -325,10 +380,13 @@ export const getUserActivity = asyncHandler(async (req, res) => {
 
 // @desc    Get inventory statistics
 // @route   GET /api/statistics/inventory
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getInventoryStats = asyncHandler(async (req, res) => {
+  const scope = await branchScope(req);
+
   // Books by category
   const booksByCategory = await Book.aggregate([
+    { $match: scope.books },
     { $unwind: '$categories' },
     { $group: { _id: '$categories', count: { $sum: 1 } } },
     { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
@@ -339,6 +397,7 @@ export const getInventoryStats = asyncHandler(async (req, res) => {
   
   // Books by language
   const booksByLanguage = await Book.aggregate([
+    { $match: scope.books },
     { $group: { _id: '$language', count: { $sum: 1 } } },
     { $project: { _id: 0, language: '$_id', count: 1 } },
     { $sort: { count: -1 } }
@@ -346,6 +405,7 @@ export const getInventoryStats = asyncHandler(async (req, res) => {
   
   // Books by publication year
   const booksByYear = await Book.aggregate([
+    { $match: scope.books },
     {
       $group: {
         _id: { $year: '$publicationDate' },
@@ -357,21 +417,37 @@ export const getInventoryStats = asyncHandler(async (req, res) => {
     { $limit: 10 }
   ]);
   
-  // Availability statistics
-  const availabilityStats = await Book.aggregate([
-    {
-      $group: {
-        _id: null,
-        totalBooks: { $sum: '$totalCopies' },
-        availableBooks: { $sum: '$availableCopies' },
-        borrowedBooks: { $sum: { $subtract: ['$totalCopies', '$availableCopies'] } }
+  // Availability statistics; a branch counts the copies it owns
+  const availabilityStats = scope.branchId
+    ? await Item.aggregate([
+      { $match: { homeBranchId: scope.branchId } },
+      {
+        $group: {
+          _id: null,
+          totalBooks: { $sum: 1 },
+          availableBooks: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } },
+          borrowedBooks: { $sum: { $cond: [{ $eq: ['$status', 'checked_out'] }, 1, 0] } },
+          inTransit: { $sum: { $cond: [{ $eq: ['$status', 'in_transit'] }, 1, 0] } },
+          elsewhere: { $sum: { $cond: [{ $ne: ['$currentBranchId', scope.branchId] }, 1, 0] } }
+        }
+      },
+      { $project: { _id: 0 } }
+    ])
+    : await Book.aggregate([
+      {
+        $group: {
+          _id: null,
+          totalBooks: { $sum: '$totalCopies' },
+          availableBooks: { $sum: '$availableCopies' },
+          borrowedBooks: { $sum: { $subtract: ['$totalCopies', '$availableCopies'] } }
+        }
       }
-    }
-  ]);
+    ]);
   
   res.json({
     success: true,
     data: {
+      branchId: scope.branchId,
       booksByCategory,
       booksByLanguage,
       booksByYear,
@@ -382,9 +458,10 @@ export const getInventoryStats = asyncHandler(async (req, res) => {
 
 // @desc    Export statistics to CSV
 // @route   GET /api/statistics/export
-// @access  Private (Admin)
+// @access  Private (stats.export)
 export const exportStatistics = asyncHandler(async (req, res) => {
   const { type, startDate, endDate } = req.query;
+  const scope = await branchScope(req);
   
   let data = [];
   let filename = 'statistics.csv';
@@ -395,7 +472,7 @@ export const exportStatistics = asyncHandler(async (req, res) => {
   
   switch (type) {
     case 'transactions':
-      data = await Transaction.find(dateFilter.length ? { createdAt: dateFilter } : {})
+      data = await Transaction.find({ ...scope.transactions, ...(dateFilter.length ? { createdAt: dateFilter } : {}) })
         .populate('userId', 'name email')
         .populate('bookId', 'title isbn')
         .lean();
@@ -403,14 +480,14 @@ export const exportStatistics = asyncHandler(async (req, res) => {
       break;
       
     case 'fines':
-      data = await Fine.find(dateFilter.length ? { createdAt: dateFilter } : {})
+      data = await Fine.find({ ...scope.fines, ...(dateFilter.length ? { createdAt: dateFilter } : {}) })
         .populate('userId', 'name email')
         .lean();
       filename = 'fines.csv';
       break;
       
     case 'users':
-      data = await User.find(dateFilter.length ? { createdAt: dateFilter } : {})
+      data = await User.find({ ...scope.users, ...(dateFilter.length ? { createdAt: dateFilter } : {}) })
         .select('-password')
         .lean();
       filename = 'users.csv';
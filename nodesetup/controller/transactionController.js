@@ -1,17 +1,56 @@
-import Transaction from '../models/transaction.js';
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
 import Book from '../models/book.js';
+import Item from '../models/item.js';
 import User from '../models/user.js';
-import Fine from '../models/fine.js';
+import Reservation, { OPEN_RESERVATION_STATUSES } from '../models/reservation.js';
+import { can } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import {
+  assertCanBorrow,
+  checkoutItem,
+  checkinLoan,
+  checkinDamagedLoan,
+  declareLoanLost,
+  recoverLostLoan,
+  notifyHoldReady,
+  findActiveBranch,
+  findItemByBarcode
+} from '../utils/circulationService.js';
+import { findPatronByCard } from '../utils/libraryCardService.js';
+import {
+  resolvePatronPolicy,
+  calculateDueDate,
+  calculateOverdueFine,
+  calculateReplacementCharges,
+  getOverdueDays
+} from '../utils/loanPolicyService.js';
+import { loadLibraryCalendar, createCalendarCache } from '../utils/libraryCalendar.js';
+
+// Summary of where a checked-in copy went next, for the response
+const describeRouting = ({ hold, transfer }) => ({
+  hold: hold
+    ? { reservationId: hold._id, userId: hold.userId, status: hold.status, pickupDeadline: hold.pickupDeadline }
+    : null,
+  transfer: transfer
+    ? { transferId: transfer._id, toBranchId: transfer.toBranchId, reason: transfer.reason }
+    : null
+});
 
 // @desc    Issue a book to a user
 // @route   POST /api/transactions/issue
-// @access  Private (Admin/Librarian)
+// @access  Private (transactions.issue)
 export const issueBook = asyncHandler(async (req, res) => {
-  const { userId, bookId, dueDate } = req.body;
+  const { userId, cardNumber, itemBarcode, dueDate } = req.body;
+  let { itemId, bookId } = req.body;
+
+  // The loan is issued at the given branch, or the branch the staff member works at
+  const branch = await findActiveBranch(req.body.branchId || req.user.branchId);
 
-  // Verify user exists and is active
-  const user = await User.findById(userId);
+  // The patron is identified by their scanned library card, or by ID
+  const user = cardNumber
+    ? (await findPatronByCard(cardNumber)).user
+    : await User.findById(userId);
   if (!user) {
     return res.status(404).json({
       success: false,
@@ -19,11 +58,33 @@ export const issueBook = asyncHandler(async (req, res) => {
     });
   }
 
-  if (user.status !== 'active') {
-    return res.status(400).json({
-      success: false,
-      message: 'User account is not active'
-    });
+  // Resolve the copy being issued: either the one scanned at the desk,
+  // or any available copy of the requested book
+  if (itemId || itemBarcode) {
+    const item = itemId ? await Item.findById(itemId) : await findItemByBarcode(itemBarcode);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    if (item.status === 'on_hold') {
+      return res.status(400).json({
+        success: false,
+        message: 'Item is on hold for a reservation. Fulfill the reservation to issue it.'
+      });
+    }
+
+    if (item.status !== 'available') {
+      return res.status(400).json({
+        success: false,
+        message: `Item is not available for borrowing (status: ${item.status})`
+      });
+    }
+
+    itemId = item._id;
+    bookId = item.bookId;
   }
 
   // Verify book exists and is available
@@ -35,89 +96,248 @@ export const issueBook = asyncHandler(async (req, res) => {
     });
   }
 
-  if (book.availableCopies <= 0 || book.status !== 'available') {
+  if (book.status !== 'available') {
     return res.status(400).json({
       success: false,
       message: 'Book is not available for borrowing'
     });
   }
 
-  // Check if user already has this book issued
-  const existingTransaction = await Transaction.findOne({
-    userId,
-    bookId,
-    status: 'issued'
+  // Account status, duplicate loan, policy limits and outstanding fines
+  const loanPolicy = await assertCanBorrow(user, book);
+
+  // Claim the copy, create the loan and refresh the counters atomically
+  const { transaction } = await runInTransaction(session => checkoutItem({
+    session,
+    user,
+    book,
+    itemId,
+    dueDate,
+    loanPolicy,
+    issuedBy: req.user._id,
+    branchId: branch?._id ?? null
+  }));
+
+  // Populate transaction data
+  await transaction.populate([
+    { path: 'userId', select: 'name email username' },
+    { path: 'bookId', select: 'title isbn authors', populate: { path: 'authors', select: 'name' } },
+    { path: 'itemId', select: 'barcode condition location' },
+    { path: 'branchId', select: 'name code' },
+    { path: 'issuedBy', select: 'name username' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: 'Book issued successfully',
+    data: { transaction }
+  });
+});
+
+// Check in an open loan (populated with the patron and the book's categories)
+// at the desk's branch and answer with where the copy goes next. Shared by
+// returns by loan ID and by copy barcode.
+const completeReturn = async (req, res, transaction) => {
+  const { notes, condition } = req.body;
+  const returnDate = new Date();
+  const branch = await findActiveBranch(req.body.branchId || req.user.branchId);
+  
+  // Calculate fine if overdue, using the loan policy for this patron and book
+  // and the calendar of the branch that issued the loan
+  const loanPolicy = await resolvePatronPolicy(transaction.userId, transaction.bookId.categories);
+  const { isClosed } = await loadLibraryCalendar({ branchId: transaction.branchId });
+  const { amount: fineAmount } = calculateOverdueFine(loanPolicy, transaction.dueDate, returnDate, isClosed);
+
+  // Close the loan, shelve, hold or send on the copy, record the fine and refresh the counters atomically
+  const { transaction: returned, hold, transfer } = await runInTransaction(session => checkinLoan({
+    session,
+    transaction,
+    returnedBy: req.user._id,
+    returnDate,
+    condition,
+    notes,
+    fineAmount,
+    branchId: branch?._id ?? null
+  }));
+
+  // The copy was set aside for the next patron in the reservation queue
+  if (hold) {
+    await notifyHoldReady(hold);
+  }
+
+  await returned.populate([
+    { path: 'userId', select: 'name email' },
+    { path: 'bookId', select: 'title isbn' },
+    { path: 'returnedBy', select: 'name username' }
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Book returned successfully',
+    data: { 
+      transaction: returned,
+      fineAmount: returned.fineAmount > 0 ? returned.fineAmount : null,
+      ...describeRouting({ hold, transfer })
+    }
   });
+};
+
+// @desc    Return a book
+// @route   PUT /api/transactions/:id/return
+// @access  Private (transactions.return)
+export const returnBook = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id)
+    .populate('userId', 'name email role patronGroupId')
+    .populate('bookId', 'title isbn categories');
+
+  if (!transaction) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+  }
 
-  if (existingTransaction) {
+  if (!OPEN_LOAN_STATUSES.includes(transaction.status)) {
     return res.status(400).json({
       success: false,
-      message: 'User already has this book issued'
+      message: 'Book is not currently issued'
     });
   }
 
-  // Check user's borrowing limit (e.g., max 5 books)
-  const activeTransactions = await Transaction.countDocuments({
-    userId,
-    status: 'issued'
-  });
+  await completeReturn(req, res, transaction);
+});
+
+// @desc    Return a book by scanning the barcode of the copy
+// @route   POST /api/transactions/checkin
+// @access  Private (transactions.return)
+export const checkinByBarcode = asyncHandler(async (req, res) => {
+  const item = await findItemByBarcode(req.body.itemBarcode);
 
-  const borrowingLimit = user.role === 'borrower' ? 5 : 10; // Different limits for different roles
-  if (activeTransactions >= borrowingLimit) {
+  const transaction = await Transaction.findOne({
+    itemId: item._id,
+    status: { $in: OPEN_LOAN_STATUSES }
+  })
+    .populate('userId', 'name email role patronGroupId')
+    .populate('bookId', 'title isbn categories');
+
+  if (!transaction) {
     return res.status(400).json({
       success: false,
-      message: `User has reached the borrowing limit of ${borrowingLimit} books`
+      message: `Copy ${item.barcode} is not on loan (status: ${item.status})`
     });
   }
 
-  // Check for outstanding fines
-  const outstandingFines = await Fine.findOne({
-    userId,
-    paymentStatus: 'pending'
-  });
+  await completeReturn(req, res, transaction);
+});
 
-  if (outstandingFines) {
-    return res.status(400).json({
+// Look up an open loan and work out what replacing its copy costs. Sends the
+// error response and returns null when the loan cannot be billed.
+const prepareReplacementCharge = async (req, res, now) => {
+  const transaction = await Transaction.findById(req.params.id)
+    .populate('userId', 'role patronGroupId')
+    .populate('bookId', 'title categories replacementCost');
+
+  if (!transaction) {
+    res.status(404).json({
       success: false,
-      message: 'User has outstanding fines. Please clear them before borrowing.'
+      message: 'Transaction not found'
     });
+    return null;
   }
 
-  // Create transaction
-  const transaction = await Transaction.create({
-    userId,
-    bookId,
-    dueDate,
-    issuedBy: req.user._id
-  });
+  if (!OPEN_LOAN_STATUSES.includes(transaction.status)) {
+    res.status(400).json({
+      success: false,
+      message: 'Book is not currently issued'
+    });
+    return null;
+  }
 
-  // Update book availability
-  book.availableCopies -= 1;
-  await book.save();
+  const loanPolicy = await resolvePatronPolicy(transaction.userId, transaction.bookId.categories);
 
-  // Populate transaction data
-  await transaction.populate([
-    { path: 'userId', select: 'name email username' },
-    { path: 'bookId', select: 'title isbn authors', populate: { path: 'authors', select: 'name' } },
-    { path: 'issuedBy', select: 'name username' }
-  ]);
+  // Staff may enter the cost when the book has none, or override it
+  const charges = calculateReplacementCharges(loanPolicy, transaction.bookId, req.body.replacementCost);
+  if (!charges) {
+    res.status(400).json({
+      success: false,
+      message: 'The book has no replacement cost. Set one on the book or provide replacementCost.'
+    });
+    return null;
+  }
 
-  res.status(201).json({
+  const { isClosed } = await loadLibraryCalendar({ branchId: transaction.branchId });
+  const { amount: overdueFine } = calculateOverdueFine(loanPolicy, transaction.dueDate, now, isClosed);
+
+  return { transaction, charges, overdueFine };
+};
+
+// @desc    Declare a loan lost and bill the patron for a replacement
+// @route   PUT /api/transactions/:id/lost
+// @access  Private (transactions.return)
+export const declareLost = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const prepared = await prepareReplacementCharge(req, res, now);
+  if (!prepared) return;
+
+  const { transaction, charges, overdueFine } = prepared;
+
+  const { transaction: lost, fines } = await runInTransaction(session => declareLoanLost({
+    session,
+    transaction,
+    declaredBy: req.user._id,
+    charges,
+    overdueFine,
+    notes: req.body.notes,
+    now
+  }));
+
+  res.json({
     success: true,
-    message: 'Book issued successfully',
-    data: { transaction }
+    message: 'Loan declared lost and replacement charged',
+    data: {
+      transaction: lost,
+      charges: { ...charges, overdueFine: lost.fineAmount },
+      fines
+    }
   });
 });
 
-// @desc    Return a book
-// @route   PUT /api/transactions/:id/return
-// @access  Private (Admin/Librarian)
-export const returnBook = asyncHandler(async (req, res) => {
-  const { notes } = req.body;
+// @desc    Check in a copy returned damaged, withdraw it and bill a replacement
+// @route   PUT /api/transactions/:id/damaged
+// @access  Private (transactions.return)
+export const returnDamaged = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const prepared = await prepareReplacementCharge(req, res, now);
+  if (!prepared) return;
+
+  const { transaction, charges, overdueFine } = prepared;
+
+  const { transaction: returned, fines } = await runInTransaction(session => checkinDamagedLoan({
+    session,
+    transaction,
+    returnedBy: req.user._id,
+    charges,
+    overdueFine,
+    notes: req.body.notes,
+    returnDate: now
+  }));
 
-  const transaction = await Transaction.findById(req.params.id)
-    .populate('userId', 'name email')
-    .populate('bookId', 'title isbn');
+  res.json({
+    success: true,
+    message: 'Damaged copy returned and withdrawn; replacement charged',
+    data: {
+      transaction: returned,
+      charges: { ...charges, overdueFine: returned.fineAmount },
+      fines
+    }
+  });
+});
+
+// @desc    Check in a copy that was declared lost and reverse its replacement charge
+// @route   PUT /api/transactions/:id/found
+// @access  Private (transactions.return)
+export const markFound = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id);
 
   if (!transaction) {
     return res.status(404).json({
@@ -126,58 +346,41 @@ export const returnBook = asyncHandler(async (req, res) => {
     });
   }
 
-  if (transaction.status !== 'issued') {
+  if (transaction.status !== 'lost') {
     return res.status(400).json({
       success: false,
-      message: 'Book is not currently issued'
+      message: 'Loan is not marked as lost'
     });
   }
 
-  const returnDate = new Date();
-  
-  // Calculate fine if overdue
-  let fineAmount = 0;
-  if (returnDate > transaction.dueDate) {
-    const overdueDays = Math.ceil((returnDate - transaction.dueDate) / (1000 * 60 * 60 * 24));
-    fineAmount = overdueDays * 1; // $1 per day fine
-    
-    // Create fine record
-    await Fine.create({
-      userId: transaction.userId._id,
-      transactionId: transaction._id,
-      amount: fineAmount,
-      reason: 'overdue'
-    });
-  }
+  const branch = await findActiveBranch(req.body.branchId || req.user.branchId);
 
-  // Update transaction
-  transaction.returnDate = returnDate;
-  transaction.status = 'returned';
-  transaction.fineAmount = fineAmount;
-  transaction.returnedBy = req.user._id;
-  transaction.notes = notes;
-  await transaction.save();
-
-  // Update book availability
-  const book = await Book.findById(transaction.bookId._id);
-  book.availableCopies += 1;
-  await book.save();
+  const { transaction: returned, hold, transfer, reversedFines } = await runInTransaction(session => recoverLostLoan({
+    session,
+    transaction,
+    returnedBy: req.user._id,
+    condition: req.body.condition,
+    branchId: branch?._id ?? null
+  }));
 
-  await transaction.populate('returnedBy', 'name username');
+  if (hold) {
+    await notifyHoldReady(hold);
+  }
 
   res.json({
     success: true,
-    message: 'Book returned successfully',
-    data: { 
-      transaction,
-      fineAmount: fineAmount > 0 ? fineAmount : null
+    message: 'Lost copy checked in and replacement charge reversed',
+    data: {
+      transaction: returned,
+      reversedFines,
+      ...describeRouting({ hold, transfer })
     }
   });
 });
 
 // @desc    Get all transactions with filtering
 // @route   GET /api/transactions
-// @access  Private (Admin/Librarian for all, Users for their own)
+// @access  Private (all with transactions.read, otherwise own)
 export const getAllTransactions = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
@@ -186,13 +389,13 @@ export const getAllTransactions = asyncHandler(async (req, res) => {
   // Build filter
   const filter = {};
 
-  // If user is not admin/librarian, only show their transactions
-  if (req.user.role === 'borrower') {
+  // Without transactions.read, users only see their own transactions
+  if (!can(req, 'transactions.read')) {
     filter.userId = req.user._id;
   }
 
-  // Filter by user ID (admin/librarian only)
-  if (req.query.userId && req.user.role !== 'borrower') {
+  // Filter by user ID (transactions.read only)
+  if (req.query.userId && can(req, 'transactions.read')) {
     filter.userId = req.query.userId;
   }
 
@@ -201,6 +404,16 @@ export const getAllTransactions = asyncHandler(async (req, res) => {
     filter.bookId = req.query.bookId;
   }
 
+  // Filter by item (copy) ID
+  if (req.query.itemId) {
+    filter.itemId = req.query.itemId;
+  }
+
+  // Filter by the branch the loan was issued at
+  if (req.query.branchId) {
+    filter.branchId = req.query.branchId;
+  }
+
   // Filter by status
   if (req.query.status) {
     filter.status = req.query.status;
@@ -209,7 +422,7 @@ export const getAllTransactions = asyncHandler(async (req, res) => {
   // Filter by overdue
   if (req.query.overdue === 'true') {
     filter.dueDate = { $lt: new Date() };
-    filter.status = 'issued';
+    filter.status = { $in: OPEN_LOAN_STATUSES };
   }
 
   // Date range filter
@@ -242,6 +455,8 @@ export const getAllTransactions = asyncHandler(async (req, res) => {
   const transactions = await Transaction.find(filter)
     .populate('userId', 'name email username')
     .populate('bookId', 'title isbn authors')
+    .populate('itemId', 'barcode')
+    .populate('branchId', 'name code')
     .populate('issuedBy', 'name username')
     .populate('returnedBy', 'name username')
     .sort(sort)
@@ -271,7 +486,11 @@ export const getTransactionById = asyncHandler(async (req, res) => {
   const transaction = await Transaction.findById(req.params.id)
     .populate('userId', 'name email username phone')
     .populate('bookId', 'title isbn authors publisher')
+    .populate('itemId', 'barcode condition location')
+    .populate('branchId', 'name code')
+    .populate('returnBranchId', 'name code')
     .populate('issuedBy', 'name username')
+    .populate('renewals.renewedBy', 'name username')
     .populate('returnedBy', 'name username');
 
   if (!transaction) {
@@ -282,7 +501,7 @@ export const getTransactionById = asyncHandler(async (req, res) => {
   }
 
   // Check if user can access this transaction
-  if (req.user.role === 'borrower' && transaction.userId._id.toString() !== req.user._id.toString()) {
+  if (!can(req, 'transactions.read') && transaction.userId._id.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Access denied'
@@ -297,17 +516,21 @@ export const getTransactionById = asyncHandler(async (req, res) => {
 
 // @desc    Get overdue transactions
 // @route   GET /api/transactions/overdue
-// @access  Private (Admin/Librarian)
+// @access  Private (transactions.read)
 export const getOverdueTransactions = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
   const filter = {
-    status: 'issued',
+    status: { $in: OPEN_LOAN_STATUSES },
     dueDate: { $lt: new Date() }
   };
 
+  if (req.query.branchId) {
+    filter.branchId = req.query.branchId;
+  }
+
   const transactions = await Transaction.find(filter)
     .populate('userId', 'name email username phone')
     .populate('bookId', 'title isbn')
@@ -317,11 +540,17 @@ export const getOverdueTransactions = asyncHandler(async (req, res) => {
 
   const total = await Transaction.countDocuments(filter);
 
-  // Calculate overdue days for each transaction
-  const transactionsWithOverdue = transactions.map(transaction => ({
-    ...transaction.toObject(),
-    overdueDays: Math.ceil((new Date() - transaction.dueDate) / (1000 * 60 * 60 * 24))
-  }));
+  // Overdue days for each transaction, not counting days its branch is closed
+  const calendarFor = createCalendarCache();
+  const now = new Date();
+  const transactionsWithOverdue = [];
+  for (const transaction of transactions) {
+    const { isClosed } = await calendarFor(transaction.branchId);
+    transactionsWithOverdue.push({
+      ...transaction.toObject(),
+      overdueDays: getOverdueDays(transaction.dueDate, now, isClosed)
+    });
+  }
 
   res.json({
     success: true,
@@ -337,11 +566,124 @@ export const getOverdueTransactions = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Renew a loan under its loan policy
+// @route   PUT /api/transactions/:id/renew
+// @access  Private (Owner or transactions.extend)
+export const renewLoan = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id)
+    .populate('userId', 'name email role patronGroupId')
+    .populate('bookId', 'title isbn categories');
+
+  if (!transaction) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+  }
+
+  // Without transactions.extend, users can only renew their own loans
+  if (!can(req, 'transactions.extend') && transaction.userId._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  if (!OPEN_LOAN_STATUSES.includes(transaction.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Can only renew issued books'
+    });
+  }
+
+  const loanPolicy = await resolvePatronPolicy(transaction.userId, transaction.bookId.categories);
+
+  if (transaction.renewalCount >= loanPolicy.maxRenewals) {
+    return res.status(400).json({
+      success: false,
+      message: `Renewal limit of ${loanPolicy.maxRenewals} reached for this loan`
+    });
+  }
+
+  const now = new Date();
+  const calendar = await loadLibraryCalendar({ branchId: transaction.branchId });
+  const overdueDays = getOverdueDays(transaction.dueDate, now, calendar.isClosed);
+  if (overdueDays > loanPolicy.maxOverdueDaysForRenewal) {
+    return res.status(400).json({
+      success: false,
+      message: `Loan is ${overdueDays} days overdue and can no longer be renewed. Please return the book.`
+    });
+  }
+
+  // Another patron waiting for this title takes precedence, including one
+  // whose hold is already on its way or waiting on the shelf
+  const competingReservation = await Reservation.findOne({
+    bookId: transaction.bookId._id,
+    userId: { $ne: transaction.userId._id },
+    status: { $in: OPEN_RESERVATION_STATUSES }
+  });
+
+  if (competingReservation) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot renew: another patron has reserved this book'
+    });
+  }
+
+  // The new loan period runs from the current due date, or from today once overdue
+  const previousDueDate = transaction.dueDate;
+  const newDueDate = calculateDueDate(loanPolicy, previousDueDate > now ? previousDueDate : now, calendar);
+
+  // Only renews the loan as it was checked above, so two renewals at once
+  // cannot both pass the limit
+  const renewed = await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: { $in: OPEN_LOAN_STATUSES },
+      dueDate: previousDueDate,
+      renewalCount: { $lt: loanPolicy.maxRenewals }
+    },
+    {
+      $inc: { renewalCount: 1 },
+      $set: { dueDate: newDueDate, status: 'issued', updatedAt: now },
+      $unset: { dueReminderSentAt: 1 },
+      $push: {
+        renewals: {
+          type: 'renewal',
+          previousDueDate,
+          newDueDate,
+          renewedBy: req.user._id,
+          renewedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!renewed) {
+    return res.status(409).json({
+      success: false,
+      message: 'The loan was changed while renewing it. Please try again.'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Loan renewed successfully',
+    data: {
+      transactionId: renewed._id,
+      newDueDate: renewed.dueDate,
+      renewalCount: renewed.renewalCount,
+      renewalsRemaining: loanPolicy.maxRenewals - renewed.renewalCount
+    }
+  });
+});
+
 // @desc    Extend due date
 // @route   PUT /api/transactions/:id/extend
-// @access  Private (Admin/Librarian)
+// @access  Private (transactions.extend)
 export const extendDueDate = asyncHandler(async (req, res) => {
-  const { newDueDate, reason } = req.body;
+  const { reason } = req.body;
 
   const transaction = await Transaction.findById(req.params.id);
 
@@ -352,17 +694,31 @@ export const extendDueDate = asyncHandler(async (req, res) => {
     });
   }
 
-  if (transaction.status !== 'issued') {
+  if (!OPEN_LOAN_STATUSES.includes(transaction.status)) {
     return res.status(400).json({
       success: false,
       message: 'Can only extend due date for issued books'
     });
   }
 
+  // A new due date on a closed day moves to the next open day
+  const calendar = await loadLibraryCalendar({ branchId: transaction.branchId });
+  const newDueDate = calendar.nextOpenDay(new Date(req.body.newDueDate));
+
+  // Staff extensions are recorded in the history but do not use up renewals
+  transaction.renewals.push({
+    type: 'extension',
+    previousDueDate: transaction.dueDate,
+    newDueDate,
+    renewedBy: req.user._id,
+    reason
+  });
   transaction.dueDate = newDueDate;
-  transaction.notes = transaction.notes ? 
-    `${transaction.notes}\nDue date extended: ${reason}` : 
-    `Due date extended: ${reason}`;
+  // A loan that is no longer past due goes back to issued and gets a fresh reminder
+  if (newDueDate > new Date()) {
+    transaction.status = 'issued';
+  }
+  transaction.dueReminderSentAt = undefined;
   transaction.updatedAt = new Date();
 
   await transaction.save();
@@ -379,12 +735,12 @@ export const extendDueDate = asyncHandler(async (req, res) => {
 
 // @desc    Get transaction statistics
 // @route   GET /api/transactions/stats
-// @access  Private (Admin/Librarian)
+// @access  Private (stats.view)
 export const getTransactionStats = asyncHandler(async (req, res) => {
   const totalTransactions = await Transaction.countDocuments();
-  const activeTransactions = await Transaction.countDocuments({ status: 'issued' });
+  const activeTransactions = await Transaction.countDocuments({ status: { $in: OPEN_LOAN_STATUSES } });
   const overdueTransactions = await Transaction.countDocuments({
-    status: 'issued',
+    status: { $in: OPEN_LOAN_STATUSES },
     dueDate: { $lt: new Date() }
   });
   const returnedTransactions = await Transaction.countDocuments({ status: 'returned' });
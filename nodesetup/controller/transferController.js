@@ -0,0 +1,264 @@
+import Transfer, { OPEN_TRANSFER_STATUSES } from '../models/transfer.js';
+import Item, { INACTIVE_ITEM_STATUSES } from '../models/item.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import {
+  findActiveBranch,
+  shipTransfer,
+  receiveTransfer,
+  notifyHoldReady
+} from '../utils/circulationService.js';
+
+const populateTransfer = (query) => query
+  .populate('itemId', 'barcode status')
+  .populate('bookId', 'title isbn')
+  .populate('fromBranchId', 'name code')
+  .populate('toBranchId', 'name code')
+  .populate('requestedBy', 'name username')
+  .populate('shippedBy', 'name username')
+  .populate('receivedBy', 'name username');
+
+// @desc    Request that a copy be sent to another branch
+// @route   POST /api/transfers
+// @access  Private (transfers.manage)
+export const requestTransfer = asyncHandler(async (req, res) => {
+  const { itemId, toBranchId, notes } = req.body;
+
+  const item = await Item.findById(itemId);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Item not found'
+    });
+  }
+
+  if (INACTIVE_ITEM_STATUSES.includes(item.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Item cannot be transferred (status: ${item.status})`
+    });
+  }
+
+  const toBranch = await findActiveBranch(toBranchId);
+
+  if (item.currentBranchId && item.currentBranchId.equals(toBranch._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Item is already at this branch'
+    });
+  }
+
+  const openTransfer = await Transfer.findOne({
+    itemId: item._id,
+    status: { $in: OPEN_TRANSFER_STATUSES }
+  });
+  if (openTransfer) {
+    return res.status(400).json({
+      success: false,
+      message: 'Item already has a transfer in progress'
+    });
+  }
+
+  const transfer = await Transfer.create({
+    itemId: item._id,
+    bookId: item.bookId,
+    fromBranchId: item.currentBranchId,
+    toBranchId: toBranch._id,
+    reason: 'request',
+    requestedBy: req.user._id,
+    notes
+  });
+
+  const populated = await populateTransfer(Transfer.findById(transfer._id));
+
+  res.status(201).json({
+    success: true,
+    message: item.status === 'available'
+      ? 'Transfer requested successfully'
+      : `Transfer requested; the copy can be sent once it is back on the shelf (status: ${item.status})`,
+    data: { transfer: populated }
+  });
+});
+
+// @desc    Get transfers with filtering
+// @route   GET /api/transfers
+// @access  Private (items.read)
+export const getTransfers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  if (req.query.reason) {
+    filter.reason = req.query.reason;
+  }
+
+  if (req.query.fromBranchId) {
+    filter.fromBranchId = req.query.fromBranchId;
+  }
+
+  if (req.query.toBranchId) {
+    filter.toBranchId = req.query.toBranchId;
+  }
+
+  if (req.query.itemId) {
+    filter.itemId = req.query.itemId;
+  }
+
+  // Date range filter
+  if (req.query.startDate || req.query.endDate) {
+    filter.requestedAt = {};
+    if (req.query.startDate) {
+      filter.requestedAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      filter.requestedAt.$lte = new Date(req.query.endDate);
+    }
+  }
+
+  const transfers = await populateTransfer(Transfer.find(filter))
+    .sort({ requestedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Transfer.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      transfers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get transfer by ID
+// @route   GET /api/transfers/:id
+// @access  Private (items.read)
+export const getTransferById = asyncHandler(async (req, res) => {
+  const transfer = await populateTransfer(Transfer.findById(req.params.id))
+    .populate('reservationId', 'userId status');
+
+  if (!transfer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transfer not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { transfer }
+  });
+});
+
+// @desc    Send a requested transfer; the copy goes in transit
+// @route   PUT /api/transfers/:id/ship
+// @access  Private (transfers.manage)
+export const shipTransferById = asyncHandler(async (req, res) => {
+  const transfer = await Transfer.findById(req.params.id);
+
+  if (!transfer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transfer not found'
+    });
+  }
+
+  if (transfer.status !== 'requested') {
+    return res.status(400).json({
+      success: false,
+      message: `Only requested transfers can be sent (status: ${transfer.status})`
+    });
+  }
+
+  const shipped = await runInTransaction(session => shipTransfer({
+    session,
+    transfer,
+    shippedBy: req.user._id
+  }));
+
+  res.json({
+    success: true,
+    message: 'Copy is in transit',
+    data: { transfer: shipped }
+  });
+});
+
+// @desc    Check in a copy arriving at its destination branch
+// @route   PUT /api/transfers/:id/receive
+// @access  Private (transfers.manage)
+export const receiveTransferById = asyncHandler(async (req, res) => {
+  const transfer = await Transfer.findById(req.params.id);
+
+  if (!transfer) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transfer not found'
+    });
+  }
+
+  if (transfer.status !== 'in_transit') {
+    return res.status(400).json({
+      success: false,
+      message: `Only transfers in transit can be received (status: ${transfer.status})`
+    });
+  }
+
+  const { transfer: received, hold } = await runInTransaction(session => receiveTransfer({
+    session,
+    transfer,
+    receivedBy: req.user._id
+  }));
+
+  // The copy arrived for a reservation, or is set aside for the next patron
+  if (hold) {
+    await notifyHoldReady(hold);
+  }
+
+  res.json({
+    success: true,
+    message: hold?.status === 'ready' ? 'Copy received and held for pickup' : 'Copy received',
+    data: {
+      transfer: received,
+      hold: hold ? { reservationId: hold._id, userId: hold.userId, status: hold.status, pickupDeadline: hold.pickupDeadline } : null
+    }
+  });
+});
+
+// @desc    Cancel a transfer that has not been sent yet
+// @route   PUT /api/transfers/:id/cancel
+// @access  Private (transfers.manage)
+export const cancelTransfer = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: req.params.id, status: 'requested' },
+    { status: 'cancelled', cancelledBy: req.user._id, cancelledAt: now, updatedAt: now },
+    { new: true }
+  );
+
+  if (!transfer) {
+    const exists = await Transfer.exists({ _id: req.params.id });
+    return res.status(exists ? 400 : 404).json({
+      success: false,
+      message: exists ? 'Only transfers that have not been sent can be cancelled' : 'Transfer not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Transfer cancelled successfully',
+    data: { transfer }
+  });
+});
@@ -1,19 +1,145 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import User from '../models/user.js';
+import UserToken from '../models/userToken.js';
+import Session from '../models/session.js';
+import LoginEvent from '../models/loginEvent.js';
+import Role from '../models/role.js';
+import Branch from '../models/branch.js';
+import PatronGroup from '../models/patronGroup.js';
+import { can } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { roleExists, getRolePermissions } from '../utils/permissionService.js';
 import { securityLogger } from '../middleware/logger.js';
+import { sendEmail } from '../utils/emailService.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import {
+  addMembershipTerm,
+  findDefaultPatronGroup,
+  startMembership,
+  describeMembership,
+  renewMembership
+} from '../utils/membershipService.js';
+import { issueCard, blockCard } from '../utils/libraryCardService.js';
+import {
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  getSuspiciousActivity
+} from '../utils/loginSecurity.js';
+import {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired
+} from '../utils/twoFactorService.js';
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Links in emails point at the frontend, which reads the token from the URL
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+// Generate a short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Start a session for this device and issue its access and refresh tokens
+const startSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    twoFactorVerified
+  }, REFRESH_TOKEN_TTL_MS);
+
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Last step of a login once every factor has been checked
+const completeLogin = async (req, res, user, { twoFactorVerified = false } = {}) => {
+  await recordSuccessfulLogin(req, user);
+
+  // Start a session
+  const { token, refreshToken } = await startSession(user, req, { twoFactorVerified });
+
+  // Update last login
+  user.updatedAt = new Date();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        status: user.status,
+        branchId: user.branchId,
+        emailVerified: user.isEmailVerified(),
+        twoFactorEnabled: user.twoFactorEnabled,
+        permissions: await getRolePermissions(user.role)
+      },
+      token,
+      refreshToken
+    }
+  });
+};
+
+// Refuse a login attempt, answering 423 if this attempt locked the account
+const rejectLogin = async (req, res, { user, username, reason, message }) => {
+  const lockedUser = await recordFailedLogin(req, { user, username, reason });
+
+  if (lockedUser) {
+    return res.status(423).json({
+      success: false,
+      message: `Too many failed login attempts. Account is locked until ${lockedUser.lockUntil.toLocaleString()}.`
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
   });
 };
 
+// Email a link that confirms the user owns their email address
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(
+    user,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  return sendEmail(user.email, 'emailVerification', {
+    user: { name: user.name },
+    verifyUrl: `${appUrl()}/?verifyToken=${token}`,
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+  }, { sensitive: true });
+};
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(password, salt);
+};
+
 // @desc    Register a new user
 // @route   POST /api/users/register
-// @access  Public (for borrowers) / Admin (for staff)
+// @access  Public (for borrowers) / users.create_staff (for other roles)
 export const registerUser = asyncHandler(async (req, res) => {
   const { username, email, password, name, phone, address, role = 'borrower' } = req.body;
 
@@ -29,35 +155,52 @@ export const registerUser = asyncHandler(async (req, res) => {
     });
   }
 
-  // Only admin can create admin/librarian accounts
-  if (role !== 'borrower' && (!req.user || req.user.role !== 'admin')) {
+  // Only users.create_staff may create accounts with other roles
+  if (role !== 'borrower' && !can(req, 'users.create_staff')) {
     return res.status(403).json({
       success: false,
-      message: 'Only administrators can create staff accounts'
+      message: 'You do not have permission to create staff accounts'
     });
   }
 
-  // Hash password
-  const salt = await bcrypt.genSalt(12);
-  const hashedPassword = await bcrypt.hash(password, salt);
+  if (!await roleExists(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role '${role}' does not exist`
+    });
+  }
+
+  // New borrowers join the default patron group, if there is one
+  const defaultGroup = role === 'borrower' ? await findDefaultPatronGroup() : null;
 
   // Create user
   const user = await User.create({
     username,
     email,
-    password: hashedPassword,
+    password: await hashPassword(password),
     name,
     phone,
     address,
-    role
+    role,
+    emailVerified: false,
+    ...(defaultGroup && startMembership(defaultGroup))
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Patrons get a library card number to borrow with at the desk
+  if (role === 'borrower') {
+    const { card } = await runInTransaction(session => issueCard({ session, user }));
+    user.cardNumber = card.number;
+  }
+
+  // Borrowing and reservations unlock once the emailed link is used
+  await sendVerificationEmail(user);
+
+  // Start a session
+  const { token, refreshToken } = await startSession(user, req);
 
   res.status(201).json({
     success: true,
-    message: 'User registered successfully',
+    message: 'User registered successfully. Please check your email to verify your address.',
     data: {
       user: {
         id: user._id,
@@ -65,9 +208,13 @@ export const registerUser = asyncHandler(async (req, res) => {
         email: user.email,
         name: user.name,
         role: user.role,
-        status: user.status
+        status: user.status,
+        cardNumber: user.cardNumber,
+        emailVerified: user.isEmailVerified(),
+        permissions: await getRolePermissions(user.role)
       },
-      token
+      token,
+      refreshToken
     }
   });
 });
@@ -82,24 +229,26 @@ export const loginUser = asyncHandler(async (req, res) => {
   const user = await User.findOne({ username }).select('+password');
 
   if (!user) {
-    securityLogger('FAILED_LOGIN_ATTEMPT', {
-      username,
-      reason: 'User not found',
-      ip: req.ip
-    });
+    await recordFailedLogin(req, { username, reason: 'user_not_found' });
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
+  // Locked accounts are refused before the password is checked, so guessing
+  // cannot continue during the lockout
+  if (user.isLocked()) {
+    await recordFailedLogin(req, { user, username, reason: 'account_locked' });
+    return res.status(423).json({
+      success: false,
+      message: `Account is locked due to too many failed login attempts. Try again after ${user.lockUntil.toLocaleString()}.`
+    });
+  }
+
   // Check if account is active
   if (user.status !== 'active') {
-    securityLogger('FAILED_LOGIN_ATTEMPT', {
-      username,
-      reason: 'Account inactive',
-      ip: req.ip
-    });
+    await recordFailedLogin(req, { user, username, reason: 'account_inactive' });
     return res.status(401).json({
       success: false,
       message: 'Account is inactive'
@@ -110,46 +259,81 @@ export const loginUser = asyncHandler(async (req, res) => {
   const isPasswordValid = await bcrypt.compare(password, user.password);
 
   if (!isPasswordValid) {
-    securityLogger('FAILED_LOGIN_ATTEMPT', {
+    return rejectLogin(req, res, {
+      user,
       username,
-      reason: 'Invalid password',
-      ip: req.ip
+      reason: 'invalid_password',
+      message: 'Invalid credentials'
+    });
+  }
+
+  // With 2FA the password only earns a challenge for the second step
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
+      }
     });
+  }
+
+  await completeLogin(req, res, user);
+});
+
+// @desc    Complete a login with a TOTP or backup code
+// @route   POST /api/users/login/two-factor
+// @access  Public
+export const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const userId = verifyLoginChallenge(challengeToken);
+  const user = userId && await User.findById(userId);
+
+  if (!user || user.status !== 'active' || !user.twoFactorEnabled) {
     return res.status(401).json({
       success: false,
-      message: 'Invalid credentials'
+      message: 'Login has expired. Please log in again.'
     });
   }
 
-  // Generate token
-  const token = generateToken(user._id);
+  if (user.isLocked()) {
+    await recordFailedLogin(req, { user, username: user.username, reason: 'account_locked' });
+    return res.status(423).json({
+      success: false,
+      message: `Account is locked due to too many failed login attempts. Try again after ${user.lockUntil.toLocaleString()}.`
+    });
+  }
 
-  // Update last login
-  user.updatedAt = new Date();
-  await user.save();
+  const method = await verifySecondFactor(user._id, code);
 
-  res.json({
-    success: true,
-    message: 'Login successful',
-    data: {
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        status: user.status
-      },
-      token
-    }
-  });
+  if (!method) {
+    return rejectLogin(req, res, {
+      user,
+      username: user.username,
+      reason: 'invalid_two_factor',
+      message: 'Invalid authentication code'
+    });
+  }
+
+  if (method === 'backup_code') {
+    securityLogger('BACKUP_CODE_USED', {
+      userId: user._id,
+      ip: req.ip
+    });
+  }
+
+  await completeLogin(req, res, user, { twoFactorVerified: true });
 });
 
 // @desc    Get current user profile
 // @route   GET /api/users/profile
 // @access  Private
 export const getUserProfile = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
+  const user = await User.findById(req.user._id)
+    .populate('branchId', 'name code')
+    .populate('patronGroupId', 'name code membershipMonths membershipFee');
 
   res.json({
     success: true,
@@ -163,6 +347,13 @@ export const getUserProfile = asyncHandler(async (req, res) => {
         address: user.address,
         role: user.role,
         status: user.status,
+        branch: user.branchId,
+        cardNumber: user.cardNumber,
+        membership: describeMembership(user),
+        emailVerified: user.isEmailVerified(),
+        twoFactorEnabled: user.twoFactorEnabled,
+        // Staff who still owe a second factor have no permissions until they verify
+        permissions: req.twoFactorPending ? [] : req.permissions,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -196,15 +387,26 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
     }
   }
 
+  // A new email address has to be verified again
+  const emailChanged = Boolean(email && email !== user.email);
+
   // Update fields
   user.name = name || user.name;
   user.phone = phone || user.phone;
   user.address = address || user.address;
   user.email = email || user.email;
+  if (emailChanged) {
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+  }
   user.updatedAt = new Date();
 
   await user.save();
 
+  if (emailChanged) {
+    await sendVerificationEmail(user);
+  }
+
   res.json({
     success: true,
     message: 'Profile updated successfully',
@@ -217,7 +419,8 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
         phone: user.phone,
         address: user.address,
         role: user.role,
-        status: user.status
+        status: user.status,
+        emailVerified: user.isEmailVerified()
       }
     }
   });
@@ -241,129 +444,941 @@ export const changePassword = asyncHandler(async (req, res) => {
     });
   }
 
-  // Hash new password
-  const salt = await bcrypt.genSalt(12);
-  const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-  user.password = hashedPassword;
+  user.password = await hashPassword(newPassword);
   user.updatedAt = new Date();
   await user.save();
 
+  // Sign out every other device; this one stays logged in
+  await Session.revokeAll(user._id, 'password_change', { except: req.sessionId });
+
+  await sendEmail(user.email, 'passwordChanged', { user: { name: user.name, username: user.username } });
+
   res.json({
     success: true,
     message: 'Password changed successfully'
   });
 });
 
-// @desc    Get all users (Admin/Librarian only)
-// @route   GET /api/users
-// @access  Private (Admin/Librarian)
-export const getAllUsers = asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const skip = (page - 1) * limit;
+// @desc    Email a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
 
-  // Build filter
-  const filter = {};
-  if (req.query.role) filter.role = req.query.role;
-  if (req.query.status) filter.status = req.query.status;
-  if (req.query.search) {
-    filter.$or = [
-      { name: { $regex: req.query.search, $options: 'i' } },
-      { email: { $regex: req.query.search, $options: 'i' } },
-      { username: { $regex: req.query.search, $options: 'i' } }
-    ];
-  }
+  const user = await User.findOne({ email });
 
-  const users = await User.find(filter)
-    .select('-password')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit);
+  // Same response whether or not the address is registered, so the endpoint
+  // cannot be used to discover accounts
+  if (user && user.status === 'active') {
+    const token = await UserToken.issue(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
 
-  const total = await User.countDocuments(filter);
+    await sendEmail(user.email, 'passwordReset', {
+      user: { name: user.name, username: user.username },
+      resetUrl: `${appUrl()}/?resetToken=${token}`,
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+    }, { sensitive: true });
+
+    securityLogger('PASSWORD_RESET_REQUESTED', {
+      userId: user._id,
+      ip: req.ip
+    });
+  }
 
   res.json({
     success: true,
-    data: {
-      users,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    }
+    message: 'If an account exists for this email, a password reset link has been sent'
   });
 });
 
-// @desc    Get user by ID (Admin/Librarian only)
-// @route   GET /api/users/:id
-// @access  Private (Admin/Librarian)
-export const getUserById = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id).select('-password');
+// @desc    Set a new password with a reset token
+// @route   POST /api/users/reset-password
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
 
-  if (!user) {
-    return res.status(404).json({
+  const resetToken = await UserToken.consume(token, 'password_reset');
+
+  if (!resetToken) {
+    securityLogger('PASSWORD_RESET_FAILED', {
+      reason: 'Invalid or expired token',
+      ip: req.ip
+    });
+    return res.status(400).json({
       success: false,
-      message: 'User not found'
+      message: 'Password reset link is invalid or has expired'
+    });
+  }
+
+  const user = await User.findById(resetToken.userId);
+
+  // The address must not have changed since the link was sent
+  if (!user || user.status !== 'active' || resetToken.email !== user.email) {
+    securityLogger('PASSWORD_RESET_FAILED', {
+      userId: resetToken.userId,
+      reason: 'Account inactive or email changed since the link was sent',
+      ip: req.ip
+    });
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired'
     });
   }
 
+  user.password = await hashPassword(password);
+  // Proving ownership of the email address also lifts any lockout
+  user.failedLoginAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+  // Using a link sent to the address also proves the user owns it
+  if (!user.isEmailVerified()) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  user.updatedAt = new Date();
+  await user.save();
+
+  // Whoever knew the old password may still be logged in somewhere
+  await Session.revokeAll(user._id, 'password_reset');
+
+  securityLogger('PASSWORD_RESET', {
+    userId: user._id,
+    ip: req.ip
+  });
+
+  await sendEmail(user.email, 'passwordChanged', { user: { name: user.name, username: user.username } });
+
   res.json({
     success: true,
-    data: { user }
+    message: 'Password has been reset. You can now log in with your new password.'
   });
 });
 
-// @desc    Update user status (Admin only)
-// @route   PUT /api/users/:id/status
-// @access  Private (Admin)
-export const updateUserStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
+// @desc    Verify email address with the emailed token
+// @route   POST /api/users/verify-email
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
 
-  const user = await User.findById(req.params.id);
+  const verificationToken = await UserToken.consume(token, 'email_verification');
+  const user = verificationToken && await User.findById(verificationToken.userId);
 
-  if (!user) {
-    return res.status(404).json({
+  // The address must not have changed since the link was sent
+  if (!user || verificationToken.email !== user.email) {
+    return res.status(400).json({
       success: false,
-      message: 'User not found'
+      message: 'Verification link is invalid or has expired'
     });
   }
 
-  user.status = status;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
   user.updatedAt = new Date();
   await user.save();
 
   res.json({
     success: true,
-    message: 'User status updated successfully',
-    data: { user: { id: user._id, status: user.status } }
+    message: 'Email address verified successfully',
+    data: { user: { id: user._id, email: user.email, emailVerified: true } }
   });
 });
 
-// @desc    Delete user (Admin only)
-// @route   DELETE /api/users/:id
-// @access  Private (Admin)
-export const deleteUser = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id);
+// @desc    Send a new verification email
+// @route   POST /api/users/resend-verification
+// @access  Private
+export const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
 
-  if (!user) {
-    return res.status(404).json({
+  if (user.isEmailVerified()) {
+    return res.status(400).json({
       success: false,
-      message: 'User not found'
+      message: 'Email address is already verified'
     });
   }
 
-  // Prevent admin from deleting themselves
-  if (user._id.toString() === req.user._id.toString()) {
-    return res.status(400).json({
+  await sendVerificationEmail(user);
+
+  res.json({
+    success: true,
+    message: `Verification email sent to ${user.email}`
+  });
+});
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/users/refresh-token
+// @access  Public
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const result = await Session.rotate(req.body.refreshToken, REFRESH_TOKEN_TTL_MS);
+
+  if (result?.reused) {
+    securityLogger('REFRESH_TOKEN_REUSE', {
+      userId: result.session.userId,
+      sessionId: result.session._id,
+      ip: req.ip
+    });
+  }
+
+  if (!result || result.reused) {
+    return res.status(401).json({
       success: false,
-      message: 'Cannot delete your own account'
+      message: 'Session has expired or been revoked. Please log in again.'
+    });
+  }
+
+  const { session, refreshToken } = result;
+  const user = await User.findById(session.userId);
+
+  if (!user || user.status !== 'active') {
+    await Session.revokeAll(session.userId, 'account_disabled');
+    return res.status(401).json({
+      success: false,
+      message: 'Account is inactive'
     });
   }
 
+  res.json({
+    success: true,
+    data: {
+      token: generateToken(user._id, session._id),
+      refreshToken
+    }
+  });
+});
+
+// @desc    Log out of the session a refresh token belongs to
+// @route   POST /api/users/logout
+// @access  Public
+export const logoutUser = asyncHandler(async (req, res) => {
+  const session = await Session.findByRefreshToken(req.body.refreshToken);
+
+  if (session) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'logout';
+    await session.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// @desc    Log out of every session, including this one
+// @route   POST /api/users/logout-all
+// @access  Private
+export const logoutAllSessions = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAll(req.user._id, 'logout_all');
+
+  securityLogger('LOGOUT_ALL_SESSIONS', {
+    userId: req.user._id,
+    revoked: result.modifiedCount,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: `Logged out of ${result.modifiedCount} session(s)`
+  });
+});
+
+// @desc    Get the current user's active sessions
+// @route   GET /api/users/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    }
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/users/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'revoked' },
+    { new: true }
+  );
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// @desc    Get the current user's login history
+// @route   GET /api/users/login-history
+// @access  Private
+export const getMyLoginHistory = asyncHandler(async (req, res) => {
+  const { events, pagination } = await findLoginEvents({ userId: req.user._id }, req.query);
+
+  res.json({
+    success: true,
+    data: { events, pagination }
+  });
+});
+
+// @desc    Get a user's login history
+// @route   GET /api/users/:id/login-history
+// @access  Private (users.security)
+export const getUserLoginHistory = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('username name failedLoginAttempts lockUntil lockCount');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const filter = { userId: user._id };
+  if (req.query.success !== undefined) {
+    filter.success = req.query.success === 'true';
+  }
+
+  const { events, pagination } = await findLoginEvents(filter, req.query);
+
+  res.json({
+    success: true,
+    data: { user, events, pagination }
+  });
+});
+
+// Paginated login events, newest first
+const findLoginEvents = async (filter, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const events = await LoginEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await LoginEvent.countDocuments(filter);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// @desc    Unlock an account locked by failed logins
+// @route   PUT /api/users/:id/unlock
+// @access  Private (users.security)
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await unlockAccount(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  securityLogger('ACCOUNT_UNLOCKED', {
+    userId: user._id,
+    unlockedBy: req.user._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'User account unlocked successfully',
+    data: { user: { id: user._id, username: user.username, failedLoginAttempts: 0, lockUntil: null } }
+  });
+});
+
+// @desc    Get a report of suspicious login activity
+// @route   GET /api/users/suspicious-activity
+// @access  Private (users.security)
+export const getSuspiciousActivityReport = asyncHandler(async (req, res) => {
+  const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 90);
+  const minFailures = parseInt(req.query.minFailures) || 3;
+
+  const report = await getSuspiciousActivity({ hours, minFailures });
+
+  res.json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Get the current user's two-factor status
+// @route   GET /api/users/two-factor
+// @access  Private
+export const getTwoFactor = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await getTwoFactorStatus(req.user._id)
+  });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/users/two-factor/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: { secret, otpauthUrl }
+  });
+});
+
+// @desc    Confirm enrollment with a code and enable two-factor authentication
+// @route   POST /api/users/two-factor/enable
+// @access  Private
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const backupCodes = await confirmEnrollment(req.user._id, req.body.code);
+
+  if (!backupCodes) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  // The code just given counts as a second factor for this session
+  await Session.updateOne({ _id: req.sessionId }, { twoFactorVerified: true });
+
+  securityLogger('TWO_FACTOR_ENABLED', {
+    userId: req.user._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your backup codes somewhere safe; they will not be shown again.',
+    data: { backupCodes }
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/users/two-factor/disable
+// @access  Private
+export const disableTwoFactorHandler = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (await isTwoFactorRequired(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your role and cannot be disabled'
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+
+  if (!isPasswordValid || !await verifySecondFactor(user._id, code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password or authentication code is incorrect'
+    });
+  }
+
+  await disableTwoFactor(user._id);
+
+  securityLogger('TWO_FACTOR_DISABLED', {
+    userId: user._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace the current user's backup codes
+// @route   POST /api/users/two-factor/backup-codes
+// @access  Private
+export const regenerateBackupCodesHandler = asyncHandler(async (req, res) => {
+  if (!req.user.twoFactorEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  if (!await verifySecondFactor(req.user._id, req.body.code)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code'
+    });
+  }
+
+  const backupCodes = await regenerateBackupCodes(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'New backup codes generated. The old codes no longer work.',
+    data: { backupCodes }
+  });
+});
+
+// @desc    Get the two-factor policy
+// @route   GET /api/users/two-factor/policy
+// @access  Private (settings.manage)
+export const getTwoFactorPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      requiredRoles: await getRequiredRoles(),
+      availableRoles: (await Role.find().select('name').sort({ name: 1 })).map(role => role.name)
+    }
+  });
+});
+
+// @desc    Set which roles must use two-factor authentication
+// @route   PUT /api/users/two-factor/policy
+// @access  Private (settings.manage)
+export const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const requiredRoles = [...new Set(req.body.requiredRoles)];
+
+  for (const role of requiredRoles) {
+    if (!await roleExists(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${role}' does not exist`
+      });
+    }
+  }
+
+  // Otherwise the admin would lock themselves out of admin routes
+  if (requiredRoles.includes(req.user.role) && !req.twoFactorVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Enable two-factor authentication on your own account before requiring it for your role'
+    });
+  }
+
+  await setRequiredRoles(requiredRoles, req.user._id);
+
+  securityLogger('TWO_FACTOR_POLICY_UPDATED', {
+    requiredRoles,
+    updatedBy: req.user._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor policy updated successfully',
+    data: { requiredRoles }
+  });
+});
+
+// @desc    Reset a user's two-factor authentication (e.g. lost device)
+// @route   DELETE /api/users/:id/two-factor
+// @access  Private (users.security)
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  await disableTwoFactor(user._id);
+  await Session.revokeAll(user._id, 'revoked');
+
+  securityLogger('TWO_FACTOR_RESET', {
+    userId: user._id,
+    resetBy: req.user._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication reset. The user must log in again and re-enroll.'
+  });
+});
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private (users.read)
+export const getAllUsers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+  if (req.query.role) filter.role = req.query.role;
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.branchId) filter.branchId = req.query.branchId;
+  if (req.query.patronGroupId) filter.patronGroupId = req.query.patronGroupId;
+  if (req.query.membership === 'expired') {
+    filter.membershipExpiryDate = { $lte: new Date() };
+  } else if (req.query.membership === 'expiring') {
+    // Memberships running out within ?days= (30 by default)
+    const days = parseInt(req.query.days) || 30;
+    filter.membershipExpiryDate = { $gt: new Date(), $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+  }
+  if (req.query.search) {
+    filter.$or = [
+      { name: { $regex: req.query.search, $options: 'i' } },
+      { email: { $regex: req.query.search, $options: 'i' } },
+      { username: { $regex: req.query.search, $options: 'i' } },
+      { cardNumber: req.query.search.trim().toUpperCase() }
+    ];
+  }
+
+  const users = await User.find(filter)
+    .select('-password')
+    .populate('branchId', 'name code')
+    .populate('patronGroupId', 'name code')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await User.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get user by ID
+// @route   GET /api/users/:id
+// @access  Private (users.read)
+export const getUserById = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id)
+    .select('-password')
+    .populate('branchId', 'name code')
+    .populate('patronGroupId', 'name code membershipMonths membershipFee');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { user }
+  });
+});
+
+// @desc    Update user status
+// @route   PUT /api/users/:id/status
+// @access  Private (users.update_status)
+export const updateUserStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body;
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  user.status = status;
+  user.updatedAt = new Date();
+  await user.save();
+
+  if (status !== 'active') {
+    await Session.revokeAll(user._id, 'account_disabled');
+  }
+
+  res.json({
+    success: true,
+    message: 'User status updated successfully',
+    data: { user: { id: user._id, status: user.status } }
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (roles.assign)
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!await roleExists(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `Role '${role}' does not exist`
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  // An admin demoting themselves could leave the library without one
+  if (user._id.equals(req.user._id) && role !== user.role) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot change your own role'
+    });
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  user.updatedAt = new Date();
+  await user.save();
+
+  securityLogger('USER_ROLE_CHANGED', {
+    userId: user._id,
+    previousRole,
+    role,
+    changedBy: req.user._id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'User role updated successfully',
+    data: { user: { id: user._id, role: user.role } }
+  });
+});
+
+// @desc    Assign a user to a branch (where staff work, a patron's home branch)
+// @route   PUT /api/users/:id/branch
+// @access  Private (users.assign_branch)
+export const updateUserBranch = asyncHandler(async (req, res) => {
+  const { branchId } = req.body;
+
+  if (branchId) {
+    const branch = await Branch.findById(branchId);
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+    if (branch.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot assign users to an inactive branch'
+      });
+    }
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  user.branchId = branchId || undefined;
+  user.updatedAt = new Date();
+  await user.save();
+
+  res.json({
+    success: true,
+    message: branchId ? 'User assigned to branch successfully' : 'User removed from their branch',
+    data: { user: { id: user._id, branchId: user.branchId || null } }
+  });
+});
+
+// @desc    Change a user's patron group or membership dates
+// @route   PUT /api/users/:id/membership
+// @access  Private (memberships.manage)
+export const updateUserMembership = asyncHandler(async (req, res) => {
+  const { patronGroupId, membershipStartDate, membershipExpiryDate } = req.body;
+
+  let group = null;
+  if (patronGroupId) {
+    group = await PatronGroup.findById(patronGroupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patron group not found'
+      });
+    }
+    if (group.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add users to an inactive patron group'
+      });
+    }
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const now = new Date();
+  if (patronGroupId !== undefined) {
+    user.patronGroupId = group?._id;
+    user.membershipStartDate = user.membershipStartDate || now;
+
+    // Joining a group with a term starts one, unless a term is already running
+    if (group && !user.membershipExpiryDate && membershipExpiryDate === undefined) {
+      user.membershipExpiryDate = addMembershipTerm(now, group.membershipMonths) ?? undefined;
+    }
+  }
+
+  if (membershipStartDate) {
+    user.membershipStartDate = new Date(membershipStartDate);
+  }
+
+  // null removes the expiry date, so the membership never expires
+  if (membershipExpiryDate !== undefined) {
+    user.membershipExpiryDate = membershipExpiryDate ? new Date(membershipExpiryDate) : undefined;
+    user.membershipReminderSentAt = undefined;
+  }
+
+  if (user.membershipStartDate && user.membershipExpiryDate &&
+      user.membershipExpiryDate <= user.membershipStartDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Membership expiry date must be after its start date'
+    });
+  }
+
+  user.updatedAt = now;
+  await user.save();
+  await user.populate('patronGroupId', 'name code membershipMonths membershipFee');
+
+  res.json({
+    success: true,
+    message: 'Membership updated successfully',
+    data: {
+      user: { id: user._id, membership: describeMembership(user) }
+    }
+  });
+});
+
+// @desc    Renew a user's membership, charging the patron group's fee
+// @route   PUT /api/users/:id/membership/renew
+// @access  Private (memberships.manage)
+export const renewUserMembership = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { user: renewed, fine } = await runInTransaction(session => renewMembership({
+    session,
+    user,
+    months: req.body.months,
+    waiveFee: req.body.waiveFee,
+    processedBy: req.user._id
+  }));
+
+  await renewed.populate('patronGroupId', 'name code membershipMonths membershipFee');
+
+  res.json({
+    success: true,
+    message: `Membership renewed until ${renewed.membershipExpiryDate.toLocaleDateString()}`,
+    data: {
+      user: { id: renewed._id, membership: describeMembership(renewed) },
+      fee: fine
+    }
+  });
+});
+
+// @desc    Delete user
+// @route   DELETE /api/users/:id
+// @access  Private (users.delete)
+export const deleteUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  // Prevent admin from deleting themselves
+  if (user._id.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot delete your own account'
+    });
+  }
+
+  // The card number stays on record (numbers are never reused) but stops working
+  if (user.cardNumber) {
+    await runInTransaction(session => blockCard({ session, user, reason: 'other', blockedBy: req.user._id }));
+  }
+
   await User.findByIdAndDelete(req.params.id);
+  await Session.deleteMany({ userId: user._id });
 
   res.json({
     success: true,
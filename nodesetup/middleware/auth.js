@@ -1,5 +1,10 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/user.js';
+import Session from '../models/session.js';
+import { isTwoFactorRequired } from '../utils/twoFactorService.js';
+import { getRolePermissions } from '../utils/permissionService.js';
+import { hasPermission } from '../config/permissions.js';
+import { setContextActor } from '../utils/requestContext.js';
 
 // Authentication middleware to verify JWT tokens
 export const authenticateToken = async (req, res, next) => {
@@ -15,6 +20,20 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a session so that logging out revokes them
+    const session = decoded.sid && await Session.findOne({
+      _id: decoded.sid,
+      userId: decoded.userId
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -32,6 +51,11 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    setContextActor(user);
+    req.sessionId = session._id;
+    req.twoFactorVerified = session.twoFactorVerified;
+    req.permissions = await getRolePermissions(user.role);
+    req.twoFactorPending = !session.twoFactorVerified && await isTwoFactorRequired(user);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -54,8 +78,24 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Authorization middleware for role-based access control
-export const authorize = (...roles) => {
+// Whether the authenticated user holds a permission. Staff who still owe a
+// second factor under the two-factor policy hold none until they provide it.
+export const can = (req, permission) => {
+  return Boolean(req.user) && !req.twoFactorPending && hasPermission(req.permissions, permission);
+};
+
+const twoFactorRequiredResponse = (req, res) => {
+  return res.status(403).json({
+    success: false,
+    code: 'TWO_FACTOR_REQUIRED',
+    message: req.user.twoFactorEnabled
+      ? 'Please log in again with your authenticator code to continue'
+      : 'Two-factor authentication is required for your role. Please enable it in your profile.'
+  });
+};
+
+// Authorization middleware: the user's role must grant every listed permission
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -64,36 +104,46 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => hasPermission(req.permissions, permission))) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
       });
     }
 
+    if (req.twoFactorPending) {
+      return twoFactorRequiredResponse(req, res);
+    }
+
     next();
   };
 };
 
-// Middleware to check if user can access their own data or if they're admin/librarian
-export const authorizeOwnerOrStaff = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
+// Middleware to check if user can access their own data or holds a permission
+// to access anyone's
+export const authorizeOwnerOrPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
 
-  const userId = req.params.userId || req.params.id;
-  const isOwner = req.user._id.toString() === userId;
-  const isStaff = ['admin', 'librarian'].includes(req.user.role);
+    const userId = req.params.userId || req.params.id;
+    const isOwner = req.user._id.toString() === userId;
+
+    if (isOwner || can(req, permission)) {
+      return next();
+    }
+
+    if (req.twoFactorPending && hasPermission(req.permissions, permission)) {
+      return twoFactorRequiredResponse(req, res);
+    }
 
-  if (!isOwner && !isStaff) {
     return res.status(403).json({
       success: false,
       message: 'Access denied'
     });
-  }
-
-  next();
+  };
 };
@@ -55,3 +55,13 @@ export const notFound = (req, res, next) => {
 export const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
+
+// Error with an HTTP status, for failures raised outside a route handler
+// (e.g. inside a database transaction) that should reach the client as-is
+export class ApiError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+  }
+}
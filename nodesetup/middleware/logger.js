@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { setContextAction } from '../utils/requestContext.js';
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(process.cwd(), 'logs');
@@ -53,10 +54,12 @@ export const requestLogger = (req, res, next) => {
   next();
 };
 
-// Audit logging for sensitive operations
+// Audit logging for sensitive operations. Besides the daily file, the action
+// labels every change this request makes in the audit trail.
 export const auditLogger = (action, details = {}) => {
   return (req, res, next) => {
     const timestamp = new Date().toISOString();
+    setContextAction(action);
     
     const auditLog = {
       timestamp,
@@ -1,5 +1,9 @@
 import { body, param, query, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
+import { PERMISSION_NAMES } from '../config/permissions.js';
+import { CARD_BLOCK_REASONS } from '../models/libraryCard.js';
+import { isValidIsbn, normalizeIsbn } from '../utils/isbn.js';
+import { SORT_KEYS, MAX_SORT_KEYS, parseSort } from '../utils/bookSearchService.js';
 
 // Middleware to handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -56,8 +60,11 @@ export const validateUserRegistration = [
   
   body('role')
     .optional()
-    .isIn(['admin', 'librarian', 'borrower'])
-    .withMessage('Role must be admin, librarian, or borrower'),
+    .isString()
+    .trim()
+    .toLowerCase()
+    .notEmpty()
+    .withMessage('Role must be a role name'),
   
   handleValidationErrors
 ];
@@ -75,12 +82,228 @@ export const validateUserLogin = [
   handleValidationErrors
 ];
 
+export const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  handleValidationErrors
+];
+
+export const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+export const validateEmailToken = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+export const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge token is required'),
+  
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+  
+  handleValidationErrors
+];
+
+export const validateTwoFactorPolicy = [
+  body('requiredRoles')
+    .isArray()
+    .withMessage('Required roles must be an array'),
+  
+  body('requiredRoles.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each required role must be a role name'),
+  
+  handleValidationErrors
+];
+
+export const validateRole = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+    .withMessage("Role name must be 2-50 characters: letters, digits, '_' and '-', starting with a letter"),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(PERMISSION_NAMES)
+    .withMessage('Unknown permission'),
+  
+  handleValidationErrors
+];
+
+export const validateUserRole = [
+  body('role')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .notEmpty()
+    .withMessage('Role is required'),
+  
+  handleValidationErrors
+];
+
+export const validateUserBranch = [
+  body('branchId')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
+  handleValidationErrors
+];
+
+// Library cards: generated numbers are digits, pre-printed ones may have letters and dashes
+const CARD_NUMBER = /^[A-Za-z0-9-]{4,32}$/;
+
+export const validateCardNumberParam = [
+  param('number')
+    .trim()
+    .matches(CARD_NUMBER)
+    .withMessage('Card number must be 4-32 letters, digits or dashes'),
+  
+  handleValidationErrors
+];
+
+export const validateLibraryCard = [
+  body('cardNumber')
+    .optional()
+    .trim()
+    .matches(CARD_NUMBER)
+    .withMessage('Card number must be 4-32 letters, digits or dashes'),
+  
+  body('reason')
+    .optional()
+    .isIn(CARD_BLOCK_REASONS)
+    .withMessage(`Reason must be one of: ${CARD_BLOCK_REASONS.join(', ')}`),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateCardBlock = [
+  body('reason')
+    .isIn(CARD_BLOCK_REASONS)
+    .withMessage(`Reason must be one of: ${CARD_BLOCK_REASONS.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+export const validateMembership = [
+  body('patronGroupId')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('Patron group ID must be valid'),
+  
+  body('membershipStartDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Membership start date must be a valid date'),
+  
+  body('membershipExpiryDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Membership expiry date must be a valid date'),
+  
+  handleValidationErrors
+];
+
+export const validateMembershipRenewal = [
+  body('months')
+    .optional()
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Months must be between 1 and 120'),
+  
+  body('waiveFee')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('waiveFee must be true or false'),
+  
+  handleValidationErrors
+];
+
 // Book validation rules
-export const validateBook = [
+// Book fields, shared by the create endpoint and the catalog import
+const bookRules = [
   body('isbn')
     .trim()
-    .matches(/^(?:ISBN(?:-1[03])?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)(?:97[89][- ]?)?[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/)
-    .withMessage('Please provide a valid ISBN'),
+    .custom(isValidIsbn)
+    .withMessage('Please provide a valid ISBN-10 or ISBN-13')
+    .customSanitizer(normalizeIsbn),
   
   body('title')
     .trim()
@@ -113,12 +336,9 @@ export const validateBook = [
     .withMessage('All category IDs must be valid'),
   
   body('totalCopies')
-    .isInt({ min: 1 })
-    .withMessage('Total copies must be at least 1'),
-  
-  body('availableCopies')
+    .optional()
     .isInt({ min: 0 })
-    .withMessage('Available copies must be 0 or more'),
+    .withMessage('Total copies must be 0 or more'),
   
   body('location')
     .trim()
@@ -136,6 +356,136 @@ export const validateBook = [
     .isInt({ min: 1 })
     .withMessage('Pages must be at least 1'),
   
+  body('replacementCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Replacement cost must be 0 or greater')
+];
+
+export const validateBook = [
+  ...bookRules,
+  handleValidationErrors
+];
+
+// Run the book rules against one imported record (not a request) and return
+// its errors as { field, message }
+export const checkBookRecord = async (record) => {
+  const req = { body: record };
+  for (const rule of bookRules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+};
+
+export const validateBookSearch = [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search must be at most 200 characters'),
+  
+  query('category')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Category ID must be valid'),
+  
+  query('decade')
+    .optional()
+    .isInt({ min: 0, max: 9990 })
+    .custom(value => parseInt(value) % 10 === 0)
+    .withMessage('Decade must be a year ending in 0, e.g. 1990'),
+  
+  query('year')
+    .optional()
+    .isInt({ min: 0, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  
+  query('available')
+    .optional()
+    .isBoolean()
+    .withMessage('available must be true or false'),
+  
+  // Up to MAX_SORT_KEYS keys, e.g. author,publication:asc
+  query('sort')
+    .optional()
+    .custom((sort) => {
+      const parts = String(sort).split(',').map(part => part.trim());
+      const keys = parseSort(sort).map(({ key }) => key);
+      return keys.length > 0 &&
+        keys.length <= MAX_SORT_KEYS &&
+        new Set(keys).size === keys.length &&
+        keys.every(key => Object.keys(SORT_KEYS).includes(key)) &&
+        parts.every(part => /^[a-z]+(?::(?:asc|desc))?$/.test(part));
+    })
+    .withMessage(`Sort must be up to ${MAX_SORT_KEYS} different keys from ${Object.keys(SORT_KEYS).join(', ')}, each optionally followed by :asc or :desc`),
+  
+  handleValidationErrors
+];
+
+export const validateCatalogImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+  
+  query('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Location must be between 1 and 50 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateMarcExport = [
+  query('ids')
+    .custom((ids) => {
+      const list = String(ids).split(',');
+      return list.length <= 500 && list.every(id => isValidObjectId(id.trim()));
+    })
+    .withMessage('ids must be up to 500 comma-separated book IDs'),
+  
+  query('format')
+    .optional()
+    .isIn(['marc', 'marcxml'])
+    .withMessage('Format must be marc or marcxml'),
+  
+  handleValidationErrors
+];
+
+// Item (physical copy) validation rules
+export const validateItem = [
+  body('bookId')
+    .custom(isValidObjectId)
+    .withMessage('Book ID must be valid'),
+  
+  body('barcode')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 50 })
+    .withMessage('Barcode must be between 4 and 50 characters'),
+  
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Condition must be new, good, fair, poor, or damaged'),
+  
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Location must be between 1 and 50 characters'),
+  
+  body('acquisitionDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid acquisition date'),
+  
+  body('homeBranchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Home branch ID must be valid'),
+  
   handleValidationErrors
 ];
 
@@ -195,17 +545,345 @@ export const validateCategory = [
 // Transaction validation rules
 export const validateTransaction = [
   body('userId')
+    .if(body('cardNumber').not().exists())
     .custom(isValidObjectId)
-    .withMessage('User ID must be valid'),
+    .withMessage('User ID or card number must be provided'),
+  
+  body('cardNumber')
+    .optional()
+    .trim()
+    .matches(CARD_NUMBER)
+    .withMessage('Card number must be 4-32 letters, digits or dashes'),
+  
+  body('itemId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Item ID must be valid'),
+  
+  body('itemBarcode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Item barcode must not be empty'),
   
   body('bookId')
+    .if(body('itemId').not().exists())
+    .if(body('itemBarcode').not().exists())
     .custom(isValidObjectId)
-    .withMessage('Book ID must be valid'),
+    .withMessage('Book ID, item ID or item barcode must be provided'),
   
   body('dueDate')
+    .optional()
     .isISO8601()
     .withMessage('Please provide a valid due date'),
   
+  body('branchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
+  handleValidationErrors
+];
+
+// Check-in of a scanned copy at a branch desk
+export const validateCheckin = [
+  body('itemBarcode')
+    .trim()
+    .notEmpty()
+    .withMessage('Item barcode is required'),
+  
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Invalid condition'),
+  
+  body('branchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
+  handleValidationErrors
+];
+
+// Check-in at a branch desk
+export const validateReturn = [
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Invalid condition'),
+  
+  body('branchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
+  handleValidationErrors
+];
+
+// Transfer of a copy to another branch
+export const validateTransfer = [
+  body('itemId')
+    .custom(isValidObjectId)
+    .withMessage('Item ID must be valid'),
+  
+  body('toBranchId')
+    .custom(isValidObjectId)
+    .withMessage('Destination branch ID must be valid'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Loan policy validation rules
+export const validateLoanPolicy = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Policy name must be between 2 and 100 characters'),
+  
+  body('patronRole')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .toLowerCase()
+    .notEmpty()
+    .withMessage('Patron role must be a role name'),
+  
+  body('patronGroup')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('Patron group must be a valid ID'),
+  
+  body('category')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('Category must be a valid ID'),
+  
+  body('loanPeriodDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Loan period must be at least 1 day'),
+  
+  body('holdPickupDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Hold pickup period must be at least 1 day'),
+  
+  body(['maxRenewals', 'maxOverdueDaysForRenewal', 'maxItems', 'maxReservations', 'graceDays'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Limits must be 0 or more'),
+  
+  body(['finePerDay', 'maxFine', 'processingFee'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Fine amounts must be 0 or greater'),
+  
+  handleValidationErrors
+];
+
+// Branch validation rules
+export const validateBranch = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Branch name must be between 2 and 100 characters'),
+  
+  body('code')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_-]{2,10}$/)
+    .withMessage("Branch code must be 2-10 letters, digits, '_' or '-'"),
+  
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+  
+  handleValidationErrors
+];
+
+// Patron group validation rules
+const patronGroupRules = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Patron group name must be between 2 and 100 characters'),
+    
+    field('code')
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z0-9_-]{2,20}$/)
+      .withMessage("Patron group code must be 2-20 letters, digits, '_' or '-'"),
+    
+    body('membershipMonths')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 120 })
+      .withMessage('Membership term must be between 1 and 120 months'),
+    
+    body('membershipFee')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Membership fee must be 0 or greater'),
+    
+    body('isDefault')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('isDefault must be true or false'),
+    
+    body('status')
+      .optional()
+      .isIn(['active', 'inactive'])
+      .withMessage('Status must be active or inactive'),
+    
+    handleValidationErrors
+  ];
+};
+
+export const validatePatronGroup = patronGroupRules(false);
+export const validatePatronGroupUpdate = patronGroupRules(true);
+
+// Calendar validation rules
+const DATE_KEY = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const validateCalendarQuery = [
+  query('branchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
+  query(['from', 'to'])
+    .optional()
+    .matches(DATE_KEY)
+    .withMessage('Dates must be given as YYYY-MM-DD'),
+  
+  query('type')
+    .optional()
+    .isIn(['holiday', 'closure'])
+    .withMessage('Type must be holiday or closure'),
+  
+  handleValidationErrors
+];
+
+export const validateOpeningHours = [
+  body('branchId')
+    .optional({ values: 'null' })
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
+  body('days')
+    .isArray({ max: 7 })
+    .withMessage('Days must be a list of at most 7 weekdays'),
+  
+  body('days.*.weekday')
+    .isInt({ min: 0, max: 6 })
+    .toInt()
+    .withMessage('Weekday must be 0 (Sunday) to 6 (Saturday)'),
+  
+  body(['days.*.opens', 'days.*.closes'])
+    .matches(TIME_OF_DAY)
+    .withMessage('Opening times must be given as HH:MM'),
+  
+  handleValidationErrors
+];
+
+const closureRules = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    body('branchId')
+      .optional({ values: 'null' })
+      .custom(isValidObjectId)
+      .withMessage('Branch ID must be valid'),
+    
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Closure name must be between 2 and 100 characters'),
+    
+    body('type')
+      .optional()
+      .isIn(['holiday', 'closure'])
+      .withMessage('Type must be holiday or closure'),
+    
+    field('startDate')
+      .matches(DATE_KEY)
+      .withMessage('Start date must be given as YYYY-MM-DD'),
+    
+    body('endDate')
+      .optional()
+      .matches(DATE_KEY)
+      .withMessage('End date must be given as YYYY-MM-DD'),
+    
+    body('recurring')
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage('Recurring must be true or false'),
+    
+    handleValidationErrors
+  ];
+};
+
+export const validateClosure = closureRules(false);
+export const validateClosureUpdate = closureRules(true);
+
+// Due date extension validation rules
+export const validateDueDateExtension = [
+  body('newDueDate')
+    .isISO8601()
+    .withMessage('Please provide a valid new due date'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must not exceed 200 characters'),
+  
+  handleValidationErrors
+];
+
+// Lost and damaged copies
+export const validateReplacementCharge = [
+  body('replacementCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Replacement cost must be 0 or greater'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateFoundItem = [
+  body('condition')
+    .optional()
+    .isIn(['new', 'good', 'fair', 'poor', 'damaged'])
+    .withMessage('Invalid condition'),
+  
+  body('branchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
   handleValidationErrors
 ];
 
@@ -216,13 +894,84 @@ export const validateFine = [
     .withMessage('Fine amount must be 0 or greater'),
   
   body('reason')
-    .isIn(['overdue', 'damage', 'lost', 'other'])
-    .withMessage('Reason must be overdue, damage, lost, or other'),
+    .isIn(['overdue', 'damage', 'lost', 'processing', 'other'])
+    .withMessage('Reason must be overdue, damage, lost, processing, or other'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn(['cash', 'card', 'online', 'check', 'credit'])
+    .withMessage('Payment method must be cash, card, online, check, or credit'),
+  
+  handleValidationErrors
+];
+
+// Payments and refunds
+export const validateFinePayment = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Payment amount must be greater than zero'),
   
   body('paymentMethod')
+    .isIn(['cash', 'card', 'online', 'check', 'credit'])
+    .withMessage('Payment method must be cash, card, online, check, or credit'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validatePayment = [
+  body('userId')
+    .custom(isValidObjectId)
+    .withMessage('User ID must be valid'),
+  
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Payment amount must be greater than zero'),
+  
+  body('method')
+    .isIn(['cash', 'card', 'online', 'check', 'credit'])
+    .withMessage('Payment method must be cash, card, online, check, or credit'),
+  
+  body('fineIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Fine IDs must be a non-empty array'),
+  
+  body('fineIds.*')
+    .custom(isValidObjectId)
+    .withMessage('Fine IDs must be valid'),
+  
+  body('notes')
     .optional()
-    .isIn(['cash', 'card', 'online', 'check'])
-    .withMessage('Payment method must be cash, card, online, or check'),
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+export const validateRefund = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be greater than zero'),
+  
+  body('method')
+    .optional()
+    .isIn(['cash', 'card', 'online', 'check', 'credit'])
+    .withMessage('Refund method must be cash, card, online, check, or credit'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
   
   handleValidationErrors
 ];
@@ -237,6 +986,37 @@ export const validateReservation = [
     .isISO8601()
     .withMessage('Please provide a valid expiry date'),
   
+  body('pickupBranchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Pickup branch ID must be valid'),
+  
+  handleValidationErrors
+];
+
+// Reservation fulfillment validation rules (optional copy and due date for the loan)
+export const validateReservationFulfillment = [
+  body('itemId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Item ID must be valid'),
+  
+  body('itemBarcode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Item barcode must not be empty'),
+  
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid due date'),
+  
+  body('branchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
   handleValidationErrors
 ];
 
@@ -263,3 +1043,38 @@ export const validatePagination = [
   
   handleValidationErrors
 ];
+
+// Query validation for audit trail filters
+export const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('actor must be a valid user ID'),
+  
+  query('operation')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Operation must be create, update or delete'),
+  
+  query('source')
+    .optional()
+    .isIn(['api', 'job', 'system'])
+    .withMessage('Source must be api, job or system'),
+  
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  
+  handleValidationErrors
+];
+
+// Query validation for statistics, optionally scoped to one branch
+export const validateStatisticsQuery = [
+  query('branchId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Branch ID must be valid'),
+  
+  handleValidationErrors
+];
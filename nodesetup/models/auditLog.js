@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+
+// Schema for AuditLog (one recorded change to a library record) for library management system
+// Attributes:
+// - seq - Number (position in the hash chain, starting at 1, no gaps)
+// - operation - Enum (create, update, delete)
+// - action - string (optional - route action such as FINE_WAIVE, or the job name)
+// - entityType - string (e.g. book, user, fine)
+// - entityId - string (ID of the changed record)
+// - actor - Object { userId, username, role } (empty for jobs and scripts)
+// - source - Enum (api, job, system)
+// - requestId, ip, userAgent, method, url - string (request details, api only)
+// - changes - Array of { path, before, after } (secrets show as "[redacted]")
+// - createdAt - TimeStamp
+// - prevHash - string (hash of the previous entry)
+// - hash - string (SHA-256 over prevHash and this entry)
+// Entries are never updated or removed; editing one breaks the chain.
+
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  operation: {
+    type: String,
+    enum: ["create", "update", "delete"],
+    required: true,
+  },
+  action: {
+    type: String,
+  },
+  entityType: {
+    type: String,
+    required: true,
+  },
+  entityId: {
+    type: String,
+    required: true,
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    username: {
+      type: String,
+    },
+    role: {
+      type: String,
+    },
+  },
+  source: {
+    type: String,
+    enum: ["api", "job", "system"],
+    default: "system",
+  },
+  requestId: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  method: {
+    type: String,
+  },
+  url: {
+    type: String,
+  },
+  changes: [
+    {
+      _id: false,
+      path: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  prevHash: {
+    type: String,
+    required: true,
+  },
+  hash: {
+    type: String,
+    required: true,
+  },
+});
+
+// Indexes for efficient searching
+auditLogSchema.index({ seq: 1 }, { unique: true });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
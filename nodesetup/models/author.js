@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
 
 // Schema for Author for library management system
 // Attributes:
@@ -43,6 +44,9 @@ const authorSchema = new mongoose.Schema({
 // Index for efficient searching
 authorSchema.index({ name: 1 });
 
+// Record every change in the audit trail
+authorSchema.plugin(auditTrail, { entityType: "author" });
+
 const Author = mongoose.model("Author", authorSchema);
 
 export default Author;
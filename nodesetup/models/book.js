@@ -1,20 +1,27 @@
 import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+import { normalizeIsbn, toIsbn13 } from "../utils/isbn.js";
 
 // Schema for Book for library management system
 // Attributes:
-// - isbn - string (unique)
+// - isbn - string (unique, stored as ISBN-13 without hyphens when valid)
 // - title - string
 // - authors - Array of ObjectId (references to Author)
 // - publisher - string
 // - publicationDate - Date
 // - categories - Array of ObjectId (references to Category)
-// - totalCopies - Number
-// - availableCopies - Number
-// - location - string (shelf information)
+// - totalCopies - Number (derived from Item copies)
+// - availableCopies - Number (derived from Item copies)
+// - location - string (default shelf information for new copies)
 // - description - string (optional)
 // - language - string
 // - pages - Number (optional)
+// - replacementCost - Number (optional - charged when a copy is lost or damaged)
 // - status - Enum (available, unavailable, maintenance)
+// - authorNames - Array of string (copied from the authors for text search)
+// - categoryNames - Array of string (copied from the categories for text search)
+// - authorSortName - string (the first author's name in lower case, for sorting)
+// - loanCount - Number (times the book has been borrowed, for sorting by popularity)
 // - createdAt - TimeStamp
 // - updatedAt - TimeStamp
 
@@ -24,6 +31,8 @@ const bookSchema = new mongoose.Schema({
     required: true,
     unique: true,
     trim: true,
+    // Also applied to query filters, so lookups accept ISBN-10 or hyphens
+    set: normalizeIsbn,
   },
   title: {
     type: String,
@@ -52,11 +61,13 @@ const bookSchema = new mongoose.Schema({
   totalCopies: {
     type: Number,
     required: true,
+    default: 0,
     min: 0,
   },
   availableCopies: {
     type: Number,
     required: true,
+    default: 0,
     min: 0,
   },
   location: {
@@ -78,11 +89,29 @@ const bookSchema = new mongoose.Schema({
     type: Number,
     min: 1,
   },
+  replacementCost: {
+    type: Number,
+    min: 0,
+  },
   status: {
     type: String,
     enum: ["available", "unavailable", "maintenance"],
     default: "available",
   },
+  authorNames: [{
+    type: String,
+  }],
+  categoryNames: [{
+    type: String,
+  }],
+  authorSortName: {
+    type: String,
+  },
+  loanCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -102,12 +131,145 @@ bookSchema.pre('save', function(next) {
   }
 });
 
+// Books without an author sort after every name
+const NO_AUTHOR_SORT_NAME = "\uffff";
+
+const authorSortName = (authors) => authors[0] ? authors[0].name.toLowerCase() : NO_AUTHOR_SORT_NAME;
+
+// Keep the author and category names used by text search and sorting in step
+// with the book's authors and categories
+bookSchema.pre('save', async function () {
+  if (this.isNew || this.isModified('authors')) {
+    const authors = await mongoose.model("Author").find({ _id: { $in: this.authors } }).select("name");
+    // $in returns the authors in any order; the first listed is the primary one
+    const primary = authors.find(author => author._id.equals(this.authors[0]));
+    this.authorNames = authors.map(author => author.name);
+    this.authorSortName = authorSortName(primary ? [primary] : []);
+  }
+  if (this.isNew || this.isModified('categories')) {
+    const categories = await mongoose.model("Category").find({ _id: { $in: this.categories } }).select("name");
+    this.categoryNames = categories.map(category => category.name);
+  }
+});
+
+// Recopy author and category names into the matching books, e.g. after an
+// author is renamed. The copies are derived data and are not audited.
+bookSchema.statics.refreshSearchNames = async function (filter = {}) {
+  const books = await this.find(filter)
+    .select("authors categories")
+    .populate("authors", "name")
+    .populate("categories", "name");
+
+  if (books.length > 0) {
+    await this.collection.bulkWrite(books.map(book => ({
+      updateOne: {
+        filter: { _id: book._id },
+        update: {
+          $set: {
+            authorNames: book.authors.map(author => author.name),
+            authorSortName: authorSortName(book.authors),
+            categoryNames: book.categories.map(category => category.name)
+          }
+        }
+      }
+    })));
+  }
+
+  return books.length;
+};
+
+// Recount the loans of the matching books, e.g. for books borrowed before
+// the count was kept. New loans add to it as they are issued.
+bookSchema.statics.refreshLoanCounts = async function (filter = {}) {
+  const books = await this.find(filter).select("_id").lean();
+  if (books.length === 0) {
+    return 0;
+  }
+
+  const counts = await mongoose.model("Transaction").aggregate([
+    { $match: { bookId: { $in: books.map(book => book._id) } } },
+    { $group: { _id: "$bookId", loans: { $sum: 1 } } }
+  ]);
+  const loans = new Map(counts.map(count => [count._id.toString(), count.loans]));
+
+  await this.collection.bulkWrite(books.map(book => ({
+    updateOne: {
+      filter: { _id: book._id },
+      update: { $set: { loanCount: loans.get(book._id.toString()) || 0 } }
+    }
+  })));
+
+  return books.length;
+};
+
+// Books whose ISBNs are the same once normalized (e.g. an ISBN-10 and its
+// ISBN-13), ISBNs that fail their checksum, and single books still stored in
+// another form. Catalogued before normalization; duplicates must be merged by
+// hand before their ISBNs can be normalized.
+bookSchema.statics.findIsbnDuplicates = async function () {
+  const books = await this.find()
+    .select("isbn title publisher totalCopies createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const groups = new Map();
+  const invalid = [];
+  for (const book of books) {
+    const isbn = toIsbn13(book.isbn);
+    if (!isbn) {
+      invalid.push(book);
+      continue;
+    }
+    if (!groups.has(isbn)) groups.set(isbn, []);
+    groups.get(isbn).push(book);
+  }
+
+  const duplicates = [];
+  const unnormalized = [];
+  for (const [isbn, group] of groups) {
+    if (group.length > 1) {
+      duplicates.push({ isbn, books: group });
+    } else if (group[0].isbn !== isbn) {
+      unnormalized.push({ ...group[0], normalizedIsbn: isbn });
+    }
+  }
+
+  return { duplicates, invalid, unnormalized };
+};
+
 // Indexes for efficient searching
 bookSchema.index({ isbn: 1 });
 bookSchema.index({ title: 1 });
 bookSchema.index({ authors: 1 });
 bookSchema.index({ categories: 1 });
 bookSchema.index({ status: 1 });
+bookSchema.index({ language: 1 });
+bookSchema.index({ publicationDate: 1 });
+bookSchema.index({ authorSortName: 1 });
+bookSchema.index({ loanCount: -1 });
+
+// Full-text search, title matches ranking highest. Books have their own
+// `language` field (e.g. "English"), which MongoDB would otherwise read as the
+// language of each document's text, so a field that does not exist is named
+// as the override and every book is stemmed as English.
+bookSchema.index(
+  {
+    title: "text",
+    authorNames: "text",
+    categoryNames: "text",
+    publisher: "text",
+    description: "text",
+  },
+  {
+    name: "book_text_search",
+    weights: { title: 10, authorNames: 5, categoryNames: 3, publisher: 2, description: 1 },
+    default_language: "english",
+    language_override: "textLanguage",
+  }
+);
+
+// Record every change in the audit trail
+bookSchema.plugin(auditTrail, { entityType: "book" });
 
 const Book = mongoose.model("Book", bookSchema);
 
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for Branch (a library location) for library management system
+// Attributes:
+// - name - string (unique)
+// - code - string (unique, uppercase short code, e.g. MAIN)
+// - address - string (optional)
+// - phone - string (optional)
+// - email - string (optional)
+// - status - Enum (active, inactive)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{2,10}$/, "Branch code must be 2-10 letters, digits, '_' or '-'"],
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  status: {
+    type: String,
+    enum: ["active", "inactive"],
+    default: "active",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+branchSchema.index({ status: 1 });
+
+// Record every change in the audit trail
+branchSchema.plugin(auditTrail, { entityType: "branch" });
+
+const Branch = mongoose.model("Branch", branchSchema);
+
+export default Branch;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
 
 // Schema for Category/Genre for library management system
 // Attributes:
@@ -43,6 +44,9 @@ const categorySchema = new mongoose.Schema({
 categorySchema.index({ name: 1 });
 categorySchema.index({ status: 1 });
 
+// Record every change in the audit trail
+categorySchema.plugin(auditTrail, { entityType: "category" });
+
 const Category = mongoose.model("Category", categorySchema);
 
 export default Category;
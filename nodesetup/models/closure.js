@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for Closure (days a branch, or the whole library, is closed) for library management system
+// Attributes:
+// - branchId - ObjectId (reference to Branch, null when every branch is closed)
+// - name - string (e.g. Christmas Day, Staff training)
+// - type - Enum (holiday, closure)
+// - startDate - string (YYYY-MM-DD, first closed day)
+// - endDate - string (YYYY-MM-DD, last closed day)
+// - recurring - Boolean (closed on the same dates every year)
+// - createdBy - ObjectId (reference to User, optional)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const closureSchema = new mongoose.Schema({
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ["holiday", "closure"],
+    default: "closure",
+  },
+  startDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, "Start date must be YYYY-MM-DD"],
+  },
+  endDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, "End date must be YYYY-MM-DD"],
+  },
+  recurring: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Validation to ensure the closure does not end before it starts
+closureSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before the start date');
+  }
+  next();
+});
+
+// Indexes for efficient searching
+closureSchema.index({ branchId: 1, startDate: 1 });
+closureSchema.index({ recurring: 1 });
+
+// Record every change in the audit trail
+closureSchema.plugin(auditTrail, { entityType: "closure" });
+
+const Closure = mongoose.model("Closure", closureSchema);
+
+export default Closure;
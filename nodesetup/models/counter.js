@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Schema for Counter for library management system
+// Named sequences for human-readable numbers such as receipt numbers.
+// Attributes:
+// - _id - string (sequence name, e.g. receipt-2026)
+// - seq - Number (last number handed out)
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Hand out the next number of the sequence `name`, starting at 1. Runs in the
+// caller's transaction so an aborted write does not burn a number.
+counterSchema.statics.next = async function (name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
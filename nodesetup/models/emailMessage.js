@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+// Schema for EmailMessage (outbox entry) for library management system
+// Messages are queued by sendEmail() and delivered by the deliverEmails job.
+// Attributes:
+// - to - string (recipient address)
+// - template - string (name of a template in utils/emailService.js)
+// - data - Mixed (template data, stored as plain JSON)
+// - subject - string (rendered on delivery)
+// - sensitive - Boolean (data holds a secret such as a reset link; cleared once delivered or failed)
+// - status - Enum (pending, sending, sent, failed)
+// - attempts - Number (delivery attempts so far)
+// - maxAttempts - Number
+// - nextAttemptAt - Date (earliest time of the next delivery attempt)
+// - lastError - string (optional)
+// - transport - string (transport that delivered the message, optional)
+// - providerMessageId - string (message ID from the transport, optional)
+// - sentAt - Date (optional)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  template: {
+    type: String,
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  subject: {
+    type: String,
+  },
+  sensitive: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastError: {
+    type: String,
+  },
+  transport: {
+    type: String,
+  },
+  providerMessageId: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1 });
+emailMessageSchema.index({ template: 1 });
+emailMessageSchema.index({ createdAt: -1 });
+
+const EmailMessage = mongoose.model("EmailMessage", emailMessageSchema);
+
+export default EmailMessage;
@@ -1,14 +1,25 @@
 import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
 
 // Schema for Fine for library management system
 // Attributes:
 // - userId - ObjectId (reference to User)
-// - transactionId - ObjectId (reference to Transaction)
+// - transactionId - ObjectId (reference to Transaction; not set on membership fees)
+// - branchId - ObjectId (reference to Branch - where the loan was issued, optional)
 // - amount - Number
-// - reason - string (overdue, damage, lost, etc.)
-// - paymentStatus - Enum (pending, paid, waived)
-// - paymentDate - Date (optional)
-// - paymentMethod - string (optional)
+// - amountPaid - Number (sum of ledger payments towards this fine; unset on
+//   fines paid before the payment ledger, which were paid in full)
+// - reason - string (overdue, damage, lost, processing, membership, other)
+//   lost/damage - replacement cost of the copy; processing - handling fee on top;
+//   membership - the patron group's fee for renewing a membership
+// - paymentStatus - Enum (pending, paid, waived, refunded)
+//   a fine stays pending until it is paid in full; lost charges are waived
+//   (if unpaid) or refunded to account credit (if paid) when the copy is found
+// - paymentDate - Date (optional - when the fine was paid in full)
+// - waivedAmount - Number (optional - unpaid balance written off by a waiver)
+// - waivedDate - Date (optional)
+// - refundDate - Date (optional)
+// - paymentMethod - string (optional - method of the payment that settled the fine)
 // - processedBy - ObjectId (reference to User - librarian/admin, optional)
 // - notes - string (optional)
 // - createdAt - TimeStamp
@@ -23,29 +34,49 @@ const fineSchema = new mongoose.Schema({
   transactionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Transaction",
-    required: true,
+    required: function () {
+      return this.reason !== "membership";
+    },
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
   },
   amount: {
     type: Number,
     required: true,
     min: 0,
   },
+  amountPaid: {
+    type: Number,
+    min: 0,
+  },
   reason: {
     type: String,
     required: true,
-    enum: ["overdue", "damage", "lost", "other"],
+    enum: ["overdue", "damage", "lost", "processing", "membership", "other"],
   },
   paymentStatus: {
     type: String,
-    enum: ["pending", "paid", "waived"],
+    enum: ["pending", "paid", "waived", "refunded"],
     default: "pending",
   },
   paymentDate: {
     type: Date,
   },
+  waivedAmount: {
+    type: Number,
+    min: 0,
+  },
+  waivedDate: {
+    type: Date,
+  },
+  refundDate: {
+    type: Date,
+  },
   paymentMethod: {
     type: String,
-    enum: ["cash", "card", "online", "check"],
+    enum: ["cash", "card", "online", "check", "credit"],
   },
   processedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -78,6 +109,15 @@ fineSchema.index({ userId: 1 });
 fineSchema.index({ transactionId: 1 });
 fineSchema.index({ paymentStatus: 1 });
 fineSchema.index({ createdAt: 1 });
+fineSchema.index({ branchId: 1, createdAt: 1 });
+// A loan has one overdue fine, raised day by day while the book is out
+fineSchema.index(
+  { transactionId: 1, reason: 1 },
+  { unique: true, partialFilterExpression: { reason: "overdue" } }
+);
+
+// Record every change in the audit trail
+fineSchema.plugin(auditTrail, { entityType: "fine" });
 
 const Fine = mongoose.model("Fine", fineSchema);
 
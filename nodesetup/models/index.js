@@ -5,18 +5,56 @@ import User from "./user.js";
 import Author from "./author.js";
 import Category from "./category.js";
 import Book from "./book.js";
+import Item from "./item.js";
 import Transaction from "./transaction.js";
 import Fine from "./fine.js";
 import Reservation from "./reservation.js";
+import LoanPolicy from "./loanPolicy.js";
+import JobRun from "./jobRun.js";
+import JobLock from "./jobLock.js";
+import EmailMessage from "./emailMessage.js";
+import UserToken from "./userToken.js";
+import Session from "./session.js";
+import LoginEvent from "./loginEvent.js";
+import Setting from "./setting.js";
+import Role from "./role.js";
+import AuditLog from "./auditLog.js";
+import Payment from "./payment.js";
+import Counter from "./counter.js";
+import Branch from "./branch.js";
+import OpeningHours from "./openingHours.js";
+import Closure from "./closure.js";
+import Transfer from "./transfer.js";
+import PatronGroup from "./patronGroup.js";
+import LibraryCard from "./libraryCard.js";
 
 export {
   User,
   Author,
   Category,
   Book,
+  Item,
   Transaction,
   Fine,
   Reservation,
+  LoanPolicy,
+  JobRun,
+  JobLock,
+  EmailMessage,
+  UserToken,
+  Session,
+  LoginEvent,
+  Setting,
+  Role,
+  AuditLog,
+  Payment,
+  Counter,
+  Branch,
+  OpeningHours,
+  Closure,
+  Transfer,
+  PatronGroup,
+  LibraryCard,
 };
 
 // Default export for convenience
@@ -25,7 +63,26 @@ export default {
   Author,
   Category,
   Book,
+  Item,
   Transaction,
   Fine,
   Reservation,
+  LoanPolicy,
+  JobRun,
+  JobLock,
+  EmailMessage,
+  UserToken,
+  Session,
+  LoginEvent,
+  Setting,
+  Role,
+  AuditLog,
+  Payment,
+  Counter,
+  Branch,
+  OpeningHours,
+  Closure,
+  Transfer,
+  PatronGroup,
+  LibraryCard,
 };
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for Item (a physical copy of a Book) for library management system
+// Attributes:
+// - bookId - ObjectId (reference to Book)
+// - barcode - string (unique)
+// - condition - Enum (new, good, fair, poor, damaged)
+// - location - string (shelf information for this copy)
+// - homeBranchId - ObjectId (reference to Branch - the branch the copy belongs to, optional)
+// - currentBranchId - ObjectId (reference to Branch - where the copy is now, optional)
+// - acquisitionDate - Date
+// - status - Enum (available, checked_out, on_hold, in_transit, maintenance, lost, withdrawn)
+//   on_hold - set aside for a reservation awaiting pickup
+//   in_transit - on its way to another branch (see Transfer)
+// - notes - string (optional)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+// Statuses that no longer count towards a book's totalCopies
+export const INACTIVE_ITEM_STATUSES = ["lost", "withdrawn"];
+
+const itemSchema = new mongoose.Schema({
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Book",
+    required: true,
+  },
+  barcode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  condition: {
+    type: String,
+    enum: ["new", "good", "fair", "poor", "damaged"],
+    default: "good",
+  },
+  location: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  homeBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  currentBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  acquisitionDate: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  status: {
+    type: String,
+    enum: ["available", "checked_out", "on_hold", "in_transit", "maintenance", "lost", "withdrawn"],
+    default: "available",
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Generate a barcode for a new copy, e.g. "LIB-LZ3K9Q2A-7F1C"
+itemSchema.statics.generateBarcode = function () {
+  const stamp = Date.now().toString(36).toUpperCase();
+  const random = Math.floor(Math.random() * 0x10000).toString(16).toUpperCase().padStart(4, "0");
+  return `LIB-${stamp}-${random}`;
+};
+
+// Recompute the totalCopies/availableCopies counters on a Book from its copies.
+// Pass the session when called inside a multi-document transaction.
+itemSchema.statics.syncBookCounts = async function (bookId, session = null) {
+  const Book = mongoose.model("Book");
+
+  const totalCopies = await this.countDocuments(
+    { bookId, status: { $nin: INACTIVE_ITEM_STATUSES } }
+  ).session(session);
+  const availableCopies = await this.countDocuments(
+    { bookId, status: "available" }
+  ).session(session);
+
+  await Book.updateOne(
+    { _id: bookId },
+    { totalCopies, availableCopies, updatedAt: new Date() },
+    { session }
+  );
+
+  return { totalCopies, availableCopies };
+};
+
+// Indexes for efficient searching
+itemSchema.index({ bookId: 1, status: 1 });
+itemSchema.index({ status: 1 });
+itemSchema.index({ homeBranchId: 1, status: 1 });
+itemSchema.index({ currentBranchId: 1, status: 1 });
+
+// Record every change in the audit trail
+itemSchema.plugin(auditTrail, { entityType: "item" });
+
+const Item = mongoose.model("Item", itemSchema);
+
+export default Item;
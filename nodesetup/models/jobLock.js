@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Schema for JobLock for library management system
+// One document per background job. An API instance may only run a job while
+// it holds the lock, so several instances can share the same database without
+// running a job twice. Locks expire so a crashed instance cannot block a job.
+// Attributes:
+// - _id - string (job name)
+// - lockedBy - string (owner token of the run holding the lock)
+// - lockedAt - Date
+// - lockedUntil - Date
+
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  lockedBy: {
+    type: String,
+  },
+  lockedAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Take the lock for `name` if it is free or expired. Returns true when acquired.
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { lockedBy: owner, lockedAt: now, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return lock?.lockedBy === owner;
+  } catch (error) {
+    // The lock exists and is held: the upsert tried to insert a duplicate _id
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Release the lock, but only if `owner` still holds it
+jobLockSchema.statics.release = function (name, owner) {
+  return this.updateOne(
+    { _id: name, lockedBy: owner },
+    { lockedUntil: new Date() }
+  );
+};
+
+const JobLock = mongoose.model("JobLock", jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// Schema for JobRun (one execution of a background job) for library management system
+// Attributes:
+// - name - string (job name, e.g. markOverdueLoans)
+// - status - Enum (running, succeeded, failed)
+// - trigger - Enum (schedule, manual)
+// - triggeredBy - ObjectId (reference to User - admin, manual runs only)
+// - instance - string (host:pid of the API instance that ran the job)
+// - startedAt - Date
+// - finishedAt - Date (optional)
+// - durationMs - Number (optional)
+// - result - Mixed (job summary, e.g. { marked: 3 })
+// - error - string (optional)
+// Runs are kept for 90 days.
+
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ["running", "succeeded", "failed"],
+    default: "running",
+  },
+  trigger: {
+    type: String,
+    enum: ["schedule", "manual"],
+    default: "schedule",
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  instance: {
+    type: String,
+    required: true,
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+    min: 0,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+});
+
+// Indexes for efficient searching
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 });
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+
+export default JobRun;
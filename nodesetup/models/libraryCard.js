@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for LibraryCard for library management system
+// Every card number ever issued is kept, so a blocked number is never
+// accepted again or handed to another patron.
+// Attributes:
+// - number - string (unique, the barcode printed on the card)
+// - userId - ObjectId (reference to User)
+// - status - Enum (active, blocked)
+// - blockReason - Enum (lost, stolen, damaged, replaced, other - optional, set when blocked)
+// - issuedBy - ObjectId (reference to User, optional - unset for cards issued on registration)
+// - issuedAt - Date
+// - blockedBy - ObjectId (reference to User, optional)
+// - blockedAt - Date (optional)
+// - notes - string (optional)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+export const CARD_BLOCK_REASONS = ["lost", "stolen", "damaged", "replaced", "other"];
+
+const libraryCardSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["active", "blocked"],
+    default: "active",
+  },
+  blockReason: {
+    type: String,
+    enum: CARD_BLOCK_REASONS,
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  blockedAt: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+libraryCardSchema.index({ userId: 1, status: 1 });
+// A patron has at most one card that works
+libraryCardSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+// Record every change in the audit trail
+libraryCardSchema.plugin(auditTrail, { entityType: "libraryCard" });
+
+const LibraryCard = mongoose.model("LibraryCard", libraryCardSchema);
+
+export default LibraryCard;
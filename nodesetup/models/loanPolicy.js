@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for LoanPolicy for library management system
+// A policy applies to any combination of a patron role, a patron group and a
+// book category, or to none of them (the library-wide default). The most
+// specific active policy wins.
+// Attributes:
+// - name - string (unique)
+// - description - string (optional)
+// - patronRole - string (role name, optional - any role when empty)
+// - patronGroup - ObjectId (reference to PatronGroup, optional - any group when empty)
+// - category - ObjectId (reference to Category, optional - any category when empty)
+// - loanPeriodDays - Number
+// - maxRenewals - Number
+// - maxOverdueDaysForRenewal - Number (how far past due a loan may still be renewed)
+// - maxItems - Number (concurrent loans; per category when category is set)
+// - maxReservations - Number
+// - holdPickupDays - Number (days a patron has to collect a held copy)
+// - finePerDay - Number
+// - graceDays - Number (overdue days that are not charged)
+// - maxFine - Number (optional - cap per item, no cap when empty)
+// - processingFee - Number (added to the replacement cost of a lost or damaged copy)
+// - status - Enum (active, inactive)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+const loanPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  patronRole: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  patronGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PatronGroup",
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+  },
+  loanPeriodDays: {
+    type: Number,
+    required: true,
+    default: 14,
+    min: 1,
+  },
+  maxRenewals: {
+    type: Number,
+    required: true,
+    default: 2,
+    min: 0,
+  },
+  maxOverdueDaysForRenewal: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxItems: {
+    type: Number,
+    required: true,
+    default: 5,
+    min: 0,
+  },
+  maxReservations: {
+    type: Number,
+    required: true,
+    default: 3,
+    min: 0,
+  },
+  holdPickupDays: {
+    type: Number,
+    required: true,
+    default: 3,
+    min: 1,
+  },
+  finePerDay: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: 0,
+  },
+  graceDays: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxFine: {
+    type: Number,
+    min: 0,
+  },
+  processingFee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  status: {
+    type: String,
+    enum: ["active", "inactive"],
+    default: "active",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Only one policy per role/group/category combination
+loanPolicySchema.index({ patronRole: 1, patronGroup: 1, category: 1 }, { unique: true });
+loanPolicySchema.index({ status: 1 });
+
+// Record every change in the audit trail
+loanPolicySchema.plugin(auditTrail, { entityType: "loanPolicy" });
+
+const LoanPolicy = mongoose.model("LoanPolicy", loanPolicySchema);
+
+export default LoanPolicy;
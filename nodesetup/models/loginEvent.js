@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Schema for LoginEvent (one login attempt) for library management system
+// Attributes:
+// - userId - ObjectId (reference to User, optional - unknown usernames have none)
+// - username - string (as entered)
+// - success - Boolean
+// - reason - Enum (success, user_not_found, invalid_password, invalid_two_factor, account_inactive, account_locked)
+// - ip - string
+// - userAgent - string (optional)
+// - newDevice - Boolean (successful login from a user agent not seen for this user before)
+// - lockedAccount - Boolean (this failed attempt locked the account)
+// - createdAt - TimeStamp
+// Events are kept for 180 days.
+
+const loginEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  username: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ["success", "user_not_found", "invalid_password", "invalid_two_factor", "account_inactive", "account_locked"],
+    required: true,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+  },
+  newDevice: {
+    type: Boolean,
+    default: false,
+  },
+  lockedAccount: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, success: 1, userAgent: 1 });
+loginEventSchema.index({ success: 1, createdAt: -1 });
+loginEventSchema.index({ ip: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 180 });
+
+const LoginEvent = mongoose.model("LoginEvent", loginEventSchema);
+
+export default LoginEvent;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for OpeningHours (weekly schedule) for library management system
+// One document per branch, plus one library-wide default (branchId null)
+// used by branches without their own schedule. Weekdays without an entry
+// are closed.
+// Attributes:
+// - branchId - ObjectId (reference to Branch, null for the library-wide default)
+// - days - Array of { weekday (0 = Sunday ... 6 = Saturday), opens, closes } ("HH:MM")
+// - updatedBy - ObjectId (reference to User - admin who last changed it, optional)
+// - updatedAt - TimeStamp
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const openingHoursSchema = new mongoose.Schema({
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    default: null,
+  },
+  days: [
+    {
+      _id: false,
+      weekday: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6,
+      },
+      opens: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, "Opening time must be HH:MM"],
+      },
+      closes: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, "Closing time must be HH:MM"],
+      },
+    },
+  ],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+openingHoursSchema.index({ branchId: 1 }, { unique: true });
+
+// Record every change in the audit trail
+openingHoursSchema.plugin(auditTrail, { entityType: "openingHours" });
+
+const OpeningHours = mongoose.model("OpeningHours", openingHoursSchema);
+
+export default OpeningHours;
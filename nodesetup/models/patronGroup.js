@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for PatronGroup (a kind of patron, e.g. students, faculty, seniors)
+// for library management system. Loan rules and fine rates for a group are
+// set through loan policies with its patronGroup.
+// Attributes:
+// - name - string (unique)
+// - code - string (unique, uppercase short code, e.g. STUDENT)
+// - description - string (optional)
+// - membershipMonths - Number (length of a membership term, optional - memberships never expire when empty)
+// - membershipFee - Number (charged to the patron each time a membership is renewed)
+// - isDefault - Boolean (new patrons join this group on registration; at most one)
+// - status - Enum (active, inactive)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+const patronGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{2,20}$/, "Patron group code must be 2-20 letters, digits, '_' or '-'"],
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  membershipMonths: {
+    type: Number,
+    min: 1,
+  },
+  membershipFee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ["active", "inactive"],
+    default: "active",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+patronGroupSchema.index({ status: 1 });
+patronGroupSchema.index({ isDefault: 1 });
+
+// Record every change in the audit trail
+patronGroupSchema.plugin(auditTrail, { entityType: "patronGroup" });
+
+const PatronGroup = mongoose.model("PatronGroup", patronGroupSchema);
+
+export default PatronGroup;
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for Payment (one entry in the fines payment ledger) for library management system
+// Attributes:
+// - receiptNumber - string (unique, e.g. R2026-000042)
+// - userId - ObjectId (reference to User - the patron)
+// - type - Enum (payment, refund)
+// - method - Enum (cash, card, online, check, credit)
+//   credit - paid from, or refunded to, the patron's account credit
+// - amount - Number (money received or given back, always positive)
+// - allocations - Array of { fineId, amount } (how much went to, or came off, each fine)
+// - creditDelta - Number (change to the patron's account credit: overpayments
+//   add to it, paying or refunding from it takes away)
+// - refundOf - ObjectId (reference to Payment - the payment a refund reverses, optional)
+// - refundedAmount - Number (payments only - how much has been refunded so far)
+// - processedBy - ObjectId (reference to User - librarian/admin, optional)
+// - notes - string (optional)
+// - createdAt - TimeStamp
+// Entries are never edited; a refund is a new entry.
+
+const paymentSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["payment", "refund"],
+    required: true,
+  },
+  method: {
+    type: String,
+    enum: ["cash", "card", "online", "check", "credit"],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  allocations: [
+    {
+      _id: false,
+      fineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Fine",
+        required: true,
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+    },
+  ],
+  creditDelta: {
+    type: Number,
+    default: 0,
+  },
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+paymentSchema.index({ receiptNumber: 1 }, { unique: true });
+paymentSchema.index({ userId: 1, createdAt: 1 });
+paymentSchema.index({ "allocations.fineId": 1 });
+paymentSchema.index({ refundOf: 1 });
+paymentSchema.index({ createdAt: -1 });
+
+// Record every change in the audit trail
+paymentSchema.plugin(auditTrail, { entityType: "payment" });
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+export default Payment;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
 
 // Schema for Reservation for library management system
 // Attributes:
@@ -6,15 +7,24 @@ import mongoose from "mongoose";
 // - bookId - ObjectId (reference to Book)
 // - reservationDate - Date
 // - expiryDate - Date
-// - status - Enum (active, fulfilled, expired, cancelled)
+// - status - Enum (active, in_transit, ready, fulfilled, expired, cancelled)
+//   in_transit - a copy has been set aside and is on its way to the pickup branch
+//   ready - a returned copy is being held for pickup
 // - priority - Number (for queue management)
 // - notificationSent - Boolean
+// - pickupBranchId - ObjectId (reference to Branch - where the patron collects the copy, optional)
+// - itemId - ObjectId (reference to Item - the copy held for pickup, optional)
+// - readyDate - Date (when the copy was set aside, optional)
+// - pickupDeadline - Date (hold rolls over to the next patron after this, optional)
 // - fulfilledBy - ObjectId (reference to User - librarian/admin, optional)
 // - fulfilledDate - Date (optional)
 // - notes - string (optional)
 // - createdAt - TimeStamp
 // - updatedAt - TimeStamp
 
+// Reservations still waiting to be collected
+export const OPEN_RESERVATION_STATUSES = ["active", "in_transit", "ready"];
+
 const reservationSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -37,7 +47,7 @@ const reservationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["active", "fulfilled", "expired", "cancelled"],
+    enum: ["active", "in_transit", "ready", "fulfilled", "expired", "cancelled"],
     default: "active",
   },
   priority: {
@@ -49,6 +59,20 @@ const reservationSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  pickupBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+  },
+  readyDate: {
+    type: Date,
+  },
+  pickupDeadline: {
+    type: Date,
+  },
   fulfilledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
@@ -91,6 +115,11 @@ reservationSchema.index({ bookId: 1 });
 reservationSchema.index({ status: 1 });
 reservationSchema.index({ expiryDate: 1 });
 reservationSchema.index({ priority: 1 });
+reservationSchema.index({ status: 1, pickupDeadline: 1 });
+reservationSchema.index({ pickupBranchId: 1, status: 1 });
+
+// Record every change in the audit trail
+reservationSchema.plugin(auditTrail, { entityType: "reservation" });
 
 const Reservation = mongoose.model("Reservation", reservationSchema);
 
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+import { PERMISSION_NAMES, ALL_PERMISSIONS } from "../config/permissions.js";
+
+// Schema for Role (named bundle of permissions) for library management system
+// Users refer to their role by name.
+// Attributes:
+// - name - string (unique, lowercase, e.g. circulation_desk)
+// - description - string
+// - permissions - Array of permission names (see config/permissions.js; '*' means all)
+// - builtIn - Boolean (admin, librarian and borrower; cannot be renamed or deleted)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,49}$/, "Role name may only contain letters, digits, '_' and '-'"],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) =>
+        permissions.every(p => p === ALL_PERMISSIONS || PERMISSION_NAMES.includes(p)),
+      message: "Unknown permission",
+    },
+  },
+  builtIn: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Record every change in the audit trail
+roleSchema.plugin(auditTrail, { entityType: "role" });
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
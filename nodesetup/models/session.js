@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Schema for Session (logged-in device) for library management system
+// Each login starts a session. The client holds a refresh token of the form
+// "<sessionId>.<secret>"; only a SHA-256 hash of the current secret is stored
+// and every refresh replaces it. Access tokens carry the session ID, so
+// revoking a session cuts off its access tokens as well.
+// Attributes:
+// - userId - ObjectId (reference to User)
+// - refreshTokenHash - string
+// - previousTokens - Array of { hash, rotatedAt } (recently replaced secrets)
+// - userAgent - string (optional)
+// - ip - string (optional)
+// - twoFactorVerified - Boolean (a second factor was checked for this session)
+// - lastUsedAt - Date (last login or refresh)
+// - expiresAt - Date (refresh token expiry)
+// - revokedAt - Date (optional)
+// - revokedReason - Enum (logout, logout_all, revoked, password_change, password_reset, account_disabled, reuse_detected) (optional)
+// - createdAt - TimeStamp
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  previousTokens: {
+    type: [{ _id: false, hash: String, rotatedAt: Date }],
+    default: [],
+    select: false,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+  },
+  ip: {
+    type: String,
+  },
+  twoFactorVerified: {
+    type: Boolean,
+    default: false,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: [
+      "logout",
+      "logout_all",
+      "revoked",
+      "password_change",
+      "password_reset",
+      "account_disabled",
+      "reuse_detected",
+    ],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Replaced secrets remembered per session, to recognise a replayed token
+const MAX_PREVIOUS_TOKENS = 20;
+// A secret replaced this recently is most likely a second tab refreshing at
+// the same time, not a stolen token
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+// Split "<sessionId>.<secret>"; returns null for anything malformed
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Start a session for a user. Returns the session and its first refresh token.
+sessionSchema.statics.start = async function (userId, { userAgent, ip, twoFactorVerified = false } = {}, ttlMs) {
+  const secret = newSecret();
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+    ip,
+    twoFactorVerified,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Exchange a refresh token for a new one. Returns { session, refreshToken }
+// on success, { reused: true, session } when a secret this session has
+// already replaced is presented again (the session is revoked, since the
+// token has leaked), or null when the token is unknown, expired, revoked or
+// was replaced moments ago. A session ID with a secret it never issued is
+// only refused: the ID is readable in any access token.
+sessionSchema.statics.rotate = async function (refreshToken, ttlMs) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const now = new Date();
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const session = await this.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs),
+      },
+      $push: {
+        previousTokens: {
+          $each: [{ hash: presentedHash, rotatedAt: now }],
+          $slice: -MAX_PREVIOUS_TOKENS,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${secret}` };
+  }
+
+  // A secret this session issued and has since replaced: an old token is
+  // being replayed, so neither holder can be trusted
+  const reusedSession = await this.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      previousTokens: {
+        $elemMatch: {
+          hash: presentedHash,
+          rotatedAt: { $lt: new Date(now.getTime() - REUSE_GRACE_MS) },
+        },
+      },
+    },
+    { revokedAt: now, revokedReason: "reuse_detected" },
+    { new: true }
+  );
+
+  return reusedSession ? { reused: true, session: reusedSession } : null;
+};
+
+// Find the active session a refresh token belongs to, without rotating it
+sessionSchema.statics.findByRefreshToken = function (refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  return this.findOne({
+    _id: parsed.sessionId,
+    refreshTokenHash: hashSecret(parsed.secret),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function (userId, reason, { except } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Indexes for efficient searching
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for Setting (library-wide configuration value) for library management system
+// Attributes:
+// - _id - string (setting key, e.g. twoFactorRequiredRoles)
+// - value - Mixed
+// - updatedBy - ObjectId (reference to User - admin who last changed it, optional)
+// - updatedAt - TimeStamp
+
+const settingSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Value of a setting, or `defaultValue` if it has never been set
+settingSchema.statics.getValue = async function (key, defaultValue) {
+  const setting = await this.findById(key);
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findByIdAndUpdate(
+    key,
+    { value, updatedBy, updatedAt: new Date() },
+    { upsert: true, new: true }
+  );
+};
+
+// Record every change in the audit trail
+settingSchema.plugin(auditTrail, { entityType: "setting" });
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+export default Setting;
@@ -1,20 +1,66 @@
 import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
 
 // Schema for Transaction for library management system
 // Attributes:
 // - userId - ObjectId (reference to User)
 // - bookId - ObjectId (reference to Book)
+// - itemId - ObjectId (reference to Item - the physical copy on loan)
+// - branchId - ObjectId (reference to Branch - where the loan was issued, optional)
+// - returnBranchId - ObjectId (reference to Branch - where the copy was checked in, optional)
 // - issueDate - Date
 // - dueDate - Date
 // - returnDate - Date (optional)
-// - fineAmount - Number
+// - fineAmount - Number (accrued overdue fine while on loan, final fine once returned)
 // - status - Enum (issued, returned, overdue, lost)
+//   overdue - still on loan past its due date (set by the markOverdueLoans job)
+//   lost - declared lost by staff; becomes returned if the copy is found
 // - issuedBy - ObjectId (reference to User - librarian/admin)
 // - returnedBy - ObjectId (reference to User - librarian/admin, optional)
+// - lostDate - Date (when the loan was declared lost, optional)
+// - foundDate - Date (when a lost copy came back, optional)
+// - damaged - Boolean (returned damaged and withdrawn)
+// - renewalCount - Number (patron renewals, counted against the loan policy)
+// - renewals - Array of due date changes (renewal or staff extension)
+// - dueReminderSentAt - Date (due-soon notice sent for the current due date, optional)
+// - overdueNoticeSentAt - Date (last overdue notice, optional)
 // - notes - string (optional)
 // - createdAt - TimeStamp
 // - updatedAt - TimeStamp
 
+// Statuses of a loan that is still out (not yet returned)
+export const OPEN_LOAN_STATUSES = ["issued", "overdue"];
+
+// Each change to the due date is kept as a history entry
+const renewalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["renewal", "extension"],
+    required: true,
+  },
+  previousDueDate: {
+    type: Date,
+    required: true,
+  },
+  newDueDate: {
+    type: Date,
+    required: true,
+  },
+  renewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  renewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const transactionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,6 +72,18 @@ const transactionSchema = new mongoose.Schema({
     ref: "Book",
     required: true,
   },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  returnBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
   issueDate: {
     type: Date,
     required: true,
@@ -57,6 +115,28 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
+  lostDate: {
+    type: Date,
+  },
+  foundDate: {
+    type: Date,
+  },
+  damaged: {
+    type: Boolean,
+    default: false,
+  },
+  renewalCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  renewals: [renewalSchema],
+  dueReminderSentAt: {
+    type: Date,
+  },
+  overdueNoticeSentAt: {
+    type: Date,
+  },
   notes: {
     type: String,
     trim: true,
@@ -83,9 +163,15 @@ transactionSchema.pre('save', function(next) {
 // Indexes for efficient searching
 transactionSchema.index({ userId: 1 });
 transactionSchema.index({ bookId: 1 });
+transactionSchema.index({ itemId: 1 });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ dueDate: 1 });
 transactionSchema.index({ issueDate: 1 });
+transactionSchema.index({ status: 1, dueDate: 1 });
+transactionSchema.index({ branchId: 1, issueDate: 1 });
+
+// Record every change in the audit trail
+transactionSchema.plugin(auditTrail, { entityType: "transaction" });
 
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
+
+// Schema for Transfer (moving a copy between branches) for library management system
+// Attributes:
+// - itemId - ObjectId (reference to Item)
+// - bookId - ObjectId (reference to Book)
+// - fromBranchId - ObjectId (reference to Branch, optional - unset for copies without a branch)
+// - toBranchId - ObjectId (reference to Branch)
+// - reason - Enum (request, hold, return)
+//   request - asked for by staff; hold - going to a reservation's pickup branch;
+//   return - going back to its home branch after being checked in elsewhere
+// - reservationId - ObjectId (reference to Reservation - for hold transfers, optional)
+// - status - Enum (requested, in_transit, received, cancelled)
+// - requestedBy - ObjectId (reference to User, optional - unset when circulation started it)
+// - requestedAt - Date
+// - shippedBy - ObjectId (reference to User, optional)
+// - shippedAt - Date (optional)
+// - receivedBy - ObjectId (reference to User, optional)
+// - receivedAt - Date (optional)
+// - cancelledBy - ObjectId (reference to User, optional)
+// - cancelledAt - Date (optional)
+// - notes - string (optional)
+// - createdAt - TimeStamp
+// - updatedAt - TimeStamp
+
+// Transfers that have not yet reached their destination
+export const OPEN_TRANSFER_STATUSES = ["requested", "in_transit"];
+
+const transferSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Book",
+    required: true,
+  },
+  fromBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  toBranchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ["request", "hold", "return"],
+    default: "request",
+  },
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Reservation",
+  },
+  status: {
+    type: String,
+    enum: ["requested", "in_transit", "received", "cancelled"],
+    default: "requested",
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  shippedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  shippedAt: {
+    type: Date,
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  receivedAt: {
+    type: Date,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for efficient searching
+transferSchema.index({ itemId: 1, status: 1 });
+transferSchema.index({ status: 1, toBranchId: 1 });
+transferSchema.index({ status: 1, fromBranchId: 1 });
+transferSchema.index({ reservationId: 1 });
+
+// Record every change in the audit trail
+transferSchema.plugin(auditTrail, { entityType: "transfer" });
+
+const Transfer = mongoose.model("Transfer", transferSchema);
+
+export default Transfer;
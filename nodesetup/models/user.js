@@ -1,15 +1,36 @@
 import mongoose from "mongoose";
+import { auditTrail } from "../utils/auditTrail.js";
 
 // Schema for User for library management system
 // Attributes:
 // - username - string
 // - password - string
-// - role (admin, librarian, borrower) - Enum
+// - role - string (name of a Role; built in: admin, librarian, borrower)
 // - email - string (With validation)
 // - name - string
 // - phone - string
 // - address - string
 // - status(active, inactive) - Enum
+// - cardNumber - string (number of the patron's current library card, unique,
+//   optional; past cards are kept in LibraryCard)
+// - branchId - ObjectId (reference to Branch - home branch; for staff, the branch they work at, optional)
+// - patronGroupId - ObjectId (reference to PatronGroup, optional)
+// - membershipStartDate - Date (optional - start of the current membership term)
+// - membershipExpiryDate - Date (optional - never expires when empty; expired
+//   members cannot borrow or reserve until the membership is renewed)
+// - membershipReminderSentAt - Date (optional - expiry reminder sent for the current term)
+// - emailVerified - Boolean (false until the emailed link is used; accounts
+//   created before verification existed have no value and count as verified)
+// - emailVerifiedAt - Date (optional)
+// - failedLoginAttempts - Number (consecutive failed logins since the last success or lockout)
+// - lockUntil - Date (optional - logins are refused until then)
+// - lockCount - Number (lockouts since the last successful login; each one lasts longer)
+// - twoFactorEnabled - Boolean
+// - twoFactorSecret - string (encrypted TOTP secret, not selected by default)
+// - twoFactorPendingSecret - string (encrypted secret awaiting confirmation, not selected by default)
+// - twoFactorLastStep - Number (last accepted TOTP time step; codes cannot be reused)
+// - twoFactorBackupCodes - Array of { codeHash, usedAt } (not selected by default)
+// - twoFactorEnabledAt - Date (optional)
 // - createdAt - TimeStamp
 // - updatedAt - TimeStamp
 
@@ -25,8 +46,9 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["admin", "librarian", "borrower"],
     required: true,
+    trim: true,
+    lowercase: true,
   },
   email: {
     type: String,
@@ -50,6 +72,77 @@ const userSchema = new mongoose.Schema({
     enum: ["active", "inactive"],
     default: "active",
   },
+  cardNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    uppercase: true,
+  },
+  branchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+  },
+  patronGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PatronGroup",
+  },
+  membershipStartDate: {
+    type: Date,
+  },
+  membershipExpiryDate: {
+    type: Date,
+  },
+  membershipReminderSentAt: {
+    type: Date,
+  },
+  emailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  lockCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorLastStep: {
+    type: Number,
+  },
+  twoFactorBackupCodes: {
+    type: [
+      {
+        _id: false,
+        codeHash: { type: String, required: true },
+        usedAt: { type: Date },
+      },
+    ],
+    select: false,
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -60,6 +153,32 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+// Unverified accounts can sign in but cannot borrow or reserve
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Memberships without an expiry date never expire
+userSchema.methods.isMembershipExpired = function (asOf = new Date()) {
+  return Boolean(this.membershipExpiryDate && this.membershipExpiryDate <= asOf);
+};
+
+// Indexes for efficient searching
+userSchema.index({ patronGroupId: 1 });
+userSchema.index({ membershipExpiryDate: 1, status: 1 });
+
+// Record every change in the audit trail. Failed-login counters and TOTP steps
+// change on every login and are covered by the login history instead.
+userSchema.plugin(auditTrail, {
+  entityType: "user",
+  ignore: ["failedLoginAttempts", "twoFactorLastStep"],
+  redact: ["password"],
+});
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
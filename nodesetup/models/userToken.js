@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Schema for UserToken (single-use emailed token) for library management system
+// Only a SHA-256 hash of the token is stored; the token itself is only ever
+// sent to the user. Tokens are deleted automatically once expired.
+// Attributes:
+// - userId - ObjectId (reference to User)
+// - purpose - Enum (password_reset, email_verification)
+// - tokenHash - string (unique)
+// - email - string (address the token was sent to)
+// - expiresAt - Date
+// - usedAt - Date (optional - set when the token is consumed)
+// - createdAt - TimeStamp
+
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["password_reset", "email_verification"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  email: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Create a token for a user, replacing any unused token for the same purpose.
+// Returns the plain token to put in the email.
+userTokenSchema.statics.issue = async function (user, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await this.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await this.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or
+// already used. A token can only be consumed once.
+userTokenSchema.statics.consume = function (token, purpose) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+// Indexes for efficient searching
+userTokenSchema.index({ userId: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+
+export default UserToken;
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  getAuditEntries,
+  verifyAuditTrail,
+  getAuditEntryById
+} from '../controller/auditController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateAuditQuery,
+  validateObjectIdParam,
+  validatePagination
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+
+const router = express.Router();
+
+// The audit trail is read-only and needs the audit.read permission
+router.use(authenticateToken);
+router.use(requirePermission('audit.read'));
+
+router.get('/', 
+  generalRateLimit,
+  validatePagination,
+  validateAuditQuery,
+  getAuditEntries
+);
+
+router.get('/verify', 
+  strictRateLimit,
+  verifyAuditTrail
+);
+
+router.get('/:id', 
+  generalRateLimit,
+  validateObjectIdParam('id'),
+  getAuditEntryById
+);
+
+export default router;
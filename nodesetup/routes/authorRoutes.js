@@ -9,7 +9,7 @@ import {
 } from '../controller/authorController.js';
 import {
   authenticateToken,
-  authorize
+  requirePermission
 } from '../middleware/auth.js';
 import {
   validateAuthor,
@@ -36,7 +36,7 @@ router.get('/',
 router.get('/stats', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('stats.view'),
   getAuthorStats
 );
 
@@ -50,7 +50,7 @@ router.get('/:id',
 router.post('/', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('authors.manage'),
   validateAuthor,
   auditLogger('AUTHOR_CREATE'),
   createAuthor
@@ -59,7 +59,7 @@ router.post('/',
 router.put('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('authors.manage'),
   validateObjectIdParam('id'),
   auditLogger('AUTHOR_UPDATE'),
   updateAuthor
@@ -68,7 +68,7 @@ router.put('/:id',
 router.delete('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin'),
+  requirePermission('authors.delete'),
   validateObjectIdParam('id'),
   auditLogger('AUTHOR_DELETE'),
   deleteAuthor
@@ -1,6 +1,9 @@
 import express from 'express';
 import {
   createBook,
+  importCatalog,
+  exportMarc,
+  getIsbnDuplicates,
   getAllBooks,
   getBookById,
   updateBook,
@@ -10,10 +13,13 @@ import {
 } from '../controller/bookController.js';
 import {
   authenticateToken,
-  authorize
+  requirePermission
 } from '../middleware/auth.js';
 import {
   validateBook,
+  validateBookSearch,
+  validateCatalogImport,
+  validateMarcExport,
   validateObjectIdParam,
   validatePagination
 } from '../middleware/validation.js';
@@ -31,16 +37,32 @@ const router = express.Router();
 router.get('/', 
   generalRateLimit,
   validatePagination,
+  validateBookSearch,
   getAllBooks
 );
 
 router.get('/stats', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('stats.view'),
   getBookStats
 );
 
+router.get('/duplicates', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('books.manage'),
+  getIsbnDuplicates
+);
+
+router.get('/export', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('books.manage'),
+  validateMarcExport,
+  exportMarc
+);
+
 router.get('/:id', 
   generalRateLimit,
   validateObjectIdParam('id'),
@@ -51,16 +73,29 @@ router.get('/:id',
 router.post('/', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('books.manage'),
   validateBook,
   auditLogger('BOOK_CREATE'),
   createBook
 );
 
+// Bulk import: a JSON body, CSV sent as text/csv, binary MARC 21 as
+// application/marc or MARCXML as application/marcxml+xml
+router.post('/import', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('books.manage'),
+  express.text({ type: ['text/csv', 'application/marcxml+xml', 'application/xml', 'text/xml'], limit: '10mb' }),
+  express.raw({ type: 'application/marc', limit: '10mb' }),
+  validateCatalogImport,
+  auditLogger('CATALOG_IMPORT'),
+  importCatalog
+);
+
 router.put('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('books.manage'),
   validateObjectIdParam('id'),
   auditLogger('BOOK_UPDATE'),
   updateBook
@@ -69,7 +104,7 @@ router.put('/:id',
 router.put('/:id/availability', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('books.manage'),
   validateObjectIdParam('id'),
   auditLogger('BOOK_AVAILABILITY_UPDATE'),
   updateBookAvailability
@@ -78,7 +113,7 @@ router.put('/:id/availability',
 router.delete('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin'),
+  requirePermission('books.delete'),
   validateObjectIdParam('id'),
   auditLogger('BOOK_DELETE'),
   deleteBook
@@ -0,0 +1,76 @@
+import express from 'express';
+import {
+  createBranch,
+  getAllBranches,
+  getBranchById,
+  getBranchStaff,
+  updateBranch,
+  deleteBranch
+} from '../controller/branchController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateBranch,
+  validateObjectIdParam
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/',
+  generalRateLimit,
+  getAllBranches
+);
+
+router.get('/:id',
+  generalRateLimit,
+  validateObjectIdParam('id'),
+  getBranchById
+);
+
+router.get('/:id/staff',
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.read'),
+  validateObjectIdParam('id'),
+  getBranchStaff
+);
+
+// Branch management (branches.manage)
+router.post('/',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('branches.manage'),
+  validateBranch,
+  auditLogger('BRANCH_CREATE'),
+  createBranch
+);
+
+router.put('/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('branches.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('BRANCH_UPDATE'),
+  updateBranch
+);
+
+router.delete('/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('branches.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('BRANCH_DELETE'),
+  deleteBranch
+);
+
+export default router;
@@ -0,0 +1,98 @@
+import express from 'express';
+import {
+  getCalendar,
+  getOpeningHours,
+  setOpeningHours,
+  deleteBranchOpeningHours,
+  getClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure
+} from '../controller/calendarController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateCalendarQuery,
+  validateOpeningHours,
+  validateClosure,
+  validateClosureUpdate,
+  validateObjectIdParam
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// Public routes - the schedule is shown to patrons
+router.get('/',
+  generalRateLimit,
+  validateCalendarQuery,
+  getCalendar
+);
+
+router.get('/hours',
+  generalRateLimit,
+  getOpeningHours
+);
+
+router.get('/closures',
+  generalRateLimit,
+  validateCalendarQuery,
+  getClosures
+);
+
+// Calendar management (calendar.manage)
+router.put('/hours',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('calendar.manage'),
+  validateOpeningHours,
+  auditLogger('OPENING_HOURS_UPDATE'),
+  setOpeningHours
+);
+
+router.delete('/hours/:branchId',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('calendar.manage'),
+  validateObjectIdParam('branchId'),
+  auditLogger('OPENING_HOURS_DELETE'),
+  deleteBranchOpeningHours
+);
+
+router.post('/closures',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('calendar.manage'),
+  validateClosure,
+  auditLogger('CLOSURE_CREATE'),
+  createClosure
+);
+
+router.put('/closures/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('calendar.manage'),
+  validateObjectIdParam('id'),
+  validateClosureUpdate,
+  auditLogger('CLOSURE_UPDATE'),
+  updateClosure
+);
+
+router.delete('/closures/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('calendar.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('CLOSURE_DELETE'),
+  deleteClosure
+);
+
+export default router;
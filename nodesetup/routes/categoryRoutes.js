@@ -10,7 +10,7 @@ import {
 } from '../controller/categoryController.js';
 import {
   authenticateToken,
-  authorize
+  requirePermission
 } from '../middleware/auth.js';
 import {
   validateCategory,
@@ -42,7 +42,7 @@ router.get('/tree',
 router.get('/stats', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('stats.view'),
   getCategoryStats
 );
 
@@ -56,7 +56,7 @@ router.get('/:id',
 router.post('/', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('categories.manage'),
   validateCategory,
   auditLogger('CATEGORY_CREATE'),
   createCategory
@@ -65,7 +65,7 @@ router.post('/',
 router.put('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('categories.manage'),
   validateObjectIdParam('id'),
   auditLogger('CATEGORY_UPDATE'),
   updateCategory
@@ -74,7 +74,7 @@ router.put('/:id',
 router.delete('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin'),
+  requirePermission('categories.delete'),
   validateObjectIdParam('id'),
   auditLogger('CATEGORY_DELETE'),
   deleteCategory
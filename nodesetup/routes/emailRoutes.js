@@ -0,0 +1,48 @@
+import express from 'express';
+import {
+  getEmails,
+  getEmailById,
+  retryEmail
+} from '../controller/emailController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateObjectIdParam,
+  validatePagination
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// The email outbox is managed by admins only
+router.use(authenticateToken);
+router.use(requirePermission('emails.manage'));
+
+router.get('/',
+  generalRateLimit,
+  validatePagination,
+  getEmails
+);
+
+router.get('/:id',
+  generalRateLimit,
+  validateObjectIdParam('id'),
+  getEmailById
+);
+
+router.put('/:id/retry',
+  strictRateLimit,
+  validateObjectIdParam('id'),
+  auditLogger('EMAIL_RETRY'),
+  retryEmail
+);
+
+export default router;
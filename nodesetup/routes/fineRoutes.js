@@ -12,11 +12,12 @@ import {
 } from '../controller/fineController.js';
 import {
   authenticateToken,
-  authorize,
-  authorizeOwnerOrStaff
+  requirePermission,
+  authorizeOwnerOrPermission
 } from '../middleware/auth.js';
 import {
   validateFine,
+  validateFinePayment,
   validateObjectIdParam,
   validatePagination
 } from '../middleware/validation.js';
@@ -41,14 +42,14 @@ router.get('/',
 router.get('/stats', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('stats.view'),
   getFineStats
 );
 
 router.get('/user/:userId/outstanding', 
   generalRateLimit,
   authenticateToken,
-  authorizeOwnerOrStaff,
+  authorizeOwnerOrPermission('fines.read'),
   validateObjectIdParam('userId'),
   getUserOutstandingFines
 );
@@ -64,7 +65,7 @@ router.get('/:id',
 router.post('/', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('fines.create'),
   validateFine,
   auditLogger('FINE_CREATE'),
   createFine
@@ -73,7 +74,7 @@ router.post('/',
 router.put('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('fines.update'),
   validateObjectIdParam('id'),
   auditLogger('FINE_UPDATE'),
   updateFine
@@ -82,8 +83,9 @@ router.put('/:id',
 router.put('/:id/pay', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('fines.collect'),
   validateObjectIdParam('id'),
+  validateFinePayment,
   auditLogger('FINE_PAYMENT'),
   processFinePayment
 );
@@ -91,7 +93,7 @@ router.put('/:id/pay',
 router.put('/:id/waive', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('fines.waive'),
   validateObjectIdParam('id'),
   auditLogger('FINE_WAIVE'),
   waiveFine
@@ -100,7 +102,7 @@ router.put('/:id/waive',
 router.delete('/:id', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin'),
+  requirePermission('fines.delete'),
   validateObjectIdParam('id'),
   auditLogger('FINE_DELETE'),
   deleteFine
@@ -1,24 +1,46 @@
 import express from 'express';
 import userRoutes from './userRoutes.js';
 import bookRoutes from './bookRoutes.js';
+import itemRoutes from './itemRoutes.js';
 import authorRoutes from './authorRoutes.js';
 import categoryRoutes from './categoryRoutes.js';
 import transactionRoutes from './transactionRoutes.js';
 import fineRoutes from './fineRoutes.js';
+import paymentRoutes from './paymentRoutes.js';
 import reservationRoutes from './reservationRoutes.js';
 import statisticsRoutes from './statisticsRoutes.js';
+import loanPolicyRoutes from './loanPolicyRoutes.js';
+import jobRoutes from './jobRoutes.js';
+import emailRoutes from './emailRoutes.js';
+import roleRoutes from './roleRoutes.js';
+import auditRoutes from './auditRoutes.js';
+import branchRoutes from './branchRoutes.js';
+import calendarRoutes from './calendarRoutes.js';
+import transferRoutes from './transferRoutes.js';
+import patronGroupRoutes from './patronGroupRoutes.js';
 
 const router = express.Router();
 
 // API Routes
 router.use('/users', userRoutes);
 router.use('/books', bookRoutes);
+router.use('/items', itemRoutes);
 router.use('/authors', authorRoutes);
 router.use('/categories', categoryRoutes);
 router.use('/transactions', transactionRoutes);
 router.use('/fines', fineRoutes);
+router.use('/payments', paymentRoutes);
 router.use('/reservations', reservationRoutes);
 router.use('/statistics', statisticsRoutes);
+router.use('/loan-policies', loanPolicyRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/emails', emailRoutes);
+router.use('/roles', roleRoutes);
+router.use('/audit', auditRoutes);
+router.use('/branches', branchRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/transfers', transferRoutes);
+router.use('/patron-groups', patronGroupRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -39,79 +61,208 @@ router.get('/docs', (req, res) => {
       users: {
         'POST /api/users/register': 'Register a new user',
         'POST /api/users/login': 'User login',
+        'POST /api/users/login/two-factor': 'Complete a login with a second factor',
         'GET /api/users/profile': 'Get current user profile',
         'PUT /api/users/profile': 'Update user profile',
         'PUT /api/users/change-password': 'Change password',
-        'GET /api/users': 'Get all users (Admin/Librarian)',
-        'GET /api/users/:id': 'Get user by ID (Admin/Librarian)',
-        'PUT /api/users/:id/status': 'Update user status (Admin)',
-        'DELETE /api/users/:id': 'Delete user (Admin)'
+        'POST /api/users/forgot-password': 'Email a password reset link',
+        'POST /api/users/reset-password': 'Set a new password with a reset token',
+        'POST /api/users/verify-email': 'Verify an email address',
+        'POST /api/users/resend-verification': 'Resend the verification email',
+        'POST /api/users/refresh-token': 'Exchange a refresh token for new tokens',
+        'POST /api/users/logout': 'Log out the session a refresh token belongs to',
+        'POST /api/users/logout-all': 'Log out of all sessions',
+        'GET /api/users/sessions': 'List active sessions',
+        'DELETE /api/users/sessions/:id': 'Revoke a session',
+        'GET /api/users/login-history': 'Get own login history',
+        'GET /api/users/two-factor': 'Get own two-factor status',
+        'POST /api/users/two-factor/setup': 'Start authenticator enrollment',
+        'POST /api/users/two-factor/enable': 'Confirm enrollment and get backup codes',
+        'POST /api/users/two-factor/disable': 'Disable two-factor authentication',
+        'POST /api/users/two-factor/backup-codes': 'Replace backup codes',
+        'GET /api/users/two-factor/policy': 'Get the two-factor policy (settings.manage)',
+        'PUT /api/users/two-factor/policy': 'Set the two-factor policy (settings.manage)',
+        'DELETE /api/users/:id/two-factor': 'Reset a user\'s two-factor authentication (users.security)',
+        'GET /api/users/suspicious-activity': 'Suspicious login activity report (users.security)',
+        'GET /api/users/:id/login-history': 'Get a user\'s login history (users.security)',
+        'PUT /api/users/:id/unlock': 'Unlock a locked account (users.security)',
+        'GET /api/users': 'Get all users, ?search= (name, email, username or card number)&branchId=&patronGroupId=&membership=expired|expiring&days= (users.read)',
+        'GET /api/users/by-card/:number': 'Look up a patron by library card number, with loans out and fines owed (users.read)',
+        'GET /api/users/:id': 'Get user by ID (users.read)',
+        'PUT /api/users/:id/status': 'Update user status (users.update_status)',
+        'PUT /api/users/:id/role': 'Assign a role to a user (roles.assign)',
+        'PUT /api/users/:id/branch': 'Assign a user to a home branch (users.assign_branch)',
+        'PUT /api/users/:id/membership': 'Change a user\'s patron group or membership dates (memberships.manage)',
+        'PUT /api/users/:id/membership/renew': 'Renew a membership and charge the group\'s fee (memberships.manage)',
+        'GET /api/users/:id/cards': 'Get every library card issued to a user (users.read)',
+        'POST /api/users/:id/cards': 'Issue a new or replacement library card, blocking the old number (cards.manage)',
+        'PUT /api/users/:id/cards/block': 'Block a user\'s current library card, e.g. reported lost (cards.manage)',
+        'DELETE /api/users/:id': 'Delete user (users.delete)'
       },
       books: {
-        'GET /api/books': 'Get all books with filtering',
+        'GET /api/books': 'Search books, ranked by relevance, with facet counts; ?search=&category=&language=&decade=&year=&available=&sort= up to 4 of relevance|title|author|publication|popularity|availability|newest, each :asc or :desc, e.g. author,publication:asc',
         'GET /api/books/:id': 'Get book by ID',
-        'GET /api/books/stats': 'Get book statistics (Admin/Librarian)',
-        'POST /api/books': 'Create new book (Admin/Librarian)',
-        'PUT /api/books/:id': 'Update book (Admin/Librarian)',
-        'PUT /api/books/:id/availability': 'Update book availability (Admin/Librarian)',
-        'DELETE /api/books/:id': 'Delete book (Admin)'
+        'GET /api/books/stats': 'Get book statistics (stats.view)',
+        'POST /api/books': 'Create new book (books.manage)',
+        'POST /api/books/import': 'Import books from JSON, text/csv, application/marc or application/marcxml+xml, creating authors and categories by name and matching books by ISBN; ?dryRun=true only reports row errors, ?location= shelves records without one (books.manage)',
+        'GET /api/books/duplicates': 'Report books sharing an ISBN once normalized to ISBN-13, and invalid ISBNs (books.manage)',
+        'GET /api/books/export': 'Export books as MARC 21, ?ids=&format=marc|marcxml (books.manage)',
+        'PUT /api/books/:id': 'Update book (books.manage)',
+        'PUT /api/books/:id/availability': 'Recalculate book availability from its copies (books.manage)',
+        'DELETE /api/books/:id': 'Delete book (books.delete)'
+      },
+      items: {
+        'GET /api/items': 'Get all copies with filtering, ?homeBranchId=&currentBranchId= (items.read)',
+        'GET /api/items/barcode/:barcode': 'Get copy by barcode (items.read)',
+        'GET /api/items/:id': 'Get copy by ID with current loan and open transfer (items.read)',
+        'POST /api/items': 'Add a copy of a book to homeBranchId or your own branch (items.manage)',
+        'PUT /api/items/:id': 'Update copy condition, location, status or home branch (items.manage)',
+        'DELETE /api/items/:id': 'Delete copy without circulation history (items.delete)'
       },
       authors: {
         'GET /api/authors': 'Get all authors',
         'GET /api/authors/:id': 'Get author by ID with books',
-        'GET /api/authors/stats': 'Get author statistics (Admin/Librarian)',
-        'POST /api/authors': 'Create new author (Admin/Librarian)',
-        'PUT /api/authors/:id': 'Update author (Admin/Librarian)',
-        'DELETE /api/authors/:id': 'Delete author (Admin)'
+        'GET /api/authors/stats': 'Get author statistics (stats.view)',
+        'POST /api/authors': 'Create new author (authors.manage)',
+        'PUT /api/authors/:id': 'Update author (authors.manage)',
+        'DELETE /api/authors/:id': 'Delete author (authors.delete)'
       },
       categories: {
         'GET /api/categories': 'Get all categories',
         'GET /api/categories/tree': 'Get category hierarchy tree',
         'GET /api/categories/:id': 'Get category by ID with books',
-        'GET /api/categories/stats': 'Get category statistics (Admin/Librarian)',
-        'POST /api/categories': 'Create new category (Admin/Librarian)',
-        'PUT /api/categories/:id': 'Update category (Admin/Librarian)',
-        'DELETE /api/categories/:id': 'Delete category (Admin)'
+        'GET /api/categories/stats': 'Get category statistics (stats.view)',
+        'POST /api/categories': 'Create new category (categories.manage)',
+        'PUT /api/categories/:id': 'Update category (categories.manage)',
+        'DELETE /api/categories/:id': 'Delete category (categories.delete)'
       },
       transactions: {
-        'GET /api/transactions': 'Get all transactions',
+        'GET /api/transactions': 'Get all transactions, ?branchId= for loans issued at a branch',
         'GET /api/transactions/:id': 'Get transaction by ID',
-        'GET /api/transactions/overdue': 'Get overdue transactions (Admin/Librarian)',
-        'GET /api/transactions/stats': 'Get transaction statistics (Admin/Librarian)',
-        'POST /api/transactions/issue': 'Issue book to user (Admin/Librarian)',
-        'PUT /api/transactions/:id/return': 'Return book (Admin/Librarian)',
-        'PUT /api/transactions/:id/extend': 'Extend due date (Admin/Librarian)'
+        'GET /api/transactions/overdue': 'Get overdue transactions (transactions.read)',
+        'GET /api/transactions/stats': 'Get transaction statistics (stats.view)',
+        'POST /api/transactions/issue': 'Issue a specific copy (itemId or itemBarcode) or any available copy (bookId) to a patron (userId or cardNumber) at branchId or your own branch; dueDate defaults to the loan policy (transactions.issue)',
+        'PUT /api/transactions/:id/return': 'Return book at branchId or your own branch; the copy may be routed to a hold or back home (transactions.return)',
+        'POST /api/transactions/checkin': 'Return the copy with itemBarcode without looking up its loan (transactions.return)',
+        'PUT /api/transactions/:id/lost': 'Declare a loan lost and charge replacement cost plus processing fee (transactions.return)',
+        'PUT /api/transactions/:id/damaged': 'Check in a damaged copy, withdraw it and charge a replacement (transactions.return)',
+        'PUT /api/transactions/:id/found': 'Check in a lost copy and reverse its replacement charge (transactions.return)',
+        'PUT /api/transactions/:id/renew': 'Renew a loan under its loan policy (Owner or transactions.extend)',
+        'PUT /api/transactions/:id/extend': 'Extend due date without using a renewal (transactions.extend)'
       },
       fines: {
         'GET /api/fines': 'Get all fines',
         'GET /api/fines/:id': 'Get fine by ID',
-        'GET /api/fines/user/:userId/outstanding': 'Get user outstanding fines',
-        'GET /api/fines/stats': 'Get fine statistics (Admin/Librarian)',
-        'POST /api/fines': 'Create fine (Admin/Librarian)',
-        'PUT /api/fines/:id': 'Update fine (Admin/Librarian)',
-        'PUT /api/fines/:id/pay': 'Process fine payment (Admin/Librarian)',
-        'PUT /api/fines/:id/waive': 'Waive fine (Admin/Librarian)',
-        'DELETE /api/fines/:id': 'Delete fine (Admin)'
+        'GET /api/fines/user/:userId/outstanding': 'Get user outstanding fines, account credit and statement with running balance (Owner or fines.read)',
+        'GET /api/fines/stats': 'Get fine statistics (stats.view)',
+        'POST /api/fines': 'Create fine (fines.create)',
+        'PUT /api/fines/:id': 'Update fine (fines.update)',
+        'PUT /api/fines/:id/pay': 'Pay all or part of a fine; overpayment becomes account credit (fines.collect)',
+        'PUT /api/fines/:id/waive': 'Waive fine (fines.waive)',
+        'DELETE /api/fines/:id': 'Delete fine (fines.delete)'
+      },
+      payments: {
+        'GET /api/payments': 'Get payment ledger entries (own, or all with fines.read)',
+        'GET /api/payments/:id': 'Get payment or refund by ID with its refunds (Owner or fines.read)',
+        'GET /api/payments/:id/receipt': 'Printable receipt, ?format=html or pdf (Owner or fines.read)',
+        'POST /api/payments': 'Record a payment across a patron\'s fines; overpayment becomes account credit (fines.collect)',
+        'POST /api/payments/:id/refund': 'Refund all or part of a payment (fines.refund)',
+        'POST /api/payments/credit/:userId/refund': 'Pay out a patron\'s account credit (fines.refund)'
       },
       reservations: {
-        'GET /api/reservations': 'Get all reservations',
+        'GET /api/reservations': 'Get all reservations, ?pickupBranchId= for a pickup branch',
         'GET /api/reservations/:id': 'Get reservation by ID',
-        'GET /api/reservations/expired': 'Get expired reservations (Admin/Librarian)',
-        'GET /api/reservations/book/:bookId/queue': 'Get book reservation queue (Admin/Librarian)',
-        'GET /api/reservations/stats': 'Get reservation statistics (Admin/Librarian)',
-        'POST /api/reservations': 'Create reservation',
-        'PUT /api/reservations/:id/cancel': 'Cancel reservation',
-        'PUT /api/reservations/:id/fulfill': 'Fulfill reservation (Admin/Librarian)',
-        'PUT /api/reservations/auto-expire': 'Auto-expire reservations (Admin/Librarian)'
+        'GET /api/reservations/expired': 'Get expired reservations (reservations.read)',
+        'GET /api/reservations/book/:bookId/queue': 'Get book reservation queue and copies on hold (reservations.read)',
+        'GET /api/reservations/stats': 'Get reservation statistics (stats.view)',
+        'POST /api/reservations': 'Create reservation for pickup at pickupBranchId or your home branch',
+        'PUT /api/reservations/:id/cancel': 'Cancel reservation or hold awaiting pickup',
+        'PUT /api/reservations/:id/fulfill': 'Fulfill reservation and issue a copy (itemId or itemBarcode) to the reserving patron (reservations.manage)',
+        'PUT /api/reservations/auto-expire': 'Auto-expire reservations and uncollected holds (reservations.manage)'
+      },
+      statistics: {
+        'GET /api/statistics/dashboard': 'Dashboard counts, ?branchId= for one branch (stats.view)',
+        'GET /api/statistics/monthly': 'Monthly loans, registrations and fines, ?year=&branchId= (stats.view)',
+        'GET /api/statistics/popular-books': 'Most borrowed, reserved and fined books, ?limit=&branchId= (stats.view)',
+        'GET /api/statistics/user-activity': 'Most active borrowers and fines by user, ?branchId= (stats.view)',
+        'GET /api/statistics/inventory': 'Books by category, language and year, copy availability, ?branchId= (stats.view)',
+        'GET /api/statistics/export': 'Export transactions, fines or users as CSV, ?type=&branchId= (stats.export)'
+      },
+      loanPolicies: {
+        'GET /api/loan-policies': 'Get all loan policies (loan_policies.read)',
+        'GET /api/loan-policies/resolve': 'Preview the policy for a userId or role/patronGroup and bookId (loan_policies.read)',
+        'GET /api/loan-policies/:id': 'Get loan policy by ID (loan_policies.read)',
+        'POST /api/loan-policies': 'Create loan policy (loan_policies.manage)',
+        'PUT /api/loan-policies/:id': 'Update loan policy (loan_policies.manage)',
+        'DELETE /api/loan-policies/:id': 'Delete loan policy (loan_policies.manage)'
+      },
+      jobs: {
+        'GET /api/jobs': 'Get background jobs with schedule, lock and last run (jobs.manage)',
+        'GET /api/jobs/runs': 'Get job run history with filtering (jobs.manage)',
+        'GET /api/jobs/runs/:id': 'Get job run by ID (jobs.manage)',
+        'POST /api/jobs/:name/run': 'Run a background job now (jobs.manage)'
+      },
+      emails: {
+        'GET /api/emails': 'Get outbox messages with filtering (emails.manage)',
+        'GET /api/emails/:id': 'Get outbox message with rendered preview (emails.manage)',
+        'PUT /api/emails/:id/retry': 'Retry a failed email (emails.manage)'
+      },
+      roles: {
+        'GET /api/roles': 'Get all roles with user counts (roles.manage)',
+        'GET /api/roles/permissions': 'Get every permission a role can grant (roles.manage)',
+        'GET /api/roles/:id': 'Get role by ID (roles.manage)',
+        'POST /api/roles': 'Create role with a set of permissions (roles.manage)',
+        'PUT /api/roles/:id': 'Update role name, description or permissions (roles.manage)',
+        'DELETE /api/roles/:id': 'Delete a role no user holds (roles.manage)'
+      },
+      audit: {
+        'GET /api/audit': 'Get audit entries, filter by entityType, entityId, actor, action, operation, source and date (audit.read)',
+        'GET /api/audit/verify': 'Check the audit hash chain for removed or edited entries (audit.read)',
+        'GET /api/audit/:id': 'Get audit entry by ID with its changes (audit.read)'
+      },
+      patronGroups: {
+        'GET /api/patron-groups': 'Get all patron groups',
+        'GET /api/patron-groups/:id': 'Get patron group by ID with its loan policies',
+        'POST /api/patron-groups': 'Create patron group with membership term and fee (patron_groups.manage)',
+        'PUT /api/patron-groups/:id': 'Update patron group (patron_groups.manage)',
+        'DELETE /api/patron-groups/:id': 'Delete unused patron group (patron_groups.manage)'
+      },
+      branches: {
+        'GET /api/branches': 'Get all branches',
+        'GET /api/branches/:id': 'Get branch by ID with copy counts',
+        'GET /api/branches/:id/staff': 'Get staff assigned to a branch (users.read)',
+        'POST /api/branches': 'Create branch (branches.manage)',
+        'PUT /api/branches/:id': 'Update branch (branches.manage)',
+        'DELETE /api/branches/:id': 'Delete unused branch with its opening hours and closures (branches.manage)'
+      },
+      transfers: {
+        'GET /api/transfers': 'Get transfers, filter by status, reason, fromBranchId, toBranchId, itemId and date (items.read)',
+        'GET /api/transfers/:id': 'Get transfer by ID (items.read)',
+        'POST /api/transfers': 'Request that a copy be sent to another branch (transfers.manage)',
+        'PUT /api/transfers/:id/ship': 'Send a requested transfer; the copy goes in transit (transfers.manage)',
+        'PUT /api/transfers/:id/receive': 'Check in a copy at its destination, holding it for pickup if reserved (transfers.manage)',
+        'PUT /api/transfers/:id/cancel': 'Cancel a transfer that has not been sent (transfers.manage)'
+      },
+      calendar: {
+        'GET /api/calendar': 'Day-by-day schedule with opening times and closures, ?branchId=&from=&to= (next 30 days by default)',
+        'GET /api/calendar/hours': 'Get weekly opening hours, library-wide and per branch',
+        'PUT /api/calendar/hours': 'Set weekly opening hours of a branch or the library-wide default (calendar.manage)',
+        'DELETE /api/calendar/hours/:branchId': 'Make a branch follow the library-wide opening hours (calendar.manage)',
+        'GET /api/calendar/closures': 'Get holidays and closures, ?branchId=&from=&to=&type=',
+        'POST /api/calendar/closures': 'Add a holiday or closure, optionally recurring yearly (calendar.manage)',
+        'PUT /api/calendar/closures/:id': 'Update a holiday or closure (calendar.manage)',
+        'DELETE /api/calendar/closures/:id': 'Delete a holiday or closure (calendar.manage)'
       }
     },
     authentication: {
       description: 'Most endpoints require authentication via JWT token',
       header: 'Authorization: Bearer <token>',
+      permissions: 'Staff endpoints require a named permission (shown in parentheses) granted by the user\'s role',
       roles: {
-        admin: 'Full access to all operations',
-        librarian: 'Can manage books, transactions, fines, and reservations',
-        borrower: 'Can view books, manage own profile, create reservations'
+        admin: 'Every permission; cannot be changed',
+        librarian: 'Catalog, circulation, reservations and fines (configurable)',
+        borrower: 'No staff permissions: view books, manage own profile, loans and reservations',
+        custom: 'Further roles can be created through /api/roles'
       }
     }
   });
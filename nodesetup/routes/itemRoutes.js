@@ -0,0 +1,80 @@
+import express from 'express';
+import {
+  createItem,
+  getAllItems,
+  getItemByBarcode,
+  getItemById,
+  updateItem,
+  deleteItem
+} from '../controller/itemController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateItem,
+  validateObjectIdParam,
+  validatePagination
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// Protected routes - Copy/item management (Admin/Librarian)
+router.get('/',
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('items.read'),
+  validatePagination,
+  getAllItems
+);
+
+router.get('/barcode/:barcode',
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('items.read'),
+  getItemByBarcode
+);
+
+router.get('/:id',
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('items.read'),
+  validateObjectIdParam('id'),
+  getItemById
+);
+
+router.post('/',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('items.manage'),
+  validateItem,
+  auditLogger('ITEM_CREATE'),
+  createItem
+);
+
+router.put('/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('items.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('ITEM_UPDATE'),
+  updateItem
+);
+
+router.delete('/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('items.delete'),
+  validateObjectIdParam('id'),
+  auditLogger('ITEM_DELETE'),
+  deleteItem
+);
+
+export default router;
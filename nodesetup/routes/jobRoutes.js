@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+  getJobs,
+  getJobRuns,
+  getJobRunById,
+  triggerJob
+} from '../controller/jobController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateObjectIdParam,
+  validatePagination
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// Background jobs are managed by admins only
+router.use(authenticateToken);
+router.use(requirePermission('jobs.manage'));
+
+router.get('/',
+  generalRateLimit,
+  getJobs
+);
+
+router.get('/runs',
+  generalRateLimit,
+  validatePagination,
+  getJobRuns
+);
+
+router.get('/runs/:id',
+  generalRateLimit,
+  validateObjectIdParam('id'),
+  getJobRunById
+);
+
+router.post('/:name/run',
+  strictRateLimit,
+  auditLogger('JOB_RUN'),
+  triggerJob
+);
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import {
+  createLoanPolicy,
+  getAllLoanPolicies,
+  resolvePolicyForLoan,
+  getLoanPolicyById,
+  updateLoanPolicy,
+  deleteLoanPolicy
+} from '../controller/loanPolicyController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateLoanPolicy,
+  validateObjectIdParam
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// All loan policy routes require authentication
+router.use(authenticateToken);
+
+// Read access for circulation staff
+router.get('/',
+  generalRateLimit,
+  requirePermission('loan_policies.read'),
+  getAllLoanPolicies
+);
+
+router.get('/resolve',
+  generalRateLimit,
+  requirePermission('loan_policies.read'),
+  resolvePolicyForLoan
+);
+
+router.get('/:id',
+  generalRateLimit,
+  requirePermission('loan_policies.read'),
+  validateObjectIdParam('id'),
+  getLoanPolicyById
+);
+
+// Policy management (loan_policies.manage)
+router.post('/',
+  strictRateLimit,
+  requirePermission('loan_policies.manage'),
+  validateLoanPolicy,
+  auditLogger('LOAN_POLICY_CREATE'),
+  createLoanPolicy
+);
+
+router.put('/:id',
+  strictRateLimit,
+  requirePermission('loan_policies.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('LOAN_POLICY_UPDATE'),
+  updateLoanPolicy
+);
+
+router.delete('/:id',
+  strictRateLimit,
+  requirePermission('loan_policies.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('LOAN_POLICY_DELETE'),
+  deleteLoanPolicy
+);
+
+export default router;
@@ -0,0 +1,69 @@
+import express from 'express';
+import {
+  createPatronGroup,
+  getAllPatronGroups,
+  getPatronGroupById,
+  updatePatronGroup,
+  deletePatronGroup
+} from '../controller/patronGroupController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validatePatronGroup,
+  validatePatronGroupUpdate,
+  validateObjectIdParam
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// Public routes - patrons can see the groups and their membership fees
+router.get('/',
+  generalRateLimit,
+  getAllPatronGroups
+);
+
+router.get('/:id',
+  generalRateLimit,
+  validateObjectIdParam('id'),
+  getPatronGroupById
+);
+
+// Patron group management (patron_groups.manage)
+router.post('/',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('patron_groups.manage'),
+  validatePatronGroup,
+  auditLogger('PATRON_GROUP_CREATE'),
+  createPatronGroup
+);
+
+router.put('/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('patron_groups.manage'),
+  validateObjectIdParam('id'),
+  validatePatronGroupUpdate,
+  auditLogger('PATRON_GROUP_UPDATE'),
+  updatePatronGroup
+);
+
+router.delete('/:id',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('patron_groups.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('PATRON_GROUP_DELETE'),
+  deletePatronGroup
+);
+
+export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import {
+  createPayment,
+  getPayments,
+  getPaymentById,
+  getPaymentReceipt,
+  createRefund,
+  refundAccountCredit
+} from '../controller/paymentController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validatePayment,
+  validateRefund,
+  validateObjectIdParam,
+  validatePagination
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// Payment ledger - patrons see their own payments and receipts
+router.get('/',
+  generalRateLimit,
+  authenticateToken,
+  validatePagination,
+  getPayments
+);
+
+router.get('/:id',
+  generalRateLimit,
+  authenticateToken,
+  validateObjectIdParam('id'),
+  getPaymentById
+);
+
+router.get('/:id/receipt',
+  generalRateLimit,
+  authenticateToken,
+  validateObjectIdParam('id'),
+  getPaymentReceipt
+);
+
+// Taking and refunding money (Admin/Librarian only)
+router.post('/',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('fines.collect'),
+  validatePayment,
+  auditLogger('FINE_PAYMENT'),
+  createPayment
+);
+
+router.post('/:id/refund',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('fines.refund'),
+  validateObjectIdParam('id'),
+  validateRefund,
+  auditLogger('PAYMENT_REFUND'),
+  createRefund
+);
+
+router.post('/credit/:userId/refund',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('fines.refund'),
+  validateObjectIdParam('userId'),
+  validateRefund,
+  auditLogger('CREDIT_REFUND'),
+  refundAccountCredit
+);
+
+export default router;
@@ -12,10 +12,11 @@ import {
 } from '../controller/reservationController.js';
 import {
   authenticateToken,
-  authorize
+  requirePermission
 } from '../middleware/auth.js';
 import {
   validateReservation,
+  validateReservationFulfillment,
   validateObjectIdParam,
   validatePagination
 } from '../middleware/validation.js';
@@ -40,14 +41,14 @@ router.get('/',
 router.get('/stats', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('stats.view'),
   getReservationStats
 );
 
 router.get('/expired', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('reservations.read'),
   validatePagination,
   getExpiredReservations
 );
@@ -55,7 +56,7 @@ router.get('/expired',
 router.get('/book/:bookId/queue', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('reservations.read'),
   validateObjectIdParam('bookId'),
   getBookReservationQueue
 );
@@ -87,8 +88,9 @@ router.put('/:id/cancel',
 router.put('/:id/fulfill', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('reservations.manage'),
   validateObjectIdParam('id'),
+  validateReservationFulfillment,
   auditLogger('RESERVATION_FULFILL'),
   fulfillReservation
 );
@@ -96,7 +98,7 @@ router.put('/:id/fulfill',
 router.put('/auto-expire', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('reservations.manage'),
   auditLogger('RESERVATION_AUTO_EXPIRE'),
   autoExpireReservations
 );
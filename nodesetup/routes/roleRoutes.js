@@ -0,0 +1,70 @@
+import express from 'express';
+import {
+  getRoles,
+  getPermissions,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controller/roleController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateRole,
+  validateObjectIdParam
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// All role management routes require the roles.manage permission
+router.use(authenticateToken);
+router.use(requirePermission('roles.manage'));
+
+router.get('/', 
+  generalRateLimit,
+  getRoles
+);
+
+router.get('/permissions', 
+  generalRateLimit,
+  getPermissions
+);
+
+router.get('/:id', 
+  generalRateLimit,
+  validateObjectIdParam('id'),
+  getRoleById
+);
+
+router.post('/', 
+  strictRateLimit,
+  validateRole,
+  auditLogger('ROLE_CREATE'),
+  createRole
+);
+
+router.put('/:id', 
+  strictRateLimit,
+  validateObjectIdParam('id'),
+  validateRole,
+  auditLogger('ROLE_UPDATE'),
+  updateRole
+);
+
+router.delete('/:id', 
+  strictRateLimit,
+  validateObjectIdParam('id'),
+  auditLogger('ROLE_DELETE'),
+  deleteRole
+);
+
+export default router;
@@ -9,8 +9,11 @@ import {
 } from '../controller/statisticsController.js';
 import {
   authenticateToken,
-  authorize
+  requirePermission
 } from '../middleware/auth.js';
+import {
+  validateStatisticsQuery
+} from '../middleware/validation.js';
 import {
   generalRateLimit,
   strictRateLimit
@@ -21,9 +24,10 @@ import {
 
 const router = express.Router();
 
-// All statistics routes require authentication and admin/librarian role
+// All statistics routes require authentication and the stats.view permission
 router.use(authenticateToken);
-router.use(authorize('admin', 'librarian'));
+router.use(requirePermission('stats.view'));
+router.use(validateStatisticsQuery);
 
 // Dashboard statistics
 router.get('/dashboard', 
@@ -55,10 +59,10 @@ router.get('/inventory',
   getInventoryStats
 );
 
-// Export statistics (Admin only)
+// Export statistics (also needs the stats.export permission)
 router.get('/export', 
   strictRateLimit,
-  authorize('admin'),
+  requirePermission('stats.export'),
   auditLogger('STATISTICS_EXPORT'),
   exportStatistics
 );
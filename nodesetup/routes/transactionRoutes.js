@@ -2,19 +2,29 @@ import express from 'express';
 import {
   issueBook,
   returnBook,
+  checkinByBarcode,
+  declareLost,
+  returnDamaged,
+  markFound,
   getAllTransactions,
   getTransactionById,
   getOverdueTransactions,
+  renewLoan,
   extendDueDate,
   getTransactionStats
 } from '../controller/transactionController.js';
 import {
   authenticateToken,
-  authorize,
-  authorizeOwnerOrStaff
+  requirePermission,
+  authorizeOwnerOrPermission
 } from '../middleware/auth.js';
 import {
   validateTransaction,
+  validateDueDateExtension,
+  validateReplacementCharge,
+  validateFoundItem,
+  validateReturn,
+  validateCheckin,
   validateObjectIdParam,
   validatePagination
 } from '../middleware/validation.js';
@@ -39,14 +49,14 @@ router.get('/',
 router.get('/stats', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('stats.view'),
   getTransactionStats
 );
 
 router.get('/overdue', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('transactions.read'),
   validatePagination,
   getOverdueTransactions
 );
@@ -62,26 +72,78 @@ router.get('/:id',
 router.post('/issue', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('transactions.issue'),
   validateTransaction,
   auditLogger('BOOK_ISSUE'),
   issueBook
 );
 
+// Check in by scanning the copy's barcode, no loan ID needed
+router.post('/checkin', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transactions.return'),
+  validateCheckin,
+  auditLogger('BOOK_RETURN'),
+  checkinByBarcode
+);
+
 router.put('/:id/return', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('transactions.return'),
   validateObjectIdParam('id'),
+  validateReturn,
   auditLogger('BOOK_RETURN'),
   returnBook
 );
 
+// Lost and damaged copies are billed for replacement
+router.put('/:id/lost', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transactions.return'),
+  validateObjectIdParam('id'),
+  validateReplacementCharge,
+  auditLogger('LOAN_LOST'),
+  declareLost
+);
+
+router.put('/:id/damaged', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transactions.return'),
+  validateObjectIdParam('id'),
+  validateReplacementCharge,
+  auditLogger('BOOK_RETURN_DAMAGED'),
+  returnDamaged
+);
+
+router.put('/:id/found', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transactions.return'),
+  validateObjectIdParam('id'),
+  validateFoundItem,
+  auditLogger('LOST_ITEM_FOUND'),
+  markFound
+);
+
+// Borrowers renew their own loans; staff may renew on their behalf
+router.put('/:id/renew', 
+  strictRateLimit,
+  authenticateToken,
+  validateObjectIdParam('id'),
+  auditLogger('LOAN_RENEW'),
+  renewLoan
+);
+
 router.put('/:id/extend', 
   strictRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('transactions.extend'),
   validateObjectIdParam('id'),
+  validateDueDateExtension,
   auditLogger('DUE_DATE_EXTEND'),
   extendDueDate
 );
@@ -0,0 +1,82 @@
+import express from 'express';
+import {
+  requestTransfer,
+  getTransfers,
+  getTransferById,
+  shipTransferById,
+  receiveTransferById,
+  cancelTransfer
+} from '../controller/transferController.js';
+import {
+  authenticateToken,
+  requirePermission
+} from '../middleware/auth.js';
+import {
+  validateTransfer,
+  validateObjectIdParam,
+  validatePagination
+} from '../middleware/validation.js';
+import {
+  generalRateLimit,
+  strictRateLimit
+} from '../middleware/security.js';
+import {
+  auditLogger
+} from '../middleware/logger.js';
+
+const router = express.Router();
+
+// Protected routes - Transfers of copies between branches (Admin/Librarian)
+router.get('/',
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('items.read'),
+  validatePagination,
+  getTransfers
+);
+
+router.get('/:id',
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('items.read'),
+  validateObjectIdParam('id'),
+  getTransferById
+);
+
+router.post('/',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transfers.manage'),
+  validateTransfer,
+  auditLogger('TRANSFER_REQUEST'),
+  requestTransfer
+);
+
+router.put('/:id/ship',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transfers.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('TRANSFER_SHIP'),
+  shipTransferById
+);
+
+router.put('/:id/receive',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transfers.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('TRANSFER_RECEIVE'),
+  receiveTransferById
+);
+
+router.put('/:id/cancel',
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('transfers.manage'),
+  validateObjectIdParam('id'),
+  auditLogger('TRANSFER_CANCEL'),
+  cancelTransfer
+);
+
+export default router;
@@ -2,28 +2,76 @@ import express from 'express';
 import {
   registerUser,
   loginUser,
+  loginTwoFactor,
   getUserProfile,
   updateUserProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
+  getMyLoginHistory,
+  getUserLoginHistory,
+  unlockUser,
+  getSuspiciousActivityReport,
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorHandler,
+  regenerateBackupCodesHandler,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
   getAllUsers,
   getUserById,
   updateUserStatus,
+  updateUserRole,
+  updateUserBranch,
+  updateUserMembership,
+  renewUserMembership,
   deleteUser
 } from '../controller/userController.js';
+import {
+  getUserByCard,
+  getUserCards,
+  issueLibraryCard,
+  blockLibraryCard
+} from '../controller/libraryCardController.js';
 import {
   authenticateToken,
-  authorize,
-  authorizeOwnerOrStaff
+  requirePermission,
+  authorizeOwnerOrPermission
 } from '../middleware/auth.js';
 import {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailToken,
+  validateRefreshToken,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
+  validateUserRole,
+  validateUserBranch,
+  validateMembership,
+  validateMembershipRenewal,
+  validateCardNumberParam,
+  validateLibraryCard,
+  validateCardBlock,
   validateObjectIdParam,
   validatePagination
 } from '../middleware/validation.js';
 import {
   authRateLimit,
-  generalRateLimit
+  generalRateLimit,
+  strictRateLimit
 } from '../middleware/security.js';
 import {
   auditLogger
@@ -44,6 +92,45 @@ router.post('/login',
   loginUser
 );
 
+router.post('/login/two-factor', 
+  authRateLimit,
+  validateTwoFactorLogin,
+  loginTwoFactor
+);
+
+// Public routes - Sessions (identified by refresh token)
+router.post('/refresh-token', 
+  generalRateLimit,
+  validateRefreshToken,
+  refreshAccessToken
+);
+
+router.post('/logout', 
+  generalRateLimit,
+  validateRefreshToken,
+  logoutUser
+);
+
+// Public routes - Account recovery and email verification
+router.post('/forgot-password', 
+  authRateLimit,
+  validateForgotPassword,
+  forgotPassword
+);
+
+router.post('/reset-password', 
+  authRateLimit,
+  validateResetPassword,
+  auditLogger('PASSWORD_RESET'),
+  resetPassword
+);
+
+router.post('/verify-email', 
+  authRateLimit,
+  validateEmailToken,
+  verifyEmail
+);
+
 // Protected routes - User profile management
 router.get('/profile', 
   generalRateLimit,
@@ -64,19 +151,181 @@ router.put('/change-password',
   changePassword
 );
 
-// Admin/Librarian routes - User management
+router.post('/resend-verification', 
+  authRateLimit,
+  authenticateToken,
+  resendVerification
+);
+
+// Protected routes - Session management
+router.get('/sessions', 
+  generalRateLimit,
+  authenticateToken,
+  getSessions
+);
+
+router.delete('/sessions/:id', 
+  generalRateLimit,
+  authenticateToken,
+  validateObjectIdParam('id'),
+  auditLogger('SESSION_REVOKE'),
+  revokeSession
+);
+
+router.post('/logout-all', 
+  generalRateLimit,
+  authenticateToken,
+  auditLogger('LOGOUT_ALL'),
+  logoutAllSessions
+);
+
+router.get('/login-history', 
+  generalRateLimit,
+  authenticateToken,
+  validatePagination,
+  getMyLoginHistory
+);
+
+// Protected routes - Two-factor authentication (open to staff who have not
+// enrolled yet, so they can satisfy the policy)
+router.get('/two-factor', 
+  generalRateLimit,
+  authenticateToken,
+  getTwoFactor
+);
+
+router.post('/two-factor/setup', 
+  strictRateLimit,
+  authenticateToken,
+  setupTwoFactor
+);
+
+router.post('/two-factor/enable', 
+  authRateLimit,
+  authenticateToken,
+  validateTwoFactorCode,
+  auditLogger('TWO_FACTOR_ENABLE'),
+  enableTwoFactor
+);
+
+router.post('/two-factor/disable', 
+  authRateLimit,
+  authenticateToken,
+  validateTwoFactorDisable,
+  auditLogger('TWO_FACTOR_DISABLE'),
+  disableTwoFactorHandler
+);
+
+router.post('/two-factor/backup-codes', 
+  authRateLimit,
+  authenticateToken,
+  validateTwoFactorCode,
+  auditLogger('TWO_FACTOR_BACKUP_CODES'),
+  regenerateBackupCodesHandler
+);
+
+// Admin routes - Two-factor policy
+router.get('/two-factor/policy', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('settings.manage'),
+  getTwoFactorPolicy
+);
+
+router.put('/two-factor/policy', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('settings.manage'),
+  validateTwoFactorPolicy,
+  auditLogger('TWO_FACTOR_POLICY_UPDATE'),
+  updateTwoFactorPolicy
+);
+
+// Staff routes - Login security
+router.get('/suspicious-activity', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.security'),
+  getSuspiciousActivityReport
+);
+
+router.get('/:id/login-history', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.security'),
+  validateObjectIdParam('id'),
+  validatePagination,
+  getUserLoginHistory
+);
+
+router.delete('/:id/two-factor', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.security'),
+  validateObjectIdParam('id'),
+  auditLogger('TWO_FACTOR_RESET'),
+  resetUserTwoFactor
+);
+
+router.put('/:id/unlock', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.security'),
+  validateObjectIdParam('id'),
+  auditLogger('USER_UNLOCK'),
+  unlockUser
+);
+
+// Staff routes - User management
 router.get('/', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('users.read'),
   validatePagination,
   getAllUsers
 );
 
+// Staff routes - Library cards (looked up before /:id)
+router.get('/by-card/:number', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.read'),
+  validateCardNumberParam,
+  getUserByCard
+);
+
+router.get('/:id/cards', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.read'),
+  validateObjectIdParam('id'),
+  getUserCards
+);
+
+router.post('/:id/cards', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('cards.manage'),
+  validateObjectIdParam('id'),
+  validateLibraryCard,
+  auditLogger('LIBRARY_CARD_ISSUE'),
+  issueLibraryCard
+);
+
+router.put('/:id/cards/block', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('cards.manage'),
+  validateObjectIdParam('id'),
+  validateCardBlock,
+  auditLogger('LIBRARY_CARD_BLOCK'),
+  blockLibraryCard
+);
+
 router.get('/:id', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin', 'librarian'),
+  requirePermission('users.read'),
   validateObjectIdParam('id'),
   getUserById
 );
@@ -84,16 +333,56 @@ router.get('/:id',
 router.put('/:id/status', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin'),
+  requirePermission('users.update_status'),
   validateObjectIdParam('id'),
   auditLogger('USER_STATUS_UPDATE'),
   updateUserStatus
 );
 
+router.put('/:id/role', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('roles.assign'),
+  validateObjectIdParam('id'),
+  validateUserRole,
+  auditLogger('USER_ROLE_UPDATE'),
+  updateUserRole
+);
+
+router.put('/:id/branch', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('users.assign_branch'),
+  validateObjectIdParam('id'),
+  validateUserBranch,
+  auditLogger('USER_BRANCH_UPDATE'),
+  updateUserBranch
+);
+
+router.put('/:id/membership', 
+  generalRateLimit,
+  authenticateToken,
+  requirePermission('memberships.manage'),
+  validateObjectIdParam('id'),
+  validateMembership,
+  auditLogger('USER_MEMBERSHIP_UPDATE'),
+  updateUserMembership
+);
+
+router.put('/:id/membership/renew', 
+  strictRateLimit,
+  authenticateToken,
+  requirePermission('memberships.manage'),
+  validateObjectIdParam('id'),
+  validateMembershipRenewal,
+  auditLogger('USER_MEMBERSHIP_RENEW'),
+  renewUserMembership
+);
+
 router.delete('/:id', 
   generalRateLimit,
   authenticateToken,
-  authorize('admin'),
+  requirePermission('users.delete'),
   validateObjectIdParam('id'),
   auditLogger('USER_DELETE'),
   deleteUser
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/user.js';
+import { runInTransaction } from '../utils/dbTransaction.js';
+import { issueCard } from '../utils/libraryCardService.js';
+
+// Issues library cards to patrons who registered before card numbers
+// existed, so every borrower can be looked up by card at the desk.
+
+// Load environment variables
+dotenv.config();
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for library card backfill...');
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const backfillCards = async () => {
+  try {
+    await connectDB();
+
+    const users = await User.find({
+      role: 'borrower',
+      cardNumber: { $exists: false }
+    }).sort({ createdAt: 1 });
+
+    console.log(`💳 Issuing library cards to ${users.length} patrons...`);
+
+    for (const user of users) {
+      const { card } = await runInTransaction(session => issueCard({ session, user, notes: 'Issued by backfill' }));
+      console.log(`${user.username}: ${card.number}`);
+    }
+
+    console.log('✅ Library card backfill completed successfully!');
+  } catch (error) {
+    console.error('❌ Error backfilling library cards:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(0);
+  }
+};
+
+// Run backfill if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillCards();
+}
+
+export default backfillCards;
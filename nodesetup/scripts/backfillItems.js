@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Book from '../models/book.js';
+import Item from '../models/item.js';
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
+
+// Creates Item records for books that were catalogued before per-copy
+// tracking existed. Each book gets `totalCopies` items; open loans are
+// linked to a checked-out copy so that returns release the right item.
+
+// Load environment variables
+dotenv.config();
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for item backfill...');
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const backfillBook = async (book) => {
+  const openLoans = await Transaction.find({
+    bookId: book._id,
+    status: { $in: OPEN_LOAN_STATUSES }
+  }).sort({ issueDate: 1 });
+
+  // Never create fewer copies than there are loans out
+  const copies = Math.max(book.totalCopies, openLoans.length);
+  const isbnDigits = book.isbn.replace(/[^0-9X]/gi, '');
+
+  const items = await Item.insertMany(
+    Array.from({ length: copies }, (_, index) => ({
+      bookId: book._id,
+      barcode: `${isbnDigits}-${index + 1}`,
+      location: book.location,
+      acquisitionDate: book.createdAt,
+      status: index < openLoans.length ? 'checked_out' : 'available'
+    }))
+  );
+
+  for (let i = 0; i < openLoans.length; i++) {
+    openLoans[i].itemId = items[i]._id;
+    await openLoans[i].save();
+  }
+
+  const counts = await Item.syncBookCounts(book._id);
+  console.log(`${book.title}: created ${items.length} items, linked ${openLoans.length} loans (${counts.availableCopies}/${counts.totalCopies} available)`);
+};
+
+const backfillItems = async () => {
+  try {
+    await connectDB();
+
+    const bookIdsWithItems = await Item.distinct('bookId');
+    const books = await Book.find({ _id: { $nin: bookIdsWithItems } });
+
+    console.log(`📦 Backfilling items for ${books.length} books...`);
+
+    for (const book of books) {
+      await backfillBook(book);
+    }
+
+    console.log('✅ Item backfill completed successfully!');
+  } catch (error) {
+    console.error('❌ Error backfilling items:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(0);
+  }
+};
+
+// Run backfill if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillItems();
+}
+
+export default backfillItems;
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { runWithContext } from '../utils/requestContext.js';
+import { parseCatalog, importBooks } from '../utils/catalogImportService.js';
+
+// Loads a catalog of books from a CSV, JSON, MARC 21 (.mrc) or MARCXML (.xml)
+// file, creating missing authors and categories by name and creating or
+// updating books by ISBN.
+//   npm run import:catalog -- books.mrc [--dry-run] [--location=STACKS]
+// With --dry-run nothing is written; every row is checked and its errors are
+// reported. --location is the shelf for records that do not give one. Exits
+// non-zero when any row has errors.
+
+// Load environment variables
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const location = process.argv.find(arg => arg.startsWith('--location='))?.slice('--location='.length);
+const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+// Catalog formats by file extension; anything else is read as JSON
+const FORMATS = { '.csv': 'csv', '.mrc': 'marc', '.marc': 'marc', '.xml': 'marcxml' };
+
+const readCatalog = (file) => {
+  const format = FORMATS[path.extname(file).toLowerCase()] || 'json';
+  if (format === 'marc') {
+    return parseCatalog(fs.readFileSync(file), format);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  return parseCatalog(format === 'json' ? JSON.parse(text) : text, format);
+};
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for catalog import...');
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const printReport = (report) => {
+  for (const { row, isbn, title, errors } of report.errors) {
+    console.log(`Row ${row} (${isbn || 'no ISBN'}${title ? `, ${title}` : ''}):`);
+    for (const error of errors) {
+      console.log(`  - ${error.field ? `${error.field}: ` : ''}${error.message}`);
+    }
+  }
+
+  const verb = report.dryRun ? 'would be' : 'were';
+  console.log(`${report.total} rows: ${report.valid} valid, ${report.invalid} with errors`);
+  console.log(`${report.created} books ${verb} created and ${report.updated} updated`);
+  if (!report.dryRun) {
+    console.log(`${report.copiesAdded} copies added`);
+  }
+  if (report.authorsCreated.length > 0) {
+    console.log(`New authors: ${report.authorsCreated.join(', ')}`);
+  }
+  if (report.categoriesCreated.length > 0) {
+    console.log(`New categories: ${report.categoriesCreated.join(', ')}`);
+  }
+};
+
+const importCatalog = async () => {
+  let exitCode = 0;
+
+  try {
+    if (!file) {
+      throw new Error('Usage: npm run import:catalog -- <file.csv|file.json|file.mrc|file.xml> [--dry-run] [--location=SHELF]');
+    }
+
+    const records = readCatalog(file);
+
+    await connectDB();
+
+    console.log(`📚 ${dryRun ? 'Checking' : 'Importing'} ${records.length} books from ${file}...`);
+
+    // Changes are audited as a catalog import
+    const report = await runWithContext(
+      { source: 'system', actor: null, action: 'CATALOG_IMPORT' },
+      () => importBooks(records, { dryRun, location })
+    );
+
+    printReport(report);
+
+    if (report.invalid > 0) {
+      exitCode = 1;
+    }
+    console.log(dryRun ? '✅ Dry run completed, nothing was written.' : '✅ Catalog import completed!');
+  } catch (error) {
+    console.error('❌ Error importing catalog:', error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(exitCode);
+  }
+};
+
+// Run import if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  importCatalog();
+}
+
+export default importCatalog;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Book from '../models/book.js';
+
+// Rewrites ISBNs catalogued before normalization (ISBN-10, hyphens) as
+// ISBN-13, and reports books that become duplicates of each other once
+// normalized and ISBNs that fail their checksum. Duplicates must be merged by
+// hand (move their copies to one book, delete the other) and are left alone.
+// Pass --fix to rewrite; without it the script only reports and exits
+// non-zero when anything needs attention.
+
+// Load environment variables
+dotenv.config();
+
+const fix = process.argv.includes('--fix');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for ISBN normalization...');
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const normalizeIsbns = async () => {
+  let needsAttention = false;
+
+  try {
+    await connectDB();
+
+    const { duplicates, invalid, unnormalized } = await Book.findIsbnDuplicates();
+
+    console.log(`🔎 ${unnormalized.length} ISBNs to normalize${fix ? ' (fixing)' : ''}, ${duplicates.length} duplicated, ${invalid.length} invalid`);
+
+    for (const book of unnormalized) {
+      console.log(`   ${book.isbn} → ${book.normalizedIsbn}  ${book.title}`);
+      if (fix) {
+        await Book.updateOne({ _id: book._id }, { isbn: book.normalizedIsbn, updatedAt: new Date() });
+      }
+    }
+
+    for (const { isbn, books } of duplicates) {
+      console.log(`⚠️  ${isbn} is shared by ${books.length} books:`);
+      books.forEach(book => console.log(`   - ${book._id} ${book.isbn}  ${book.title} (${book.totalCopies} copies)`));
+    }
+
+    for (const book of invalid) {
+      console.log(`⚠️  ${book._id} has an invalid ISBN: ${book.isbn}  ${book.title}`);
+    }
+
+    needsAttention = duplicates.length > 0 || invalid.length > 0 || (unnormalized.length > 0 && !fix);
+    if (!needsAttention) {
+      console.log(fix && unnormalized.length > 0 ? `✅ Normalized ${unnormalized.length} ISBNs.` : '✅ All ISBNs are normalized.');
+    } else if (unnormalized.length > 0 && !fix) {
+      console.log('❌ Run with --fix to normalize ISBNs.');
+    }
+  } catch (error) {
+    console.error('❌ Error normalizing ISBNs:', error);
+    needsAttention = true;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(needsAttention ? 1 : 0);
+  }
+};
+
+// Run normalization if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  normalizeIsbns();
+}
+
+export default normalizeIsbns;
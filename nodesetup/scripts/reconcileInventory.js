@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Book from '../models/book.js';
+import Item, { INACTIVE_ITEM_STATUSES } from '../models/item.js';
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
+import Reservation from '../models/reservation.js';
+import Transfer from '../models/transfer.js';
+
+// Recomputes each book's totalCopies/availableCopies from its copies and open
+// loans and reports any drift from the stored counters. Also reports copies
+// marked checked out without an open loan, open loans whose copy is not
+// marked checked out, copies on hold for no reservation awaiting pickup and
+// copies in transit without a transfer on the way.
+// Pass --fix to repair the copies and counters; without it the script only
+// reports and exits non-zero when drift is found.
+
+// Load environment variables
+dotenv.config();
+
+const fix = process.argv.includes('--fix');
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for inventory reconciliation...');
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const reconcileBook = async (book) => {
+  const problems = [];
+
+  const items = await Item.find({ bookId: book._id });
+  const openLoans = await Transaction.find({
+    bookId: book._id,
+    status: { $in: OPEN_LOAN_STATUSES }
+  }).select('itemId');
+
+  const loanedItemIds = new Set(
+    openLoans.filter(loan => loan.itemId).map(loan => loan.itemId.toString())
+  );
+
+  // Copies flagged as checked out that no open loan refers to
+  const orphanedItems = items.filter(item =>
+    item.status === 'checked_out' && !loanedItemIds.has(item._id.toString())
+  );
+  for (const item of orphanedItems) {
+    problems.push(`copy ${item.barcode} is checked out but has no open loan`);
+  }
+
+  // Copies on hold that no reservation awaiting pickup refers to
+  const heldItemIds = new Set(
+    (await Reservation.find({ bookId: book._id, status: 'ready' }).select('itemId'))
+      .filter(reservation => reservation.itemId)
+      .map(reservation => reservation.itemId.toString())
+  );
+  const orphanedHolds = items.filter(item =>
+    item.status === 'on_hold' && !heldItemIds.has(item._id.toString())
+  );
+  for (const item of orphanedHolds) {
+    problems.push(`copy ${item.barcode} is on hold but no reservation is awaiting it`);
+  }
+
+  // Copies in transit that no transfer on the way refers to
+  const travellingItemIds = new Set(
+    (await Transfer.find({ bookId: book._id, status: 'in_transit' }).select('itemId'))
+      .map(transfer => transfer.itemId.toString())
+  );
+  const orphanedTransits = items.filter(item =>
+    item.status === 'in_transit' && !travellingItemIds.has(item._id.toString())
+  );
+  for (const item of orphanedTransits) {
+    problems.push(`copy ${item.barcode} is in transit but no transfer is on the way`);
+  }
+
+  // Open loans whose copy is not flagged as checked out
+  const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+  const unflaggedItems = [...loanedItemIds]
+    .map(id => itemsById.get(id))
+    .filter(item => item && item.status !== 'checked_out');
+  for (const item of unflaggedItems) {
+    problems.push(`copy ${item.barcode} is on loan but marked ${item.status}`);
+  }
+
+  const loansWithoutItem = openLoans.length - loanedItemIds.size;
+  if (loansWithoutItem > 0) {
+    problems.push(`${loansWithoutItem} open loan(s) are not linked to a copy`);
+  }
+
+  // Expected counters once copies and loans agree
+  const totalCopies = items.filter(item => !INACTIVE_ITEM_STATUSES.includes(item.status)).length;
+  const availableCopies = items.filter(item =>
+    item.status === 'available' && !loanedItemIds.has(item._id.toString())
+  ).length + orphanedItems.length + orphanedHolds.length + orphanedTransits.length;
+
+  if (book.totalCopies !== totalCopies || book.availableCopies !== availableCopies) {
+    problems.push(
+      `counters are ${book.availableCopies}/${book.totalCopies} available, expected ${availableCopies}/${totalCopies}`
+    );
+  }
+
+  if (problems.length === 0) {
+    return false;
+  }
+
+  console.log(`⚠️  ${book.title} (${book.isbn})`);
+  problems.forEach(problem => console.log(`   - ${problem}`));
+
+  if (fix) {
+    const now = new Date();
+    if (orphanedItems.length > 0) {
+      await Item.updateMany(
+        { _id: { $in: orphanedItems.map(item => item._id) }, status: 'checked_out' },
+        { status: 'available', updatedAt: now }
+      );
+    }
+    if (orphanedHolds.length > 0) {
+      await Item.updateMany(
+        { _id: { $in: orphanedHolds.map(item => item._id) }, status: 'on_hold' },
+        { status: 'available', updatedAt: now }
+      );
+    }
+    if (orphanedTransits.length > 0) {
+      await Item.updateMany(
+        { _id: { $in: orphanedTransits.map(item => item._id) }, status: 'in_transit' },
+        { status: 'available', updatedAt: now }
+      );
+    }
+    if (unflaggedItems.length > 0) {
+      await Item.updateMany(
+        { _id: { $in: unflaggedItems.map(item => item._id) } },
+        { status: 'checked_out', updatedAt: now }
+      );
+    }
+    const counts = await Item.syncBookCounts(book._id);
+    console.log(`   ✔ fixed (${counts.availableCopies}/${counts.totalCopies} available)`);
+  }
+
+  return true;
+};
+
+const reconcileInventory = async () => {
+  let driftFound = false;
+
+  try {
+    await connectDB();
+
+    const books = await Book.find().select('title isbn totalCopies availableCopies');
+
+    console.log(`🔎 Reconciling inventory for ${books.length} books${fix ? ' (fixing drift)' : ''}...`);
+
+    let drifted = 0;
+    for (const book of books) {
+      if (await reconcileBook(book)) {
+        drifted++;
+      }
+    }
+
+    driftFound = drifted > 0 && !fix;
+    if (drifted === 0) {
+      console.log('✅ No drift found.');
+    } else if (fix) {
+      console.log(`✅ Fixed drift on ${drifted} books.`);
+    } else {
+      console.log(`❌ Drift found on ${drifted} books. Run with --fix to repair.`);
+    }
+  } catch (error) {
+    console.error('❌ Error reconciling inventory:', error);
+    driftFound = true;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+    process.exit(driftFound ? 1 : 0);
+  }
+};
+
+// Run reconciliation if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  reconcileInventory();
+}
+
+export default reconcileInventory;
@@ -5,9 +5,12 @@ import User from '../models/user.js';
 import Author from '../models/author.js';
 import Category from '../models/category.js';
 import Book from '../models/book.js';
+import Item from '../models/item.js';
 import Transaction from '../models/transaction.js';
 import Fine from '../models/fine.js';
 import Reservation from '../models/reservation.js';
+import LoanPolicy from '../models/loanPolicy.js';
+import { ensureDefaultRoles } from '../utils/permissionService.js';
 
 // Load environment variables
 dotenv.config();
@@ -156,7 +159,40 @@ const sampleCategories = [
   }
 ];
 
+const sampleLoanPolicies = [
+  {
+    name: 'Library default',
+    description: 'Applies to every patron and category without a more specific policy',
+    loanPeriodDays: 14,
+    maxRenewals: 2,
+    maxItems: 5,
+    maxReservations: 3,
+    holdPickupDays: 3,
+    finePerDay: 1,
+    graceDays: 0,
+    maxFine: 25
+  },
+  {
+    name: 'Staff',
+    description: 'Longer loans and higher limits for library staff',
+    patronRole: 'librarian',
+    loanPeriodDays: 28,
+    maxRenewals: 3,
+    maxItems: 10,
+    maxReservations: 5,
+    holdPickupDays: 7,
+    finePerDay: 0.5,
+    graceDays: 2,
+    maxFine: 25
+  }
+];
+
 // Seed functions
+const seedRoles = async () => {
+  console.log('Seeding roles...');
+  await ensureDefaultRoles();
+};
+
 const seedUsers = async () => {
   console.log('Seeding users...');
   
@@ -195,6 +231,18 @@ const seedCategories = async () => {
   }
 };
 
+const seedLoanPolicies = async () => {
+  console.log('Seeding loan policies...');
+  
+  for (const policyData of sampleLoanPolicies) {
+    const existingPolicy = await LoanPolicy.findOne({ name: policyData.name });
+    if (!existingPolicy) {
+      await LoanPolicy.create(policyData);
+      console.log(`Created loan policy: ${policyData.name}`);
+    }
+  }
+};
+
 const seedBooks = async () => {
   console.log('Seeding books...');
   
@@ -215,7 +263,6 @@ const seedBooks = async () => {
       publicationDate: new Date('1997-06-26'),
       categories: [categories.find(c => c.name === 'Fiction')?._id],
       totalCopies: 5,
-      availableCopies: 3,
       location: 'A1-001',
       description: 'The first book in the Harry Potter series.',
       language: 'English',
@@ -229,7 +276,6 @@ const seedBooks = async () => {
       publicationDate: new Date('1949-06-08'),
       categories: [categories.find(c => c.name === 'Fiction')?._id, categories.find(c => c.name === 'Science Fiction')?._id],
       totalCopies: 4,
-      availableCopies: 2,
       location: 'B2-045',
       description: 'A dystopian social science fiction novel.',
       language: 'English',
@@ -243,21 +289,19 @@ const seedBooks = async () => {
       publicationDate: new Date('1813-01-28'),
       categories: [categories.find(c => c.name === 'Fiction')?._id, categories.find(c => c.name === 'Romance')?._id],
       totalCopies: 3,
-      availableCopies: 3,
       location: 'C1-012',
       description: 'A romantic novel of manners.',
       language: 'English',
       pages: 432
     },
     {
-      isbn: '978-0-385-12167-8',
+      isbn: '978-0-385-12167-5',
       title: 'The Shining',
       authors: [authors.find(a => a.name === 'Stephen King')?._id],
       publisher: 'Doubleday',
       publicationDate: new Date('1977-01-28'),
       categories: [categories.find(c => c.name === 'Horror')?._id, categories.find(c => c.name === 'Fiction')?._id],
       totalCopies: 2,
-      availableCopies: 1,
       location: 'D3-078',
       description: 'A horror novel about a haunted hotel.',
       language: 'English',
@@ -271,7 +315,6 @@ const seedBooks = async () => {
       publicationDate: new Date('1934-01-01'),
       categories: [categories.find(c => c.name === 'Mystery')?._id, categories.find(c => c.name === 'Fiction')?._id],
       totalCopies: 3,
-      availableCopies: 0,
       location: 'E1-023',
       description: 'A detective novel featuring Hercule Poirot.',
       language: 'English',
@@ -282,8 +325,20 @@ const seedBooks = async () => {
   for (const bookData of sampleBooks) {
     const existingBook = await Book.findOne({ isbn: bookData.isbn });
     if (!existingBook) {
-      await Book.create(bookData);
-      console.log(`Created book: ${bookData.title}`);
+      const { totalCopies, ...bookFields } = bookData;
+      const book = await Book.create(bookFields);
+
+      // One item record per physical copy; Book counters are derived from them
+      await Item.insertMany(
+        Array.from({ length: totalCopies }, (_, index) => ({
+          bookId: book._id,
+          barcode: `${book.isbn.replace(/[^0-9X]/gi, '')}-${index + 1}`,
+          location: book.location
+        }))
+      );
+      await Item.syncBookCounts(book._id);
+
+      console.log(`Created book: ${bookData.title} (${totalCopies} copies)`);
     }
   }
 };
@@ -295,10 +350,12 @@ const seedDatabase = async () => {
     
     console.log('🌱 Starting database seeding...');
     
+    await seedRoles();
     await seedUsers();
     await seedAuthors();
     await seedCategories();
     await seedBooks();
+    await seedLoanPolicies();
     
     console.log('✅ Database seeding completed successfully!');
     console.log('\n📋 Default accounts created:');
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LEADER, parseMarc, parseMarcXml, serializeMarc, serializeMarcXml } from '../utils/marc.js';
+import { bookToMarc, marcToRecord } from '../utils/marcCatalogService.js';
+
+// Runs with `npm test` (node --test); nothing here needs a database
+
+const record = {
+  leader: DEFAULT_LEADER,
+  fields: [
+    { tag: '001', value: '65f0c0ffee0000000000000a' },
+    { tag: '008', value: '240105s2018    xx |||||||||||||||||und|d' },
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '9780134685991' }] },
+    { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Bloch, Joshua' }] },
+    {
+      tag: '245',
+      ind1: '1',
+      ind2: '0',
+      subfields: [{ code: 'a', value: 'Effective Java :' }, { code: 'b', value: 'Best Practices & <Idioms>' }]
+    },
+    { tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'b', value: 'Addison-Wesley,' }, { code: 'c', value: '2018' }] },
+    { tag: '520', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: 'Café “quotes”, ünïcödé and "XML" entities' }] },
+    { tag: '650', ind1: ' ', ind2: '4', subfields: [{ code: 'a', value: 'Programming' }] },
+    { tag: '700', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Steele, Guy L.' }] }
+  ]
+};
+
+// The leader's lengths and addresses are recomputed when writing
+const withoutLengths = ({ leader, fields }) => ({ leader: `${leader.slice(5, 12)}${leader.slice(17)}`, fields });
+
+test('binary MARC round trip keeps every field', () => {
+  const [parsed] = parseMarc(serializeMarc([record]));
+  assert.deepEqual(withoutLengths(parsed), withoutLengths(record));
+});
+
+test('binary MARC round trip keeps several records apart', () => {
+  const second = { leader: DEFAULT_LEADER, fields: [{ tag: '001', value: 'second' }] };
+  const parsed = parseMarc(serializeMarc([record, second]));
+  assert.equal(parsed.length, 2);
+  assert.deepEqual(withoutLengths(parsed[1]), withoutLengths(second));
+});
+
+test('binary MARC record lengths count UTF-8 bytes', () => {
+  const buffer = serializeMarc([record]);
+  assert.equal(parseInt(buffer.toString('latin1', 0, 5), 10), buffer.length);
+});
+
+test('binary MARC records that are not UTF-8 are refused', () => {
+  const buffer = serializeMarc([record]);
+  // leader/09 blank: MARC-8
+  buffer[9] = 0x20;
+  assert.throws(() => parseMarc(buffer), /MARC record 1 is not UTF-8 encoded/);
+});
+
+test('MARCXML round trip keeps every field', () => {
+  const [parsed] = parseMarcXml(serializeMarcXml([record]));
+  assert.deepEqual(parsed, record);
+});
+
+test('MARCXML round trip keeps several records apart', () => {
+  const parsed = parseMarcXml(serializeMarcXml([record, record]));
+  assert.equal(parsed.length, 2);
+  assert.deepEqual(parsed[1], record);
+});
+
+const book = {
+  _id: '65f0c0ffee0000000000000a',
+  isbn: '9780134685991',
+  title: 'Effective Java: Best Practices',
+  authors: [{ name: 'Joshua Bloch' }, { name: 'Guy L. Steele' }],
+  publisher: 'Addison-Wesley',
+  publicationDate: new Date('2018-01-06T00:00:00Z'),
+  categories: [{ name: 'Programming' }, { name: 'Java' }],
+  pages: 412,
+  language: 'English',
+  createdAt: new Date('2024-01-05T00:00:00Z'),
+  updatedAt: new Date('2024-01-05T00:00:00Z')
+};
+
+const subfieldsOf = (marc, tag) => marc.fields
+  .filter(field => field.tag === tag)
+  .map(field => field.subfields.map(({ code, value }) => `${code}:${value}`));
+
+test('bookToMarc writes 020, 100, 245, 264, 300, 650 and 700', () => {
+  const marc = bookToMarc(book);
+
+  assert.deepEqual(subfieldsOf(marc, '020'), [['a:9780134685991']]);
+  assert.deepEqual(subfieldsOf(marc, '100'), [['a:Bloch, Joshua']]);
+  assert.deepEqual(subfieldsOf(marc, '245'), [['a:Effective Java :', 'b:Best Practices']]);
+  assert.deepEqual(subfieldsOf(marc, '264'), [['b:Addison-Wesley,', 'c:2018']]);
+  assert.deepEqual(subfieldsOf(marc, '300'), [['a:412 pages']]);
+  assert.deepEqual(subfieldsOf(marc, '650'), [['a:Programming'], ['a:Java']]);
+  assert.deepEqual(subfieldsOf(marc, '700'), [['a:Steele, Guy L.']]);
+});
+
+test('bookToMarc and marcToRecord round trip a book', () => {
+  const [marc] = parseMarc(serializeMarc([bookToMarc(book)]));
+
+  assert.deepEqual(marcToRecord(marc), {
+    isbn: '9780134685991',
+    title: 'Effective Java: Best Practices',
+    authors: ['Joshua Bloch', 'Guy L. Steele'],
+    publisher: 'Addison-Wesley',
+    publicationDate: '2018-01-01',
+    categories: ['Programming', 'Java'],
+    pages: '412',
+    description: undefined,
+    language: 'English',
+    location: undefined
+  });
+});
+
+test('marcToRecord reads a Library of Congress style record', () => {
+  const record = marcToRecord({
+    leader: DEFAULT_LEADER,
+    fields: [
+      { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '0-201-63361-2 (hardcover)' }] },
+      { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Gamma, Erich,' }, { code: 'e', value: 'author.' }] },
+      { tag: '245', ind1: '1', ind2: '0', subfields: [{ code: 'a', value: 'Design patterns :' }, { code: 'b', value: 'elements of reusable object-oriented software /' }, { code: 'c', value: 'Erich Gamma ... [et al.].' }] },
+      { tag: '260', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: 'Reading, Mass. :' }, { code: 'b', value: 'Addison-Wesley,' }, { code: 'c', value: 'c1995.' }] },
+      { tag: '300', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: 'xv, 395 p. :' }, { code: 'b', value: 'ill. ;' }] },
+      { tag: '650', ind1: ' ', ind2: '0', subfields: [{ code: 'a', value: 'Object-oriented programming (Computer science)' }] },
+      { tag: '650', ind1: ' ', ind2: '0', subfields: [{ code: 'a', value: 'Computer software' }, { code: 'x', value: 'Reusability.' }] },
+      { tag: '700', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Helm, Richard.' }] }
+    ]
+  });
+
+  assert.equal(record.isbn, '0-201-63361-2');
+  assert.equal(record.title, 'Design patterns: elements of reusable object-oriented software');
+  assert.deepEqual(record.authors, ['Erich Gamma', 'Richard Helm']);
+  assert.equal(record.publisher, 'Addison-Wesley');
+  assert.equal(record.publicationDate, '1995-01-01');
+  assert.equal(record.pages, '395');
+  assert.deepEqual(record.categories, ['Object-oriented programming (Computer science)', 'Computer software']);
+});
+
+test('marcToRecord prefers the 264 publication statement over 260', () => {
+  const record = marcToRecord({
+    leader: DEFAULT_LEADER,
+    fields: [
+      { tag: '260', ind1: ' ', ind2: ' ', subfields: [{ code: 'b', value: 'Old Press,' }, { code: 'c', value: '1990' }] },
+      { tag: '264', ind1: ' ', ind2: '4', subfields: [{ code: 'c', value: '©2016' }] },
+      { tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'b', value: 'New Press,' }, { code: 'c', value: '[2017]' }] }
+    ]
+  });
+
+  assert.equal(record.publisher, 'New Press');
+  assert.equal(record.publicationDate, '2017-01-01');
+});
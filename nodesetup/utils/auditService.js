@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import AuditLog from '../models/auditLog.js';
+import { getRequestContext } from './requestContext.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// JSON with object keys sorted, so the same entry always hashes the same way
+// no matter how its fields were ordered when read back
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Every stored field except _id and the hash itself goes into the hash
+const hashPayload = (entry) => ({
+  seq: entry.seq,
+  prevHash: entry.prevHash,
+  createdAt: new Date(entry.createdAt).toISOString(),
+  operation: entry.operation,
+  action: entry.action ?? null,
+  entityType: entry.entityType,
+  entityId: entry.entityId,
+  actor: {
+    userId: entry.actor?.userId ? String(entry.actor.userId) : null,
+    username: entry.actor?.username ?? null,
+    role: entry.actor?.role ?? null
+  },
+  source: entry.source ?? null,
+  requestId: entry.requestId ?? null,
+  ip: entry.ip ?? null,
+  userAgent: entry.userAgent ?? null,
+  method: entry.method ?? null,
+  url: entry.url ?? null,
+  changes: (entry.changes || []).map(change => ({
+    path: change.path,
+    before: change.before ?? null,
+    after: change.after ?? null
+  }))
+});
+
+export const computeAuditHash = (entry) => crypto
+  .createHash('sha256')
+  .update(stableStringify(hashPayload(entry)))
+  .digest('hex');
+
+// Append one entry at the end of the chain. The unique seq index makes two
+// instances appending at once collide instead of forking the chain; the
+// loser re-reads the head and tries again.
+const appendEntry = async (entry) => {
+  for (let attempt = 1; ; attempt++) {
+    const head = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+
+    const chained = {
+      ...entry,
+      seq: (head?.seq || 0) + 1,
+      prevHash: head?.hash || GENESIS_HASH
+    };
+    chained.hash = computeAuditHash(chained);
+
+    try {
+      return await AuditLog.create(chained);
+    } catch (error) {
+      if (error?.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Appends on this instance are serialized so they do not race each other.
+// A failed audit write is logged but never fails the change it describes.
+let chainTail = Promise.resolve();
+
+const appendEntries = (entries) => {
+  chainTail = chainTail
+    .then(async () => {
+      for (const entry of entries) {
+        await appendEntry(entry);
+      }
+    })
+    .catch(error => console.error('Error writing to audit trail:', error.message));
+  return chainTail;
+};
+
+// Build an entry for a change, filling in who made it from the request or
+// job context
+export const buildAuditEntry = ({ operation, entityType, entityId, changes }) => {
+  const context = getRequestContext();
+
+  return {
+    operation,
+    action: context?.action || undefined,
+    entityType,
+    entityId: String(entityId),
+    actor: context?.actor || undefined,
+    source: context?.source || 'system',
+    requestId: context?.requestId,
+    ip: context?.ip,
+    userAgent: context?.userAgent,
+    method: context?.method,
+    url: context?.url,
+    changes,
+    createdAt: new Date()
+  };
+};
+
+// Changes made inside a transaction are held back until it commits, so an
+// aborted or retried transaction leaves nothing in the trail
+const pendingBySession = new WeakMap();
+
+export const recordAuditEntries = (entries, session = null) => {
+  if (entries.length === 0) return Promise.resolve();
+
+  if (session?.inTransaction()) {
+    pendingBySession.set(session, [...(pendingBySession.get(session) || []), ...entries]);
+    return Promise.resolve();
+  }
+
+  return appendEntries(entries);
+};
+
+export const discardPendingAudit = (session) => {
+  pendingBySession.delete(session);
+};
+
+export const flushPendingAudit = (session) => {
+  const entries = pendingBySession.get(session) || [];
+  pendingBySession.delete(session);
+  return recordAuditEntries(entries);
+};
+
+// Walk the whole chain and report the first entry that was removed, reordered
+// or edited. The returned head hash can be kept elsewhere to detect entries
+// being cut off the end later.
+export const verifyAuditChain = async () => {
+  let expectedSeq = 1;
+  let expectedPrevHash = GENESIS_HASH;
+  let checked = 0;
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    let reason = null;
+
+    if (entry.seq !== expectedSeq) {
+      reason = `Expected entry ${expectedSeq} but found ${entry.seq}; entries are missing`;
+    } else if (entry.prevHash !== expectedPrevHash) {
+      reason = 'Entry does not link to the previous entry';
+    } else if (computeAuditHash(entry) !== entry.hash) {
+      reason = 'Entry contents do not match its hash';
+    }
+
+    if (reason) {
+      return {
+        valid: false,
+        checked,
+        brokenAt: { seq: entry.seq, id: entry._id, reason }
+      };
+    }
+
+    checked++;
+    expectedSeq = entry.seq + 1;
+    expectedPrevHash = entry.hash;
+  }
+
+  return {
+    valid: true,
+    checked,
+    head: checked > 0 ? { seq: expectedSeq - 1, hash: expectedPrevHash } : null
+  };
+};
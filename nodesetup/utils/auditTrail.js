@@ -0,0 +1,158 @@
+import { buildAuditEntry, recordAuditEntries } from './auditService.js';
+
+const REDACTED = '[redacted]';
+
+// Bookkeeping fields that change on every write and say nothing on their own
+const ALWAYS_IGNORED = ['_id', '__v', 'updatedAt'];
+
+const SINGLE_QUERY_OPS = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'];
+const MULTI_QUERY_OPS = ['updateMany', 'deleteMany'];
+
+// Plain JSON copy of a document: ObjectIds become strings and dates ISO strings
+const toPlain = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+// Nested objects become dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length > 0) {
+      flatten(child, path, out);
+    } else {
+      out[path] = child;
+    }
+  }
+  return out;
+};
+
+const isUnder = (path, roots) => roots.some(root => path === root || path.startsWith(`${root}.`));
+
+// Field-level differences between two versions of a document. Either side
+// may be null (created or deleted). Redacted fields only show that they changed.
+export const diffDocuments = (before, after, { ignore = [], redact = [] } = {}) => {
+  const flatBefore = flatten(toPlain(before));
+  const flatAfter = flatten(toPlain(after));
+  const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+  const changes = [];
+  for (const path of paths) {
+    if (isUnder(path, [...ALWAYS_IGNORED, ...ignore])) continue;
+
+    const oldValue = flatBefore[path] ?? null;
+    const newValue = flatAfter[path] ?? null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    if (isUnder(path, redact)) {
+      changes.push({
+        path,
+        before: oldValue === null ? null : REDACTED,
+        after: newValue === null ? null : REDACTED
+      });
+    } else {
+      changes.push({ path, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+};
+
+// Mongoose plugin that writes an audit entry for every create, update and
+// delete of a model, whether made through documents or queries.
+// Options:
+// - entityType - string recorded on each entry (e.g. 'book')
+// - ignore - paths whose changes are not recorded on their own
+// - redact - paths whose values are never written to the trail; fields with
+//   `select: false` are always redacted
+export const auditTrail = (schema, { entityType, ignore = [], redact = [] }) => {
+  const hiddenPaths = [];
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options?.select === false) hiddenPaths.push(path);
+  });
+  const redactedPaths = [...new Set([...redact, ...hiddenPaths])];
+
+  // Current state straight from the database, including hidden fields so a
+  // change to them is noticed (their values are redacted)
+  const load = (Model, filter, session, { single = false, sort } = {}) => {
+    let query = Model.find(filter).session(session || null).lean();
+    if (hiddenPaths.length > 0) {
+      query = query.select(hiddenPaths.map(path => `+${path}`).join(' '));
+    }
+    if (single) {
+      query = query.sort(sort || {}).limit(1);
+    }
+    return query;
+  };
+
+  const record = (versions, session) => {
+    const entries = versions
+      .map(({ id, before, after }) => {
+        const changes = diffDocuments(before, after, { ignore, redact: redactedPaths });
+        if (changes.length === 0) return null;
+
+        const operation = !before ? 'create' : !after ? 'delete' : 'update';
+        return buildAuditEntry({ operation, entityType, entityId: id, changes });
+      })
+      .filter(Boolean);
+
+    return recordAuditEntries(entries, session);
+  };
+
+  // Document saves (create and update)
+  schema.pre('save', async function () {
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : (await load(this.constructor, { _id: this._id }, this.$session()))[0] || null;
+  });
+
+  schema.post('save', async function () {
+    const [after] = await load(this.constructor, { _id: this._id }, this.$session());
+    await record([{ id: this._id, before: this.$locals.auditBefore, after }], this.$session());
+    delete this.$locals.auditBefore;
+  });
+
+  // document.deleteOne()
+  schema.pre('deleteOne', { document: true, query: false }, async function () {
+    this.$locals.auditBefore = (await load(this.constructor, { _id: this._id }, this.$session()))[0] || null;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function () {
+    await record([{ id: this._id, before: this.$locals.auditBefore, after: null }], this.$session());
+  });
+
+  // Query updates and deletes: remember the matching documents, then compare
+  // them with what is stored afterwards
+  schema.pre([...SINGLE_QUERY_OPS, ...MULTI_QUERY_OPS], { document: false, query: true }, async function () {
+    const options = this.getOptions();
+    this._auditBefore = await load(this.model, this.getFilter(), options.session, {
+      single: SINGLE_QUERY_OPS.includes(this.op),
+      sort: options.sort
+    });
+  });
+
+  schema.post([...SINGLE_QUERY_OPS, ...MULTI_QUERY_OPS], { document: false, query: true }, async function (result) {
+    const session = this.getOptions().session;
+    const beforeById = new Map((this._auditBefore || []).map(doc => [String(doc._id), doc]));
+
+    // findOneAnd* report the document they actually changed
+    const ids = this.op.startsWith('findOneAnd')
+      ? new Set(result?._id ? [String(result._id)] : [])
+      : new Set(beforeById.keys());
+    if (result?.upsertedId) ids.add(String(result.upsertedId));
+    if (ids.size === 0) return;
+
+    const afterDocs = this.op.toLowerCase().includes('delete')
+      ? []
+      : await load(this.model, { _id: { $in: [...ids] } }, session);
+    const afterById = new Map(afterDocs.map(doc => [String(doc._id), doc]));
+
+    await record([...ids].map(id => ({
+      id,
+      before: beforeById.get(id) || null,
+      after: afterById.get(id) || null
+    })), session);
+  });
+
+  // Model.insertMany bypasses save hooks
+  schema.post('insertMany', async function (docs) {
+    await record(docs.map(doc => ({ id: doc._id, before: null, after: doc.toObject() })), docs[0]?.$session());
+  });
+};
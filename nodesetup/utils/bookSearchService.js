@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import Book from '../models/book.js';
+import Category from '../models/category.js';
+import { cleanIsbn, toIsbn13 } from './isbn.js';
+
+// Catalog search: relevance-ranked full-text search over titles, author and
+// category names, publishers and descriptions (the book_text_search index),
+// with facet counts for filter sidebars. Everything the Books listing needs
+// from the database goes through searchBooks(), so another search engine can
+// be dropped in here without touching the controller.
+
+// Facets whose values the sidebars show. Each facet is counted with every
+// filter applied except its own, so picking a language still shows how many
+// books there are in the other languages.
+const FACETS = ['category', 'language', 'decade', 'availability'];
+
+const MAX_FACET_VALUES = 50;
+
+// The part of the query that matches the search box. A full ISBN finds that
+// book; digits that look like part of one match the start of stored ISBNs,
+// whether typed from the ISBN-10 or the ISBN-13; anything else is a text
+// search.
+const searchFilter = (search) => {
+  if (!search) {
+    return {};
+  }
+
+  const isbn = toIsbn13(search);
+  if (isbn) {
+    return { isbn };
+  }
+
+  if (/^[\dXx\s-]{4,}$/.test(search.trim())) {
+    const prefix = cleanIsbn(search);
+    // ISBNs are stored as ISBN-13, so the start of an ISBN-10 (short of its
+    // check digit) is also looked for after the 978 prefix. Both are prefix
+    // matches, which the isbn index can answer.
+    return /^\d{1,9}$/.test(prefix)
+      ? { isbn: { $in: [new RegExp(`^${prefix}`), new RegExp(`^978${prefix}`)] } }
+      : { isbn: { $regex: `^${prefix}` } };
+  }
+
+  return { $text: { $search: search } };
+};
+
+// Filters from the sidebars, by facet
+const facetFilters = (query) => {
+  const filters = {};
+
+  if (query.category) {
+    // Aggregations do not cast, so the ID is converted here
+    filters.category = { categories: new mongoose.Types.ObjectId(query.category) };
+  }
+
+  if (query.language) {
+    filters.language = { language: query.language };
+  }
+
+  // A decade (1990 for the 1990s), or a single year
+  if (query.decade) {
+    const decade = parseInt(query.decade);
+    filters.decade = {
+      publicationDate: { $gte: new Date(decade, 0, 1), $lt: new Date(decade + 10, 0, 1) }
+    };
+  } else if (query.year) {
+    const year = parseInt(query.year);
+    filters.decade = {
+      publicationDate: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) }
+    };
+  }
+
+  if (query.available === 'true') {
+    filters.availability = { availableCopies: { $gt: 0 }, status: 'available' };
+  } else if (query.available === 'false') {
+    filters.availability = { $or: [{ availableCopies: 0 }, { status: { $ne: 'available' } }] };
+  }
+
+  return filters;
+};
+
+const combine = (...filters) => {
+  const parts = filters.filter(filter => Object.keys(filter).length > 0);
+  if (parts.length <= 1) {
+    return parts[0] || {};
+  }
+  return { $and: parts };
+};
+
+// Every filter except the one for `facet`
+const filtersExcept = (filters, facet) => combine(
+  ...Object.entries(filters).filter(([name]) => name !== facet).map(([, filter]) => filter)
+);
+
+const countBy = (expression) => [
+  { $group: { _id: expression, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_VALUES }
+];
+
+const facetPipelines = {
+  category: [
+    { $unwind: '$categories' },
+    ...countBy('$categories')
+  ],
+  language: countBy('$language'),
+  decade: [
+    ...countBy({ $multiply: [{ $floor: { $divide: [{ $year: '$publicationDate' }, 10] } }, 10] }),
+    { $sort: { _id: -1 } }
+  ],
+  availability: countBy({
+    $cond: [
+      { $and: [{ $gt: ['$availableCopies', 0] }, { $eq: ['$status', 'available'] }] },
+      'available',
+      'unavailable'
+    ]
+  })
+};
+
+const countFacets = async (search, filters) => {
+  // $text may only appear in the first stage, so the search is matched once
+  // and each facet applies the other filters itself
+  const [counts] = await Book.aggregate([
+    { $match: search },
+    {
+      $facet: Object.fromEntries(FACETS.map(facet => [
+        facet,
+        [{ $match: filtersExcept(filters, facet) }, ...facetPipelines[facet]]
+      ]))
+    }
+  ]);
+
+  const categories = await Category.find({ _id: { $in: counts.category.map(entry => entry._id) } }).select('name');
+  const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+  return {
+    categories: counts.category
+      .filter(entry => categoryNames.has(entry._id.toString()))
+      .map(entry => ({ value: entry._id, name: categoryNames.get(entry._id.toString()), count: entry.count })),
+    languages: counts.language.map(entry => ({ value: entry._id, count: entry.count })),
+    decades: counts.decade.filter(entry => entry._id !== null).map(entry => ({ value: entry._id, count: entry.count })),
+    availability: counts.availability.map(entry => ({ value: entry._id, count: entry.count }))
+  };
+};
+
+// Sort keys for ?sort=, each with the direction it uses unless :asc or :desc
+// is given, and the field it sorts on. Titles sort without a leading article
+// ("The Hobbit" under H), computed per listing; authors by the book's first
+// (primary) author and popularity by the number of times the book has been
+// borrowed, both stored on the book and indexed.
+export const SORT_KEYS = {
+  relevance: { field: 'score', direction: -1 },
+  title: { field: 'sortTitle', direction: 1 },
+  author: { field: 'authorSortName', direction: 1 },
+  publication: { field: 'publicationDate', direction: -1 },
+  popularity: { field: 'loanCount', direction: -1 },
+  availability: { field: 'availableCopies', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 }
+};
+
+export const MAX_SORT_KEYS = 4;
+
+// "author,publication:asc" -> [{ key: 'author', direction: 1 }, ...]
+export const parseSort = (sort) => String(sort || '')
+  .split(',')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const [key, order] = part.split(':');
+    const direction = order ? (order === 'asc' ? 1 : -1) : SORT_KEYS[key]?.direction;
+    return { key, direction };
+  });
+
+// Text searches rank by relevance unless asked otherwise; listings show the
+// newest books first. Relevance means nothing without a text search.
+const sortKeys = (sort, textSearch) => {
+  const keys = parseSort(sort).filter(({ key }) => textSearch || key !== 'relevance');
+  if (keys.length > 0) {
+    return keys;
+  }
+  return textSearch
+    ? [{ key: 'relevance', direction: -1 }, { key: 'title', direction: 1 }]
+    : [{ key: 'newest', direction: -1 }];
+};
+
+// Stages that compute the sort fields used by `keys`
+const sortFieldStages = (keys) => {
+  const used = new Set(keys.map(({ key }) => key));
+  const stages = [];
+
+  if (used.has('relevance')) {
+    stages.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  if (used.has('title')) {
+    stages.push({
+      $addFields: {
+        sortTitle: {
+          $let: {
+            vars: { article: { $regexFind: { input: '$title', regex: /^(?:the|an|a)\s+/i } } },
+            in: {
+              $toLower: {
+                $cond: [
+                  { $eq: ['$$article', null] },
+                  '$title',
+                  { $substrCP: ['$title', { $strLenCP: '$$article.match' }, { $strLenCP: '$title' }] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  return stages;
+};
+
+// Search the catalog with the Books listing's query parameters (search,
+// category, language, decade, year, available, sort). `sort` takes up to
+// MAX_SORT_KEYS comma-separated keys from SORT_KEYS, e.g.
+// "author,publication:asc". Returns the page of books, the total and the
+// facet counts.
+export const searchBooks = async (query, { skip = 0, limit = 10 } = {}) => {
+  const search = searchFilter(query.search);
+  const filters = facetFilters(query);
+
+  // $text has to stay at the top level of the first stage
+  const filter = { ...search, ...combine(...Object.values(filters)) };
+
+  const keys = sortKeys(query.sort, Boolean(search.$text));
+  const sort = Object.fromEntries(keys.map(({ key, direction }) => [SORT_KEYS[key].field, direction]));
+  // Ties keep a stable order across pages
+  sort._id = 1;
+
+  const [books, total, facets] = await Promise.all([
+    Book.aggregate([
+      { $match: filter },
+      ...sortFieldStages(keys),
+      { $sort: sort },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { sortTitle: 0, authorSortName: 0, loanCount: 0 } }
+    ]),
+    Book.countDocuments(filter),
+    countFacets(search, filters)
+  ]);
+
+  await Book.populate(books, [
+    { path: 'authors', select: 'name' },
+    { path: 'categories', select: 'name' }
+  ]);
+
+  return {
+    books,
+    total,
+    facets,
+    sort: keys.map(({ key, direction }) => `${key}:${direction === 1 ? 'asc' : 'desc'}`)
+  };
+};
@@ -0,0 +1,356 @@
+import mongoose from 'mongoose';
+import Book from '../models/book.js';
+import Author from '../models/author.js';
+import Category from '../models/category.js';
+import Item, { INACTIVE_ITEM_STATUSES } from '../models/item.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { checkBookRecord } from '../middleware/validation.js';
+import { parseMarc, parseMarcXml } from './marc.js';
+import { normalizeIsbn } from './isbn.js';
+import { marcToRecord } from './marcCatalogService.js';
+
+// Largest number of records accepted in one import
+export const MAX_IMPORT_ROWS = 10000;
+
+// Columns understood in CSV headers and JSON records. Authors and categories
+// are names; in CSV several are separated by semicolons.
+const IMPORT_FIELDS = [
+  'isbn',
+  'title',
+  'authors',
+  'publisher',
+  'publicationDate',
+  'categories',
+  'totalCopies',
+  'location',
+  'description',
+  'language',
+  'pages',
+  'replacementCost'
+];
+
+const FIELDS_BY_HEADER = new Map(IMPORT_FIELDS.map(field => [field.toLowerCase(), field]));
+
+// Names are matched regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and doubled quotes
+const parseCsvLines = (text) => {
+  const lines = [];
+  let line = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      line.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line.push(field);
+      lines.push(line);
+      line = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ApiError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || line.length > 0) {
+    line.push(field);
+    lines.push(line);
+  }
+
+  // Blank lines carry no record
+  return lines.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const parseCsv = (text) => {
+  const [header, ...lines] = parseCsvLines(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new ApiError('CSV is empty');
+  }
+
+  // Unknown columns are ignored
+  const fields = header.map(name => FIELDS_BY_HEADER.get(name.trim().toLowerCase()));
+  if (!fields.includes('isbn')) {
+    throw new ApiError('CSV header must include an isbn column');
+  }
+
+  return lines.map(cells => {
+    const record = {};
+    fields.forEach((field, index) => {
+      if (field) record[field] = cells[index];
+    });
+    return record;
+  });
+};
+
+// Turn an uploaded catalog into records: CSV text, MARC 21 (a Buffer of
+// binary records), MARCXML text, or JSON given as an array of books or
+// { books: [...] }
+export const parseCatalog = (payload, format) => {
+  let records;
+
+  if (format === 'marc') {
+    if (!Buffer.isBuffer(payload)) {
+      throw new ApiError('MARC imports must be sent as application/marc');
+    }
+    records = parseMarc(payload).map(marcToRecord);
+  } else if (format === 'marcxml') {
+    if (typeof payload !== 'string') {
+      throw new ApiError('MARCXML imports must be sent as application/marcxml+xml');
+    }
+    records = parseMarcXml(payload).map(marcToRecord);
+  } else if (format === 'csv') {
+    if (typeof payload !== 'string') {
+      throw new ApiError('CSV imports must be sent as text/csv');
+    }
+    records = parseCsv(payload);
+  } else {
+    records = Array.isArray(payload) ? payload : payload?.books;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new ApiError('JSON imports must be an array of books or { "books": [...] }');
+    }
+  }
+
+  if (records.length === 0) {
+    throw new ApiError('The catalog has no books to import');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(`Imports are limited to ${MAX_IMPORT_ROWS} books; split the catalog into smaller files`);
+  }
+
+  return records;
+};
+
+const splitNames = (value) => {
+  const names = Array.isArray(value) ? value : String(value ?? '').split(';');
+  return [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+};
+
+// Empty cells count as missing so optional rules skip them
+const cleanRecord = (record, defaults) => {
+  const cleaned = { ...defaults };
+  for (const field of IMPORT_FIELDS) {
+    const value = record[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'string' && value.trim() === '') continue;
+    cleaned[field] = typeof value === 'string' ? value.trim() : value;
+  }
+  if (cleaned.isbn !== undefined) {
+    cleaned.isbn = normalizeIsbn(String(cleaned.isbn));
+  }
+  cleaned.authors = splitNames(cleaned.authors);
+  cleaned.categories = splitNames(cleaned.categories);
+  return cleaned;
+};
+
+// Map every author or category name in the catalog to an existing record's
+// ID, or to a new ID for one the import will create
+const resolveNames = async (Model, names) => {
+  const ids = new Map();
+  const missing = new Map();
+
+  const existing = await Model.find({ name: { $in: names } })
+    .collation(NAME_COLLATION)
+    .select('name')
+    .sort({ createdAt: 1 });
+  for (const doc of existing) {
+    const key = doc.name.toLowerCase();
+    if (!ids.has(key)) ids.set(key, doc._id);
+  }
+
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (!ids.has(key)) {
+      const id = new mongoose.Types.ObjectId();
+      ids.set(key, id);
+      missing.set(key, { _id: id, name });
+    }
+  }
+
+  return { ids, missing };
+};
+
+// Top a book up to `copies` copies; existing copies are never removed
+const addMissingCopies = async (book, copies, location) => {
+  const existingCopies = await Item.countDocuments({
+    bookId: book._id,
+    status: { $nin: INACTIVE_ITEM_STATUSES }
+  });
+
+  const newCopies = Math.max(copies - existingCopies, 0);
+  if (newCopies > 0) {
+    await Item.insertMany(
+      Array.from({ length: newCopies }, (_, index) => ({
+        bookId: book._id,
+        barcode: `${Item.generateBarcode()}-${index + 1}`,
+        location
+      }))
+    );
+    await Item.syncBookCounts(book._id);
+  }
+
+  return newCopies;
+};
+
+const saveBook = async (book, fields) => {
+  const values = {
+    isbn: fields.isbn,
+    title: fields.title,
+    authors: fields.authorIds,
+    publisher: fields.publisher,
+    publicationDate: fields.publicationDate,
+    categories: fields.categoryIds,
+    location: fields.location,
+    description: fields.description,
+    language: fields.language,
+    pages: fields.pages,
+    replacementCost: fields.replacementCost
+  };
+
+  if (book) {
+    // Fields left out of the catalog keep their current value
+    for (const [field, value] of Object.entries(values)) {
+      if (value !== undefined) book[field] = value;
+    }
+    book.updatedAt = new Date();
+    await book.save();
+    return book;
+  }
+
+  return Book.create(values);
+};
+
+// Validate catalog records with the book rules and, unless `dryRun`, create
+// the missing authors and categories and create or update each valid book by
+// ISBN. Records without a shelf location get `location`. Invalid records are
+// skipped and reported by row number (the first record is row 1). Returns the
+// report.
+export const importBooks = async (records, { dryRun = false, location } = {}) => {
+  const defaults = location ? { location } : {};
+  const cleaned = records.map(record => cleanRecord(record, defaults));
+
+  const authors = await resolveNames(Author, [...new Set(cleaned.flatMap(record => record.authors))]);
+  const categories = await resolveNames(Category, [...new Set(cleaned.flatMap(record => record.categories))]);
+
+  const isbns = cleaned.map(record => record.isbn).filter(Boolean).map(String);
+  const existingBooks = new Map(
+    (await Book.find({ isbn: { $in: isbns } })).map(book => [book.isbn, book])
+  );
+
+  const report = {
+    dryRun,
+    total: records.length,
+    valid: 0,
+    invalid: 0,
+    created: 0,
+    updated: 0,
+    copiesAdded: 0,
+    authorsCreated: [],
+    categoriesCreated: [],
+    errors: []
+  };
+
+  // Validate every record before writing anything
+  const rowsByIsbn = new Map();
+  const validRows = [];
+  for (const [index, record] of cleaned.entries()) {
+    const row = index + 1;
+    const authorIds = record.authors.map(name => authors.ids.get(name.toLowerCase()));
+    const categoryIds = record.categories.map(name => categories.ids.get(name.toLowerCase()));
+
+    const errors = await checkBookRecord({
+      ...record,
+      authors: authorIds.map(String),
+      categories: categoryIds.map(String)
+    });
+
+    const isbn = record.isbn ? String(record.isbn) : undefined;
+    if (isbn && rowsByIsbn.has(isbn)) {
+      errors.push({ field: 'isbn', message: `Duplicate of row ${rowsByIsbn.get(isbn)}` });
+    } else if (isbn) {
+      rowsByIsbn.set(isbn, row);
+    }
+
+    if (errors.length > 0) {
+      report.invalid++;
+      report.errors.push({ row, isbn, title: record.title, errors });
+      continue;
+    }
+
+    report.valid++;
+    validRows.push({ row, isbn, record, authorIds, categoryIds });
+  }
+
+  // Authors and categories only valid books refer to
+  const newAuthors = new Map();
+  const newCategories = new Map();
+  for (const { record } of validRows) {
+    for (const name of record.authors) {
+      const author = authors.missing.get(name.toLowerCase());
+      if (author) newAuthors.set(author.name.toLowerCase(), author);
+    }
+    for (const name of record.categories) {
+      const category = categories.missing.get(name.toLowerCase());
+      if (category) newCategories.set(category.name.toLowerCase(), category);
+    }
+  }
+  report.authorsCreated = [...newAuthors.values()].map(author => author.name);
+  report.categoriesCreated = [...newCategories.values()].map(category => category.name);
+
+  if (dryRun) {
+    for (const { isbn } of validRows) {
+      if (existingBooks.has(isbn)) {
+        report.updated++;
+      } else {
+        report.created++;
+      }
+    }
+    return report;
+  }
+
+  if (newAuthors.size > 0) {
+    await Author.insertMany([...newAuthors.values()]);
+  }
+  if (newCategories.size > 0) {
+    await Category.insertMany([...newCategories.values()]);
+  }
+
+  for (const { row, isbn, record, authorIds, categoryIds } of validRows) {
+    const existingBook = existingBooks.get(isbn);
+    try {
+      const book = await saveBook(existingBook, { ...record, authorIds, categoryIds });
+      report.copiesAdded += await addMissingCopies(book, parseInt(record.totalCopies) || 0, book.location);
+      if (existingBook) {
+        report.updated++;
+      } else {
+        report.created++;
+      }
+    } catch (error) {
+      // e.g. the ISBN was added by someone else since validation
+      report.valid--;
+      report.invalid++;
+      report.errors.push({ row, isbn, title: record.title, errors: [{ field: null, message: error.message }] });
+    }
+  }
+
+  return report;
+};
@@ -0,0 +1,814 @@
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
+import Book from '../models/book.js';
+import Item from '../models/item.js';
+import Fine from '../models/fine.js';
+import Reservation from '../models/reservation.js';
+import Branch from '../models/branch.js';
+import Transfer from '../models/transfer.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { sendEmail } from './emailService.js';
+import { runInTransaction } from './dbTransaction.js';
+import { resolvePatronPolicy, calculateDueDate } from './loanPolicyService.js';
+import { cancelFineCharge, getAmountPaid, roundMoney } from './finePaymentService.js';
+import { loadLibraryCalendar } from './libraryCalendar.js';
+import { assertMembershipActive } from './membershipService.js';
+
+// Look up the branch a circulation desk action happens at. Returns null when
+// no branch is given (libraries that do not use branches).
+export const findActiveBranch = async (branchId) => {
+  if (!branchId) return null;
+
+  const branch = await Branch.findById(branchId);
+  if (!branch) {
+    throw new ApiError('Branch not found', 404);
+  }
+  if (branch.status !== 'active') {
+    throw new ApiError(`Branch ${branch.name} is not active`);
+  }
+
+  return branch;
+};
+
+// Look up a copy by the barcode scanned at the desk
+export const findItemByBarcode = async (barcode) => {
+  const item = await Item.findOne({ barcode: String(barcode).trim() });
+  if (!item) {
+    throw new ApiError(`No copy with barcode ${barcode}`, 404);
+  }
+
+  return item;
+};
+
+// Check that a patron may borrow a book: active and verified account with a
+// current membership, not already on loan to them, within their policy limits
+// and without outstanding fines. Returns the loan policy that applies to the loan.
+export const assertCanBorrow = async (user, book) => {
+  if (user.status !== 'active') {
+    throw new ApiError('User account is not active');
+  }
+
+  if (!user.isEmailVerified()) {
+    throw new ApiError('User must verify their email address before borrowing');
+  }
+
+  assertMembershipActive(user);
+
+  const existingTransaction = await Transaction.findOne({
+    userId: user._id,
+    bookId: book._id,
+    status: { $in: OPEN_LOAN_STATUSES }
+  });
+
+  if (existingTransaction) {
+    throw new ApiError('User already has this book issued');
+  }
+
+  // Overall borrowing limit from the patron's role and group policy
+  const patronPolicy = await resolvePatronPolicy(user);
+  const activeLoans = await Transaction.find({
+    userId: user._id,
+    status: { $in: OPEN_LOAN_STATUSES }
+  }).select('bookId');
+
+  if (activeLoans.length >= patronPolicy.maxItems) {
+    throw new ApiError(`User has reached the borrowing limit of ${patronPolicy.maxItems} books`);
+  }
+
+  // A category-specific policy also limits loans within that category
+  const loanPolicy = await resolvePatronPolicy(user, book.categories);
+  if (loanPolicy.category) {
+    const loansInCategory = await Book.countDocuments({
+      _id: { $in: activeLoans.map(loan => loan.bookId) },
+      categories: loanPolicy.category
+    });
+
+    if (loansInCategory >= loanPolicy.maxItems) {
+      throw new ApiError(`User has reached the borrowing limit of ${loanPolicy.maxItems} books for this category`);
+    }
+  }
+
+  const outstandingFines = await Fine.findOne({
+    userId: user._id,
+    paymentStatus: 'pending'
+  });
+
+  if (outstandingFines) {
+    throw new ApiError('User has outstanding fines. Please clear them before borrowing.');
+  }
+
+  return loanPolicy;
+};
+
+// Check out a copy of `book` to `user`. Claims the given item (or the oldest
+// available copy) with a conditional update, so two concurrent checkouts can
+// never get the same copy, then creates the loan and refreshes the counters.
+// Run inside runInTransaction() so the writes commit or roll back together.
+// Pass `fromHold: true` with the held itemId to check out a copy set aside
+// for a reservation. The due date comes from the loan policy unless staff
+// give one; either way it rolls forward to the next day the branch is open.
+// With a branchId the loan is issued at that branch: a copy picked for the
+// patron must be there (or have no branch), and a scanned copy is recorded
+// as being there.
+export const checkoutItem = async ({ session, user, book, itemId, dueDate, loanPolicy, issuedBy, branchId = null, fromHold = false }) => {
+  const now = new Date();
+  const status = fromHold ? 'on_hold' : 'available';
+
+  if (dueDate && new Date(dueDate) <= now) {
+    throw new ApiError('Due date must be in the future');
+  }
+  const calendar = await loadLibraryCalendar({ branchId });
+
+  const item = await Item.findOneAndUpdate(
+    itemId
+      ? { _id: itemId, bookId: book._id, status }
+      : { bookId: book._id, status, ...(branchId && { currentBranchId: { $in: [branchId, null] } }) },
+    { status: 'checked_out', ...(branchId && { currentBranchId: branchId }), updatedAt: now },
+    { new: true, sort: { acquisitionDate: 1 }, session }
+  );
+
+  if (!item) {
+    throw new ApiError(
+      itemId
+        ? 'Item is no longer available for borrowing'
+        : `Book is not available for borrowing${branchId ? ' at this branch' : ''}`,
+      409
+    );
+  }
+
+  const [transaction] = await Transaction.create([{
+    userId: user._id,
+    bookId: book._id,
+    itemId: item._id,
+    branchId,
+    issueDate: now,
+    dueDate: dueDate ? calendar.nextOpenDay(dueDate) : calculateDueDate(loanPolicy, now, calendar),
+    issuedBy
+  }], { session });
+
+  await Item.syncBookCounts(book._id, session);
+  // Kept for sorting by popularity; derived data, so not audited
+  await Book.collection.updateOne({ _id: book._id }, { $inc: { loanCount: 1 } }, { session });
+
+  return { transaction, item };
+};
+
+// Bill a lost or damaged copy: the replacement cost and the processing fee
+// are separate fines, so the fee can be kept when the cost is reversed
+const createReplacementFines = ({ session, loan, reason, charges, notes }) => {
+  const fines = [{
+    userId: loan.userId,
+    transactionId: loan._id,
+    branchId: loan.branchId,
+    amount: charges.replacementCost,
+    reason,
+    notes
+  }];
+
+  if (charges.processingFee > 0) {
+    fines.push({
+      userId: loan.userId,
+      transactionId: loan._id,
+      branchId: loan.branchId,
+      amount: charges.processingFee,
+      reason: 'processing',
+      notes
+    });
+  }
+
+  return Fine.create(fines, { session, ordered: true });
+};
+
+// Bring a loan's overdue fine up to `amount`. A loan has at most one overdue
+// fine: it is created on the first chargeable day and raised while the loan
+// stays out (by the accrueFines job) and when it is closed. It never goes
+// down, so renewing or extending an overdue loan does not forgive days
+// already charged. A fine that was paid becomes pending again when it grows;
+// waived and refunded fines are left alone. Returns the fine, or null when
+// nothing has been charged.
+export const syncOverdueFine = async ({ session = null, loan, amount, now = new Date() }) => {
+  amount = roundMoney(amount);
+  const fine = await Fine.findOne({ transactionId: loan._id, reason: 'overdue' }).session(session);
+
+  if (!fine) {
+    if (amount <= 0) return null;
+
+    const [created] = await Fine.create([{
+      userId: loan.userId._id,
+      transactionId: loan._id,
+      branchId: loan.branchId,
+      amount,
+      reason: 'overdue'
+    }], { session });
+    return created;
+  }
+
+  if (!['pending', 'paid'].includes(fine.paymentStatus) || amount <= fine.amount) {
+    return fine;
+  }
+
+  const updated = await Fine.findOneAndUpdate(
+    { _id: fine._id, paymentStatus: fine.paymentStatus, amount: fine.amount },
+    {
+      amount,
+      updatedAt: now,
+      ...(fine.paymentStatus === 'paid' && {
+        paymentStatus: 'pending',
+        amountPaid: getAmountPaid(fine),
+        $unset: { paymentDate: 1, paymentMethod: 1 }
+      })
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new ApiError('Overdue fine changed while it was being updated; please try again', 409);
+  }
+
+  return updated;
+};
+
+// Charge the final overdue fine on a loan that is being closed. The loan
+// keeps the amount actually charged, which may be more than `amount` when
+// days were charged before a renewal or extension.
+const settleOverdueFine = async ({ session, loan, amount, now }) => {
+  const fine = await syncOverdueFine({ session, loan, amount, now });
+
+  if (fine && fine.amount !== loan.fineAmount) {
+    await Transaction.updateOne({ _id: loan._id }, { fineAmount: fine.amount }, { session });
+    loan.fineAmount = fine.amount;
+  }
+};
+
+// Check in an open loan: closes the transaction (only if it is still out),
+// shelves the copy (or holds it for the next reservation, or sends it back
+// to its home branch), records any overdue fine and refreshes the counters.
+// Pass the branchId of the desk the copy was returned to. Returns the closed
+// loan, the reservation the copy was held for and the transfer sending it
+// on, if any. Run inside runInTransaction().
+export const checkinLoan = async ({ session, transaction, returnedBy, returnDate = new Date(), condition, notes, fineAmount = 0, branchId = null }) => {
+  const closed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: OPEN_LOAN_STATUSES } },
+    {
+      status: 'returned',
+      returnDate,
+      returnedBy,
+      ...(branchId && { returnBranchId: branchId }),
+      fineAmount,
+      notes,
+      updatedAt: returnDate
+    },
+    { new: true, session }
+  );
+
+  if (!closed) {
+    throw new ApiError('Book is not currently issued', 409);
+  }
+
+  let routed = { hold: null, transfer: null };
+  if (closed.itemId) {
+    await Item.updateOne(
+      { _id: closed.itemId },
+      {
+        status: 'available',
+        ...(condition && { condition }),
+        ...(branchId && { currentBranchId: branchId }),
+        updatedAt: returnDate
+      },
+      { session }
+    );
+    routed = await routeShelvedItem({ session, itemId: closed.itemId, bookId: closed.bookId, now: returnDate });
+  }
+
+  await settleOverdueFine({ session, loan: closed, amount: fineAmount, now: returnDate });
+
+  await Item.syncBookCounts(closed.bookId, session);
+
+  return { transaction: closed, ...routed };
+};
+
+// Declare an open loan lost: the copy stops counting towards the book's
+// totalCopies, the overdue fine so far is recorded and the patron is billed
+// for a replacement. Run inside runInTransaction().
+export const declareLoanLost = async ({ session, transaction, declaredBy, charges, overdueFine = 0, notes, now = new Date() }) => {
+  const lost = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: OPEN_LOAN_STATUSES } },
+    {
+      status: 'lost',
+      lostDate: now,
+      returnedBy: declaredBy,
+      fineAmount: overdueFine,
+      ...(notes && { notes }),
+      updatedAt: now
+    },
+    { new: true, session }
+  );
+
+  if (!lost) {
+    throw new ApiError('Book is not currently issued', 409);
+  }
+
+  if (lost.itemId) {
+    await Item.updateOne(
+      { _id: lost.itemId },
+      { status: 'lost', updatedAt: now },
+      { session }
+    );
+  }
+
+  await settleOverdueFine({ session, loan: lost, amount: overdueFine, now });
+  const fines = await createReplacementFines({ session, loan: lost, reason: 'lost', charges, notes });
+
+  await Item.syncBookCounts(lost.bookId, session);
+
+  return { transaction: lost, fines };
+};
+
+// Check in a copy that came back damaged beyond use: the loan is closed, the
+// copy is withdrawn and the patron is billed for a replacement. Run inside
+// runInTransaction().
+export const checkinDamagedLoan = async ({ session, transaction, returnedBy, charges, overdueFine = 0, notes, returnDate = new Date() }) => {
+  const closed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: OPEN_LOAN_STATUSES } },
+    {
+      status: 'returned',
+      returnDate,
+      returnedBy,
+      damaged: true,
+      fineAmount: overdueFine,
+      ...(notes && { notes }),
+      updatedAt: returnDate
+    },
+    { new: true, session }
+  );
+
+  if (!closed) {
+    throw new ApiError('Book is not currently issued', 409);
+  }
+
+  if (closed.itemId) {
+    await Item.updateOne(
+      { _id: closed.itemId },
+      { status: 'withdrawn', condition: 'damaged', updatedAt: returnDate },
+      { session }
+    );
+  }
+
+  await settleOverdueFine({ session, loan: closed, amount: overdueFine, now: returnDate });
+  const fines = await createReplacementFines({ session, loan: closed, reason: 'damage', charges, notes });
+
+  await Item.syncBookCounts(closed.bookId, session);
+
+  return { transaction: closed, fines };
+};
+
+// A lost copy turned up: close the loan as returned, put the copy back into
+// circulation (or hold it for the next reservation, or send it home) and
+// reverse the replacement cost - waived if unpaid, refunded to account credit
+// if (partly) paid. Processing and overdue fines stand. Run inside
+// runInTransaction().
+export const recoverLostLoan = async ({ session, transaction, returnedBy, condition, branchId = null, now = new Date() }) => {
+  const found = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'lost' },
+    {
+      status: 'returned',
+      returnDate: now,
+      foundDate: now,
+      returnedBy,
+      ...(branchId && { returnBranchId: branchId }),
+      updatedAt: now
+    },
+    { new: true, session }
+  );
+
+  if (!found) {
+    throw new ApiError('Loan is not marked as lost', 409);
+  }
+
+  let routed = { hold: null, transfer: null };
+  if (found.itemId) {
+    // Staff may have withdrawn the copy in the meantime
+    const restored = await Item.updateOne(
+      { _id: found.itemId, status: 'lost' },
+      {
+        status: 'available',
+        ...(condition && { condition }),
+        ...(branchId && { currentBranchId: branchId }),
+        updatedAt: now
+      },
+      { session }
+    );
+    if (restored.modifiedCount === 1) {
+      routed = await routeShelvedItem({ session, itemId: found.itemId, bookId: found.bookId, now });
+    }
+  }
+
+  const lostFines = await Fine.find({
+    transactionId: found._id,
+    reason: 'lost',
+    paymentStatus: { $in: ['pending', 'paid'] }
+  }).session(session);
+
+  // Unpaid charges are waived; anything paid goes to the patron's account credit
+  const reversedFines = [];
+  for (const fine of lostFines) {
+    const reversed = await cancelFineCharge({
+      session,
+      fine,
+      processedBy: returnedBy,
+      note: 'Cancelled: lost copy was found',
+      now
+    });
+    if (reversed) reversedFines.push(reversed);
+  }
+
+  await Item.syncBookCounts(found.bookId, session);
+
+  return { transaction: found, ...routed, reversedFines };
+};
+
+// Renumber the active reservation queue for a book, oldest first
+export const updateReservationPriorities = async (bookId, session = null) => {
+  const activeReservations = await Reservation.find({
+    bookId,
+    status: 'active'
+  }).sort({ reservationDate: 1 }).session(session);
+
+  for (let i = 0; i < activeReservations.length; i++) {
+    activeReservations[i].priority = i + 1;
+    await activeReservations[i].save({ session });
+  }
+};
+
+// Make a reservation `ready` with `itemId` set aside for it: the copy goes on
+// hold and the patron gets their loan policy's holdPickupDays to collect it.
+// The reservation must be populated with the patron's role and group. Returns null when
+// the copy is no longer in `itemStatus`.
+const readyHold = async ({ session, reservation, itemId, reservationStatus, itemStatus, now }) => {
+  const book = await Book.findById(reservation.bookId).select('categories').session(session);
+  const loanPolicy = await resolvePatronPolicy(reservation.userId, book?.categories);
+
+  const pickupDeadline = new Date(now);
+  pickupDeadline.setDate(pickupDeadline.getDate() + loanPolicy.holdPickupDays);
+
+  const item = await Item.findOneAndUpdate(
+    { _id: itemId, status: itemStatus },
+    { status: 'on_hold', updatedAt: now },
+    { new: true, session }
+  );
+
+  if (!item) {
+    return null;
+  }
+
+  const hold = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: reservationStatus },
+    {
+      status: 'ready',
+      itemId,
+      readyDate: now,
+      pickupDeadline,
+      notificationSent: false,
+      updatedAt: now
+    },
+    { new: true, session }
+  );
+
+  if (!hold) {
+    throw new ApiError('Reservation queue changed while holding the copy, please retry', 409);
+  }
+
+  return hold;
+};
+
+// Set an available copy aside for the first unexpired reservation in the
+// book's queue. The reservation becomes `ready` with a pickup deadline from
+// the patron's loan policy and the copy becomes `on_hold`. When the patron
+// collects at another branch the copy is sent there instead, and the
+// reservation stays `in_transit` until it arrives (see receiveTransfer).
+// Returns the reservation, or null when nobody is waiting. Does not refresh
+// the book's counters; callers do that once their other writes are done.
+export const trapHold = async ({ session, itemId, bookId, now = new Date() }) => {
+  const next = await Reservation.findOne({
+    bookId,
+    status: 'active',
+    expiryDate: { $gt: now }
+  })
+    .sort({ priority: 1, reservationDate: 1 })
+    .populate('userId', 'role patronGroupId')
+    .session(session);
+
+  if (!next) {
+    return null;
+  }
+
+  const item = await Item.findOne({ _id: itemId, status: 'available' }).session(session);
+  if (!item) {
+    return null;
+  }
+
+  let hold;
+  if (next.pickupBranchId && item.currentBranchId && !next.pickupBranchId.equals(item.currentBranchId)) {
+    hold = await Reservation.findOneAndUpdate(
+      { _id: next._id, status: 'active' },
+      { status: 'in_transit', itemId, updatedAt: now },
+      { new: true, session }
+    );
+
+    if (!hold) {
+      throw new ApiError('Reservation queue changed while holding the copy, please retry', 409);
+    }
+
+    await startTransit({
+      session,
+      item,
+      toBranchId: next.pickupBranchId,
+      reason: 'hold',
+      reservationId: hold._id,
+      now
+    });
+  } else {
+    hold = await readyHold({
+      session,
+      reservation: next,
+      itemId,
+      reservationStatus: 'active',
+      itemStatus: 'available',
+      now
+    });
+
+    if (!hold) {
+      return null;
+    }
+  }
+
+  await updateReservationPriorities(bookId, session);
+
+  return hold;
+};
+
+// Put an available copy on the road to another branch, recording the
+// transfer as already sent. Used when circulation moves a copy; staff
+// requests go through requestTransfer/shipTransfer instead.
+const startTransit = async ({ session, item, toBranchId, reason, reservationId, requestedBy, now }) => {
+  const moving = await Item.findOneAndUpdate(
+    { _id: item._id, status: 'available' },
+    { status: 'in_transit', updatedAt: now },
+    { new: true, session }
+  );
+
+  if (!moving) {
+    throw new ApiError('Copy changed while it was being sent to another branch, please retry', 409);
+  }
+
+  const [transfer] = await Transfer.create([{
+    itemId: item._id,
+    bookId: item.bookId,
+    fromBranchId: item.currentBranchId,
+    toBranchId,
+    reason,
+    reservationId,
+    status: 'in_transit',
+    requestedBy,
+    requestedAt: now,
+    shippedBy: requestedBy,
+    shippedAt: now
+  }], { session });
+
+  return transfer;
+};
+
+// Decide where an available copy goes next: to the first patron in the
+// book's reservation queue, otherwise back to its home branch when it is
+// somewhere else. Returns { hold, transfer }; both are null when the copy
+// simply stays on the shelf.
+const routeShelvedItem = async ({ session, itemId, bookId, now }) => {
+  const hold = await trapHold({ session, itemId, bookId, now });
+  if (hold) {
+    return { hold, transfer: null };
+  }
+
+  const item = await Item.findOne({ _id: itemId, status: 'available' }).session(session);
+  if (!item?.homeBranchId || !item.currentBranchId || item.homeBranchId.equals(item.currentBranchId)) {
+    return { hold: null, transfer: null };
+  }
+
+  const transfer = await startTransit({
+    session,
+    item,
+    toBranchId: item.homeBranchId,
+    reason: 'return',
+    now
+  });
+
+  return { hold: null, transfer };
+};
+
+// Close a `ready` hold that was not collected (or was cancelled) and pass the
+// copy on to the next patron in the queue, or back to the shelf (sending it
+// home if it belongs to another branch). Returns the next hold, if any. Run
+// inside runInTransaction().
+export const releaseHold = async ({ session, reservation, status, now = new Date() }) => {
+  const released = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'ready' },
+    { status, updatedAt: now },
+    { new: true, session }
+  );
+
+  if (!released) {
+    throw new ApiError('Reservation is no longer awaiting pickup', 409);
+  }
+
+  let nextHold = null;
+  if (released.itemId) {
+    await Item.updateOne(
+      { _id: released.itemId, status: 'on_hold' },
+      { status: 'available', updatedAt: now },
+      { session }
+    );
+    ({ hold: nextHold } = await routeShelvedItem({ session, itemId: released.itemId, bookId: released.bookId, now }));
+  }
+
+  await Item.syncBookCounts(released.bookId, session);
+
+  return nextHold;
+};
+
+// Tell a patron their held copy is ready for pickup. Call after the
+// transaction that created the hold has committed. Holds still in transit to
+// the pickup branch are announced once the copy arrives.
+export const notifyHoldReady = async (hold) => {
+  const reservation = await Reservation.findById(hold._id)
+    .populate('userId', 'name email')
+    .populate('bookId', 'title isbn')
+    .populate('pickupBranchId', 'name address');
+
+  if (reservation?.status !== 'ready' || !reservation.userId?.email) {
+    return false;
+  }
+
+  const result = await sendEmail(reservation.userId.email, 'reservationAvailable', {
+    user: reservation.userId,
+    book: reservation.bookId,
+    pickupDeadline: reservation.pickupDeadline,
+    branch: reservation.pickupBranchId
+  });
+
+  if (result.success) {
+    reservation.notificationSent = true;
+    await reservation.save();
+  }
+
+  return result.success;
+};
+
+// Expire holds whose pickup deadline has passed and roll each copy over to the
+// next patron in the queue (or back to the shelf). Patrons who are offered a
+// rolled-over copy are emailed.
+export const expireUnclaimedHolds = async (now = new Date()) => {
+  const unclaimedHolds = await Reservation.find({
+    status: 'ready',
+    pickupDeadline: { $lt: now }
+  });
+
+  let expired = 0;
+  const nextHolds = [];
+  for (const reservation of unclaimedHolds) {
+    try {
+      const nextHold = await runInTransaction(session => releaseHold({
+        session,
+        reservation,
+        status: 'expired',
+        now
+      }));
+      expired++;
+      if (nextHold) {
+        nextHolds.push(nextHold);
+      }
+    } catch (error) {
+      // Picked up or cancelled while we were running
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+    }
+  }
+
+  for (const hold of nextHolds) {
+    await notifyHoldReady(hold);
+  }
+
+  return { expired, rolledOver: nextHolds.length };
+};
+
+// Expire reservations past their expiry date and uncollected holds
+export const expireReservations = async (now = new Date()) => {
+  const expiredReservations = await Reservation.updateMany(
+    {
+      status: 'active',
+      expiryDate: { $lt: now }
+    },
+    {
+      status: 'expired',
+      updatedAt: now
+    }
+  );
+
+  // Holds not collected in time roll over to the next patron in the queue
+  const { expired: expiredHolds, rolledOver } = await expireUnclaimedHolds(now);
+
+  return {
+    expiredCount: expiredReservations.modifiedCount,
+    expiredHolds,
+    rolledOverHolds: rolledOver
+  };
+};
+
+// Send a requested transfer: the copy must be on the shelf, and goes
+// `in_transit` until the receiving branch checks it in. Run inside
+// runInTransaction().
+export const shipTransfer = async ({ session, transfer, shippedBy, now = new Date() }) => {
+  const item = await Item.findOneAndUpdate(
+    { _id: transfer.itemId, status: 'available' },
+    { status: 'in_transit', updatedAt: now },
+    { new: true, session }
+  );
+
+  if (!item) {
+    throw new ApiError('Copy is not on the shelf; it can only be sent once it is available', 409);
+  }
+
+  const shipped = await Transfer.findOneAndUpdate(
+    { _id: transfer._id, status: 'requested' },
+    {
+      status: 'in_transit',
+      fromBranchId: item.currentBranchId,
+      shippedBy,
+      shippedAt: now,
+      updatedAt: now
+    },
+    { new: true, session }
+  );
+
+  if (!shipped) {
+    throw new ApiError('Transfer is no longer waiting to be sent', 409);
+  }
+
+  await Item.syncBookCounts(item.bookId, session);
+
+  return shipped;
+};
+
+// Check in a copy arriving at a branch. A copy sent for a reservation is held
+// there for pickup; otherwise (or when that reservation was cancelled on the
+// way) it goes on the shelf, or to the next patron in the queue. Returns the
+// received transfer and the reservation the copy was held for, if any. Run
+// inside runInTransaction().
+export const receiveTransfer = async ({ session, transfer, receivedBy, now = new Date() }) => {
+  const received = await Transfer.findOneAndUpdate(
+    { _id: transfer._id, status: 'in_transit' },
+    { status: 'received', receivedBy, receivedAt: now, updatedAt: now },
+    { new: true, session }
+  );
+
+  if (!received) {
+    throw new ApiError('Transfer is not in transit', 409);
+  }
+
+  await Item.updateOne(
+    { _id: received.itemId },
+    { currentBranchId: received.toBranchId, updatedAt: now },
+    { session }
+  );
+
+  let hold = null;
+  if (received.reservationId) {
+    const reservation = await Reservation.findOne({ _id: received.reservationId, status: 'in_transit' })
+      .populate('userId', 'role patronGroupId')
+      .session(session);
+
+    if (reservation) {
+      hold = await readyHold({
+        session,
+        reservation,
+        itemId: received.itemId,
+        reservationStatus: 'in_transit',
+        itemStatus: 'in_transit',
+        now
+      });
+    }
+  }
+
+  if (!hold) {
+    const shelved = await Item.updateOne(
+      { _id: received.itemId, status: 'in_transit' },
+      { status: 'available', updatedAt: now },
+      { session }
+    );
+    if (shelved.modifiedCount === 1) {
+      hold = await trapHold({ session, itemId: received.itemId, bookId: received.bookId, now });
+    }
+  }
+
+  await Item.syncBookCounts(received.bookId, session);
+
+  return { transfer: received, hold };
+};
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { discardPendingAudit, flushPendingAudit } from './auditService.js';
+
+let transactionsUnsupported = false;
+
+// Standalone mongod instances reject multi-document transactions
+const isTransactionUnsupportedError = (error) => {
+  return error?.code === 20 ||
+    /Transaction numbers are only allowed on a replica set member or mongos/i.test(error?.message || '');
+};
+
+// Run `work(session)` inside a multi-document transaction. The callback may be
+// retried on transient errors, so it must not have side effects outside the
+// database (send emails etc. after this resolves).
+//
+// When the server does not support transactions (standalone development
+// setups) the work runs once without a session; callers rely on conditional
+// updates so that concurrent requests still cannot oversell a copy.
+export const runInTransaction = async (work) => {
+  if (transactionsUnsupported) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      // Audit entries from an aborted attempt must not survive a retry
+      discardPendingAudit(session);
+      result = await work(session);
+    });
+    // The audit trail only records changes that were committed
+    await flushPendingAudit(session);
+    return result;
+  } catch (error) {
+    discardPendingAudit(session);
+    if (!isTransactionUnsupportedError(error)) {
+      throw error;
+    }
+    transactionsUnsupported = true;
+    console.warn('MongoDB transactions are not available (standalone server); falling back to conditional updates');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
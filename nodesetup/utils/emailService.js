@@ -1,34 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
 import nodemailer from 'nodemailer';
+import EmailMessage from '../models/emailMessage.js';
 
-// Create email transporter
-const createTransporter = () => {
-  // For development, use ethereal email (fake SMTP)
-  if (process.env.NODE_ENV === 'development') {
-    return nodemailer.createTransporter({
-      host: 'smtp.ethereal.email',
-      port: 587,
-      auth: {
-        user: 'ethereal.user@ethereal.email',
-        pass: 'ethereal.pass'
-      }
-    });
+// Emails are not sent directly. sendEmail() stores a message in the outbox
+// (EmailMessage) and the deliverEmails background job sends it, retrying
+// failures with exponential backoff.
+//
+// EMAIL_TRANSPORT selects how messages are delivered:
+// - smtp: through EMAIL_HOST / EMAIL_PORT / EMAIL_USER / EMAIL_PASS
+// - file: each message is written as a JSON file to EMAIL_FILE_DIR (default ./outbox)
+// - json: each message is rendered and logged to the console
+// The default is smtp in production and file everywhere else.
+
+const DEFAULT_FROM = 'Library Management System <noreply@library.com>';
+
+// Retry delays: 1, 2, 4, 8... minutes, capped at an hour
+const RETRY_BASE_DELAY_MS = 1000 * 60;
+const RETRY_MAX_DELAY_MS = 1000 * 60 * 60;
+
+// A message stuck in `sending` this long was left behind by a crashed worker
+const SENDING_TIMEOUT_MS = 1000 * 60 * 10;
+
+export const getTransportName = () => {
+  return process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+};
+
+// Transporters are built once and reused for every delivery
+let transporter = null;
+let transporterName = null;
+
+const getTransporter = () => {
+  const name = getTransportName();
+  if (transporter && transporterName === name) {
+    return transporter;
   }
-  
-  // For production, use real SMTP service
-  return nodemailer.createTransporter({
-    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-    port: process.env.EMAIL_PORT || 587,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
+
+  switch (name) {
+    case 'smtp':
+      transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: process.env.EMAIL_SECURE === 'true',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+      break;
+    case 'file':
+    case 'json':
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+      break;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT '${name}'`);
+  }
+
+  transporterName = name;
+  return transporter;
 };
 
-// Email templates
+// Hand a rendered message to the configured transport
+const deliver = async (mailOptions) => {
+  const name = getTransportName();
+  const info = await getTransporter().sendMail(mailOptions);
+
+  if (name === 'file') {
+    const dir = path.resolve(process.env.EMAIL_FILE_DIR || 'outbox');
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`;
+    await fs.writeFile(path.join(dir, fileName), info.message);
+  } else if (name === 'json') {
+    console.log('Email (json transport):', info.message);
+  }
+
+  return { transport: name, messageId: info.messageId };
+};
+
+// Email templates (each receives the data object passed to sendEmail)
 const emailTemplates = {
-  welcome: (user) => ({
+  welcome: ({ user }) => ({
     subject: '📚 Welcome to Library Management System',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -47,7 +98,7 @@ const emailTemplates = {
     `
   }),
 
-  bookDueReminder: (user, book, dueDate) => ({
+  bookDueReminder: ({ user, book, dueDate }) => ({
     subject: '📅 Book Due Date Reminder',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -65,7 +116,7 @@ const emailTemplates = {
     `
   }),
 
-  bookOverdue: (user, book, dueDate, fine) => ({
+  bookOverdue: ({ user, book, dueDate, fine }) => ({
     subject: '🚨 Overdue Book Notice',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -84,7 +135,7 @@ const emailTemplates = {
     `
   }),
 
-  reservationAvailable: (user, book) => ({
+  reservationAvailable: ({ user, book, pickupDeadline, branch }) => ({
     subject: '✅ Reserved Book Now Available',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -94,143 +145,267 @@ const emailTemplates = {
         <div style="background: #d4edda; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #28a745;">
           <h3>${book.title}</h3>
           <p><strong>ISBN:</strong> ${book.isbn}</p>
+          <p><strong>Pick up by:</strong> ${new Date(pickupDeadline).toLocaleDateString()}</p>
+          ${branch ? `<p><strong>Pick up at:</strong> ${branch.name}${branch.address ? `, ${branch.address}` : ''}</p>` : ''}
         </div>
-        <p>Please visit the library within 3 days to collect your reserved book.</p>
+        <p>The book is being held for you until the date above. After that it will be offered to the next patron in the queue.</p>
         <p>Best regards,<br>Library Management Team</p>
       </div>
     `
   }),
 
-  finePaymentConfirmation: (user, fine, transaction) => ({
-    subject: '💰 Fine Payment Confirmation',
+  membershipExpiring: ({ user, expiryDate, group }) => ({
+    subject: '🪪 Your Library Membership Is Expiring',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #28a745;">Payment Confirmation ✅</h2>
+        <h2 style="color: #ffc107;">Membership Renewal Reminder 🪪</h2>
         <p>Dear ${user.name},</p>
-        <p>Your fine payment has been successfully processed:</p>
+        <p>Your library membership expires soon:</p>
+        <div style="background: #fff3cd; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
+          ${group ? `<p><strong>Membership:</strong> ${group.name}</p>` : ''}
+          <p><strong>Expires on:</strong> ${new Date(expiryDate).toLocaleDateString()}</p>
+          ${group?.membershipFee > 0 ? `<p><strong>Renewal fee:</strong> $${group.membershipFee}</p>` : ''}
+        </div>
+        <p>After that date you will not be able to borrow or reserve books until your membership is renewed. Please visit the library desk to renew it.</p>
+        <p>Best regards,<br>Library Management Team</p>
+      </div>
+    `
+  }),
+
+  finePaymentConfirmation: ({ user, payment }) => ({
+    subject: payment.type === 'refund' ? '💰 Fine Refund Receipt' : '💰 Fine Payment Confirmation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #28a745;">${payment.type === 'refund' ? 'Refund Receipt' : 'Payment Confirmation'} ✅</h2>
+        <p>Dear ${user.name},</p>
+        <p>${payment.type === 'refund' ? 'A refund has been issued to you:' : 'Your fine payment has been successfully processed:'}</p>
         <div style="background: #d4edda; padding: 20px; border-radius: 5px; margin: 20px 0;">
-          <h3>Payment Details:</h3>
-          <p><strong>Amount:</strong> $${fine.amount}</p>
-          <p><strong>Payment Method:</strong> ${fine.paymentMethod}</p>
-          <p><strong>Transaction:</strong> ${transaction.bookId?.title}</p>
-          <p><strong>Payment Date:</strong> ${new Date().toLocaleDateString()}</p>
+          <h3>${payment.type === 'refund' ? 'Refund' : 'Payment'} Details:</h3>
+          <p><strong>Receipt Number:</strong> ${payment.receiptNumber}</p>
+          <p><strong>Amount:</strong> $${payment.amount.toFixed(2)}</p>
+          <p><strong>Payment Method:</strong> ${payment.method}</p>
+          ${payment.creditDelta > 0 ? `<p><strong>Added to Account Credit:</strong> $${payment.creditDelta.toFixed(2)}</p>` : ''}
+          <p><strong>Date:</strong> ${new Date(payment.createdAt).toLocaleDateString()}</p>
+        </div>
+        <p>${payment.type === 'refund' ? 'Please keep this receipt for your records.' : 'Thank you for your payment!'}</p>
+        <p>Best regards,<br>Library Management Team</p>
+      </div>
+    `
+  }),
+
+  emailVerification: ({ user, verifyUrl, expiresInHours }) => ({
+    subject: '📧 Please Verify Your Email Address',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">Verify Your Email Address 📧</h2>
+        <p>Dear ${user.name},</p>
+        <p>Please confirm that this is your email address to start borrowing and reserving books:</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center;">
+          <a href="${verifyUrl}" style="background: #667eea; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Verify Email</a>
+        </div>
+        <p>This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>
+        <p>Best regards,<br>Library Management Team</p>
+      </div>
+    `
+  }),
+
+  passwordReset: ({ user, resetUrl, expiresInMinutes }) => ({
+    subject: '🔑 Password Reset Request',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">Reset Your Password 🔑</h2>
+        <p>Dear ${user.name},</p>
+        <p>We received a request to reset the password for your account (<strong>${user.username}</strong>).</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center;">
+          <a href="${resetUrl}" style="background: #667eea; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Reset Password</a>
         </div>
-        <p>Thank you for your payment!</p>
+        <p>This link can be used once and expires in ${expiresInMinutes} minutes. If you did not ask to reset your password, you can ignore this email.</p>
+        <p>Best regards,<br>Library Management Team</p>
+      </div>
+    `
+  }),
+
+  passwordChanged: ({ user }) => ({
+    subject: '🔒 Your Password Was Changed',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Password Changed 🔒</h2>
+        <p>Dear ${user.name},</p>
+        <p>The password for your account (<strong>${user.username}</strong>) was just changed.</p>
+        <p>If this was not you, please reset your password immediately and contact the library.</p>
+        <p>Best regards,<br>Library Management Team</p>
+      </div>
+    `
+  }),
+
+  newDeviceLogin: ({ user, ip, userAgent, time }) => ({
+    subject: '🔔 New Sign-in to Your Account',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #667eea;">New Sign-in Detected 🔔</h2>
+        <p>Dear ${user.name},</p>
+        <p>Your account (<strong>${user.username}</strong>) was just used to sign in from a device we have not seen before:</p>
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Time:</strong> ${new Date(time).toLocaleString()}</p>
+          <p><strong>IP Address:</strong> ${ip || 'Unknown'}</p>
+          <p><strong>Device:</strong> ${userAgent || 'Unknown'}</p>
+        </div>
+        <p>If this was you, there is nothing to do. If not, change your password and log out of all sessions from your profile.</p>
+        <p>Best regards,<br>Library Management Team</p>
+      </div>
+    `
+  }),
+
+  accountLocked: ({ user, lockUntil, ip }) => ({
+    subject: '🔒 Your Account Has Been Locked',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Account Temporarily Locked 🔒</h2>
+        <p>Dear ${user.name},</p>
+        <p>After several failed sign-in attempts, your account (<strong>${user.username}</strong>) has been locked until <strong>${new Date(lockUntil).toLocaleString()}</strong>.</p>
+        <p>The last attempt came from IP address ${ip || 'unknown'}.</p>
+        <p>If these attempts were not yours, reset your password: doing so also lifts the lock. You can also contact the library.</p>
         <p>Best regards,<br>Library Management Team</p>
       </div>
     `
   })
 };
 
-// Send email function
-export const sendEmail = async (to, templateName, data) => {
+// Render a template into a subject and HTML body
+export const renderEmail = (templateName, data = {}) => {
+  const template = emailTemplates[templateName];
+
+  if (!template) {
+    throw new Error(`Email template '${templateName}' not found`);
+  }
+
+  return template(data);
+};
+
+// Template data is stored in the outbox as plain JSON (documents, dates and
+// ObjectIds are serialised the same way they are in API responses)
+const toPlainData = (data) => JSON.parse(JSON.stringify(data || {}));
+
+// Queue an email for delivery. Pass `{ sensitive: true }` when the data
+// contains a secret (e.g. a password reset link) so it is not kept in the
+// outbox after delivery.
+export const sendEmail = async (to, templateName, data, { sensitive = false } = {}) => {
   try {
-    const transporter = createTransporter();
-    const template = emailTemplates[templateName];
-    
-    if (!template) {
+    if (!emailTemplates[templateName]) {
       throw new Error(`Email template '${templateName}' not found`);
     }
-    
-    const emailContent = template(data);
-    
-    const mailOptions = {
-      from: process.env.EMAIL_FROM || 'Library Management System <noreply@library.com>',
-      to: to,
-      subject: emailContent.subject,
-      html: emailContent.html
-    };
-    
-    const result = await transporter.sendMail(mailOptions);
-    
-    console.log('Email sent successfully:', result.messageId);
-    return { success: true, messageId: result.messageId };
-    
+
+    const message = await EmailMessage.create({
+      to,
+      template: templateName,
+      data: toPlainData(data),
+      sensitive
+    });
+
+    return { success: true, queued: true, messageId: message._id };
+
   } catch (error) {
-    console.error('Error sending email:', error);
+    console.error('Error queueing email:', error);
     return { success: false, error: error.message };
   }
 };
 
-// Bulk email function
+// Queue the same template for many recipients. Each recipient's fields are
+// merged over the shared data.
 export const sendBulkEmail = async (recipients, templateName, data) => {
-  const results = [];
-  
-  for (const recipient of recipients) {
-    try {
-      const result = await sendEmail(recipient.email, templateName, { ...data, ...recipient });
-      results.push({ email: recipient.email, ...result });
-    } catch (error) {
-      results.push({ email: recipient.email, success: false, error: error.message });
-    }
+  if (!emailTemplates[templateName]) {
+    return recipients.map(recipient => ({
+      email: recipient.email,
+      success: false,
+      error: `Email template '${templateName}' not found`
+    }));
   }
-  
-  return results;
+
+  const messages = await EmailMessage.insertMany(
+    recipients.map(recipient => ({
+      to: recipient.email,
+      template: templateName,
+      data: toPlainData({ ...data, ...recipient })
+    }))
+  );
+
+  return messages.map(message => ({
+    email: message.to,
+    success: true,
+    queued: true,
+    messageId: message._id
+  }));
 };
 
-// Schedule email reminders
-export const scheduleReminders = async () => {
-  try {
-    // This would typically be called by a cron job
-    const Transaction = (await import('../models/transaction.js')).default;
-    const User = (await import('../models/user.js')).default;
-    const Book = (await import('../models/book.js')).default;
-    
-    // Find books due in 2 days
-    const twoDaysFromNow = new Date();
-    twoDaysFromNow.setDate(twoDaysFromNow.getDate() + 2);
-    
-    const upcomingDue = await Transaction.find({
-      status: 'issued',
-      dueDate: {
-        $gte: new Date(),
-        $lte: twoDaysFromNow
+const retryDelayMs = (attempts) => {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+};
+
+// Deliver queued messages that are due, up to `limit` per call. Failed
+// attempts are retried with backoff until the message's maxAttempts is used
+// up, then the message is marked failed.
+export const deliverPendingEmails = async ({ limit = 50 } = {}) => {
+  // Put messages abandoned mid-delivery back in the queue
+  await EmailMessage.updateMany(
+    {
+      status: 'sending',
+      updatedAt: { $lt: new Date(Date.now() - SENDING_TIMEOUT_MS) }
+    },
+    { status: 'pending', updatedAt: new Date() }
+  );
+
+  let sent = 0;
+  let retried = 0;
+  let failed = 0;
+
+  for (let i = 0; i < limit; i++) {
+    // Claim one message so concurrent workers never send it twice
+    const message = await EmailMessage.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { status: 'sending', $inc: { attempts: 1 }, updatedAt: new Date() },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!message) {
+      break;
+    }
+
+    try {
+      const { subject, html } = renderEmail(message.template, message.data);
+      const result = await deliver({
+        from: process.env.EMAIL_FROM || DEFAULT_FROM,
+        to: message.to,
+        subject,
+        html
+      });
+
+      message.status = 'sent';
+      message.subject = subject;
+      message.transport = result.transport;
+      message.providerMessageId = result.messageId;
+      message.sentAt = new Date();
+      message.lastError = undefined;
+      sent++;
+    } catch (error) {
+      console.error(`Error sending email ${message._id}:`, error.message);
+      message.lastError = error.message;
+
+      if (message.attempts >= message.maxAttempts) {
+        message.status = 'failed';
+        failed++;
+      } else {
+        message.status = 'pending';
+        message.nextAttemptAt = new Date(Date.now() + retryDelayMs(message.attempts));
+        retried++;
       }
-    })
-    .populate('userId', 'name email')
-    .populate('bookId', 'title isbn');
-    
-    // Send due date reminders
-    for (const transaction of upcomingDue) {
-      await sendEmail(
-        transaction.userId.email,
-        'bookDueReminder',
-        {
-          user: transaction.userId,
-          book: transaction.bookId,
-          dueDate: transaction.dueDate
-        }
-      );
     }
-    
-    // Find overdue books
-    const overdue = await Transaction.find({
-      status: 'issued',
-      dueDate: { $lt: new Date() }
-    })
-    .populate('userId', 'name email')
-    .populate('bookId', 'title isbn');
-    
-    // Send overdue notices
-    for (const transaction of overdue) {
-      const overdueDays = Math.ceil((new Date() - transaction.dueDate) / (1000 * 60 * 60 * 24));
-      const fine = overdueDays * 1; // $1 per day
-      
-      await sendEmail(
-        transaction.userId.email,
-        'bookOverdue',
-        {
-          user: transaction.userId,
-          book: transaction.bookId,
-          dueDate: transaction.dueDate,
-          fine: fine
-        }
-      );
+
+    if (message.sensitive && message.status !== 'pending') {
+      message.data = {};
     }
-    
-    console.log(`Sent ${upcomingDue.length} due date reminders and ${overdue.length} overdue notices`);
-    
-  } catch (error) {
-    console.error('Error scheduling reminders:', error);
+    message.updatedAt = new Date();
+    await message.save();
   }
+
+  return { sent, retried, failed };
 };
@@ -0,0 +1,433 @@
+import mongoose from 'mongoose';
+import Fine from '../models/fine.js';
+import Payment from '../models/payment.js';
+import Counter from '../models/counter.js';
+import User from '../models/user.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { sendEmail } from './emailService.js';
+
+// Money is kept in dollars. Every sum is rounded to cents so floating point
+// noise never leaves a fine with 0.0000001 owing.
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Amount paid towards a fine. Fines settled before the payment ledger have no
+// amountPaid but were paid in full.
+export const getAmountPaid = (fine) => {
+  if (fine.amountPaid !== undefined && fine.amountPaid !== null) {
+    return roundMoney(fine.amountPaid);
+  }
+  return ['paid', 'refunded'].includes(fine.paymentStatus) ? roundMoney(fine.amount) : 0;
+};
+
+// What is still owed on a fine
+export const getFineBalance = (fine) => {
+  if (fine.paymentStatus !== 'pending') return 0;
+  return Math.max(0, roundMoney(fine.amount - getAmountPaid(fine)));
+};
+
+// Account credit comes from overpayments and refunds to credit, and goes
+// down when it is spent or paid out
+export const getCreditBalance = async (userId, session = null) => {
+  const [result] = await Payment.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, total: { $sum: '$creditDelta' } } }
+  ]).session(session);
+
+  return roundMoney(result?.total);
+};
+
+// Ledger writes for one patron read their credit balance and then append to
+// it. Bumping a per-patron counter first makes two such transactions write
+// the same document, so one of them conflicts and is retried instead of both
+// spending the same credit.
+const lockAccount = (userId, session) => Counter.next(`account-${userId}`, session);
+
+const nextReceiptNumber = async (session, now) => {
+  const year = now.getFullYear();
+  const seq = await Counter.next(`receipt-${year}`, session);
+  return `R${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Move `delta` onto (or, when negative, off) a fine's paid amount. The update
+// only applies if nobody else changed the fine since it was read.
+const applyToFine = async ({ session, fine, delta, method, processedBy, now }) => {
+  const amountPaid = roundMoney(getAmountPaid(fine) + delta);
+  const settled = amountPaid >= roundMoney(fine.amount);
+
+  const update = {
+    amountPaid,
+    updatedAt: now,
+    ...(fine.paymentStatus === 'pending' && settled
+      ? { paymentStatus: 'paid', paymentDate: now, paymentMethod: method, processedBy }
+      : {}),
+    ...(fine.paymentStatus === 'paid' && !settled
+      ? { paymentStatus: 'pending', $unset: { paymentDate: 1, paymentMethod: 1 } }
+      : {})
+  };
+
+  const updated = await Fine.findOneAndUpdate(
+    {
+      _id: fine._id,
+      paymentStatus: fine.paymentStatus,
+      amountPaid: fine.amountPaid ?? { $exists: false }
+    },
+    update,
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new ApiError('Fine changed while the payment was being recorded; please try again', 409);
+  }
+
+  return updated;
+};
+
+// Record money received from a patron. It is allocated to the given fines in
+// order, or to their oldest pending fines first; anything left over becomes
+// account credit. Paying with method `credit` spends existing account credit
+// and cannot exceed what is owed. Returns the ledger entry and updated fines.
+export const recordPayment = async ({ session, userId, amount, method, fineIds, processedBy, notes, now = new Date() }) => {
+  amount = roundMoney(amount);
+  if (amount <= 0) {
+    throw new ApiError('Payment amount must be greater than zero');
+  }
+
+  await lockAccount(userId, session);
+
+  if (method === 'credit') {
+    const credit = await getCreditBalance(userId, session);
+    if (amount > credit) {
+      throw new ApiError(`Payment exceeds the available account credit of $${credit.toFixed(2)}`);
+    }
+  }
+
+  let fines;
+  if (fineIds?.length) {
+    const found = await Fine.find({ _id: { $in: fineIds }, userId }).session(session);
+    fines = fineIds.map(id => found.find(fine => fine._id.toString() === String(id)));
+
+    if (fines.some(fine => !fine)) {
+      throw new ApiError('Fine not found for this patron', 404);
+    }
+    const settled = fines.find(fine => getFineBalance(fine) === 0);
+    if (settled) {
+      throw new ApiError(`Fine ${settled._id} has nothing left to pay`);
+    }
+  } else {
+    fines = await Fine.find({ userId, paymentStatus: 'pending' })
+      .sort({ createdAt: 1 })
+      .session(session);
+  }
+
+  let remaining = amount;
+  const allocations = [];
+  const updatedFines = [];
+  for (const fine of fines) {
+    if (remaining <= 0) break;
+
+    const applied = Math.min(remaining, getFineBalance(fine));
+    if (applied <= 0) continue;
+
+    updatedFines.push(await applyToFine({ session, fine, delta: applied, method, processedBy, now }));
+    allocations.push({ fineId: fine._id, amount: applied });
+    remaining = roundMoney(remaining - applied);
+  }
+
+  if (method === 'credit' && remaining > 0) {
+    throw new ApiError('Payment from account credit cannot exceed the amount owed');
+  }
+
+  const [payment] = await Payment.create([{
+    receiptNumber: await nextReceiptNumber(session, now),
+    userId,
+    type: 'payment',
+    method,
+    amount,
+    allocations,
+    // Overpayments are kept as credit; spending credit draws it down
+    creditDelta: method === 'credit' ? -amount : remaining,
+    processedBy,
+    notes,
+    createdAt: now
+  }], { session });
+
+  return { payment, fines: updatedFines };
+};
+
+// Give back (part of) a payment, by default with the method it was made
+// with. Unspent credit from an overpayment is given back first, then the
+// amounts allocated to fines, newest first; those fines are owed again.
+// Refunding with method `credit` keeps the money on the patron's account.
+export const refundPayment = async ({ session, payment, amount, method, processedBy, notes, now = new Date() }) => {
+  if (payment.type !== 'payment') {
+    throw new ApiError('Only payments can be refunded');
+  }
+
+  method = method || payment.method;
+  const refundable = roundMoney(payment.amount - payment.refundedAmount);
+  amount = roundMoney(amount ?? refundable);
+
+  if (amount <= 0) {
+    throw new ApiError('Refund amount must be greater than zero');
+  }
+  if (amount > refundable) {
+    throw new ApiError(`Only $${refundable.toFixed(2)} of this payment can still be refunded`);
+  }
+
+  await lockAccount(payment.userId, session);
+
+  // What earlier refunds already took back from this payment
+  const earlierRefunds = await Payment.find({ refundOf: payment._id }).session(session);
+  const reversedByFine = new Map();
+  let creditReversed = 0;
+  for (const refund of earlierRefunds) {
+    for (const allocation of refund.allocations) {
+      const key = allocation.fineId.toString();
+      reversedByFine.set(key, roundMoney((reversedByFine.get(key) || 0) + allocation.amount));
+    }
+    if (refund.creditDelta < 0) {
+      creditReversed = roundMoney(creditReversed - refund.creditDelta);
+    }
+  }
+
+  let remaining = amount;
+
+  // 1. Overpayment still sitting on the account as credit
+  let fromCredit = 0;
+  if (method !== 'credit' && payment.creditDelta > 0) {
+    const credit = await getCreditBalance(payment.userId, session);
+    fromCredit = Math.min(remaining, roundMoney(payment.creditDelta - creditReversed), credit);
+    fromCredit = Math.max(0, roundMoney(fromCredit));
+    remaining = roundMoney(remaining - fromCredit);
+  }
+
+  // 2. Amounts allocated to fines that are still open or paid
+  const allocations = [];
+  const updatedFines = [];
+  for (const allocation of [...payment.allocations].reverse()) {
+    if (remaining <= 0) break;
+
+    const fine = await Fine.findById(allocation.fineId).session(session);
+    if (!fine || !['pending', 'paid'].includes(fine.paymentStatus)) continue;
+
+    const key = fine._id.toString();
+    const reversible = Math.min(
+      roundMoney(allocation.amount - (reversedByFine.get(key) || 0)),
+      getAmountPaid(fine)
+    );
+    const reversed = Math.min(remaining, reversible);
+    if (reversed <= 0) continue;
+
+    updatedFines.push(await applyToFine({ session, fine, delta: -reversed, method, processedBy, now }));
+    allocations.push({ fineId: fine._id, amount: reversed });
+    remaining = roundMoney(remaining - reversed);
+  }
+
+  if (remaining > 0) {
+    const available = roundMoney(amount - remaining);
+    throw new ApiError(`Only $${available.toFixed(2)} of this payment can be refunded; the rest has been spent, waived or cancelled`);
+  }
+
+  const updatedPayment = await Payment.findOneAndUpdate(
+    { _id: payment._id, refundedAmount: payment.refundedAmount },
+    { $inc: { refundedAmount: amount } },
+    { new: true, session }
+  );
+  if (!updatedPayment) {
+    throw new ApiError('Payment changed while the refund was being recorded; please try again', 409);
+  }
+
+  const [refund] = await Payment.create([{
+    receiptNumber: await nextReceiptNumber(session, now),
+    userId: payment.userId,
+    type: 'refund',
+    method,
+    amount,
+    allocations,
+    creditDelta: method === 'credit' ? amount : -fromCredit,
+    refundOf: payment._id,
+    processedBy,
+    notes,
+    createdAt: now
+  }], { session });
+
+  return { refund, payment: updatedPayment, fines: updatedFines };
+};
+
+// Pay out a patron's account credit (all of it unless `amount` is given)
+export const refundCredit = async ({ session, userId, amount, method, processedBy, notes, now = new Date() }) => {
+  if (method === 'credit') {
+    throw new ApiError('Account credit must be refunded with cash, card, online or check');
+  }
+
+  await lockAccount(userId, session);
+
+  const credit = await getCreditBalance(userId, session);
+  amount = roundMoney(amount ?? credit);
+
+  if (amount <= 0) {
+    throw new ApiError('Patron has no account credit to refund');
+  }
+  if (amount > credit) {
+    throw new ApiError(`Refund exceeds the available account credit of $${credit.toFixed(2)}`);
+  }
+
+  const [refund] = await Payment.create([{
+    receiptNumber: await nextReceiptNumber(session, now),
+    userId,
+    type: 'refund',
+    method,
+    amount,
+    allocations: [],
+    creditDelta: -amount,
+    processedBy,
+    notes,
+    createdAt: now
+  }], { session });
+
+  return { refund };
+};
+
+// Cancel a charge that should never have been owed (a lost copy that turned
+// up). Whatever was paid towards it goes to the patron's account credit and
+// the fine becomes `refunded`; an unpaid fine is simply waived. Returns the
+// updated fine, or null if it changed in the meantime.
+export const cancelFineCharge = async ({ session, fine, processedBy, note, now = new Date() }) => {
+  const paid = getAmountPaid(fine);
+  const notes = fine.notes ? `${fine.notes}\n${note}` : note;
+
+  const cancelled = await Fine.findOneAndUpdate(
+    { _id: fine._id, paymentStatus: fine.paymentStatus },
+    {
+      ...(paid > 0
+        ? { paymentStatus: 'refunded', refundDate: now }
+        : { paymentStatus: 'waived', waivedAmount: roundMoney(fine.amount), waivedDate: now }),
+      processedBy,
+      notes,
+      updatedAt: now
+    },
+    { new: true, session }
+  );
+
+  if (cancelled && paid > 0) {
+    await lockAccount(fine.userId, session);
+    await Payment.create([{
+      receiptNumber: await nextReceiptNumber(session, now),
+      userId: fine.userId,
+      type: 'refund',
+      method: 'credit',
+      amount: paid,
+      allocations: [{ fineId: fine._id, amount: paid }],
+      creditDelta: paid,
+      processedBy,
+      notes: note,
+      createdAt: now
+    }], { session });
+  }
+
+  return cancelled;
+};
+
+// Everything that changed what a patron owes, oldest first, with the balance
+// after each entry. A positive balance is owed by the patron; a negative one
+// is credit on their account.
+export const getAccountStatement = async (userId) => {
+  const [fines, payments] = await Promise.all([
+    Fine.find({ userId })
+      .populate({ path: 'transactionId', select: 'bookId', populate: { path: 'bookId', select: 'title' } })
+      .lean(),
+    Payment.find({ userId }).lean()
+  ]);
+
+  const ledgerFineIds = new Set(payments.flatMap(payment => payment.allocations.map(a => a.fineId.toString())));
+  const events = [];
+
+  for (const fine of fines) {
+    const title = fine.transactionId?.bookId?.title;
+    const description = `${fine.reason} fine${title ? ` - ${title}` : ''}`;
+
+    events.push({ date: fine.createdAt, type: 'charge', description, amount: fine.amount, fineId: fine._id });
+
+    // Fines settled before the ledger existed have no payment entries
+    const legacy = fine.amountPaid === undefined || fine.amountPaid === null;
+    if (legacy && ['paid', 'refunded'].includes(fine.paymentStatus)) {
+      events.push({
+        date: fine.paymentDate || fine.updatedAt,
+        type: 'payment',
+        description: `Payment (${fine.paymentMethod || 'unknown'}) - ${description}`,
+        amount: -fine.amount,
+        fineId: fine._id
+      });
+      if (fine.paymentStatus === 'refunded' && !ledgerFineIds.has(fine._id.toString())) {
+        events.push({
+          date: fine.refundDate || fine.updatedAt,
+          type: 'refund',
+          description: `Refund - ${description}`,
+          amount: fine.amount,
+          fineId: fine._id
+        });
+      }
+    }
+
+    if (fine.paymentStatus === 'waived') {
+      events.push({
+        date: fine.waivedDate || fine.updatedAt,
+        type: 'waiver',
+        description: `Waived - ${description}`,
+        amount: -(fine.waivedAmount ?? roundMoney(fine.amount - getAmountPaid(fine))),
+        fineId: fine._id
+      });
+    }
+
+    if (fine.paymentStatus === 'refunded') {
+      events.push({
+        date: fine.refundDate || fine.updatedAt,
+        type: 'cancellation',
+        description: `Cancelled - ${description}`,
+        amount: -fine.amount,
+        fineId: fine._id
+      });
+    }
+  }
+
+  // Moving money between fines and account credit does not change the balance
+  for (const payment of payments) {
+    const sign = payment.type === 'payment' ? -1 : 1;
+    events.push({
+      date: payment.createdAt,
+      type: payment.type,
+      description: `${payment.type === 'payment' ? 'Payment' : 'Refund'} (${payment.method}) - receipt ${payment.receiptNumber}`,
+      amount: payment.method === 'credit' ? 0 : sign * payment.amount,
+      paymentId: payment._id,
+      receiptNumber: payment.receiptNumber
+    });
+  }
+
+  // Charges come before what settles them when they share a timestamp
+  const order = ['charge', 'payment', 'waiver', 'cancellation', 'refund'];
+  events.sort((a, b) => (new Date(a.date) - new Date(b.date)) || (order.indexOf(a.type) - order.indexOf(b.type)));
+
+  let balance = 0;
+  const entries = events.map(event => {
+    balance = roundMoney(balance + event.amount);
+    return { ...event, amount: roundMoney(event.amount), balance };
+  });
+
+  return { entries, balance };
+};
+
+// Email the patron a copy of their receipt. Call after the ledger entry has
+// been committed.
+export const sendReceiptEmail = async (payment) => {
+  const user = await User.findById(payment.userId).select('name email');
+  if (!user?.email) {
+    return false;
+  }
+
+  const result = await sendEmail(user.email, 'finePaymentConfirmation', {
+    user,
+    payment
+  });
+
+  return result.success;
+};
@@ -0,0 +1,59 @@
+// ISBN checksums and normalization. Books store ISBN-13 without hyphens, so
+// "0-306-40615-2" and "978-0-306-40615-7" are the same book.
+
+// Digits (and a final X) with spaces, hyphens and an "ISBN" prefix removed
+export const cleanIsbn = (value) => String(value ?? '')
+  .trim()
+  .replace(/^ISBN(?:-1[03])?:?\s*/i, '')
+  .replace(/[\s-]/g, '')
+  .toUpperCase();
+
+export const isValidIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    sum += (10 - i) * (isbn[i] === 'X' ? 10 : Number(isbn[i]));
+  }
+  return sum % 11 === 0;
+};
+
+const isbn13CheckDigit = (first12) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+};
+
+export const isValidIsbn = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+// ISBN-13 for a valid ISBN-10 or ISBN-13, or null
+export const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) {
+    return isbn;
+  }
+  if (isValidIsbn10(isbn)) {
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return `${first12}${isbn13CheckDigit(first12)}`;
+  }
+  return null;
+};
+
+// The form books are stored in: ISBN-13 when the value is a valid ISBN,
+// otherwise the value as given (trimmed) so nothing is lost
+export const normalizeIsbn = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return toIsbn13(value) || value.trim();
+};
@@ -0,0 +1,267 @@
+import Transaction, { OPEN_LOAN_STATUSES } from '../models/transaction.js';
+import User from '../models/user.js';
+import { sendEmail, deliverPendingEmails } from './emailService.js';
+import { resolvePatronPolicy, calculateOverdueFine } from './loanPolicyService.js';
+import { expireReservations, syncOverdueFine } from './circulationService.js';
+import { createCalendarCache } from './libraryCalendar.js';
+
+const MINUTE_MS = 1000 * 60;
+const DAY_MS = MINUTE_MS * 60 * 24;
+
+// Days before the due date that the due-soon reminder goes out
+const DUE_REMINDER_DAYS = parseInt(process.env.DUE_REMINDER_DAYS) || 2;
+// Days between repeated overdue notices for the same loan
+const OVERDUE_NOTICE_INTERVAL_DAYS = parseInt(process.env.OVERDUE_NOTICE_INTERVAL_DAYS) || 7;
+// Days before a membership expires that the renewal reminder goes out
+const MEMBERSHIP_REMINDER_DAYS = parseInt(process.env.MEMBERSHIP_REMINDER_DAYS) || 14;
+
+// Loan policy for a loan populated with the patron's role and group and the
+// book's categories
+const policyForLoan = (transaction) => resolvePatronPolicy(transaction.userId, transaction.bookId?.categories);
+
+// A loan whose patron has been deleted populates userId as null; there is no
+// one to charge or notify, so it is skipped rather than failing the run
+const hasPatron = (transaction, job) => {
+  if (transaction.userId) return true;
+  console.warn(`${job}: skipping loan ${transaction._id}, its patron no longer exists`);
+  return false;
+};
+
+// Flag loans that have passed their due date
+const markOverdueLoans = async () => {
+  const now = new Date();
+  const result = await Transaction.updateMany(
+    { status: 'issued', dueDate: { $lt: now } },
+    { status: 'overdue', updatedAt: now }
+  );
+
+  return { marked: result.modifiedCount };
+};
+
+// Charge overdue fines day by day on loans that are still out, so what a
+// patron owes is visible before the book comes back. Each loan has a single
+// overdue fine that is raised as the days go by.
+const accrueFines = async () => {
+  const now = new Date();
+  const calendarFor = createCalendarCache();
+  const overdueLoans = await Transaction.find({
+    status: { $in: OPEN_LOAN_STATUSES },
+    dueDate: { $lt: now }
+  })
+    .populate('userId', 'role patronGroupId')
+    .populate('bookId', 'categories');
+
+  let updated = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const transaction of overdueLoans) {
+    if (!hasPatron(transaction, 'accrueFines')) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const loanPolicy = await policyForLoan(transaction);
+      const { isClosed } = await calendarFor(transaction.branchId);
+      const { amount } = calculateOverdueFine(loanPolicy, transaction.dueDate, now, isClosed);
+
+      const fine = await syncOverdueFine({ loan: transaction, amount, now });
+      const fineAmount = fine ? fine.amount : amount;
+
+      if (fineAmount !== transaction.fineAmount) {
+        await Transaction.updateOne(
+          { _id: transaction._id, status: { $in: OPEN_LOAN_STATUSES } },
+          { fineAmount, updatedAt: now }
+        );
+        updated++;
+      }
+    } catch (error) {
+      console.error(`Error accruing fine for loan ${transaction._id}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { checked: overdueLoans.length, updated, skipped, failed };
+};
+
+// Remind patrons of loans due within DUE_REMINDER_DAYS, once per due date
+const sendDueReminders = async () => {
+  const now = new Date();
+  const upcomingDue = await Transaction.find({
+    status: 'issued',
+    dueDate: { $gte: now, $lte: new Date(now.getTime() + DUE_REMINDER_DAYS * DAY_MS) },
+    dueReminderSentAt: null
+  })
+    .populate('userId', 'name email')
+    .populate('bookId', 'title isbn');
+
+  let queued = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const transaction of upcomingDue) {
+    if (!hasPatron(transaction, 'sendDueReminders')) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const result = await sendEmail(transaction.userId.email, 'bookDueReminder', {
+        user: transaction.userId,
+        book: transaction.bookId,
+        dueDate: transaction.dueDate
+      });
+
+      if (result.success) {
+        await Transaction.updateOne({ _id: transaction._id }, { dueReminderSentAt: now });
+        queued++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`Error sending due reminder for loan ${transaction._id}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { queued, skipped, failed };
+};
+
+// Notify patrons of overdue loans, repeating every OVERDUE_NOTICE_INTERVAL_DAYS
+const sendOverdueNotices = async () => {
+  const now = new Date();
+  const calendarFor = createCalendarCache();
+  const overdue = await Transaction.find({
+    status: { $in: OPEN_LOAN_STATUSES },
+    dueDate: { $lt: now },
+    $or: [
+      { overdueNoticeSentAt: null },
+      { overdueNoticeSentAt: { $lte: new Date(now.getTime() - OVERDUE_NOTICE_INTERVAL_DAYS * DAY_MS) } }
+    ]
+  })
+    .populate('userId', 'name email role patronGroupId')
+    .populate('bookId', 'title isbn categories');
+
+  let queued = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const transaction of overdue) {
+    if (!hasPatron(transaction, 'sendOverdueNotices')) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const loanPolicy = await policyForLoan(transaction);
+      const { isClosed } = await calendarFor(transaction.branchId);
+      const { amount: fine } = calculateOverdueFine(loanPolicy, transaction.dueDate, now, isClosed);
+
+      const result = await sendEmail(transaction.userId.email, 'bookOverdue', {
+        user: transaction.userId,
+        book: transaction.bookId,
+        dueDate: transaction.dueDate,
+        fine
+      });
+
+      if (result.success) {
+        await Transaction.updateOne({ _id: transaction._id }, { overdueNoticeSentAt: now });
+        queued++;
+      } else {
+        failed++;
+      }
+    } catch (error) {
+      console.error(`Error sending overdue notice for loan ${transaction._id}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { queued, skipped, failed };
+};
+
+// Remind patrons whose membership expires within MEMBERSHIP_REMINDER_DAYS,
+// once per membership term (renewing clears membershipReminderSentAt)
+const sendMembershipReminders = async () => {
+  const now = new Date();
+  const expiring = await User.find({
+    status: 'active',
+    membershipExpiryDate: { $gt: now, $lte: new Date(now.getTime() + MEMBERSHIP_REMINDER_DAYS * DAY_MS) },
+    membershipReminderSentAt: null
+  })
+    .select('name email membershipExpiryDate patronGroupId')
+    .populate('patronGroupId', 'name membershipFee');
+
+  let queued = 0;
+  let failed = 0;
+  for (const user of expiring) {
+    const result = await sendEmail(user.email, 'membershipExpiring', {
+      user,
+      expiryDate: user.membershipExpiryDate,
+      group: user.patronGroupId
+    });
+
+    if (result.success) {
+      await User.updateOne({ _id: user._id }, { membershipReminderSentAt: now });
+      queued++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { queued, failed };
+};
+
+// Background jobs run by the scheduler. `intervalMs` is how often each job
+// runs; `lockTtlMs` is how long a run may hold the job's lock before another
+// instance is allowed to take over.
+export const jobs = [
+  {
+    name: 'deliverEmails',
+    description: 'Send queued emails from the outbox, retrying failures with backoff',
+    intervalMs: 1 * MINUTE_MS,
+    lockTtlMs: 5 * MINUTE_MS,
+    run: () => deliverPendingEmails()
+  },
+  {
+    name: 'markOverdueLoans',
+    description: 'Flag issued loans past their due date as overdue',
+    intervalMs: 15 * MINUTE_MS,
+    lockTtlMs: 10 * MINUTE_MS,
+    run: markOverdueLoans
+  },
+  {
+    name: 'expireReservations',
+    description: 'Expire reservations past their expiry date and roll over uncollected holds',
+    intervalMs: 15 * MINUTE_MS,
+    lockTtlMs: 10 * MINUTE_MS,
+    run: () => expireReservations()
+  },
+  {
+    name: 'accrueFines',
+    description: 'Charge overdue fines on loans that are still out, skipping closed days',
+    intervalMs: 60 * MINUTE_MS,
+    lockTtlMs: 30 * MINUTE_MS,
+    run: accrueFines
+  },
+  {
+    name: 'sendDueReminders',
+    description: `Email patrons whose loans are due within ${DUE_REMINDER_DAYS} days`,
+    intervalMs: 60 * MINUTE_MS,
+    lockTtlMs: 30 * MINUTE_MS,
+    run: sendDueReminders
+  },
+  {
+    name: 'sendOverdueNotices',
+    description: `Email patrons with overdue loans, every ${OVERDUE_NOTICE_INTERVAL_DAYS} days`,
+    intervalMs: 60 * MINUTE_MS,
+    lockTtlMs: 30 * MINUTE_MS,
+    run: sendOverdueNotices
+  },
+  {
+    name: 'sendMembershipReminders',
+    description: `Email patrons whose membership expires within ${MEMBERSHIP_REMINDER_DAYS} days`,
+    intervalMs: 6 * 60 * MINUTE_MS,
+    lockTtlMs: 30 * MINUTE_MS,
+    run: sendMembershipReminders
+  }
+];
+
+export const findJob = (name) => jobs.find(job => job.name === name);
@@ -0,0 +1,110 @@
+import OpeningHours from '../models/openingHours.js';
+import Closure from '../models/closure.js';
+
+// A due date is moved at most this far looking for an open day
+const MAX_ROLL_FORWARD_DAYS = 366;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar date of `date` as YYYY-MM-DD
+export const toDateKey = (date) => {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+};
+
+// Start of the local day for a YYYY-MM-DD key
+export const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Whether a closure covers the day `key`. Recurring closures repeat every
+// year on the same month and day, and may wrap over New Year.
+const closureCovers = (closure, key) => {
+  if (!closure.recurring) {
+    return closure.startDate <= key && key <= closure.endDate;
+  }
+
+  const monthDay = key.slice(5);
+  const start = closure.startDate.slice(5);
+  const end = closure.endDate.slice(5);
+  return start <= end
+    ? start <= monthDay && monthDay <= end
+    : monthDay >= start || monthDay <= end;
+};
+
+// The schedule that applies to a branch: its own opening hours or the
+// library-wide default, plus closures for that branch and for every branch.
+// Without any opening hours configured the library counts as open every day.
+// Pass no branchId for the library-wide calendar.
+export const loadLibraryCalendar = async ({ branchId = null } = {}) => {
+  const [branchHours, defaultHours, closures] = await Promise.all([
+    branchId ? OpeningHours.findOne({ branchId }).lean() : null,
+    OpeningHours.findOne({ branchId: null }).lean(),
+    Closure.find({ branchId: { $in: branchId ? [null, branchId] : [null] } }).lean()
+  ]);
+  const hours = branchHours || defaultHours;
+
+  const getDay = (date) => {
+    const key = toDateKey(date);
+    const closure = closures.find(entry => closureCovers(entry, key));
+    const weekday = fromDateKey(key).getDay();
+    const opening = hours
+      ? hours.days.find(day => day.weekday === weekday)
+      : { opens: null, closes: null };
+
+    return {
+      date: key,
+      weekday,
+      open: Boolean(opening) && !closure,
+      opens: !closure && opening ? opening.opens : null,
+      closes: !closure && opening ? opening.closes : null,
+      closure: closure ? { id: closure._id, name: closure.name, type: closure.type } : null
+    };
+  };
+
+  const isClosed = (date) => !getDay(date).open;
+
+  // The same time of day on the first open day at or after `date`
+  const nextOpenDay = (date) => {
+    const rolled = new Date(date);
+    for (let day = 0; day < MAX_ROLL_FORWARD_DAYS; day++) {
+      if (!isClosed(rolled)) return rolled;
+      rolled.setDate(rolled.getDate() + 1);
+    }
+    // Nothing is open in the coming year; leave the date alone
+    return new Date(date);
+  };
+
+  return {
+    branchId,
+    hours: hours ? hours.days : null,
+    getDay,
+    isClosed,
+    nextOpenDay
+  };
+};
+
+// Calendars for many loans at once: returns `(branchId) => calendar`, loading
+// each branch's calendar only once
+export const createCalendarCache = () => {
+  const calendars = new Map();
+  return (branchId = null) => {
+    const key = branchId ? branchId.toString() : '';
+    if (!calendars.has(key)) {
+      calendars.set(key, loadLibraryCalendar({ branchId }));
+    }
+    return calendars.get(key);
+  };
+};
+
+// Day-by-day schedule from `from` to `to` (inclusive)
+export const getSchedule = (calendar, from, to) => {
+  const days = [];
+  const day = fromDateKey(toDateKey(from));
+  while (day <= to) {
+    days.push(calendar.getDay(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+};
@@ -0,0 +1,112 @@
+import User from '../models/user.js';
+import LibraryCard from '../models/libraryCard.js';
+import Counter from '../models/counter.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+// Generated card numbers are LIBRARY_CARD_PREFIX (digits), an 8-digit
+// sequence and a Luhn check digit, e.g. 29000012342, so a number mistyped at
+// the desk is unlikely to be another patron's card
+const CARD_PREFIX = process.env.LIBRARY_CARD_PREFIX || '29';
+
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Card numbers are stored trimmed and in upper case; scanners and staff may not be
+export const normalizeCardNumber = (number) => String(number).trim().toUpperCase();
+
+// Hand out the next card number. Runs in the caller's transaction.
+export const generateCardNumber = async (session = null) => {
+  const seq = await Counter.next('library-card', session);
+  const digits = `${CARD_PREFIX}${String(seq).padStart(8, '0')}`;
+  return `${digits}${luhnCheckDigit(digits)}`;
+};
+
+// Issue a library card to `user`: the given (pre-printed) number, or a newly
+// generated one. A card the patron already has stops working, blocked for
+// `reason` (replaced by default). Returns the new card and the blocked one,
+// if any. Run inside runInTransaction().
+export const issueCard = async ({ session, user, number, reason = 'replaced', issuedBy, notes, now = new Date() }) => {
+  const cardNumber = number ? normalizeCardNumber(number) : await generateCardNumber(session);
+
+  // Numbers are never reused, even once blocked
+  if (number && await LibraryCard.exists({ number: cardNumber }).session(session)) {
+    throw new ApiError(`Card number ${cardNumber} has already been issued`);
+  }
+
+  const blockedCard = await LibraryCard.findOneAndUpdate(
+    { userId: user._id, status: 'active' },
+    { status: 'blocked', blockReason: reason, blockedBy: issuedBy, blockedAt: now, updatedAt: now },
+    { new: true, session }
+  );
+
+  const [card] = await LibraryCard.create([{
+    number: cardNumber,
+    userId: user._id,
+    issuedBy,
+    issuedAt: now,
+    notes
+  }], { session });
+
+  await User.updateOne(
+    { _id: user._id },
+    { cardNumber, updatedAt: now },
+    { session }
+  );
+
+  return { card, blockedCard };
+};
+
+// Block a patron's current card, e.g. reported lost before a replacement is
+// printed. Run inside runInTransaction().
+export const blockCard = async ({ session, user, reason, blockedBy, now = new Date() }) => {
+  const card = await LibraryCard.findOneAndUpdate(
+    { userId: user._id, status: 'active' },
+    { status: 'blocked', blockReason: reason, blockedBy, blockedAt: now, updatedAt: now },
+    { new: true, session }
+  );
+
+  if (!card) {
+    throw new ApiError('User has no active library card');
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $unset: { cardNumber: 1 }, updatedAt: now },
+    { session }
+  );
+
+  return card;
+};
+
+// Look up the patron a scanned card belongs to. Blocked cards are refused so
+// a lost card cannot be used to borrow on someone else's account.
+export const findPatronByCard = async (number) => {
+  const card = await LibraryCard.findOne({ number: normalizeCardNumber(number) });
+  if (!card) {
+    throw new ApiError('No library card with this number', 404);
+  }
+
+  if (card.status !== 'active') {
+    throw new ApiError(
+      `Library card ${card.number} was blocked on ${card.blockedAt.toLocaleDateString()} (${card.blockReason}). Ask the patron for their current card.`,
+      403
+    );
+  }
+
+  const user = await User.findById(card.userId);
+  if (!user) {
+    throw new ApiError('Card holder not found', 404);
+  }
+
+  return { user, card };
+};
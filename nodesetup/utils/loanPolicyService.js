@@ -0,0 +1,123 @@
+import LoanPolicy from '../models/loanPolicy.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Rules used when no stored policy matches. They mirror the limits the
+// circulation code used before policies were configurable.
+export const DEFAULT_LOAN_POLICY = {
+  name: 'Built-in default',
+  loanPeriodDays: 14,
+  maxRenewals: 2,
+  maxOverdueDaysForRenewal: 0,
+  maxItems: 5,
+  maxReservations: 3,
+  holdPickupDays: 3,
+  finePerDay: 1,
+  graceDays: 0,
+  maxFine: null,
+  processingFee: 0
+};
+
+// Only the built-in staff roles get the higher fallback limits; custom roles
+// get the library-wide default until a policy is created for them
+const STAFF_ROLES = ['admin', 'librarian'];
+
+const DEFAULT_STAFF_LIMITS = {
+  maxItems: 10,
+  maxReservations: 5
+};
+
+// Resolve the policy for a patron role, their patron group and (optionally) the
+// categories of a book. A policy for the book's category beats any without
+// one, then a policy for the patron group beats one for the role alone, and
+// anything beats the library-wide default. When several categories match, the
+// book's first listed category wins.
+export const resolveLoanPolicy = async ({ role, patronGroup = null, categories = [] } = {}) => {
+  const categoryIds = categories.map(category => (category?._id || category).toString());
+  const groupId = patronGroup?._id || patronGroup;
+
+  const candidates = await LoanPolicy.find({
+    status: 'active',
+    patronRole: { $in: [role, null] },
+    patronGroup: { $in: groupId ? [groupId, null] : [null] },
+    category: { $in: [...categoryIds, null] }
+  }).lean();
+
+  const rank = (policy) => {
+    const specificity = (policy.patronRole ? 1 : 0) + (policy.patronGroup ? 2 : 0) + (policy.category ? 4 : 0);
+    const categoryOrder = policy.category ? categoryIds.indexOf(policy.category.toString()) : 0;
+    return [specificity, -categoryOrder];
+  };
+
+  candidates.sort((a, b) => {
+    const [specA, orderA] = rank(a);
+    const [specB, orderB] = rank(b);
+    return specB - specA || orderB - orderA;
+  });
+
+  if (candidates.length > 0) {
+    return candidates[0];
+  }
+
+  return {
+    ...DEFAULT_LOAN_POLICY,
+    ...(STAFF_ROLES.includes(role) ? DEFAULT_STAFF_LIMITS : {})
+  };
+};
+
+// Loan policy for a patron (a user, or a document populated with their role
+// and patronGroupId) and optionally the categories of a book
+export const resolvePatronPolicy = (user, categories = []) => resolveLoanPolicy({
+  role: user?.role,
+  patronGroup: user?.patronGroupId,
+  categories
+});
+
+// Due date for a loan starting at `from` under the given policy. With a
+// library calendar (see loadLibraryCalendar) a due date on a closed day rolls
+// forward to the next open day.
+export const calculateDueDate = (policy, from = new Date(), calendar = null) => {
+  const dueDate = new Date(from);
+  dueDate.setDate(dueDate.getDate() + policy.loanPeriodDays);
+  return calendar ? calendar.nextOpenDay(dueDate) : dueDate;
+};
+
+// Days a loan is past its due date (0 when not overdue). Days the library is
+// closed (per `isClosed`, see loadLibraryCalendar) are not counted.
+export const getOverdueDays = (dueDate, asOf = new Date(), isClosed = () => false) => {
+  if (asOf <= dueDate) return 0;
+
+  const elapsedDays = Math.ceil((asOf - dueDate) / DAY_MS);
+  let overdueDays = 0;
+  for (let day = 1; day <= elapsedDays; day++) {
+    if (!isClosed(new Date(dueDate.getTime() + day * DAY_MS))) overdueDays++;
+  }
+  return overdueDays;
+};
+
+// Fine owed for a loan under the given policy: open days overdue, less the
+// grace days, capped at the policy's per-item maximum
+export const calculateOverdueFine = (policy, dueDate, asOf = new Date(), isClosed = () => false) => {
+  const overdueDays = getOverdueDays(dueDate, asOf, isClosed);
+  const chargeableDays = Math.max(0, overdueDays - (policy.graceDays || 0));
+
+  let amount = chargeableDays * policy.finePerDay;
+  if (policy.maxFine !== null && policy.maxFine !== undefined) {
+    amount = Math.min(amount, policy.maxFine);
+  }
+
+  return { overdueDays, chargeableDays, amount };
+};
+
+// Charges for a copy that is lost or withdrawn as damaged: the book's
+// replacement cost (or the amount staff enter) plus the policy's processing
+// fee. Returns null when no replacement cost is known.
+export const calculateReplacementCharges = (policy, book, replacementCost) => {
+  const cost = replacementCost ?? book.replacementCost;
+  if (cost === null || cost === undefined) return null;
+
+  return {
+    replacementCost: cost,
+    processingFee: policy.processingFee || 0
+  };
+};
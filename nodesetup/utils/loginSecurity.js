@@ -0,0 +1,211 @@
+import User from '../models/user.js';
+import LoginEvent from '../models/loginEvent.js';
+import { securityLogger } from '../middleware/logger.js';
+import { sendEmail } from './emailService.js';
+
+const MINUTE_MS = 1000 * 60;
+
+// Consecutive failed logins that lock an account
+export const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS) || 5;
+// Length of the first lockout; each further lockout doubles it, up to the maximum
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// How long the nth lockout (counting from 1) lasts
+export const lockoutDurationMs = (lockCount) => {
+  const minutes = LOCKOUT_BASE_MINUTES * 2 ** Math.max(lockCount - 1, 0);
+  return Math.min(minutes, LOCKOUT_MAX_MINUTES) * MINUTE_MS;
+};
+
+const requestDetails = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') ? req.get('user-agent').slice(0, 500) : undefined
+});
+
+// Record a refused login in the login history and the security log
+export const recordFailedLogin = async (req, { user, username, reason }) => {
+  const { ip, userAgent } = requestDetails(req);
+  let lockedUser = null;
+
+  // Only wrong passwords and codes count towards a lockout; attempts against
+  // a locked or inactive account do not extend it
+  if (user && ['invalid_password', 'invalid_two_factor'].includes(reason)) {
+    lockedUser = await incrementFailedAttempts(user);
+  }
+
+  await LoginEvent.create({
+    userId: user?._id,
+    username,
+    success: false,
+    reason,
+    ip,
+    userAgent,
+    lockedAccount: Boolean(lockedUser)
+  });
+
+  securityLogger('FAILED_LOGIN_ATTEMPT', { username, reason, ip });
+
+  if (lockedUser) {
+    securityLogger('ACCOUNT_LOCKED', {
+      userId: lockedUser._id,
+      username: lockedUser.username,
+      lockUntil: lockedUser.lockUntil,
+      lockCount: lockedUser.lockCount,
+      ip
+    });
+
+    await sendEmail(lockedUser.email, 'accountLocked', {
+      user: { name: lockedUser.name, username: lockedUser.username },
+      lockUntil: lockedUser.lockUntil,
+      ip
+    });
+  }
+
+  return lockedUser;
+};
+
+// Count a wrong password. Returns the user if this attempt locked the account.
+const incrementFailedAttempts = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGIN_ATTEMPTS) {
+    return null;
+  }
+
+  // Only the request that reached the limit applies the lock
+  const lockCount = updated.lockCount + 1;
+  return User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+    {
+      failedLoginAttempts: 0,
+      lockCount,
+      lockUntil: new Date(Date.now() + lockoutDurationMs(lockCount))
+    },
+    { new: true }
+  );
+};
+
+// Record a successful login, clear the failure counters and tell the user if
+// the login came from a device they have not used before
+export const recordSuccessfulLogin = async (req, user) => {
+  const { ip, userAgent } = requestDetails(req);
+
+  // The very first login is not news to anyone
+  const hasLoggedInBefore = await LoginEvent.exists({ userId: user._id, success: true });
+  const knownDevice = hasLoggedInBefore && await LoginEvent.exists({
+    userId: user._id,
+    success: true,
+    userAgent
+  });
+  const newDevice = Boolean(hasLoggedInBefore && !knownDevice);
+
+  if (user.failedLoginAttempts || user.lockCount || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  await LoginEvent.create({
+    userId: user._id,
+    username: user.username,
+    success: true,
+    reason: 'success',
+    ip,
+    userAgent,
+    newDevice
+  });
+
+  if (newDevice) {
+    securityLogger('NEW_DEVICE_LOGIN', { userId: user._id, ip, userAgent });
+
+    await sendEmail(user.email, 'newDeviceLogin', {
+      user: { name: user.name, username: user.username },
+      ip,
+      userAgent,
+      time: new Date()
+    });
+  }
+
+  return { newDevice };
+};
+
+// Lift a lockout and clear the failure counters
+export const unlockAccount = (userId) => {
+  return User.findByIdAndUpdate(
+    userId,
+    { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } },
+    { new: true }
+  ).select('-password');
+};
+
+// Failed logins, lockouts and new-device logins over the last `hours`
+export const getSuspiciousActivity = async ({ hours = 24, minFailures = 3, minAccountsPerIp = 3 } = {}) => {
+  const now = new Date();
+  const since = new Date(now.getTime() - hours * 60 * MINUTE_MS);
+  const failedInWindow = { success: false, createdAt: { $gte: since } };
+
+  const [lockedAccounts, accountsWithFailures, suspiciousIps, newDeviceLogins, totals] = await Promise.all([
+    User.find({ lockUntil: { $gt: now } })
+      .select('username name email lockUntil lockCount')
+      .sort({ lockUntil: -1 }),
+
+    // Accounts that are being guessed at
+    LoginEvent.aggregate([
+      { $match: { ...failedInWindow, userId: { $ne: null } } },
+      {
+        $group: {
+          _id: '$userId',
+          username: { $last: '$username' },
+          failures: { $sum: 1 },
+          lockouts: { $sum: { $cond: ['$lockedAccount', 1, 0] } },
+          ips: { $addToSet: '$ip' },
+          lastAttemptAt: { $max: '$createdAt' }
+        }
+      },
+      { $match: { failures: { $gte: minFailures } } },
+      { $sort: { failures: -1 } },
+      { $limit: 100 }
+    ]),
+
+    // IPs trying many different accounts (credential stuffing)
+    LoginEvent.aggregate([
+      { $match: failedInWindow },
+      {
+        $group: {
+          _id: '$ip',
+          failures: { $sum: 1 },
+          usernames: { $addToSet: '$username' },
+          lastAttemptAt: { $max: '$createdAt' }
+        }
+      },
+      { $addFields: { accountCount: { $size: '$usernames' } } },
+      { $match: { accountCount: { $gte: minAccountsPerIp } } },
+      { $sort: { accountCount: -1, failures: -1 } },
+      { $limit: 100 }
+    ]),
+
+    LoginEvent.find({ success: true, newDevice: true, createdAt: { $gte: since } })
+      .populate('userId', 'username name email')
+      .sort({ createdAt: -1 })
+      .limit(100),
+
+    LoginEvent.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$reason', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    window: { since, until: now, hours },
+    totals: totals.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {}),
+    lockedAccounts,
+    accountsWithFailures: accountsWithFailures.map(({ _id, ...rest }) => ({ userId: _id, ...rest })),
+    suspiciousIps: suspiciousIps.map(({ _id, ...rest }) => ({ ip: _id, ...rest })),
+    newDeviceLogins
+  };
+};
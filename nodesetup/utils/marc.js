@@ -0,0 +1,235 @@
+import { ApiError } from '../middleware/errorHandler.js';
+
+// Reading and writing MARC 21 records, as ISO 2709 binary (.mrc) and as
+// MARCXML. A record is { leader, fields }, where a control field (001-009)
+// is { tag, value } and a data field is { tag, ind1, ind2, subfields } with
+// subfields [{ code, value }] in order. Binary records are read and written
+// as UTF-8 (leader/09 = a); MARC-8 records (leader/09 blank) are refused
+// rather than imported with garbled diacritics.
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+// New, language material, monograph, UTF-8, ISBD punctuation
+export const DEFAULT_LEADER = '00000nam a2200000 i 4500';
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+export const isControlField = (tag) => tag < '010';
+
+// First value of subfield `code` in the first field with `tag`, or every field
+// with `tag`
+export const getField = (record, tag) => record.fields.find(field => field.tag === tag);
+export const getFields = (record, tag) => record.fields.filter(field => field.tag === tag);
+export const getSubfield = (field, code) => field?.subfields?.find(subfield => subfield.code === code)?.value;
+
+const parseBinaryRecord = (buffer, number) => {
+  const malformed = (reason) => new ApiError(`MARC record ${number} is malformed: ${reason}`);
+
+  if (buffer.length < LEADER_LENGTH) {
+    throw malformed('shorter than its leader');
+  }
+
+  const leader = buffer.toString('latin1', 0, LEADER_LENGTH);
+  if (leader[9] !== 'a') {
+    throw new ApiError(`MARC record ${number} is not UTF-8 encoded (leader/09 is '${leader[9]}'). Convert MARC-8 records to UTF-8, e.g. with MarcEdit or yaz-marcdump, and import them again.`);
+  }
+
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (!Number.isInteger(baseAddress) || baseAddress <= LEADER_LENGTH || baseAddress > buffer.length) {
+    throw malformed('invalid base address of data');
+  }
+
+  // The directory runs from the leader to the field terminator before the data
+  const directory = buffer.toString('latin1', LEADER_LENGTH, baseAddress - 1);
+  if (directory.length % DIRECTORY_ENTRY_LENGTH !== 0) {
+    throw malformed('invalid directory');
+  }
+
+  const fields = [];
+  for (let offset = 0; offset < directory.length; offset += DIRECTORY_ENTRY_LENGTH) {
+    const tag = directory.slice(offset, offset + 3);
+    const length = parseInt(directory.slice(offset + 3, offset + 7), 10);
+    const start = baseAddress + parseInt(directory.slice(offset + 7, offset + 12), 10);
+    if (!Number.isInteger(length) || start + length > buffer.length) {
+      throw malformed(`field ${tag} runs past the end of the record`);
+    }
+
+    // Drop the field terminator
+    let data = buffer.subarray(start, start + length);
+    if (data[data.length - 1] === FIELD_TERMINATOR) {
+      data = data.subarray(0, data.length - 1);
+    }
+
+    if (isControlField(tag)) {
+      fields.push({ tag, value: data.toString('utf8') });
+      continue;
+    }
+
+    const [indicators, ...subfields] = data.toString('utf8').split(String.fromCharCode(SUBFIELD_DELIMITER));
+    fields.push({
+      tag,
+      ind1: indicators[0] || ' ',
+      ind2: indicators[1] || ' ',
+      subfields: subfields
+        .filter(subfield => subfield.length > 0)
+        .map(subfield => ({ code: subfield[0], value: subfield.slice(1) }))
+    });
+  }
+
+  return { leader, fields };
+};
+
+// Parse a file of binary MARC records
+export const parseMarc = (buffer) => {
+  const records = [];
+  let start = 0;
+
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] === RECORD_TERMINATOR) {
+      records.push(parseBinaryRecord(buffer.subarray(start, i), records.length + 1));
+      start = i + 1;
+    }
+  }
+
+  // Tolerate line breaks some systems add between records
+  if (buffer.subarray(start).toString('latin1').trim() !== '') {
+    throw new ApiError(`MARC record ${records.length + 1} has no record terminator`);
+  }
+
+  return records;
+};
+
+const encodeField = (field) => {
+  if (isControlField(field.tag)) {
+    return Buffer.from(`${field.value}${String.fromCharCode(FIELD_TERMINATOR)}`, 'utf8');
+  }
+
+  const subfields = field.subfields
+    .map(subfield => `${String.fromCharCode(SUBFIELD_DELIMITER)}${subfield.code}${subfield.value}`)
+    .join('');
+  return Buffer.from(`${field.ind1}${field.ind2}${subfields}${String.fromCharCode(FIELD_TERMINATOR)}`, 'utf8');
+};
+
+const serializeBinaryRecord = (record) => {
+  const data = record.fields.map(encodeField);
+
+  let directory = '';
+  let position = 0;
+  for (const [index, field] of record.fields.entries()) {
+    directory += `${field.tag}${String(data[index].length).padStart(4, '0')}${String(position).padStart(5, '0')}`;
+    position += data[index].length;
+  }
+
+  const baseAddress = LEADER_LENGTH + directory.length + 1;
+  const recordLength = baseAddress + position + 1;
+  if (recordLength > 99999) {
+    throw new ApiError('MARC record is longer than 99999 bytes');
+  }
+
+  // Lengths and addresses are recomputed; the rest of the leader is kept
+  const leader = `${String(recordLength).padStart(5, '0')}${record.leader.slice(5, 9)}a${record.leader.slice(10, 12)}${String(baseAddress).padStart(5, '0')}${record.leader.slice(17, 24)}`;
+
+  return Buffer.concat([
+    Buffer.from(`${leader}${directory}${String.fromCharCode(FIELD_TERMINATOR)}`, 'latin1'),
+    ...data,
+    Buffer.from([RECORD_TERMINATOR])
+  ]);
+};
+
+// Serialize records as a binary MARC file
+export const serializeMarc = (records) => Buffer.concat(records.map(serializeBinaryRecord));
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#[0-9]+|\w+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  }
+  return XML_ENTITIES[name] ?? entity;
+});
+
+const encodeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const parseAttributes = (text) => {
+  const attributes = {};
+  for (const [, name, , value] of text.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+};
+
+// Elements of a MARCXML record, with or without a namespace prefix
+const elementPattern = (names) => new RegExp(`<(?:[\\w-]+:)?(${names})\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?\\1\\s*>)`, 'g');
+
+// Parse a MARCXML document: a <collection> of <record>s, or a single <record>
+export const parseMarcXml = (xml) => {
+  const records = [];
+
+  for (const [, , , body = ''] of xml.matchAll(elementPattern('record'))) {
+    const record = { leader: DEFAULT_LEADER, fields: [] };
+
+    for (const [, name, attributeText, content = ''] of body.matchAll(elementPattern('leader|controlfield|datafield'))) {
+      const attributes = parseAttributes(attributeText);
+
+      if (name === 'leader') {
+        record.leader = decodeXml(content).padEnd(LEADER_LENGTH).slice(0, LEADER_LENGTH);
+      } else if (name === 'controlfield') {
+        record.fields.push({ tag: attributes.tag, value: decodeXml(content) });
+      } else {
+        record.fields.push({
+          tag: attributes.tag,
+          ind1: attributes.ind1 || ' ',
+          ind2: attributes.ind2 || ' ',
+          subfields: [...content.matchAll(elementPattern('subfield'))].map(([, , subfieldAttributes, value = '']) => ({
+            code: parseAttributes(subfieldAttributes).code,
+            value: decodeXml(value)
+          }))
+        });
+      }
+    }
+
+    if (record.fields.some(field => !/^[0-9A-Za-z]{3}$/.test(field.tag || ''))) {
+      throw new ApiError(`MARCXML record ${records.length + 1} has a field without a valid tag`);
+    }
+    records.push(record);
+  }
+
+  return records;
+};
+
+// Serialize records as a MARCXML <collection>
+export const serializeMarcXml = (records) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<collection xmlns="${MARCXML_NAMESPACE}">`
+  ];
+
+  for (const record of records) {
+    lines.push('  <record>');
+    lines.push(`    <leader>${encodeXml(record.leader)}</leader>`);
+    for (const field of record.fields) {
+      if (isControlField(field.tag)) {
+        lines.push(`    <controlfield tag="${field.tag}">${encodeXml(field.value)}</controlfield>`);
+        continue;
+      }
+      lines.push(`    <datafield tag="${field.tag}" ind1="${encodeXml(field.ind1)}" ind2="${encodeXml(field.ind2)}">`);
+      for (const subfield of field.subfields) {
+        lines.push(`      <subfield code="${encodeXml(subfield.code)}">${encodeXml(subfield.value)}</subfield>`);
+      }
+      lines.push('    </datafield>');
+    }
+    lines.push('  </record>');
+  }
+
+  lines.push('</collection>');
+  return `${lines.join('\n')}\n`;
+};
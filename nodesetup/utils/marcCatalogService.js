@@ -0,0 +1,141 @@
+import { DEFAULT_LEADER, getField, getFields, getSubfield } from './marc.js';
+
+// Maps catalog records to and from MARC 21 bibliographic records:
+//   020 $a ISBN, 100/700 $a authors, 245 $a $b title, 260/264 $b publisher
+//   and $c year, 300 $a pages, 520 $a description, 546 $a language,
+//   650 $a categories, 852 $c shelving location.
+// MARC carries only the year of publication; it is read as 1 January.
+
+// Trailing ISBD punctuation, e.g. "Effective Java :" or "Addison-Wesley,".
+// The full stop after an initial ("Steele, Guy L.") belongs to the name.
+const stripPunctuation = (value) => value
+  ?.replace(/\s*[,:;/=]+\s*$/, '')
+  .replace(/(?<!\b[A-Z])\.$/, '')
+  .trim() || undefined;
+
+// Personal names are inverted in MARC: "Bloch, Joshua" is Joshua Bloch
+const readName = (field) => {
+  const name = stripPunctuation(getSubfield(field, 'a'));
+  if (!name || field.ind1 !== '1' || !name.includes(', ')) {
+    return name;
+  }
+  const [surname, forenames] = name.split(', ', 2);
+  return `${forenames} ${surname}`;
+};
+
+const writeName = (tag, name) => {
+  const parts = name.trim().split(/\s+/);
+  if (parts.length < 2) {
+    return { tag, ind1: '0', ind2: ' ', subfields: [{ code: 'a', value: name.trim() }] };
+  }
+  const surname = parts.pop();
+  return { tag, ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: `${surname}, ${parts.join(' ')}` }] };
+};
+
+// Publication (264 second indicator 1) before other 264s and the older 260
+const publicationField = (record) => {
+  const fields = getFields(record, '264');
+  return fields.find(field => field.ind2 === '1') || fields[0] || getField(record, '260');
+};
+
+// Turn a MARC record into an import record (see catalogImportService)
+export const marcToRecord = (record) => {
+  const title = getField(record, '245');
+  const publication = publicationField(record);
+  const year = getSubfield(publication, 'c')?.match(/\d{4}/)?.[0];
+  const pages = getSubfield(getField(record, '300'), 'a')?.match(/(\d+)\s*(?:p\b|pages)/)?.[1];
+  const subtitle = stripPunctuation(getSubfield(title, 'b'));
+
+  return {
+    // "9780134685991 (paperback)"
+    isbn: getSubfield(getField(record, '020'), 'a')?.match(/^[0-9Xx-]+/)?.[0],
+    title: title && [stripPunctuation(getSubfield(title, 'a')), subtitle].filter(Boolean).join(': '),
+    authors: [...getFields(record, '100'), ...getFields(record, '700')].map(readName).filter(Boolean),
+    publisher: stripPunctuation(getSubfield(publication, 'b')),
+    publicationDate: year && `${year}-01-01`,
+    categories: getFields(record, '650').map(field => stripPunctuation(getSubfield(field, 'a'))).filter(Boolean),
+    pages,
+    description: getSubfield(getField(record, '520'), 'a'),
+    language: stripPunctuation(getSubfield(getField(record, '546'), 'a')),
+    location: getSubfield(getField(record, '852'), 'c')
+  };
+};
+
+// Leading articles are skipped when filing titles (245 second indicator)
+const nonfilingCharacters = (title) => String(title.match(/^(?:the|an|a) /i)?.[0].length || 0);
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// 005: yyyymmddhhmmss.f
+const transactionTimestamp = (date) => `${date.getUTCFullYear()}${pad2(date.getUTCMonth() + 1)}${pad2(date.getUTCDate())}${pad2(date.getUTCHours())}${pad2(date.getUTCMinutes())}${pad2(date.getUTCSeconds())}.0`;
+
+// 008 for books: date entered, single date of publication, rest unknown
+const fixedLengthData = (book, year) => {
+  const created = new Date(book.createdAt || Date.now());
+  const entered = `${String(created.getUTCFullYear()).slice(2)}${pad2(created.getUTCMonth() + 1)}${pad2(created.getUTCDate())}`;
+  return `${entered}s${year || '    '}    xx ${'|'.repeat(17)}und|d`;
+};
+
+// Turn a book (with authors and categories populated) into a MARC record
+export const bookToMarc = (book) => {
+  const year = book.publicationDate ? String(new Date(book.publicationDate).getUTCFullYear()) : null;
+  const [mainAuthor, ...otherAuthors] = (book.authors || []).map(author => author.name).filter(Boolean);
+  const [titleProper, ...subtitle] = book.title.split(': ');
+
+  const fields = [
+    { tag: '001', value: String(book._id) },
+    { tag: '005', value: transactionTimestamp(new Date(book.updatedAt || Date.now())) },
+    { tag: '008', value: fixedLengthData(book, year) },
+    { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: book.isbn }] }
+  ];
+
+  if (mainAuthor) {
+    fields.push(writeName('100', mainAuthor));
+  }
+
+  fields.push({
+    tag: '245',
+    ind1: mainAuthor ? '1' : '0',
+    ind2: nonfilingCharacters(book.title),
+    subfields: subtitle.length > 0
+      ? [{ code: 'a', value: `${titleProper} :` }, { code: 'b', value: subtitle.join(': ') }]
+      : [{ code: 'a', value: book.title }]
+  });
+
+  fields.push({
+    tag: '264',
+    ind1: ' ',
+    ind2: '1',
+    subfields: [
+      { code: 'b', value: `${book.publisher}${year ? ',' : ''}` },
+      ...(year ? [{ code: 'c', value: year }] : [])
+    ]
+  });
+
+  if (book.pages) {
+    fields.push({ tag: '300', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: `${book.pages} pages` }] });
+  }
+  if (book.description) {
+    fields.push({ tag: '520', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: book.description }] });
+  }
+  if (book.language) {
+    fields.push({ tag: '546', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: book.language }] });
+  }
+
+  // Our categories follow no standard subject thesaurus
+  for (const category of book.categories || []) {
+    if (category.name) {
+      fields.push({ tag: '650', ind1: ' ', ind2: '4', subfields: [{ code: 'a', value: category.name }] });
+    }
+  }
+
+  for (const author of otherAuthors) {
+    fields.push(writeName('700', author));
+  }
+
+  if (book.location) {
+    fields.push({ tag: '852', ind1: ' ', ind2: ' ', subfields: [{ code: 'c', value: book.location }] });
+  }
+
+  return { leader: DEFAULT_LEADER, fields };
+};
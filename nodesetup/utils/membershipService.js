@@ -0,0 +1,90 @@
+import User from '../models/user.js';
+import Fine from '../models/fine.js';
+import PatronGroup from '../models/patronGroup.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { roundMoney } from './finePaymentService.js';
+
+// End of a membership term of `months` starting at `from`. Returns null for
+// groups without a term, whose memberships never expire.
+export const addMembershipTerm = (from, months) => {
+  if (!months) return null;
+
+  const expiry = new Date(from);
+  expiry.setMonth(expiry.getMonth() + months);
+  return expiry;
+};
+
+// The group new patrons join when they register, if one is set
+export const findDefaultPatronGroup = () => PatronGroup.findOne({ isDefault: true, status: 'active' });
+
+// Membership fields for a patron joining `group` today
+export const startMembership = (group, now = new Date()) => ({
+  patronGroupId: group._id,
+  membershipStartDate: now,
+  membershipExpiryDate: addMembershipTerm(now, group.membershipMonths) ?? undefined
+});
+
+// Expired members cannot borrow or reserve until the membership is renewed
+export const assertMembershipActive = (user, now = new Date()) => {
+  if (user.isMembershipExpired(now)) {
+    throw new ApiError(`Membership expired on ${user.membershipExpiryDate.toLocaleDateString()}. Please renew it before borrowing or reserving books.`, 403);
+  }
+};
+
+// Membership summary for API responses, from a user populated with patronGroupId
+export const describeMembership = (user, now = new Date()) => ({
+  patronGroup: user.patronGroupId || null,
+  startDate: user.membershipStartDate || null,
+  expiryDate: user.membershipExpiryDate || null,
+  expired: user.isMembershipExpired(now)
+});
+
+// Renew a membership for `months` (the patron group's term by default). An
+// active membership is extended from its expiry date; a lapsed one starts a
+// new term today. The group's membership fee is charged as a `membership`
+// fine unless waived. Returns the updated user and the fee, if any. Run
+// inside runInTransaction().
+export const renewMembership = async ({ session, user, months, waiveFee = false, processedBy, now = new Date() }) => {
+  const group = user.patronGroupId
+    ? await PatronGroup.findById(user.patronGroupId).session(session)
+    : null;
+
+  const term = months || group?.membershipMonths;
+  if (!term) {
+    throw new ApiError('No membership term to renew by. Give the number of months, or set one on the patron group.');
+  }
+
+  const lapsed = !user.membershipExpiryDate || user.isMembershipExpired(now);
+  const expiryDate = addMembershipTerm(lapsed ? now : user.membershipExpiryDate, term);
+
+  // Only renew the term we looked at, so two renewals cannot both extend it
+  const renewed = await User.findOneAndUpdate(
+    { _id: user._id, membershipExpiryDate: user.membershipExpiryDate ?? null },
+    {
+      ...(lapsed && { membershipStartDate: now }),
+      membershipExpiryDate: expiryDate,
+      $unset: { membershipReminderSentAt: 1 },
+      updatedAt: now
+    },
+    { new: true, session }
+  );
+
+  if (!renewed) {
+    throw new ApiError('Membership was changed by another request. Please try again.', 409);
+  }
+
+  const fee = waiveFee ? 0 : roundMoney(group?.membershipFee);
+  let fine = null;
+  if (fee > 0) {
+    [fine] = await Fine.create([{
+      userId: user._id,
+      branchId: user.branchId,
+      amount: fee,
+      reason: 'membership',
+      processedBy,
+      notes: `${group.name} membership until ${expiryDate.toLocaleDateString()}`
+    }], { session });
+  }
+
+  return { user: renewed, fine };
+};
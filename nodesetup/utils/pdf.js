@@ -0,0 +1,66 @@
+// Minimal PDF writer for plain-text documents such as receipts. Lines are set
+// in Courier so columns can be lined up with spaces; long documents flow onto
+// further A4 pages. Only printable ASCII is supported, other characters are
+// replaced with '?'.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+// `lines` are strings or { text, bold, size } objects. Returns a Buffer.
+export const renderTextPdf = (lines, { fontSize = 10, lineHeight = 14, title } = {}) => {
+  const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / lineHeight);
+  const normalized = lines.map(line => (typeof line === 'string' ? { text: line } : line));
+
+  const pages = [];
+  for (let i = 0; i < Math.max(normalized.length, 1); i += linesPerPage) {
+    pages.push(normalized.slice(i, i + linesPerPage));
+  }
+
+  // Objects 1-4 are fixed; each page adds a page object and its content stream
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold >>';
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index];
+    let y = PAGE_HEIGHT - MARGIN;
+    const stream = pageLines.map(line => {
+      const size = line.size || fontSize;
+      const command = `BT /${line.bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y} Td (${escapeText(line.text || '')}) Tj ET`;
+      y -= lineHeight;
+      return command;
+    }).join('\n');
+
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  const infoId = objects.length;
+  objects[infoId] = `<< /Producer (Library Management System)${title ? ` /Title (${escapeText(title)})` : ''} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
@@ -0,0 +1,62 @@
+import Role from '../models/role.js';
+import { DEFAULT_ROLES, ALL_PERMISSIONS } from '../config/permissions.js';
+
+// Role permissions are read on every authenticated request, so they are
+// cached briefly. Changes made through the roles API clear the cache at once
+// on this instance; other instances pick them up within CACHE_MS.
+const CACHE_MS = 60 * 1000;
+let roleCache = null;
+
+const loadRoles = async () => {
+  const roles = await Role.find().select('name permissions').lean();
+  return new Map(roles.map(role => [role.name, role.permissions]));
+};
+
+export const clearRoleCache = () => {
+  roleCache = null;
+};
+
+// Permissions granted by a role. The admin role always has every permission,
+// so a bad edit can never lock the administrators out.
+export const getRolePermissions = async (roleName) => {
+  if (roleName === 'admin') {
+    return [ALL_PERMISSIONS];
+  }
+
+  if (!roleCache || roleCache.expiresAt < Date.now()) {
+    roleCache = { roles: await loadRoles(), expiresAt: Date.now() + CACHE_MS };
+  }
+
+  if (roleCache.roles.has(roleName)) {
+    return roleCache.roles.get(roleName);
+  }
+
+  // Until the default roles have been created, fall back to their definitions
+  return DEFAULT_ROLES.find(role => role.name === roleName)?.permissions || [];
+};
+
+// Create the built-in roles if they are missing. Existing roles keep any
+// permissions an admin has given them.
+export const ensureDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    await Role.updateOne(
+      { name: role.name },
+      {
+        $setOnInsert: {
+          description: role.description,
+          permissions: role.permissions,
+          createdAt: new Date()
+        },
+        $set: { builtIn: true }
+      },
+      { upsert: true }
+    );
+  }
+
+  clearRoleCache();
+};
+
+export const roleExists = async (roleName) => {
+  return Boolean(await Role.exists({ name: roleName }))
+    || DEFAULT_ROLES.some(role => role.name === roleName);
+};
@@ -0,0 +1,130 @@
+import { renderTextPdf } from './pdf.js';
+
+const LIBRARY_NAME = 'Library Management System';
+const RECEIPT_WIDTH = 60;
+
+const money = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// What a receipt shows, shared by the HTML and PDF versions. Expects the
+// payment with userId, processedBy, refundOf and allocations.fineId (with
+// its transaction's book) populated.
+const buildReceipt = (payment) => {
+  const isRefund = payment.type === 'refund';
+
+  const lines = payment.allocations.map(allocation => {
+    const fine = allocation.fineId;
+    const title = fine?.transactionId?.bookId?.title;
+    return {
+      label: fine
+        ? `${fine.reason} fine${title ? ` - ${title}` : ''}`
+        : 'Fine (removed)',
+      amount: allocation.amount
+    };
+  });
+
+  if (payment.creditDelta > 0) {
+    lines.push({ label: isRefund ? 'Refunded to account credit' : 'Added to account credit', amount: payment.creditDelta });
+  } else if (payment.creditDelta < 0 && isRefund) {
+    lines.push({ label: 'Paid out from account credit', amount: -payment.creditDelta });
+  }
+
+  return {
+    isRefund,
+    title: isRefund ? 'Refund Receipt' : 'Payment Receipt',
+    receiptNumber: payment.receiptNumber,
+    date: new Date(payment.createdAt),
+    patron: payment.userId
+      ? `${payment.userId.name} (${payment.userId.username})`
+      : String(payment.userId),
+    method: payment.method === 'credit' ? 'account credit' : payment.method,
+    processedBy: payment.processedBy?.name,
+    refundOf: payment.refundOf?.receiptNumber,
+    lines,
+    total: payment.amount,
+    notes: payment.notes
+  };
+};
+
+export const renderReceiptHtml = (payment) => {
+  const receipt = buildReceipt(payment);
+
+  const rows = receipt.lines.map(line => `
+          <tr>
+            <td style="padding: 4px 0;">${escapeHtml(line.label)}</td>
+            <td style="padding: 4px 0; text-align: right;">${money(line.amount)}</td>
+          </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${receipt.title} ${escapeHtml(receipt.receiptNumber)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 0 auto; padding: 20px;">
+    <h2 style="margin-bottom: 0;">${LIBRARY_NAME}</h2>
+    <h3 style="margin-top: 4px;">${receipt.title}</h3>
+    <p>
+      <strong>Receipt Number:</strong> ${escapeHtml(receipt.receiptNumber)}<br>
+      <strong>Date:</strong> ${receipt.date.toLocaleString()}<br>
+      <strong>Patron:</strong> ${escapeHtml(receipt.patron)}<br>
+      <strong>Method:</strong> ${escapeHtml(receipt.method)}
+      ${receipt.refundOf ? `<br><strong>Refund of:</strong> ${escapeHtml(receipt.refundOf)}` : ''}
+    </p>
+    <table style="width: 100%; border-collapse: collapse; border-top: 1px solid #ccc;">
+      <tbody>${rows}
+      </tbody>
+      <tfoot>
+        <tr style="border-top: 1px solid #ccc; font-weight: bold;">
+          <td style="padding: 6px 0;">Total ${receipt.isRefund ? 'refunded' : 'paid'}</td>
+          <td style="padding: 6px 0; text-align: right;">${money(receipt.total)}</td>
+        </tr>
+      </tfoot>
+    </table>
+    ${receipt.notes ? `<p><strong>Notes:</strong> ${escapeHtml(receipt.notes)}</p>` : ''}
+    ${receipt.processedBy ? `<p style="color: #666;">Processed by ${escapeHtml(receipt.processedBy)}</p>` : ''}
+    <p style="color: #666;">Please keep this receipt for your records.</p>
+  </body>
+</html>
+`;
+};
+
+// Label on the left, amount on the right edge of the receipt
+const column = (label, amount) => {
+  const value = money(amount);
+  const width = RECEIPT_WIDTH - value.length - 1;
+  const text = label.length > width ? `${label.slice(0, width - 3)}...` : label;
+  return `${text.padEnd(width)} ${value}`;
+};
+
+export const renderReceiptPdf = (payment) => {
+  const receipt = buildReceipt(payment);
+  const rule = '-'.repeat(RECEIPT_WIDTH);
+
+  const lines = [
+    { text: LIBRARY_NAME, bold: true, size: 14 },
+    { text: receipt.title, bold: true },
+    '',
+    `Receipt Number: ${receipt.receiptNumber}`,
+    `Date:           ${receipt.date.toLocaleString()}`,
+    `Patron:         ${receipt.patron}`,
+    `Method:         ${receipt.method}`,
+    ...(receipt.refundOf ? [`Refund of:      ${receipt.refundOf}`] : []),
+    '',
+    rule,
+    ...receipt.lines.map(line => column(line.label, line.amount)),
+    rule,
+    { text: column(`Total ${receipt.isRefund ? 'refunded' : 'paid'}`, receipt.total), bold: true },
+    '',
+    ...(receipt.notes ? [...`Notes: ${receipt.notes}`.split('\n'), ''] : []),
+    ...(receipt.processedBy ? [`Processed by ${receipt.processedBy}`] : []),
+    'Please keep this receipt for your records.'
+  ];
+
+  return renderTextPdf(lines, { title: `${receipt.title} ${receipt.receiptNumber}` });
+};
@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Who is doing what, available anywhere below a request or job without
+// passing it through every call. The audit trail reads it from model hooks.
+const storage = new AsyncLocalStorage();
+
+export const getRequestContext = () => storage.getStore() || null;
+
+// Run `fn` with its own context (background jobs, scripts)
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+// Express middleware: start a context for each request
+export const requestContext = (req, res, next) => {
+  storage.run({
+    requestId: crypto.randomUUID(),
+    source: 'api',
+    actor: null,
+    action: null,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    method: req.method,
+    url: req.originalUrl
+  }, next);
+};
+
+// Record the authenticated user on the current context
+export const setContextActor = (user) => {
+  const context = getRequestContext();
+  if (context) {
+    context.actor = { userId: user._id, username: user.username, role: user.role };
+  }
+};
+
+// Label the mutations made by the rest of this request, e.g. 'FINE_WAIVE'
+export const setContextAction = (action) => {
+  const context = getRequestContext();
+  if (context) {
+    context.action = action;
+  }
+};
@@ -0,0 +1,87 @@
+import os from 'os';
+import crypto from 'crypto';
+import JobRun from '../models/jobRun.js';
+import JobLock from '../models/jobLock.js';
+import { jobs, findJob } from './jobs.js';
+import { getRequestContext, runWithContext } from './requestContext.js';
+
+// Identifies this API instance in job runs
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Give the database connection a moment before the first runs
+const STARTUP_DELAY_MS = 30 * 1000;
+
+const timers = [];
+
+// Run a job once, if no other instance (or run on this instance) holds its
+// lock. Every run that takes the lock is recorded as a JobRun. Returns the
+// JobRun, or null when the job is already running elsewhere.
+export const runJob = async (name, { trigger = 'schedule', triggeredBy } = {}) => {
+  const job = findJob(name);
+  if (!job) {
+    throw new Error(`Unknown job '${name}'`);
+  }
+
+  const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  const acquired = await JobLock.acquire(job.name, owner, job.lockTtlMs);
+  if (!acquired) {
+    return null;
+  }
+
+  const run = await JobRun.create({
+    name: job.name,
+    trigger,
+    triggeredBy,
+    instance: INSTANCE_ID,
+    startedAt: new Date()
+  });
+
+  try {
+    // Changes are audited under the job's name; manual runs keep the admin
+    // who started them as the actor
+    run.result = await runWithContext(
+      { ...getRequestContext(), source: 'job', action: job.name },
+      () => job.run()
+    );
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await JobLock.release(job.name, owner);
+  }
+
+  return run;
+};
+
+// Start running every job on its interval. Set JOB_SCHEDULER_ENABLED=false to
+// leave scheduling to another instance (locking already prevents double runs).
+export const startScheduler = () => {
+  if (process.env.JOB_SCHEDULER_ENABLED === 'false') {
+    console.log('⏸️  Job scheduler disabled');
+    return;
+  }
+
+  for (const job of jobs) {
+    const tick = () => {
+      runJob(job.name).catch(error => {
+        console.error(`Job ${job.name} could not be started:`, error);
+      });
+    };
+
+    timers.push(setTimeout(tick, STARTUP_DELAY_MS));
+    timers.push(setInterval(tick, job.intervalMs));
+  }
+
+  console.log(`⏱️  Job scheduler started (${jobs.length} jobs)`);
+};
+
+export const stopScheduler = () => {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+};
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/user.js';
+import Setting from '../models/setting.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from './totp.js';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Library Management System';
+const BACKUP_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_EXPIRE = '5m';
+const POLICY_CACHE_MS = 60 * 1000;
+
+const REQUIRED_ROLES_SETTING = 'twoFactorRequiredRoles';
+
+// TOTP secrets are stored encrypted (AES-256-GCM) so a database dump alone
+// is not enough to generate codes
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Fresh backup codes: plain codes to show the user once, and hashes to store
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ codeHash: hashBackupCode(code) }))
+  };
+};
+
+// Accept a TOTP code at most once: the step must be newer than the last one used
+const acceptTotp = async (user, secret, code) => {
+  const step = verifyCode(secret, code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+    },
+    { twoFactorLastStep: step }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+const consumeBackupCode = async (user, code) => {
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      twoFactorBackupCodes: { $elemMatch: { codeHash: hashBackupCode(code), usedAt: null } }
+    },
+    { $set: { 'twoFactorBackupCodes.$.usedAt': new Date() } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Start enrollment: store a pending secret and return what the authenticator
+// app needs. Nothing changes for the user until the first code is confirmed.
+export const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: encryptSecret(secret) });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({ secret, accountName: user.username, issuer: ISSUER })
+  };
+};
+
+// Finish enrollment with a code from the app. Returns the backup codes, or
+// null if there is no pending secret or the code is wrong.
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorPendingSecret');
+  if (!user?.twoFactorPendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) return null;
+
+  const { codes, stored } = generateBackupCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorLastStep: step,
+      twoFactorBackupCodes: stored,
+      twoFactorEnabledAt: new Date(),
+      $unset: { twoFactorPendingSecret: 1 }
+    }
+  );
+
+  return codes;
+};
+
+// Check a second factor: a TOTP code or an unused backup code. Returns the
+// method that matched ('totp' or 'backup_code'), or null.
+export const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorSecret');
+  if (!user?.twoFactorEnabled || !user.twoFactorSecret) return null;
+
+  const normalized = String(code).trim();
+
+  if (/^\d{6}$/.test(normalized)) {
+    return await acceptTotp(user, decryptSecret(user.twoFactorSecret), normalized) ? 'totp' : null;
+  }
+
+  return await consumeBackupCode(user, normalized) ? 'backup_code' : null;
+};
+
+export const regenerateBackupCodes = async (userId) => {
+  const { codes, stored } = generateBackupCodes();
+  await User.updateOne({ _id: userId }, { twoFactorBackupCodes: stored });
+  return codes;
+};
+
+export const disableTwoFactor = (userId) => {
+  return User.updateOne(
+    { _id: userId },
+    {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorLastStep: 1,
+        twoFactorBackupCodes: 1,
+        twoFactorEnabledAt: 1
+      }
+    }
+  );
+};
+
+export const getTwoFactorStatus = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactorBackupCodes');
+
+  return {
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    backupCodesRemaining: (user.twoFactorBackupCodes || []).filter(c => !c.usedAt).length,
+    required: await isTwoFactorRequired(user)
+  };
+};
+
+// Short-lived token proving the password step of a login succeeded. It has
+// no session ID, so authenticateToken will not accept it as an access token.
+export const createLoginChallenge = (user) => {
+  return jwt.sign({ userId: user._id, purpose: 'two_factor' }, process.env.JWT_SECRET, {
+    expiresIn: LOGIN_CHALLENGE_EXPIRE
+  });
+};
+
+// User ID from a login challenge, or null if it is invalid or expired
+export const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The required-roles policy is read on every authenticated request, so it is
+// cached briefly; changes made through setRequiredRoles apply at once
+let policyCache = null;
+
+export const getRequiredRoles = async () => {
+  if (!policyCache || policyCache.expiresAt < Date.now()) {
+    policyCache = {
+      roles: await Setting.getValue(REQUIRED_ROLES_SETTING, []),
+      expiresAt: Date.now() + POLICY_CACHE_MS
+    };
+  }
+  return policyCache.roles;
+};
+
+export const setRequiredRoles = async (roles, updatedBy) => {
+  await Setting.setValue(REQUIRED_ROLES_SETTING, roles, updatedBy);
+  policyCache = null;
+  return roles;
+};
+
+export const isTwoFactorRequired = async (user) => {
+  return (await getRequiredRoles()).includes(user.role);
+};